@@ -0,0 +1,111 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * When it starts, volapi-updater either catches up with the VMs that changed
+ * since the events watermark of its last checkpoint, or updates all volumes
+ * and their references from all VMs in VMAPI. See "Checkpointing" in
+ * volapi-updater.js, and lib/models/updater-checkpoint.js.
+ */
+
+var assert = require('assert-plus');
+
+var LIST_VMS_LIMIT = 1000;
+
+//
+// Returns true if volapi-updater can catch up with the VMs that changed since
+// "checkpoint" at time "now", and false if it needs to update all volumes
+// instead, because there's no checkpoint, or because it's older than
+// "maxCatchUpPeriod" seconds. A "maxCatchUpPeriod" of 0 disables catching up.
+//
+function shouldCatchUp(checkpoint, maxCatchUpPeriod, now) {
+    assert.optionalObject(checkpoint, 'checkpoint');
+    assert.number(maxCatchUpPeriod, 'maxCatchUpPeriod');
+    assert.number(now, 'now');
+
+    if (checkpoint === undefined || maxCatchUpPeriod <= 0) {
+        return false;
+    }
+
+    assert.number(checkpoint.events_watermark_timestamp,
+        'checkpoint.events_watermark_timestamp');
+
+    return now - checkpoint.events_watermark_timestamp <=
+        maxCatchUpPeriod * 1000;
+}
+
+//
+// Returns the time before which all VM change events were processed:
+// "unprocessedEventsTimestamps" maps the ids of the events not processed yet
+// to the time at which they were received, and the watermark is the oldest of
+// them, or "now" if all events were processed.
+//
+function getEventsWatermark(unprocessedEventsTimestamps, now) {
+    assert.object(unprocessedEventsTimestamps, 'unprocessedEventsTimestamps');
+    assert.number(now, 'now');
+
+    var watermark = now;
+
+    Object.keys(unprocessedEventsTimestamps).forEach(
+        function checkEvent(eventId) {
+            watermark = Math.min(watermark,
+                unprocessedEventsTimestamps[eventId]);
+        });
+
+    return watermark;
+}
+
+//
+// Calls "callback" with all the VMs, including destroyed ones, that were
+// modified at or after "timestamp", listed from VMAPI with "vmapiClient" in
+// pages of LIST_VMS_LIMIT VMs.
+//
+function listVmsModifiedSince(vmapiClient, timestamp, callback) {
+    assert.object(vmapiClient, 'vmapiClient');
+    assert.number(timestamp, 'timestamp');
+    assert.func(callback, 'callback');
+
+    var vms = [];
+
+    function listNextVms() {
+        vmapiClient.listVms({
+            limit: LIST_VMS_LIMIT,
+            offset: vms.length,
+            /*
+             * VMAPI's "last_modified" index stores timestamps as a number of
+             * milliseconds. A raw query also doesn't filter out destroyed VMs,
+             * whose references need to be removed.
+             */
+            query: '(last_modified>=' + timestamp + ')'
+        }, function onListVms(listErr, listedVms) {
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            vms = vms.concat(listedVms);
+
+            if (listedVms.length < LIST_VMS_LIMIT) {
+                callback(null, vms);
+            } else {
+                listNextVms();
+            }
+        });
+    }
+
+    listNextVms();
+}
+
+module.exports = {
+    getEventsWatermark: getEventsWatermark,
+    LIST_VMS_LIMIT: LIST_VMS_LIMIT,
+    listVmsModifiedSince: listVmsModifiedSince,
+    shouldCatchUp: shouldCatchUp
+};
@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * VOLAPI publishes changes to volumes on a changefeed (see RFD 5), similarly
+ * to how VMAPI publishes changes to VMs, so that other services can react to
+ * them. The changefeed's resource is "volume", and its sub-resources
+ * (a.k.a "change kinds") are listed in VOLUME_CHANGE_KINDS.
+ *
+ * Both the API server and volapi-updater write volume objects, so they both
+ * publish changes, which the changefeed module stores in a moray bucket.
+ * However, only the API server sends them to changefeed listeners, which
+ * connect to it.
+ */
+
+var assert = require('assert-plus');
+var changefeed = require('changefeed');
+var jsprim = require('jsprim');
+
+var CHANGEFEED_BUCKET_NAME = 'volapi_changefeed';
+/*
+ * Published changes are kept for that many seconds, after which they're
+ * garbage collected by the changefeed module.
+ */
+var CHANGEFEED_MAX_AGE = 2000;
+/*
+ * "create" and "delete" are published when a volume object is created and
+ * deleted. The other change kinds are the names of the volume properties that
+ * changed.
+ */
+var VOLUME_CHANGE_KINDS = [
+    'create',
+    'delete',
+    'labels',
+    'name',
+    'networks',
+    'owner_uuid',
+    'refs',
+    'size',
+    'state'
+];
+
+var log;
+var publisher;
+
+//
+// Returns the change kinds that represent the change from "previousVolume" to
+// "volume". When "previousVolume" is undefined, the volume was created, and
+// when "volume" is undefined, it was deleted.
+//
+function _getVolumeChangeKinds(previousVolume, volume) {
+    assert.optionalObject(previousVolume, 'previousVolume');
+    assert.optionalObject(volume, 'volume');
+
+    if (previousVolume === undefined) {
+        return ['create'];
+    }
+
+    if (volume === undefined) {
+        return ['delete'];
+    }
+
+    return VOLUME_CHANGE_KINDS.filter(function propertyChanged(changeKind) {
+        return changeKind !== 'create' && changeKind !== 'delete' &&
+            !jsprim.deepEqual(previousVolume[changeKind], volume[changeKind]);
+    });
+}
+
+//
+// Publishes the change from "previousVolume" to "volume" on the changefeed, if
+// any. Failing to publish a change doesn't make the write it represents fail,
+// so errors are logged and not passed to "callback".
+//
+function publishVolumeChange(previousVolume, volume, callback) {
+    assert.optionalObject(previousVolume, 'previousVolume');
+    assert.optionalObject(volume, 'volume');
+    assert.ok(previousVolume !== undefined || volume !== undefined,
+        'previousVolume or volume must be defined');
+    assert.func(callback, 'callback');
+
+    var changeKinds;
+    var volumeUuid = (volume || previousVolume).uuid;
+
+    if (publisher === undefined) {
+        callback();
+        return;
+    }
+
+    changeKinds = _getVolumeChangeKinds(previousVolume, volume);
+    if (changeKinds.length === 0) {
+        callback();
+        return;
+    }
+
+    publisher.publish({
+        changeKind: {
+            resource: 'volume',
+            subResources: changeKinds
+        },
+        changedResourceId: volumeUuid
+    }, function onPublished(publishErr) {
+        if (publishErr) {
+            log.error({
+                err: publishErr,
+                changeKinds: changeKinds,
+                volumeUuid: volumeUuid
+            }, 'Error when publishing volume change');
+        }
+
+        callback();
+    });
+}
+
+//
+// Sets up the changefeed publisher. When "options.restifyServer" is set, the
+// changefeed routes are mounted on that server, and published changes are sent
+// to the listeners that connect to it.
+//
+function init(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.object(options.morayClient.connection,
+        'options.morayClient.connection');
+    assert.optionalObject(options.restifyServer, 'options.restifyServer');
+
+    log = options.log;
+
+    publisher = changefeed.createPublisher({
+        backoff: {
+            maxTimeout: Infinity,
+            minTimeout: 10,
+            retries: Infinity
+        },
+        log: log.child({component: 'changefeed'}, true),
+        maxAge: CHANGEFEED_MAX_AGE,
+        moray: {
+            bucketName: CHANGEFEED_BUCKET_NAME,
+            client: options.morayClient.connection
+        },
+        resources: [ {
+            bootstrapRoute: '/volumes',
+            resource: 'volume',
+            subResources: VOLUME_CHANGE_KINDS
+        } ],
+        restifyServer: options.restifyServer
+    });
+
+    if (options.restifyServer !== undefined) {
+        publisher.on('moray-ready', function onMorayReady() {
+            log.info('Changefeed bucket ready, starting publisher');
+            publisher.start();
+        });
+    }
+}
+
+module.exports = {
+    init: init,
+    publishVolumeChange: publishVolumeChange,
+    VOLUME_CHANGE_KINDS: VOLUME_CHANGE_KINDS
+};
@@ -0,0 +1,228 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Functions to inspect and operate on the delegated dataset of a volume's
+ * storage VM, which is where the volume's data is actually stored. VMAPI
+ * doesn't expose any of this, so commands are run on the compute node that
+ * hosts the storage VM using CNAPI's ServerExecute endpoint.
+ */
+
+var assert = require('assert-plus');
+var verror = require('verror');
+
+var DATASET_USAGE_SCRIPT = [
+    '#!/bin/bash',
+    'set -o errexit',
+    'set -o pipefail',
+    '/usr/sbin/zfs get -Hp -o value used,available "$1"'
+].join('\n');
+
+var DATASET_SNAPSHOT_CREATE_SCRIPT = [
+    '#!/bin/bash',
+    'set -o errexit',
+    'set -o pipefail',
+    '/usr/sbin/zfs snapshot "$1@$2"'
+].join('\n');
+
+//
+// Destroying a snapshot that doesn't exist is not considered to be an error, so
+// that deleting a snapshot can be retried safely.
+//
+var DATASET_SNAPSHOT_DESTROY_SCRIPT = [
+    '#!/bin/bash',
+    'set -o errexit',
+    'set -o pipefail',
+    'if /usr/sbin/zfs list -t snapshot "$1@$2" >/dev/null 2>&1; then',
+    '    /usr/sbin/zfs destroy "$1@$2"',
+    'fi'
+].join('\n');
+
+//
+// Rolling back to a snapshot that is not the most recent one destroys all the
+// snapshots that are more recent, hence the "-r" flag.
+//
+var DATASET_SNAPSHOT_ROLLBACK_SCRIPT = [
+    '#!/bin/bash',
+    'set -o errexit',
+    'set -o pipefail',
+    '/usr/sbin/zfs rollback -r "$1@$2"'
+].join('\n');
+
+//
+// Replaces the content of the dataset "$3" with the content of the snapshot
+// "$1@$2". The snapshot that "zfs recv" creates on the target dataset is then
+// destroyed, since it's not tracked by any snapshot object.
+//
+var DATASET_SNAPSHOT_COPY_SCRIPT = [
+    '#!/bin/bash',
+    'set -o errexit',
+    'set -o pipefail',
+    '/usr/sbin/zfs send "$1@$2" | /usr/sbin/zfs recv -F "$3"',
+    '/usr/sbin/zfs destroy "$3@$2"'
+].join('\n');
+
+function getStorageVmDatasetName(storageVmUuid) {
+    assert.uuid(storageVmUuid, 'storageVmUuid');
+
+    return ['zones', storageVmUuid, 'data'].join('/');
+}
+
+//
+// Runs "script" with arguments "args" on the server with UUID "serverUuid".
+// Errors from the command itself, as opposed to errors from CNAPI, are named
+// "CommandFailedError".
+//
+function _executeOnServer(cnapiClient, serverUuid, script, args, callback) {
+    assert.object(cnapiClient, 'cnapiClient');
+    assert.uuid(serverUuid, 'serverUuid');
+    assert.string(script, 'script');
+    assert.arrayOfString(args, 'args');
+    assert.func(callback, 'callback');
+
+    cnapiClient.commandExecute(serverUuid, script, {
+        args: args,
+        json: true
+    }, function onExecuted(execErr, result) {
+        if (execErr) {
+            callback(new verror.VError(execErr,
+                'Error when executing command on server %s', serverUuid));
+            return;
+        }
+
+        if (!result || result.exitCode !== 0) {
+            callback(new verror.VError({
+                name: 'CommandFailedError'
+            }, 'Command failed on server %s, exit code: %s, stderr: %s',
+                serverUuid, result && result.exitCode,
+                result && result.stderr));
+            return;
+        }
+
+        callback(null, result.stdout);
+    });
+}
+
+//
+// Calls "callback" with an object of the form {used: Number, available:
+// Number} where both values are in bytes.
+//
+function getStorageVmDatasetUsage(options, callback) {
+    assert.object(options, 'options');
+    assert.object(options.cnapiClient, 'options.cnapiClient');
+    assert.uuid(options.serverUuid, 'options.serverUuid');
+    assert.uuid(options.storageVmUuid, 'options.storageVmUuid');
+    assert.func(callback, 'callback');
+
+    var datasetName = getStorageVmDatasetName(options.storageVmUuid);
+
+    _executeOnServer(options.cnapiClient, options.serverUuid,
+        DATASET_USAGE_SCRIPT, [datasetName],
+        function onUsageRetrieved(execErr, stdout) {
+            var values;
+
+            if (execErr) {
+                callback(execErr);
+                return;
+            }
+
+            values = String(stdout).trim().split('\n').map(Number);
+
+            if (values.length !== 2 || isNaN(values[0]) ||
+                isNaN(values[1])) {
+                callback(new Error('Unexpected output when getting usage ' +
+                    'for dataset ' + datasetName + ': ' + stdout));
+                return;
+            }
+
+            callback(null, {
+                used: values[0],
+                available: values[1]
+            });
+        });
+}
+
+function _checkSnapshotOptions(options) {
+    assert.object(options, 'options');
+    assert.object(options.cnapiClient, 'options.cnapiClient');
+    assert.uuid(options.serverUuid, 'options.serverUuid');
+    assert.uuid(options.storageVmUuid, 'options.storageVmUuid');
+    assert.string(options.snapshotName, 'options.snapshotName');
+}
+
+function createStorageVmDatasetSnapshot(options, callback) {
+    _checkSnapshotOptions(options);
+    assert.func(callback, 'callback');
+
+    _executeOnServer(options.cnapiClient, options.serverUuid,
+        DATASET_SNAPSHOT_CREATE_SCRIPT, [
+            getStorageVmDatasetName(options.storageVmUuid),
+            options.snapshotName
+        ], function onSnapshotCreated(execErr) {
+            callback(execErr);
+        });
+}
+
+function destroyStorageVmDatasetSnapshot(options, callback) {
+    _checkSnapshotOptions(options);
+    assert.func(callback, 'callback');
+
+    _executeOnServer(options.cnapiClient, options.serverUuid,
+        DATASET_SNAPSHOT_DESTROY_SCRIPT, [
+            getStorageVmDatasetName(options.storageVmUuid),
+            options.snapshotName
+        ], function onSnapshotDestroyed(execErr) {
+            callback(execErr);
+        });
+}
+
+function rollbackStorageVmDatasetSnapshot(options, callback) {
+    _checkSnapshotOptions(options);
+    assert.func(callback, 'callback');
+
+    _executeOnServer(options.cnapiClient, options.serverUuid,
+        DATASET_SNAPSHOT_ROLLBACK_SCRIPT, [
+            getStorageVmDatasetName(options.storageVmUuid),
+            options.snapshotName
+        ], function onSnapshotRolledBack(execErr) {
+            callback(execErr);
+        });
+}
+
+//
+// Copies the snapshot named "options.snapshotName" of the delegated dataset of
+// the storage VM with UUID "options.storageVmUuid" to the delegated dataset of
+// the storage VM with UUID "options.targetStorageVmUuid". Both storage VMs must
+// be on the server with UUID "options.serverUuid", and the target storage VM
+// must be stopped.
+//
+function copyStorageVmDatasetSnapshot(options, callback) {
+    _checkSnapshotOptions(options);
+    assert.uuid(options.targetStorageVmUuid, 'options.targetStorageVmUuid');
+    assert.func(callback, 'callback');
+
+    _executeOnServer(options.cnapiClient, options.serverUuid,
+        DATASET_SNAPSHOT_COPY_SCRIPT, [
+            getStorageVmDatasetName(options.storageVmUuid),
+            options.snapshotName,
+            getStorageVmDatasetName(options.targetStorageVmUuid)
+        ], function onSnapshotCopied(execErr) {
+            callback(execErr);
+        });
+}
+
+module.exports = {
+    copyStorageVmDatasetSnapshot: copyStorageVmDatasetSnapshot,
+    createStorageVmDatasetSnapshot: createStorageVmDatasetSnapshot,
+    destroyStorageVmDatasetSnapshot: destroyStorageVmDatasetSnapshot,
+    getStorageVmDatasetName: getStorageVmDatasetName,
+    getStorageVmDatasetUsage: getStorageVmDatasetUsage,
+    rollbackStorageVmDatasetSnapshot: rollbackStorageVmDatasetSnapshot
+};
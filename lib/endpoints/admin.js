@@ -0,0 +1,260 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Admin endpoints let operators inspect what VOLAPI's background processes
+ * (see volapi-updater.js) do or would do, without making any change.
+ *
+ * These APIs are internal and meant to be used by operators, not to be exposed
+ * via any external service such as CloudAPI.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+var adminValidation = require('../validation/admin');
+var errors = require('../errors');
+var paginationValidation = require('../validation/pagination');
+var reconciliationReportsModel = require('../models/reconciliation-reports');
+var renderingMiddlewares = require('../middlewares/rendering');
+var validationUtils = require('../validation/utils');
+var volumesModel = require('../models/volumes');
+
+var CONFIG;
+var DEFAULT_RECONCILIATION_REPORTS_LIMIT = 10;
+
+function validateGetReaperPreview(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['retention_period'];
+
+    validationErrs = validationErrs.concat(
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES));
+
+    if (req.params.retention_period !== undefined) {
+        errs = adminValidation.validateRetentionPeriod(
+            req.params.retention_period, 'retention_period');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Lists the failed volumes that volapi-updater's reaper would delete if it ran
+// now with a failed volumes retention period of "retention_period" seconds, or
+// with the configured one if "retention_period" is not set. Failed volumes that
+// are referenced by VMs are listed separately, since the reaper skips them.
+//
+function getReaperPreview(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var configuredRetentionPeriod = CONFIG.failedVolumesRetentionPeriod || 0;
+    var retentionPeriod = configuredRetentionPeriod;
+
+    if (req.params.retention_period !== undefined) {
+        retentionPeriod = Number(req.params.retention_period);
+    }
+
+    req.responseReaperPreview = {
+        enabled: configuredRetentionPeriod > 0,
+        in_use_volumes: [],
+        retention_period: retentionPeriod,
+        volumes: []
+    };
+
+    if (retentionPeriod === 0) {
+        next();
+        return;
+    }
+
+    volumesModel.listVolumesFailedBefore(Date.now() - retentionPeriod * 1000,
+        function onVolumesListed(listErr, volumeObjects) {
+            if (listErr) {
+                req.log.error({err: listErr},
+                    'Error when listing failed volumes');
+                next(new errors.InternalError(listErr,
+                    'Error when listing failed volumes'));
+                return;
+            }
+
+            volumeObjects.forEach(function addVolume(volumeObject) {
+                var volume = volumeObject.value;
+
+                if (volume.refs !== undefined && volume.refs.length > 0) {
+                    req.responseReaperPreview.in_use_volumes.push(volume);
+                } else {
+                    req.responseReaperPreview.volumes.push(volume);
+                }
+            });
+
+            next();
+        });
+}
+
+function renderReaperPreview(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseReaperPreview, 'req.responseReaperPreview');
+
+    function renderVolume(volume) {
+        return {
+            failed_timestamp: new Date(volume.failed_timestamp).toISOString(),
+            name: volume.name,
+            owner_uuid: volume.owner_uuid,
+            uuid: volume.uuid,
+            vm_uuid: volume.vm_uuid
+        };
+    }
+
+    req.renderedResponse = {
+        enabled: req.responseReaperPreview.enabled,
+        in_use_volumes: req.responseReaperPreview.in_use_volumes.map(
+            function renderInUseVolume(volume) {
+                var renderedVolume = renderVolume(volume);
+
+                renderedVolume.refs = volume.refs;
+                return renderedVolume;
+            }),
+        retention_period: req.responseReaperPreview.retention_period,
+        volumes: req.responseReaperPreview.volumes.map(renderVolume)
+    };
+
+    next();
+}
+
+function validateListReconciliationReports(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['limit'];
+
+    validationErrs = validationErrs.concat(
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES));
+
+    if (req.params.limit !== undefined) {
+        errs = paginationValidation.validateLimit(req.params.limit);
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Lists the "limit" most recent reports of volapi-updater's reconciler, the
+// most recent first.
+//
+function listReconciliationReports(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var limit = DEFAULT_RECONCILIATION_REPORTS_LIMIT;
+
+    if (req.params.limit !== undefined) {
+        limit = Number(req.params.limit);
+    }
+
+    reconciliationReportsModel.listReports(limit,
+        function onReportsListed(listErr, reports) {
+            if (listErr) {
+                req.log.error({err: listErr},
+                    'Error when listing reconciliation reports');
+                next(new errors.InternalError(listErr,
+                    'Error when listing reconciliation reports'));
+                return;
+            }
+
+            req.responseReconciliationReports = reports;
+            next();
+        });
+}
+
+function renderReconciliationReports(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.arrayOfObject(req.responseReconciliationReports,
+        'req.responseReconciliationReports');
+
+    req.renderedResponse = req.responseReconciliationReports.map(
+        function renderReport(report) {
+            return {
+                drifts: report.drifts,
+                end: new Date(report.end_timestamp).toISOString(),
+                errors: report.errors,
+                nb_volumes: report.nb_volumes,
+                start: new Date(report.start_timestamp).toISOString(),
+                uuid: report.uuid
+            };
+        });
+
+    next();
+}
+
+function mount(config, server, applicationState) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(applicationState, 'applicationState');
+
+    CONFIG = config;
+
+    server.get({
+        path: '/admin/reaper',
+        name: 'GetReaperPreview',
+        version: '1.0.0'
+    }, restify.queryParser(), validateGetReaperPreview,
+        getReaperPreview,
+        renderReaperPreview,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.get({
+        path: '/admin/reconciliation',
+        name: 'ListReconciliationReports',
+        version: '1.0.0'
+    }, restify.queryParser(), validateListReconciliationReports,
+        listReconciliationReports,
+        renderReconciliationReports,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+}
+
+module.exports = {
+    mount: mount
+};
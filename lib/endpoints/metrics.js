@@ -0,0 +1,53 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+var errors = require('../errors');
+var metrics = require('../metrics');
+var validationUtils = require('../validation/utils');
+
+function validateGetMetrics(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var invalidParamsErrs = validationUtils.checkInvalidParams(req.params, []);
+
+    if (invalidParamsErrs.length > 0) {
+        next(new errors.ValidationError(invalidParamsErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+/*
+ * GET /metrics
+ *
+ * This route is mounted on both VOLAPI's server and volapi-updater's metrics
+ * server, and exposes the metrics of the process it runs in.
+ */
+function mount(config, server) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+
+    server.get({
+        path: '/metrics',
+        name: 'GetMetrics',
+        version: '1.0.0'
+    }, restify.queryParser(), validateGetMetrics, metrics.sendMetrics);
+}
+
+module.exports = {
+    mount: mount
+};
@@ -6,22 +6,173 @@
 
 /*
  * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert');
 var restify = require('restify');
+var vasync = require('vasync');
 
 var errors = require('../errors');
 var validationUtils = require('../validation/utils');
 
+/*
+ * VOLAPI can't serve any request without moray, and can't create, update or
+ * delete volumes without CNAPI (for volume tickets) and VMAPI (for storage
+ * VMs), so it's not considered healthy when one of them is unavailable. Other
+ * dependencies are only needed by some endpoints, and their status is reported
+ * without affecting VOLAPI's health.
+ */
+var HARD_DEPENDENCIES = ['cnapi', 'moray', 'vmapi'];
+var DEPENDENCY_PING_TIMEOUT = 5000;
+/*
+ * Each ping request would otherwise ping all dependencies, so their status is
+ * reused for that many milliseconds.
+ */
+var DEPENDENCIES_STATUS_CACHE_TTL = 5000;
+
+var APPLICATION_STATE;
+/*
+ * The last status of dependencies and when it was determined, and the
+ * callbacks waiting for the ongoing dependencies pings, if any.
+ */
+var DEPENDENCIES_STATUS;
+var DEPENDENCIES_STATUS_TIMESTAMP;
+var PENDING_DEPENDENCIES_STATUS_CALLBACKS;
+
+//
+// Calls "pingFunc" and then "callback" with an object that represents the
+// status of the dependency it pings: its "status" property is "online" or
+// "offline", its "latency" property is the time in milliseconds it took to
+// respond, and its "error" property is the error message if it's offline.
+// Dependencies that don't respond within DEPENDENCY_PING_TIMEOUT milliseconds
+// are considered offline.
+//
+function _pingDependency(pingFunc, callback) {
+    assert.equal(typeof (pingFunc), 'function');
+    assert.equal(typeof (callback), 'function');
+
+    var done = false;
+    var startTime = Date.now();
+    var timeout;
+
+    function onPingDone(pingErr) {
+        var result;
+
+        if (done) {
+            return;
+        }
+
+        done = true;
+        clearTimeout(timeout);
+
+        result = {
+            latency: Date.now() - startTime,
+            status: pingErr ? 'offline' : 'online'
+        };
+
+        if (pingErr) {
+            result.error = pingErr.message;
+        }
+
+        callback(result);
+    }
+
+    timeout = setTimeout(function onPingTimeout() {
+        onPingDone(new Error('ping timed out after ' +
+            DEPENDENCY_PING_TIMEOUT + 'ms'));
+    }, DEPENDENCY_PING_TIMEOUT);
+
+    pingFunc(function onPing(pingErr) {
+        onPingDone(pingErr);
+    });
+}
+
+//
+// Calls "callback" with an object whose keys are the names of VOLAPI's
+// dependencies, and whose values represent their status (see _pingDependency).
+// Dependencies are pinged at most once every DEPENDENCIES_STATUS_CACHE_TTL
+// milliseconds, and concurrent calls share the same pings.
+//
+function _getDependenciesStatus(req, callback) {
+    assert.equal(typeof (req), 'object');
+    assert.equal(typeof (callback), 'function');
+
+    var dependencyPings;
+    var dependenciesStatus = {};
+
+    if (DEPENDENCIES_STATUS !== undefined &&
+        Date.now() - DEPENDENCIES_STATUS_TIMESTAMP <
+        DEPENDENCIES_STATUS_CACHE_TTL) {
+        callback(DEPENDENCIES_STATUS);
+        return;
+    }
+
+    if (PENDING_DEPENDENCIES_STATUS_CALLBACKS !== undefined) {
+        PENDING_DEPENDENCIES_STATUS_CALLBACKS.push(callback);
+        return;
+    }
+
+    PENDING_DEPENDENCIES_STATUS_CALLBACKS = [callback];
+
+    dependencyPings = {
+        cnapi: function pingCnapi(cb) {
+            req._cnapiClient.ping(cb);
+        },
+        imgapi: function pingImgapi(cb) {
+            req._imgapiClient.ping(cb);
+        },
+        moray: function pingMoray(cb) {
+            req._morayClient.ping(cb);
+        },
+        napi: function pingNapi(cb) {
+            req._napiClient.ping(cb);
+        },
+        papi: function pingPapi(cb) {
+            // The PAPI client doesn't have a ping method.
+            req._papiClient.client.get('/ping', cb);
+        },
+        vmapi: function pingVmapi(cb) {
+            req._vmapiClient.ping(cb);
+        },
+        wfapi: function pingWfapi(cb) {
+            req._wfApiClient.ping(cb);
+        }
+    };
+
+    vasync.forEachParallel({
+        func: function pingDependency(dependencyName, done) {
+            _pingDependency(dependencyPings[dependencyName],
+                function onPinged(dependencyStatus) {
+                    dependenciesStatus[dependencyName] = dependencyStatus;
+                    done();
+                });
+        },
+        inputs: Object.keys(dependencyPings)
+    }, function onAllPinged() {
+        var callbacks = PENDING_DEPENDENCIES_STATUS_CALLBACKS;
+
+        DEPENDENCIES_STATUS = dependenciesStatus;
+        DEPENDENCIES_STATUS_TIMESTAMP = Date.now();
+        PENDING_DEPENDENCIES_STATUS_CALLBACKS = undefined;
+
+        callbacks.forEach(function callCallback(cb) {
+            cb(dependenciesStatus);
+        });
+    });
+}
+
 /*
  * GET /ping
+ *
+ * The status code is always 200 when VOLAPI can respond, so that clients that
+ * only check the status code don't consider VOLAPI down when one of its
+ * dependencies is: its health is reported by the response's "healthy"
+ * property.
  */
 function ping(req, res, next) {
-    var healthy = true;
     var invalidParamsErrs;
     var response = {};
-    var status = 'OK';
     var VALID_PARAM_NAMES = [];
 
     invalidParamsErrs = validationUtils.checkInvalidParams(req.params,
@@ -32,15 +183,44 @@ function ping(req, res, next) {
         return;
     }
 
-    response.pid = process.pid;
-    response.status = status;
-    response.healthy = healthy;
+    _getDependenciesStatus(req, function onDependenciesStatus(dependencies) {
+        var healthy = APPLICATION_STATE.bucketsSetup === true;
+
+        response.dependencies = dependencies;
+
+        HARD_DEPENDENCIES.forEach(function checkDependency(dependencyName) {
+            if (response.dependencies[dependencyName].status !== 'online') {
+                healthy = false;
+            }
+        });
 
-    res.send(200, response);
-    next();
+        response.buckets = {
+            setup: APPLICATION_STATE.bucketsSetup === true
+        };
+
+        /*
+         * Volumes can't be created until the NFS server images are imported,
+         * which VOLAPI keeps retrying in the background.
+         */
+        response.nfsServerImages = {
+            imported: APPLICATION_STATE.nfsServerImageImported === true &&
+                APPLICATION_STATE.nfsServerImage2Imported === true
+        };
+
+        response.pid = process.pid;
+        response.status = healthy ? 'OK' : 'ERROR';
+        response.healthy = healthy;
+
+        res.send(200, response);
+        next();
+    });
 }
 
-function mount(config, server) {
+function mount(config, server, applicationState) {
+    assert.equal(typeof (applicationState), 'object');
+
+    APPLICATION_STATE = applicationState;
+
     server.get({
         path: '/ping',
         name: 'Ping',
@@ -0,0 +1,409 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Quotas limit the storage capacity that a given owner can consume with its
+ * volumes. They are checked by the CreateVolume and ResizeVolume endpoints
+ * (see lib/quotas.js), and owners that don't have a quota are not limited.
+ *
+ * These APIs are internal and meant to be used by operators, not to be exposed
+ * via any external service such as CloudAPI.
+ *
+ * A quota object has the following properties:
+ *
+ * - owner_uuid -- the owner to which the quota applies (there's at most one
+ *   quota per owner)
+ * - max_volumes -- the maximum number of volumes that owner can have, if any
+ * - max_size -- the maximum total size in mebibytes of the volumes that owner
+ *   can have, if any
+ * - create_timestamp -- the date and time at which the quota was created
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var restify = require('restify');
+
+var errors = require('../errors');
+var quotasModel = require('../models/quotas');
+var quotasValidation = require('../validation/quotas');
+var renderingMiddlewares = require('../middlewares/rendering');
+var validationUtils = require('../validation/utils');
+var uuidValidation = require('../validation/uuid');
+
+var QUOTA_LIMIT_PARAM_NAMES = ['max_size', 'max_volumes'];
+
+function _validateQuotaParams(req, options) {
+    assert.object(req, 'req');
+    assert.object(options, 'options');
+    assert.arrayOfString(options.validParamNames, 'options.validParamNames');
+    assert.arrayOfString(options.mandatoryParamNames,
+        'options.mandatoryParamNames');
+    assert.optionalBool(options.allowNullLimits, 'options.allowNullLimits');
+
+    var errs = [];
+    var validationErrs = [];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            options.mandatoryParamNames);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params,
+            options.validParamNames);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.owner_uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    QUOTA_LIMIT_PARAM_NAMES.forEach(function validateLimit(paramName) {
+        var value = req.params[paramName];
+
+        if (value === undefined ||
+            (value === null && options.allowNullLimits)) {
+            return;
+        }
+
+        errs = quotasValidation.validateQuotaLimit(value, paramName);
+        validationErrs = validationErrs.concat(errs);
+    });
+
+    return validationErrs;
+}
+
+function validateCreateQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var validationErrs = _validateQuotaParams(req, {
+        validParamNames: ['max_size', 'max_volumes', 'owner_uuid'],
+        mandatoryParamNames: ['owner_uuid']
+    });
+
+    if (req.params.max_size === undefined &&
+        req.params.max_volumes === undefined) {
+        validationErrs.push(new Error('at least one of max_size and ' +
+            'max_volumes is required'));
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Validates the parameters of the GetQuota and DeleteQuota endpoints, which
+// identify a quota by the UUID of its owner.
+//
+function validateQuotaOwner(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var validationErrs = _validateQuotaParams(req, {
+        validParamNames: ['owner_uuid'],
+        mandatoryParamNames: ['owner_uuid']
+    });
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function validateUpdateQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    /*
+     * Setting a limit to null removes it, which is the only way to remove a
+     * limit without deleting the whole quota.
+     */
+    var validationErrs = _validateQuotaParams(req, {
+        validParamNames: ['max_size', 'max_volumes', 'owner_uuid'],
+        mandatoryParamNames: ['owner_uuid'],
+        allowNullLimits: true
+    });
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function validateListQuotas(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var validationErrs = _validateQuotaParams(req, {
+        validParamNames: [],
+        mandatoryParamNames: []
+    });
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function loadQuotaObject(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.uuid(req.params.owner_uuid, 'req.params.owner_uuid');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var ownerUuid = req.params.owner_uuid;
+
+    quotasModel.loadQuota(ownerUuid, function onQuotaLoaded(err, quotaObject) {
+        if (err) {
+            if (err.name !== 'ObjectNotFoundError') {
+                req.log.error({err: err},
+                    'Error when loading quota object from moray');
+            }
+
+            next(new errors.QuotaNotFoundError(ownerUuid));
+            return;
+        }
+
+        req.loadedQuotaObject = quotaObject;
+        next();
+    });
+}
+
+function createQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var ownerUuid = req.params.owner_uuid;
+
+    quotasModel.createQuota({
+        owner_uuid: ownerUuid,
+        max_size: req.params.max_size,
+        max_volumes: req.params.max_volumes
+    }, function onQuotaCreated(createErr, quota) {
+        if (createErr) {
+            if (createErr.name === 'EtagConflictError') {
+                next(new errors.QuotaAlreadyExistsError(ownerUuid));
+                return;
+            }
+
+            req.log.error({err: createErr}, 'Error when creating quota');
+            next(createErr);
+            return;
+        }
+
+        req.responseQuota = quota;
+        next();
+    });
+}
+
+function listQuotas(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    quotasModel.listQuotas(function onQuotasListed(listErr, quotaObjects) {
+        if (!listErr) {
+            req.responseQuotas =
+                quotaObjects.map(function getQuotaValue(quotaObject) {
+                    return quotaObject.value;
+                });
+        }
+
+        next(listErr);
+    });
+}
+
+function getQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedQuotaObject, 'req.loadedQuotaObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    req.responseQuota = req.loadedQuotaObject.value;
+    next();
+}
+
+function updateQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedQuotaObject, 'req.loadedQuotaObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var quotaObject = req.loadedQuotaObject;
+
+    QUOTA_LIMIT_PARAM_NAMES.forEach(function updateLimit(paramName) {
+        var value = req.params[paramName];
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (value === null) {
+            delete quotaObject.value[paramName];
+        } else {
+            quotaObject.value[paramName] = value;
+        }
+    });
+
+    quotasModel.updateQuota(quotaObject, function onQuotaUpdated(updateErr) {
+        if (!updateErr) {
+            req.responseQuota = quotaObject.value;
+        }
+
+        next(updateErr);
+    });
+}
+
+function deleteQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.uuid(req.params.owner_uuid, 'req.params.owner_uuid');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    quotasModel.deleteQuota(req.params.owner_uuid,
+        function onQuotaDeleted(deleteErr) {
+            if (deleteErr && deleteErr.name === 'ObjectNotFoundError') {
+                next(new errors.QuotaNotFoundError(req.params.owner_uuid));
+                return;
+            }
+
+            next(deleteErr);
+        });
+}
+
+function formatQuotaValue(quotaValue) {
+    assert.object(quotaValue, 'quotaValue');
+
+    var result = jsprim.deepCopy(quotaValue);
+
+    result.create_timestamp =
+        new Date(quotaValue.create_timestamp).toISOString();
+
+    return result;
+}
+
+function renderQuota(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseQuota, 'req.responseQuota');
+
+    req.renderedResponse = formatQuotaValue(req.responseQuota);
+    next();
+}
+
+function renderQuotas(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.arrayOfObject(req.responseQuotas, 'req.responseQuotas');
+
+    req.renderedResponse = req.responseQuotas.map(formatQuotaValue);
+    next();
+}
+
+function mount(config, server, applicationState) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(applicationState, 'applicationState');
+
+    server.post({
+        path: '/quotas',
+        name: 'CreateQuota',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateCreateQuota,
+        createQuota,
+        renderQuota,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 201
+        }));
+
+    server.get({
+        path: '/quotas',
+        name: 'ListQuotas',
+        version: '1.0.0'
+    }, restify.queryParser(), validateListQuotas,
+        listQuotas,
+        renderQuotas,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.get({
+        path: '/quotas/:owner_uuid',
+        name: 'GetQuota',
+        version: '1.0.0'
+    }, restify.queryParser(), validateQuotaOwner,
+        loadQuotaObject,
+        getQuota,
+        renderQuota,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/quotas/:owner_uuid',
+        name: 'UpdateQuota',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateUpdateQuota,
+        loadQuotaObject,
+        updateQuota,
+        renderQuota,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.del({
+        path: '/quotas/:owner_uuid',
+        name: 'DeleteQuota',
+        version: '1.0.0'
+    }, restify.queryParser(), validateQuotaOwner,
+        deleteQuota,
+        function renderDeletedQuota(req, res, next) {
+            /*
+             * Similarly to DeleteVolume, we explicitly send an empty response
+             * for some HTTP clients to be able to determine that there's
+             * nothing to read.
+             */
+            req.renderedResponse = {};
+            next();
+        },
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 204
+        }));
+}
+
+module.exports = {
+    mount: mount
+};
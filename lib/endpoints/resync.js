@@ -0,0 +1,137 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Resync routes are mounted on volapi-updater's resync server, which only
+ * listens on the loopback interface, and resync volumes with VMAPI on demand.
+ * They're not meant to be called directly: VOLAPI's ResyncVolume and
+ * ResyncVmReferences endpoints forward their requests to them, so that resyncs
+ * are serialized with the processing of VM change events by volapi-updater.
+ *
+ * They respond with the raw values of volumes before and after the resync,
+ * which are formatted by VOLAPI.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+var verror = require('verror');
+
+var errors = require('../errors');
+var renderingMiddlewares = require('../middlewares/rendering');
+var uuidValidation = require('../validation/uuid');
+var validationUtils = require('../validation/utils');
+
+var VOLUMES_UPDATER;
+
+function validateResync(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['uuid'];
+
+    validationErrs = validationErrs.concat(
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES));
+
+    errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+    validationErrs = validationErrs.concat(errs);
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Stores the values of the volume before and after the resync as the response
+// to send. The VolumesUpdater instance that resyncs volumes is set when this
+// module's routes are mounted.
+//
+function resyncVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    VOLUMES_UPDATER.resyncVolume(req.params.uuid,
+        function onVolumeResynced(resyncErr, result) {
+            if (resyncErr &&
+                verror.hasCauseWithName(resyncErr, 'ObjectNotFoundError')) {
+                next(new errors.VolumeNotFoundError(req.params.uuid));
+                return;
+            }
+
+            if (resyncErr) {
+                req.log.error({err: resyncErr}, 'Error when resyncing volume');
+                next(new errors.InternalError(resyncErr,
+                    'Error when resyncing volume'));
+                return;
+            }
+
+            req.renderedResponse = result;
+            next();
+        });
+}
+
+function resyncVmReferences(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    VOLUMES_UPDATER.resyncVmReferences(req.params.uuid,
+        function onVmReferencesResynced(resyncErr, result) {
+            if (resyncErr) {
+                req.log.error({err: resyncErr},
+                    'Error when resyncing VM references');
+                next(new errors.InternalError(resyncErr,
+                    'Error when resyncing VM references'));
+                return;
+            }
+
+            req.renderedResponse = result;
+            next();
+        });
+}
+
+function mount(config, server, volumesUpdater) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(volumesUpdater, 'volumesUpdater');
+
+    VOLUMES_UPDATER = volumesUpdater;
+
+    server.post({
+        path: '/volumes/:uuid/resync',
+        name: 'ResyncVolume',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateResync,
+        resyncVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/vms/:uuid/resync-references',
+        name: 'ResyncVmReferences',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateResync,
+        resyncVmReferences,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+}
+
+module.exports = {
+    mount: mount
+};
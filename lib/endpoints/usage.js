@@ -0,0 +1,239 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * The GetUsage endpoint computes the storage used by volumes over a period of
+ * time, in mebibyte-hours, from the usage records written when volumes are
+ * created, resized, transferred and deleted (see lib/models/usage-records.js).
+ * It's meant to be used for chargeback.
+ *
+ * These APIs are internal and meant to be used by operators, not to be exposed
+ * via any external service such as CloudAPI.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+var errors = require('../errors');
+var renderingMiddlewares = require('../middlewares/rendering');
+var usageRecordsModel = require('../models/usage-records');
+var usageValidation = require('../validation/usage');
+var validationUtils = require('../validation/utils');
+var uuidValidation = require('../validation/uuid');
+
+var MS_PER_HOUR = 60 * 60 * 1000;
+
+function validateGetUsage(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['end', 'owner_uuid', 'start'];
+    var MANDATORY_PARAM_NAMES = ['end', 'start'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.owner_uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    ['end', 'start'].forEach(function validateDateParam(paramName) {
+        if (req.params[paramName] !== undefined) {
+            errs = usageValidation.validateUsageDate(req.params[paramName],
+                paramName);
+            validationErrs = validationErrs.concat(errs);
+        }
+    });
+
+    if (validationErrs.length === 0 &&
+        Date.parse(req.params.start) >= Date.parse(req.params.end)) {
+        validationErrs.push(new Error('start must be before end'));
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Returns an array of objects with properties "owner_uuid", "billing_id" and
+// "mib_hours" that represent how much storage each owner used with volumes of
+// each billing package between "start" and "end" (both timestamps in
+// milliseconds), according to "usageRecordObjects".
+//
+// Each record represents its volume from the time it was written until the
+// time its volume's next record was written, or until "end" for the last one.
+// Deletion records don't represent anything, and records that don't have a
+// billing package (which shouldn't happen for records other than deletion
+// records) use the billing package of the volume's previous record.
+//
+function _aggregateUsage(usageRecordObjects, start, end) {
+    assert.arrayOfObject(usageRecordObjects, 'usageRecordObjects');
+    assert.number(start, 'start');
+    assert.number(end, 'end');
+
+    var recordsByVolume = {};
+    var usageByKey = {};
+
+    usageRecordObjects.forEach(function addRecord(usageRecordObj) {
+        var volumeUuid = usageRecordObj.value.volume_uuid;
+
+        if (recordsByVolume[volumeUuid] === undefined) {
+            recordsByVolume[volumeUuid] = [];
+        }
+
+        recordsByVolume[volumeUuid].push(usageRecordObj);
+    });
+
+    Object.keys(recordsByVolume).forEach(function addVolume(volumeUuid) {
+        var billingId;
+        var records = recordsByVolume[volumeUuid];
+
+        records.sort(function byTime(a, b) {
+            if (a.value.timestamp !== b.value.timestamp) {
+                return a.value.timestamp - b.value.timestamp;
+            }
+
+            return a._id - b._id;
+        });
+
+        records.forEach(function addRecordUsage(usageRecordObj, idx) {
+            var intervalEnd = end;
+            var intervalStart = Math.max(usageRecordObj.value.timestamp,
+                start);
+            var key;
+            var record = usageRecordObj.value;
+
+            if (record.billing_id !== undefined) {
+                billingId = record.billing_id;
+            }
+
+            if (record.event === 'delete') {
+                return;
+            }
+
+            if (idx < records.length - 1) {
+                intervalEnd = Math.min(records[idx + 1].value.timestamp, end);
+            }
+
+            if (intervalEnd <= intervalStart) {
+                return;
+            }
+
+            key = record.owner_uuid + '/' + billingId;
+            if (usageByKey[key] === undefined) {
+                usageByKey[key] = {
+                    billing_id: billingId,
+                    mib_hours: 0,
+                    owner_uuid: record.owner_uuid
+                };
+            }
+
+            usageByKey[key].mib_hours +=
+                record.size * (intervalEnd - intervalStart) / MS_PER_HOUR;
+        });
+    });
+
+    return Object.keys(usageByKey).sort().map(function getUsage(key) {
+        return usageByKey[key];
+    });
+}
+
+function getUsage(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var ownerUuid = req.params.owner_uuid;
+    var start = Date.parse(req.params.start);
+    /*
+     * Volumes' usage can't be known in the future, so it's only computed until
+     * now.
+     */
+    var end = Math.min(Date.parse(req.params.end), Date.now());
+
+    usageRecordsModel.listUsageRecords({
+        end: end,
+        ownerUuid: ownerUuid,
+        start: start
+    }, function onUsageRecordsListed(listErr, usageRecordObjects) {
+        var usage;
+
+        if (listErr) {
+            req.log.error({err: listErr}, 'Error when listing usage records');
+            next(new errors.InternalError(listErr,
+                'Error when listing usage records'));
+            return;
+        }
+
+        usage = _aggregateUsage(usageRecordObjects, start, end);
+
+        if (ownerUuid !== undefined) {
+            usage = usage.filter(function isOwnerUsage(ownerUsage) {
+                return ownerUsage.owner_uuid === ownerUuid;
+            });
+        }
+
+        req.responseUsage = {
+            end: new Date(end).toISOString(),
+            start: new Date(start).toISOString(),
+            usage: usage
+        };
+
+        next();
+    });
+}
+
+function renderUsage(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseUsage, 'req.responseUsage');
+
+    req.renderedResponse = req.responseUsage;
+    next();
+}
+
+function mount(config, server, applicationState) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(applicationState, 'applicationState');
+
+    server.get({
+        path: '/usage',
+        name: 'GetUsage',
+        version: '1.0.0'
+    }, restify.queryParser(), validateGetUsage,
+        getUsage,
+        renderUsage,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+}
+
+module.exports = {
+    mount: mount
+};
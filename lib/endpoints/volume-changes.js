@@ -0,0 +1,253 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * The GET /volumes/changes endpoint streams the changes made to volumes and
+ * volume reservations as server-sent events, so that clients don't need to
+ * poll GetVolume to determine when a volume changes state. Changes are
+ * recorded by the volumes and volume reservations models (see
+ * lib/models/volume-changes.js), and this endpoint polls them from moray.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var restify = require('restify');
+
+var errors = require('../errors');
+var uuidValidation = require('../validation/uuid');
+var validationUtils = require('../validation/utils');
+var volumeChangesModel = require('../models/volume-changes');
+var VolumeChangesCursor = require('../volume-changes-cursor');
+
+var CHANGES_BATCH_SIZE = 100;
+var CHANGES_POLL_INTERVAL = 1000;
+var HEARTBEAT_INTERVAL = 30 * 1000;
+var VALID_CHANGE_ID_REGEXP = /^[0-9]+$/;
+
+function validateListVolumeChanges(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var lastEventId = req.headers['last-event-id'];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['owner_uuid', 'since'];
+
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.owner_uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.since !== undefined &&
+        !VALID_CHANGE_ID_REGEXP.test(req.params.since)) {
+        validationErrs.push(new Error('invalid value for since parameter, ' +
+            'must match ' + VALID_CHANGE_ID_REGEXP));
+    }
+
+    if (lastEventId !== undefined &&
+        !VALID_CHANGE_ID_REGEXP.test(lastEventId)) {
+        validationErrs.push(new Error('invalid value for Last-Event-ID ' +
+            'header, must match ' + VALID_CHANGE_ID_REGEXP));
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function formatChangeResource(resourceValue) {
+    assert.object(resourceValue, 'resourceValue');
+
+    var result = jsprim.deepCopy(resourceValue);
+
+    result.create_timestamp =
+        new Date(resourceValue.create_timestamp).toISOString();
+
+    if (typeof (resourceValue.labels) === 'string') {
+        result.labels = JSON.parse(resourceValue.labels);
+    }
+
+    return result;
+}
+
+//
+// Returns the server-sent event that represents the change object
+// "changeObject". Its id is "eventId", the id from which the stream can be
+// resumed after that event, which can be greater than the change's own id (see
+// lib/volume-changes-cursor.js).
+//
+function formatChangeEvent(changeObject, eventId) {
+    assert.object(changeObject, 'changeObject');
+    assert.number(eventId, 'eventId');
+    assert.object(changeObject.value, 'changeObject.value');
+
+    var change = changeObject.value;
+    var data = {
+        resource: formatChangeResource(change.resource),
+        resource_type: change.resource_type,
+        timestamp: new Date(change.create_timestamp).toISOString(),
+        type: change.type
+    };
+
+    if (change.previous_state !== undefined) {
+        data.previous_state = change.previous_state;
+    }
+
+    return 'id: ' + eventId + '\n' +
+        'event: ' + change.type + '\n' +
+        'data: ' + JSON.stringify(data) + '\n\n';
+}
+
+function streamVolumeChanges(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var changesCursor;
+    var closed = false;
+    var lastEventId = req.headers['last-event-id'];
+    var lastWriteTime;
+    var ownerUuid = req.params.owner_uuid;
+    var pollTimeout;
+
+    function pollChanges() {
+        var listParams = changesCursor.getListParams();
+
+        volumeChangesModel.listChanges(listParams,
+            function onChangesListed(listErr, changeObjects) {
+                if (closed) {
+                    return;
+                }
+
+                if (listErr) {
+                    req.log.error({err: listErr},
+                        'Error when listing volume changes, will retry later');
+                    pollTimeout = setTimeout(pollChanges,
+                        CHANGES_POLL_INTERVAL);
+                    return;
+                }
+
+                changeObjects.forEach(function writeChange(changeObject) {
+                    if (!changesCursor.addChange(changeObject)) {
+                        return;
+                    }
+
+                    if (ownerUuid !== undefined &&
+                        changeObject.value.owner_uuid !== ownerUuid) {
+                        return;
+                    }
+
+                    res.write(formatChangeEvent(changeObject,
+                        changesCursor.lastId()));
+                    lastWriteTime = Date.now();
+                });
+
+                /*
+                 * Comment lines are ignored by clients, but they prevent
+                 * intermediate proxies from closing idle connections.
+                 */
+                if (Date.now() - lastWriteTime > HEARTBEAT_INTERVAL) {
+                    res.write(': heartbeat\n\n');
+                    lastWriteTime = Date.now();
+                }
+
+                /*
+                 * If we got a full batch of changes, there are probably more to
+                 * send right away.
+                 */
+                if (changeObjects.length === listParams.limit) {
+                    setImmediate(pollChanges);
+                } else {
+                    pollTimeout = setTimeout(pollChanges,
+                        CHANGES_POLL_INTERVAL);
+                }
+            });
+    }
+
+    function startStreaming(afterId) {
+        changesCursor = new VolumeChangesCursor({
+            afterId: afterId,
+            batchSize: CHANGES_BATCH_SIZE
+        });
+
+        /*
+         * The stream lasts until the client closes the connection, so Node's
+         * default HTTP timeout must not apply to it.
+         */
+        req.connection.setTimeout(0);
+
+        req.on('close', function onClose() {
+            req.log.debug('Client closed volume changes stream');
+
+            closed = true;
+            clearTimeout(pollTimeout);
+            next();
+        });
+
+        res.writeHead(200, {
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Content-Type': 'text/event-stream'
+        });
+        lastWriteTime = Date.now();
+
+        pollChanges();
+    }
+
+    /*
+     * Clients that reconnect can resume the stream where they left it by
+     * sending the id of the last event they received, either with the "since"
+     * parameter or with the Last-Event-ID header that EventSource clients send
+     * automatically. Otherwise, only changes made from now on are sent.
+     */
+    if (req.params.since !== undefined) {
+        startStreaming(Number(req.params.since));
+    } else if (lastEventId !== undefined) {
+        startStreaming(Number(lastEventId));
+    } else {
+        volumeChangesModel.getLatestChangeId(
+            function onLatestChangeId(getErr, latestChangeId) {
+                if (getErr) {
+                    next(new errors.InternalError(getErr,
+                        'Error when getting latest volume change'));
+                    return;
+                }
+
+                startStreaming(latestChangeId);
+            });
+    }
+}
+
+function mount(config, server, applicationState) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(applicationState, 'applicationState');
+
+    server.get({
+        path: '/volumes/changes',
+        name: 'ListVolumeChanges',
+        version: '1.0.0'
+    }, restify.queryParser(), validateListVolumeChanges,
+        streamVolumeChanges);
+}
+
+module.exports = {
+    mount: mount
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -64,6 +65,7 @@ var restify = require('restify');
 var vasync = require('vasync');
 
 var errors = require('../errors');
+var paginationValidation = require('../validation/pagination');
 var renderingMiddlewares = require('../middlewares/rendering');
 var reservationModels = require('../models/volume-reservations');
 var validationUtils = require('../validation/utils');
@@ -516,9 +518,10 @@ function validateListVolumeReservations(req, res, next) {
     assert.func(next, 'next');
 
     var errs = [];
+    var sortParts;
     var validationErrs = [];
     var VALID_PARAM_NAMES =
-        ['owner_uuid', 'volume_name', 'vm_uuid', 'job_uuid'];
+        ['owner_uuid', 'volume_name', 'vm_uuid', 'job_uuid', 'sort'];
     var MANDATORY_PARAM_NAMES = [];
 
     var mandatoryParamsErrs =
@@ -551,6 +554,20 @@ function validateListVolumeReservations(req, res, next) {
         validationErrs = validationErrs.concat(errs);
     }
 
+    if (req.params.sort) {
+        errs = paginationValidation.validateSort(req.params.sort,
+            Object.keys(reservationModels.getSortableFields()));
+        validationErrs = validationErrs.concat(errs);
+
+        if (errs.length === 0) {
+            sortParts = req.params.sort.split('.');
+            req.listVolumeReservationsSort = {
+                attribute: sortParts[0],
+                order: sortParts[1].toUpperCase()
+            };
+        }
+    }
+
     if (validationErrs.length > 0) {
         next(new errors.ValidationError(validationErrs));
         return;
@@ -571,6 +588,8 @@ function listVolumeReservations(req, res, next) {
         volumeName: req.params.volume_name,
         jobUuid: req.params.job_uuid,
         vmUuid: req.params.vm_uuid
+    }, {
+        sort: req.listVolumeReservationsSort
     }, function onListReservations(listResErr, reservations) {
         req.responseReservations =
             reservations.map(function getResObjectValue(resObject) {
@@ -0,0 +1,581 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Volume snapshots are point-in-time copies of a volume's data. They are
+ * implemented as ZFS snapshots of the delegated dataset of the volume's storage
+ * VM, and are thus stored on the same compute node as the storage VM. As a
+ * result, deleting a volume also deletes all its snapshots.
+ *
+ * A volume snapshot object has the following properties:
+ *
+ * - uuid -- the unique identifier of the snapshot
+ * - name -- the name of the snapshot (unique per volume), which is also the
+ *   name of the ZFS snapshot
+ * - volume_uuid -- the unique identifier of the snapshotted volume
+ * - owner_uuid -- the owner of the snapshotted volume
+ * - state -- 'creating', 'created' or 'failed'
+ * - create_timestamp -- the date and time at which the snapshot was made
+ *
+ * Creating and deleting snapshots use the same volume tickets as the volumes
+ * endpoints, so that they never run concurrently with another operation that
+ * modifies the same volume.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var restify = require('restify');
+var vasync = require('vasync');
+
+var connectionMiddlewares = require('../middlewares/connection');
+var datasets = require('../datasets');
+var errors = require('../errors');
+var renderingMiddlewares = require('../middlewares/rendering');
+var validationUtils = require('../validation/utils');
+var volumesMiddlewares = require('../middlewares/volumes');
+var volumesModel = require('../models/volumes');
+var volumeSnapshotsModel = require('../models/volume-snapshots');
+var volumesValidation = require('../validation/volumes');
+var volumeTickets = require('../volume-tickets');
+var uuidValidation = require('../validation/uuid');
+
+function _validateSnapshotParams(req, validParamNames, mandatoryParamNames) {
+    assert.object(req, 'req');
+    assert.arrayOfString(validParamNames, 'validParamNames');
+    assert.arrayOfString(mandatoryParamNames, 'mandatoryParamNames');
+
+    var errs = [];
+    var validationErrs = [];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            mandatoryParamNames);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, validParamNames);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.owner_uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.name !== undefined) {
+        errs = volumesValidation.validateVolumeSnapshotName(req.params.name);
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    return validationErrs;
+}
+
+//
+// Validates the parameters of the CreateVolumeSnapshot, GetVolumeSnapshot and
+// DeleteVolumeSnapshot endpoints, which all identify a snapshot by its name
+// and the UUID of its volume.
+//
+function validateVolumeSnapshotParams(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var validationErrs = _validateSnapshotParams(req,
+        ['name', 'owner_uuid', 'uuid'], ['name', 'uuid']);
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function validateListVolumeSnapshots(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var validationErrs = _validateSnapshotParams(req,
+        ['owner_uuid', 'uuid'], ['uuid']);
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function loadVolumeSnapshotObject(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.string(req.params.name, 'req.params.name');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var snapshotName = req.params.name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    volumeSnapshotsModel.getVolumeSnapshot(volumeUuid, snapshotName,
+        function onSnapshotLoaded(err, snapshotObject) {
+            if (err) {
+                req.log.error({err: err},
+                    'Error when loading volume snapshot object from moray');
+                next(err);
+                return;
+            }
+
+            if (!snapshotObject) {
+                next(new errors.VolumeSnapshotNotFoundError(volumeUuid,
+                    snapshotName));
+                return;
+            }
+
+            req.loadedVolumeSnapshotObject = snapshotObject;
+            next();
+        });
+}
+
+//
+// Calls "callback" with the storage VM object of the volume represented by
+// "volume" as its second parameter, or with undefined as its second parameter
+// if that storage VM doesn't exist (anymore).
+//
+function _getStorageVm(volume, options, callback) {
+    assert.object(volume, 'volume');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.vmapiClient, 'options.vmapiClient');
+    assert.func(callback, 'callback');
+
+    if (volume.vm_uuid === undefined) {
+        callback();
+        return;
+    }
+
+    options.vmapiClient.getVm({
+        uuid: volume.vm_uuid
+    }, function onGetStorageVm(getVmErr, vm) {
+        if (getVmErr && getVmErr.statusCode === 404) {
+            options.log.info({vm_uuid: volume.vm_uuid},
+                'Could not find storage VM');
+            callback();
+            return;
+        }
+
+        if (vm && vm.state === 'destroyed') {
+            callback();
+            return;
+        }
+
+        callback(getVmErr, vm);
+    });
+}
+
+function _acquireVolumeTicket(req, volume, callback) {
+    assert.object(req, 'req');
+    assert.object(volume, 'volume');
+    assert.func(callback, 'callback');
+
+    var ticketId = volume.owner_uuid + '-' + volume.name;
+
+    volumeTickets.acquireVolumeTicket(ticketId, {
+        cnapiClient: req._cnapiClient,
+        log: req.log
+    }, function onTicketAcquired(err, ticket) {
+        if (err) {
+            callback(new Error('Error when acquiring ticket: ' + err));
+            return;
+        }
+
+        if (!ticket) {
+            callback(new Error('Error when acquiring ticket'));
+            return;
+        }
+
+        if (ticket.status !== 'active') {
+            callback(new Error('Could not acquire ticket, ticket is ' +
+                'not active and instead is: ' + ticket.status));
+            return;
+        }
+
+        req.log.debug({ticket: ticket}, 'Volume snapshot ticket acquired');
+
+        callback(null, ticket);
+    });
+}
+
+function _releaseVolumeTicket(req, ticket, err, next) {
+    assert.object(req, 'req');
+    assert.optionalObject(ticket, 'ticket');
+    assert.optionalObject(err, 'err');
+    assert.func(next, 'next');
+
+    if (ticket !== undefined) {
+        volumeTickets.releaseVolumeTicket(ticket, {
+            cnapiClient: req._cnapiClient,
+            log: req.log
+        }, function onTicketReleased() {
+            // We explicitly ignore errors when releasing volume tickets,
+            // because there's not much we can do in that case. Instead, we
+            // propagate the error that happened in the vasync pipeline if
+            // there's one.
+            next(err);
+        });
+    } else {
+        next(err);
+    }
+}
+
+function createVolumeSnapshot(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.string(req.params.name, 'req.params.name');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var context = {};
+    var snapshotName = req.params.name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    vasync.pipeline({funcs: [
+        function acquireVolumeTicket(ctx, done) {
+            _acquireVolumeTicket(req, req.loadedVolumeObject.value,
+                function onTicketAcquired(err, ticket) {
+                    ctx.ticket = ticket;
+                    done(err);
+                });
+        },
+        /*
+         * The volume object loaded by the loadVolumeObject middleware was
+         * loaded before the ticket was acquired, and thus might have been
+         * changed by another operation since then.
+         */
+        function reloadVolume(ctx, done) {
+            volumesModel.loadVolume(volumeUuid,
+                function onVolLoaded(loadVolErr, volumeObject) {
+                    ctx.volumeObject = volumeObject;
+                    done(loadVolErr);
+                });
+        },
+        function checkVolumeReady(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            done();
+        },
+        function checkSnapshotNameAvailable(ctx, done) {
+            volumeSnapshotsModel.getVolumeSnapshot(volumeUuid, snapshotName,
+                function onGetSnapshot(getSnapshotErr, snapshotObject) {
+                    if (getSnapshotErr) {
+                        done(getSnapshotErr);
+                        return;
+                    }
+
+                    if (snapshotObject) {
+                        done(new errors.VolumeSnapshotAlreadyExistsError(
+                            volumeUuid, snapshotName));
+                        return;
+                    }
+
+                    done();
+                });
+        },
+        function getStorageVm(ctx, done) {
+            _getStorageVm(ctx.volumeObject.value, {
+                log: req.log,
+                vmapiClient: req._vmapiClient
+            }, function onGetStorageVm(getVmErr, vm) {
+                if (!getVmErr && !vm) {
+                    getVmErr = new errors.InternalError('Could not find ' +
+                        'storage VM for volume ' + volumeUuid);
+                }
+
+                ctx.storageVm = vm;
+                done(getVmErr);
+            });
+        },
+        /*
+         * We create the snapshot object in moray _before_ creating the actual
+         * ZFS snapshot so that a ZFS snapshot is never created without being
+         * tracked by a snapshot object.
+         */
+        function createSnapshotObject(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            volumeSnapshotsModel.createVolumeSnapshot({
+                name: snapshotName,
+                owner_uuid: volume.owner_uuid,
+                volume_uuid: volume.uuid
+            }, function onSnapshotCreated(createErr, snapshot) {
+                ctx.snapshot = snapshot;
+                done(createErr);
+            });
+        },
+        function createZfsSnapshot(ctx, done) {
+            datasets.createStorageVmDatasetSnapshot({
+                cnapiClient: req._cnapiClient,
+                serverUuid: ctx.storageVm.server_uuid,
+                snapshotName: snapshotName,
+                storageVmUuid: ctx.storageVm.uuid
+            }, function onZfsSnapshotCreated(snapshotErr) {
+                if (snapshotErr) {
+                    req.log.error({err: snapshotErr},
+                        'Error when creating ZFS snapshot');
+                    ctx.snapshot.state = 'failed';
+                } else {
+                    ctx.snapshot.state = 'created';
+                }
+
+                volumeSnapshotsModel.updateVolumeSnapshot(ctx.snapshot,
+                    function onSnapshotUpdated(updateErr) {
+                        if (snapshotErr) {
+                            done(new errors.InternalError(snapshotErr,
+                                'Error when creating volume snapshot'));
+                        } else {
+                            done(updateErr);
+                        }
+                    });
+            });
+        }
+    ],
+    arg: context
+    }, function onVolumeSnapshotCreated(err) {
+        req.responseVolumeSnapshot = context.snapshot;
+        _releaseVolumeTicket(req, context.ticket, err, next);
+    });
+}
+
+function listVolumeSnapshots(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    volumeSnapshotsModel.listVolumeSnapshots({
+        volumeUuid: req.loadedVolumeObject.value.uuid
+    }, function onSnapshotsListed(listErr, snapshotObjects) {
+        if (!listErr) {
+            req.responseVolumeSnapshots =
+                snapshotObjects.map(function getSnapshotValue(snapshotObject) {
+                    return snapshotObject.value;
+                });
+        }
+
+        next(listErr);
+    });
+}
+
+function getVolumeSnapshot(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeSnapshotObject,
+        'req.loadedVolumeSnapshotObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    req.responseVolumeSnapshot = req.loadedVolumeSnapshotObject.value;
+    next();
+}
+
+function deleteVolumeSnapshot(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.string(req.params.name, 'req.params.name');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var context = {};
+    var snapshotName = req.params.name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    vasync.pipeline({funcs: [
+        function acquireVolumeTicket(ctx, done) {
+            _acquireVolumeTicket(req, req.loadedVolumeObject.value,
+                function onTicketAcquired(err, ticket) {
+                    ctx.ticket = ticket;
+                    done(err);
+                });
+        },
+        function loadSnapshot(ctx, done) {
+            volumeSnapshotsModel.getVolumeSnapshot(volumeUuid, snapshotName,
+                function onGetSnapshot(getSnapshotErr, snapshotObject) {
+                    if (!getSnapshotErr && !snapshotObject) {
+                        getSnapshotErr =
+                            new errors.VolumeSnapshotNotFoundError(volumeUuid,
+                                snapshotName);
+                    }
+
+                    ctx.snapshotObject = snapshotObject;
+                    done(getSnapshotErr);
+                });
+        },
+        function getStorageVm(ctx, done) {
+            _getStorageVm(req.loadedVolumeObject.value, {
+                log: req.log,
+                vmapiClient: req._vmapiClient
+            }, function onGetStorageVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                done(getVmErr);
+            });
+        },
+        function destroyZfsSnapshot(ctx, done) {
+            /*
+             * If the storage VM doesn't exist anymore, neither does its
+             * delegated dataset and its snapshots.
+             */
+            if (ctx.storageVm === undefined) {
+                done();
+                return;
+            }
+
+            datasets.destroyStorageVmDatasetSnapshot({
+                cnapiClient: req._cnapiClient,
+                serverUuid: ctx.storageVm.server_uuid,
+                snapshotName: snapshotName,
+                storageVmUuid: ctx.storageVm.uuid
+            }, function onZfsSnapshotDestroyed(snapshotErr) {
+                if (snapshotErr) {
+                    req.log.error({err: snapshotErr},
+                        'Error when destroying ZFS snapshot');
+                    done(new errors.InternalError(snapshotErr,
+                        'Error when deleting volume snapshot'));
+                    return;
+                }
+
+                done();
+            });
+        },
+        function deleteSnapshotObject(ctx, done) {
+            volumeSnapshotsModel.deleteVolumeSnapshot(
+                ctx.snapshotObject.value.uuid, done);
+        }
+    ],
+    arg: context
+    }, function onVolumeSnapshotDeleted(err) {
+        _releaseVolumeTicket(req, context.ticket, err, next);
+    });
+}
+
+function formatVolumeSnapshotValue(snapshotValue) {
+    assert.object(snapshotValue, 'snapshotValue');
+
+    var result = jsprim.deepCopy(snapshotValue);
+
+    result.create_timestamp =
+        new Date(snapshotValue.create_timestamp).toISOString();
+
+    return result;
+}
+
+function renderVolumeSnapshot(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseVolumeSnapshot, 'req.responseVolumeSnapshot');
+
+    req.renderedResponse =
+        formatVolumeSnapshotValue(req.responseVolumeSnapshot);
+    next();
+}
+
+function renderVolumeSnapshots(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.arrayOfObject(req.responseVolumeSnapshots,
+        'req.responseVolumeSnapshots');
+
+    req.renderedResponse =
+        req.responseVolumeSnapshots.map(formatVolumeSnapshotValue);
+    next();
+}
+
+function mount(config, server, applicationState) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(applicationState, 'applicationState');
+
+    server.post({
+        path: '/volumes/:uuid/snapshots',
+        name: 'CreateVolumeSnapshot',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateVolumeSnapshotParams,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        createVolumeSnapshot,
+        renderVolumeSnapshot,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 201
+        }));
+
+    server.get({
+        path: '/volumes/:uuid/snapshots',
+        name: 'ListVolumeSnapshots',
+        version: '1.0.0'
+    }, restify.queryParser(), validateListVolumeSnapshots,
+        volumesMiddlewares.loadVolumeObject,
+        listVolumeSnapshots,
+        renderVolumeSnapshots,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.get({
+        path: '/volumes/:uuid/snapshots/:name',
+        name: 'GetVolumeSnapshot',
+        version: '1.0.0'
+    }, restify.queryParser(), validateVolumeSnapshotParams,
+        volumesMiddlewares.loadVolumeObject,
+        loadVolumeSnapshotObject,
+        getVolumeSnapshot,
+        renderVolumeSnapshot,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.del({
+        path: '/volumes/:uuid/snapshots/:name',
+        name: 'DeleteVolumeSnapshot',
+        version: '1.0.0'
+    }, restify.queryParser(), validateVolumeSnapshotParams,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        deleteVolumeSnapshot,
+        function renderDeletedVolumeSnapshot(req, res, next) {
+            /*
+             * Similarly to DeleteVolume, we explicitly send an empty response
+             * for some HTTP clients to be able to determine that there's
+             * nothing to read.
+             */
+            req.renderedResponse = {};
+            next();
+        },
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 204
+        }));
+}
+
+module.exports = {
+    mount: mount
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
@@ -17,17 +18,25 @@ var path = require('path');
 var restify = require('restify');
 var vasync = require('vasync');
 
+var connectionMiddlewares = require('../middlewares/connection');
+var datasets = require('../datasets');
 var errors = require('../errors');
 var networksValidation = require('../validation/networks');
+var paginationValidation = require('../validation/pagination');
 var predicateValidation = require('../validation/predicate');
+var quotas = require('../quotas');
 var renderingMiddlewares = require('../middlewares/rendering');
 var reservationModels = require('../models/volume-reservations');
 var units = require('../units');
+var usageRecordsModel = require('../models/usage-records');
 var validationUtils = require('../validation/utils');
 var volumesMiddlewares = require('../middlewares/volumes');
 var volumesModel = require('../models/volumes');
+var volumeSnapshotsModel = require('../models/volume-snapshots');
 var volumeUtils = require('../volumes');
 var volumesValidation = require('../validation/volumes');
+var volumeTickets = require('../volume-tickets');
+var webhooks = require('../webhooks');
 var uuidValidation = require('../validation/uuid');
 
 var CONFIG;
@@ -37,7 +46,12 @@ var NFS_SHARED_VOLUME_ZONE_USER_SCRIPT
     = fs.readFileSync(__dirname + '/../user-script.sh', 'utf8');
 
 var NO_COMPUTE_RESOURCES_AVAILABLE = 'No compute resources available';
-var VOLUME_TICKETS_SCOPE = 'nfs_volume';
+
+/*
+ * ListVolumes query parameters of the form "label.<name>=<value>" are used to
+ * filter volumes on the value of their label named "name".
+ */
+var LABEL_PARAM_PREFIX = 'label.';
 
 // Type of nfs server:
 //  - version 1 is a node NFS running in a zone
@@ -127,66 +141,6 @@ function _buildStorageVMPayload(version, volumeParams, storageVmUuid,
     return payload;
 }
 
-function _acquireVolumeTicket(ticketId, options, callback) {
-    assert.string(ticketId, 'ticketId');
-    assert.object(options, 'options');
-    assert.object(options.cnapiClient, 'options.cnapiClient');
-    assert.object(options.log, 'options.log');
-    assert.func(callback, 'callback');
-
-    var cnapiClient = options.cnapiClient;
-    var log = options.log;
-    var ticketParams = {
-        scope: VOLUME_TICKETS_SCOPE,
-        id: ticketId,
-        // 10 minutes
-        expires_at: (new Date(Date.now() + 600 * 1000).toString())
-    };
-    /*
-     * Volume tickets need to always be created on the same "server" so that
-     * volume tickets with a given ID are appended to the same queue and are
-     * activated sequentially and in the proper order. We could use the HN's
-     * server UUID for that, however some Triton DCs can have more than one HN,
-     * and so it would be challenging to make sure that all volume tickets use
-     * the same server UUID all the time. Nevertheless, CNAPI accepts the string
-     * 'default' as server UUID. We use that to our advantage so that, even when
-     * a DC has more than one headnode, we can create/wait on tickets that are
-     * always placed in the same queue, regardless of the servers' (including
-     * headnodes) lifecycle.
-     */
-    var WAITLIST_NAME = 'default';
-
-    log.debug({ticketParams: ticketParams}, 'Acquiring volume ticket');
-
-    cnapiClient.waitlistTicketCreate(WAITLIST_NAME, ticketParams,
-        function onTicketCreated(ticketCreationErr, ticket) {
-            if (ticketCreationErr) {
-                callback(ticketCreationErr);
-                return;
-            }
-
-            cnapiClient.waitlistTicketWait(ticket.uuid,
-                function onTicketReleasedOrExpired(err) {
-                    cnapiClient.waitlistTicketGet(ticket.uuid, callback);
-                });
-        });
-}
-
-function _releaseVolumeTicket(ticket, options, callback) {
-    assert.object(ticket, 'ticket');
-    assert.object(options, 'options');
-    assert.object(options.cnapiClient, 'options.cnapiClient');
-    assert.object(options.log, 'options.log');
-    assert.func(callback, 'callback');
-
-    var cnapiClient = options.cnapiClient;
-    var log = options.log;
-
-    log.debug({ticket: ticket}, 'Releasing volume ticket');
-
-    cnapiClient.waitlistTicketRelease(ticket.uuid, callback);
-}
-
 function _isTransientLoadVolumeErr(volumeLoadError) {
     assert.object(volumeLoadError, 'volumeLoadError');
 
@@ -197,42 +151,59 @@ function _isTransientLoadVolumeErr(volumeLoadError) {
     ].indexOf(volumeLoadError.name) === -1;
 }
 
-function _releaseTicketAndSendResponse(ticket, req, res, next, error) {
-    assert.object(ticket, 'ticket');
+function _releaseTicketsAndSendResponse(tickets, req, res, next, error) {
+    assert.array(tickets, 'tickets');
     assert.object(req, 'req');
     assert.object(res, 'res');
     assert.func(next, 'next');
     assert.optionalObject(error, 'error');
 
-    if (ticket !== undefined) {
-        _releaseVolumeTicket(ticket, {
-            cnapiClient: req._cnapiClient,
-            log: req.log
-        }, function onTicketReleased() {
-            /*
-             * We explicitly ignore errors when releasing volume tickets,
-             * because there's not much we can do in that case.
-             */
-            next(error);
-        });
-    } else {
+    vasync.forEachParallel({
+        func: function releaseTicket(ticket, done) {
+            if (!ticket) {
+                done();
+                return;
+            }
+
+            volumeTickets.releaseVolumeTicket(ticket, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketReleased() {
+                /*
+                 * We explicitly ignore errors when releasing volume tickets,
+                 * because there's not much we can do in that case.
+                 */
+                done();
+            });
+        },
+        inputs: tickets
+    }, function onTicketsReleased() {
         next(error);
-    }
+    });
 }
 
-function setConnectionTimeout(req, res, next) {
+//
+// Acquires the quota ticket of owner "ownerUuid" (see lib/quotas.js) on behalf
+// of the request "req". Calls "callback" with the ticket as its second
+// parameter, even when there's an error, so that it can be released.
+//
+function _acquireQuotaTicket(req, ownerUuid, callback) {
     assert.object(req, 'req');
-    assert.object(req.connection, 'req.connection');
-    assert.func(next, 'next');
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(callback, 'callback');
 
-    /*
-     * Node's default HTTP timeout is two minutes, and the request can take
-     * longer than that to complete. Set this connection's timeout to an hour to
-     * avoid an abrupt close after two minutes. See TRITON-2176 for why this is
-     * important.
-     */
-    req.connection.setTimeout(60 * 60 * 1000);
-    next();
+    quotas.acquireQuotaTicket(ownerUuid, {
+        cnapiClient: req._cnapiClient,
+        log: req.log
+    }, function onQuotaTicketAcquired(acquireErr, ticket) {
+        if (acquireErr) {
+            callback(new errors.InternalError(acquireErr,
+                'Error when acquiring quota ticket'), ticket);
+            return;
+        }
+
+        callback(null, ticket);
+    });
 }
 
 function generateVolumeName(volumeParams) {
@@ -253,6 +224,88 @@ function generateVolumeName(volumeParams) {
     return (newName);
 }
 
+//
+// Loads the source of a volume being cloned. "sourceUuid" can be either the
+// UUID of a volume or the UUID of a volume snapshot. Similarly to the
+// loadVolumeObject middleware, a source that is not owned by "ownerUuid" is
+// considered to not exist.
+//
+// Calls "callback" with an object of the form {volume: Object, snapshot:
+// Object} as its second parameter, where "snapshot" is undefined if
+// "sourceUuid" is the UUID of a volume.
+//
+function _loadVolumeSource(sourceUuid, ownerUuid, callback) {
+    assert.uuid(sourceUuid, 'sourceUuid');
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(callback, 'callback');
+
+    var source = {};
+
+    vasync.pipeline({funcs: [
+        function loadSourceSnapshot(_, done) {
+            volumeSnapshotsModel.loadVolumeSnapshot(sourceUuid,
+                function onSnapshotLoaded(loadErr, snapshotObject) {
+                    if (loadErr && loadErr.name !== 'ObjectNotFoundError') {
+                        done(loadErr);
+                        return;
+                    }
+
+                    if (snapshotObject) {
+                        source.snapshot = snapshotObject.value;
+                    }
+
+                    done();
+                });
+        },
+        function loadSourceVolume(_, done) {
+            var volumeUuid = sourceUuid;
+
+            if (source.snapshot !== undefined) {
+                volumeUuid = source.snapshot.volume_uuid;
+            }
+
+            volumesModel.loadVolume(volumeUuid,
+                function onVolumeLoaded(loadErr, volumeObject) {
+                    if (loadErr && loadErr.name !== 'ObjectNotFoundError') {
+                        done(loadErr);
+                        return;
+                    }
+
+                    if (volumeObject) {
+                        source.volume = volumeObject.value;
+                    }
+
+                    done();
+                });
+        },
+        function checkSource(_, done) {
+            if (source.volume === undefined ||
+                source.volume.owner_uuid !== ownerUuid) {
+                done(new errors.VolumeSourceNotFoundError(sourceUuid));
+                return;
+            }
+
+            if (source.volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(source.volume.uuid,
+                    source.volume.state));
+                return;
+            }
+
+            if (source.snapshot !== undefined &&
+                source.snapshot.state !== 'created') {
+                done(new errors.VolumeSnapshotNotReadyError(
+                    source.volume.uuid, source.snapshot.name,
+                    source.snapshot.state));
+                return;
+            }
+
+            done();
+        }
+    ]}, function onSourceLoaded(err) {
+        callback(err, source);
+    });
+}
+
 function validateCreateVolume(req, res, next) {
     assert.object(req, 'req');
     assert.object(req.params, 'req.params');
@@ -264,7 +317,7 @@ function validateCreateVolume(req, res, next) {
     var mandatoryParamsErrs;
     var networkValidationErrs;
     var VALID_PARAM_NAMES = ['uuid', 'owner_uuid', 'size', 'name', 'type',
-        'affinity', 'labels', 'networks'];
+        'affinity', 'labels', 'networks', 'source'];
     var errs;
     var validationErrs = [];
 
@@ -290,6 +343,11 @@ function validateCreateVolume(req, res, next) {
         validationErrs = validationErrs.concat(errs);
     }
 
+    if (req.params.source !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.source, 'source');
+        validationErrs = validationErrs.concat(errs);
+    }
+
     errs = volumesValidation.validateVolumeName(req.params.name,
         {allowEmpty: true});
     validationErrs = validationErrs.concat(errs);
@@ -373,10 +431,22 @@ function createVolume(req, res, next) {
                 volumeParams,
                 done);
         },
+        function loadSource(ctx, done) {
+            if (req.params.source === undefined) {
+                done();
+                return;
+            }
+
+            _loadVolumeSource(req.params.source, ownerUuid,
+                function onSourceLoaded(loadSourceErr, source) {
+                    ctx.source = source;
+                    done(loadSourceErr);
+                });
+        },
         function acquireVolumeTicket(ctx, done) {
             var ticketId = ownerUuid + '-' + volumeName;
 
-            _acquireVolumeTicket(ticketId, {
+            volumeTickets.acquireVolumeTicket(ticketId, {
                 cnapiClient: req._cnapiClient,
                 log: req.log
             }, function onTicketAcquired(acquireTicketErr, ticket) {
@@ -434,6 +504,14 @@ function createVolume(req, res, next) {
             var getStorageVmPkgErr;
             var requestedSize = req.params.size;
 
+            /*
+             * By default, a clone has the same size as the volume it's cloned
+             * from.
+             */
+            if (requestedSize === undefined && ctx.source !== undefined) {
+                requestedSize = ctx.source.volume.size;
+            }
+
             req.log.debug({volumeParams: volumeParams},
                 'Finding corresponding storage VM package');
 
@@ -492,6 +570,114 @@ function createVolume(req, res, next) {
                 done(getStorageVmPkgErr);
             });
         },
+        function checkSourceSize(ctx, done) {
+            var sourceSize;
+
+            if (ctx.source === undefined) {
+                done();
+                return;
+            }
+
+            sourceSize = ctx.source.volume.size;
+
+            if (volumeParams.size < sourceSize) {
+                done(new errors.ValidationError([
+                    new Error('size must be greater than or equal to the ' +
+                        'size of the source volume: ' + sourceSize)
+                ]));
+                return;
+            }
+
+            done();
+        },
+        function acquireQuotaTicket(ctx, done) {
+            _acquireQuotaTicket(req, ownerUuid,
+                function onQuotaTicketAcquired(acquireErr, ticket) {
+                    ctx.quotaTicket = ticket;
+                    done(acquireErr);
+                });
+        },
+        function checkQuota(ctx, done) {
+            quotas.checkQuota({
+                log: req.log,
+                ownerUuid: ownerUuid,
+                size: volumeParams.size
+            }, done);
+        },
+        function getSourceStorageVm(ctx, done) {
+            if (ctx.source === undefined) {
+                done();
+                return;
+            }
+
+            req._vmapiClient.getVm({
+                uuid: ctx.source.volume.vm_uuid
+            }, function onGetSourceStorageVm(getVmErr, vm) {
+                ctx.sourceStorageVm = vm;
+                done(getVmErr);
+            });
+        },
+        /*
+         * When cloning a volume (as opposed to a snapshot), a snapshot of
+         * that volume is taken when the clone is created, so that the clone's
+         * data is a copy of the source volume's data at that point in time.
+         * This snapshot is not tracked by a snapshot object, and it's
+         * destroyed by volapi-updater once the clone is seeded.
+         */
+        function snapshotSourceVolume(ctx, done) {
+            var snapshotName;
+
+            if (ctx.source === undefined) {
+                done();
+                return;
+            }
+
+            if (ctx.source.snapshot !== undefined) {
+                snapshotName = ctx.source.snapshot.name;
+            } else {
+                snapshotName = 'clone-' + volumeUuid;
+            }
+
+            volumeParams.source = {
+                uuid: req.params.source,
+                type: ctx.source.snapshot !== undefined ?
+                    'snapshot' : 'volume',
+                volume_uuid: ctx.source.volume.uuid,
+                vm_uuid: ctx.source.volume.vm_uuid,
+                snapshot_name: snapshotName,
+                seeded: false
+            };
+
+            /*
+             * The source's data is copied to the clone's storage VM using ZFS
+             * send/recv on the compute node that hosts them, so they need to
+             * be on the same compute node.
+             */
+            affinity = (affinity || []).concat([
+                'instance==' + ctx.source.volume.vm_uuid
+            ]);
+
+            if (ctx.source.snapshot !== undefined) {
+                done();
+                return;
+            }
+
+            datasets.createStorageVmDatasetSnapshot({
+                cnapiClient: req._cnapiClient,
+                serverUuid: ctx.sourceStorageVm.server_uuid,
+                snapshotName: snapshotName,
+                storageVmUuid: ctx.sourceStorageVm.uuid
+            }, function onSourceSnapshotted(snapshotErr) {
+                if (snapshotErr) {
+                    done(new errors.InternalError(snapshotErr,
+                        'Error when snapshotting source volume'));
+                    return;
+                }
+
+                ctx.sourceSnapshotCreated = true;
+                done();
+            });
+        },
         function loadVolumeReservations(ctx, done) {
             reservationModels.listVolumeReservations({
                 volumeName: volumeName,
@@ -663,14 +849,40 @@ function createVolume(req, res, next) {
                 req.log.debug({vm: vmobj}, 'Storage VM successfully created');
                 done();
             }
+        },
+        function recordCreationUsage(ctx, done) {
+            usageRecordsModel.recordUsage({
+                billingId: ctx.storageVmPkg.uuid,
+                event: 'create',
+                volume: ctx.volumeObject.value
+            }, done);
         }
     ],
     arg: context
     }, function onVolumeCreated(volumeCreationErr, results) {
-        var ticket = context.ticket;
+        var tickets = [context.ticket, context.quotaTicket];
         var volume;
         var volumeObject = context.volumeObject;
 
+        if (volumeCreationErr && context.sourceSnapshotCreated) {
+            /*
+             * A clone whose creation failed is never seeded, so the snapshot
+             * of its source volume is not needed anymore. Failing to destroy
+             * it doesn't change the response.
+             */
+            datasets.destroyStorageVmDatasetSnapshot({
+                cnapiClient: req._cnapiClient,
+                serverUuid: context.sourceStorageVm.server_uuid,
+                snapshotName: volumeParams.source.snapshot_name,
+                storageVmUuid: context.sourceStorageVm.uuid
+            }, function onSourceSnapshotDestroyed(destroyErr) {
+                if (destroyErr) {
+                    req.log.error({err: destroyErr},
+                        'Error when destroying source volume snapshot');
+                }
+            });
+        }
+
         if (volumeCreationErr && volumeObject) {
             /*
              * If we have a volume object and the volume creation failed, it
@@ -692,6 +904,8 @@ function createVolume(req, res, next) {
 
                 if (!volumeUpdateErr) {
                     responseErr = volumeCreationErr;
+                    webhooks.notifyVolumeEvent('volume.failed', volume,
+                        req.log);
                 } else {
                     if (volumeUpdateErr.name === 'EtagConflictError') {
                         /*
@@ -723,12 +937,8 @@ function createVolume(req, res, next) {
                     res.status = 202;
                 }
 
-                if (ticket) {
-                    _releaseTicketAndSendResponse(ticket, req, res, next,
-                        responseErr);
-                } else {
-                    next(responseErr);
-                }
+                _releaseTicketsAndSendResponse(tickets, req, res, next,
+                    responseErr);
             });
         } else {
             /*
@@ -743,14 +953,12 @@ function createVolume(req, res, next) {
              */
             if (volumeObject) {
                 req.responseVolume = volumeObject.value;
+                webhooks.notifyVolumeEvent('volume.created',
+                    volumeObject.value, req.log);
             }
 
-            if (ticket) {
-                _releaseTicketAndSendResponse(ticket, req, res, next,
-                    volumeCreationErr);
-            } else {
-                next(volumeCreationErr);
-            }
+            _releaseTicketsAndSendResponse(tickets, req, res, next,
+                volumeCreationErr);
         }
     });
 }
@@ -762,7 +970,7 @@ function validateGetVolume(req, res, next) {
 
     var errs;
     var validationErrs = [];
-    var VALID_PARAM_NAMES = ['owner_uuid', 'uuid'];
+    var VALID_PARAM_NAMES = ['include_usage', 'owner_uuid', 'uuid'];
     var MANDATORY_PARAM_NAMES = ['uuid'];
 
     var mandatoryParamsErrs =
@@ -784,6 +992,12 @@ function validateGetVolume(req, res, next) {
         validationErrs = validationErrs.concat(errs);
     }
 
+    if (req.params.include_usage !== undefined) {
+        errs = volumesValidation.validateBooleanAsString(
+            req.params.include_usage, 'include_usage');
+        validationErrs = validationErrs.concat(errs);
+    }
+
     if (validationErrs.length > 0) {
         next(new errors.ValidationError(validationErrs));
         return;
@@ -804,7 +1018,10 @@ function getVolume(req, res, next) {
 
 //
 // NOTE: This will add the 'listVolumesPredicate' property to the 'req' object
-// if req.query.params.predicate can be turned into a valid predicate.
+// if req.query.params.predicate can be turned into a valid predicate. It also
+// adds the 'listVolumesOptions' property, which represents the pagination
+// options ('limit', 'marker' and 'sort') to pass to volumesModel.listVolumes,
+// and the 'listVolumesLabels' property if there are label.<name> parameters.
 //
 function validateListVolumes(req, res, next) {
     assert.object(req, 'req');
@@ -815,20 +1032,69 @@ function validateListVolumes(req, res, next) {
 
     var errs = [];
     var invalidParamsErrs;
+    var nonLabelParams = {};
     var predFields;
     var predicateValidationErr;
+    var sortParts;
     var validationErrs = [];
     var VALID_PARAM_NAMES = [
+        'include_deleted',
+        'include_usage',
+        'limit',
+        'marker',
         'name',
         'owner_uuid',
         'predicate',
         'refs',
         'size',
+        'sort',
         'state',
         'type'
     ];
+    var SORTABLE_FIELDS = volumesModel.getSortableFields();
 
-    invalidParamsErrs = validationUtils.checkInvalidParams(req.params,
+    /*
+     * Volumes are always sorted so that paginating through them with "limit"
+     * and "marker" is stable.
+     */
+    req.listVolumesOptions = {
+        sort: {
+            attribute: 'create_timestamp',
+            order: 'ASC'
+        }
+    };
+
+    Object.keys(req.params).forEach(function checkLabelParam(paramName) {
+        var labelName;
+        var paramValue = req.params[paramName];
+
+        if (paramName.indexOf(LABEL_PARAM_PREFIX) !== 0) {
+            nonLabelParams[paramName] = paramValue;
+            return;
+        }
+
+        labelName = paramName.substr(LABEL_PARAM_PREFIX.length);
+
+        if (labelName === '') {
+            validationErrs.push(new Error('label name must not be empty in ' +
+                'parameter ' + paramName));
+            return;
+        }
+
+        if (typeof (paramValue) !== 'string') {
+            validationErrs.push(new Error('invalid value for ' + paramName +
+                ' parameter, must be a string'));
+            return;
+        }
+
+        if (req.listVolumesLabels === undefined) {
+            req.listVolumesLabels = {};
+        }
+
+        req.listVolumesLabels[labelName] = paramValue;
+    });
+
+    invalidParamsErrs = validationUtils.checkInvalidParams(nonLabelParams,
         VALID_PARAM_NAMES);
     validationErrs = validationErrs.concat(invalidParamsErrs);
 
@@ -887,6 +1153,59 @@ function validateListVolumes(req, res, next) {
         validationErrs = validationErrs.concat(errs);
     }
 
+    if (req.query.include_deleted !== undefined &&
+        req.query.include_deleted !== null) {
+        errs = volumesValidation.validateBooleanAsString(
+            req.query.include_deleted, 'include_deleted');
+        validationErrs = validationErrs.concat(errs);
+
+        if (errs.length === 0) {
+            req.listVolumesOptions.includeDeleted =
+                req.query.include_deleted === 'true';
+        }
+    }
+
+    if (req.query.include_usage !== undefined &&
+        req.query.include_usage !== null) {
+        errs = volumesValidation.validateBooleanAsString(
+            req.query.include_usage, 'include_usage');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.query.limit !== undefined && req.query.limit !== null) {
+        errs = paginationValidation.validateLimit(req.query.limit);
+        validationErrs = validationErrs.concat(errs);
+
+        if (errs.length === 0) {
+            req.listVolumesOptions.limit = Number(req.query.limit);
+        }
+    }
+
+    if (req.query.sort !== undefined && req.query.sort !== null) {
+        errs = paginationValidation.validateSort(req.query.sort,
+            Object.keys(SORTABLE_FIELDS));
+        validationErrs = validationErrs.concat(errs);
+
+        if (errs.length === 0) {
+            sortParts = req.query.sort.split('.');
+            req.listVolumesOptions.sort = {
+                attribute: sortParts[0],
+                order: sortParts[1].toUpperCase()
+            };
+        }
+    }
+
+    if (req.query.marker !== undefined && req.query.marker !== null) {
+        errs = paginationValidation.validateMarker(req.query.marker,
+            req.listVolumesOptions.sort.attribute,
+            SORTABLE_FIELDS[req.listVolumesOptions.sort.attribute]);
+        validationErrs = validationErrs.concat(errs);
+
+        if (errs.length === 0) {
+            req.listVolumesOptions.marker = JSON.parse(req.query.marker);
+        }
+    }
+
     if (validationErrs.length > 0) {
         next(new errors.ValidationError(validationErrs));
     } else {
@@ -897,16 +1216,28 @@ function validateListVolumes(req, res, next) {
 function listVolumes(req, res, next) {
     assert.object(req, 'req');
     assert.object(req.query, 'req.query');
+    assert.object(req.listVolumesOptions, 'req.listVolumesOptions');
     assert.object(res, 'res');
     assert.func(next, 'next');
 
     var listVolOpts = {};
+    var NON_FILTER_PARAM_NAMES = [
+        'include_deleted',
+        'include_usage',
+        'limit',
+        'marker',
+        'sort'
+    ];
     var queryParamFields = Object.keys(req.query);
 
     if (req.listVolumesPredicate !== undefined) {
         listVolOpts.predicate = req.listVolumesPredicate;
     }
 
+    if (req.listVolumesLabels !== undefined) {
+        listVolOpts.labels = req.listVolumesLabels;
+    }
+
     // We already validated in validateListVolumes that this only contains
     // legitimate parameters, so add them to the listVolOpts now.
     queryParamFields.forEach(function addParam(field) {
@@ -915,18 +1246,30 @@ function listVolumes(req, res, next) {
             return;
         }
 
-        listVolOpts[field] = req.query[field];
-    });
+        if (NON_FILTER_PARAM_NAMES.indexOf(field) !== -1) {
+            // pagination and rendering parameters are not search filters
+            return;
+        }
 
-    volumesModel.listVolumes(listVolOpts, function onListVolumes(err, volumes) {
-        if (!err) {
-            req.responseVolumes =
-                volumes.map(function getVolumeObjectValue(volObject) {
-                    return volObject.value;
-                });
+        if (field.indexOf(LABEL_PARAM_PREFIX) === 0) {
+            // we already added labels above if set
+            return;
         }
-        next(err);
+
+        listVolOpts[field] = req.query[field];
     });
+
+    volumesModel.listVolumes(listVolOpts, req.listVolumesOptions,
+        function onListVolumes(err, volumes, count) {
+            if (!err) {
+                req.responseVolumes =
+                    volumes.map(function getVolumeObjectValue(volObject) {
+                        return volObject.value;
+                    });
+                res.header('x-resource-count', count);
+            }
+            next(err);
+        });
 }
 
 function validateListVolumeSizes(req, res, next) {
@@ -1063,24 +1406,85 @@ function getVolumeReferences(req, res, next) {
     next();
 }
 
-function validateDeleteVolume(req, res, next) {
-    assert.object(req, 'req');
-    assert.object(res, 'res');
-    assert.func(next, 'next');
+//
+// Calls "callback" with a VolumeInUseError if at least one of the VMs that
+// reference the volume represented by "volumeObject" is active.
+//
+function _checkVolumeUnused(volumeObject, options, callback) {
+    assert.object(volumeObject, 'volumeObject');
+    assert.object(volumeObject.value, 'volumeObject.value');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.vmapiClient, 'options.vmapiClient');
+    assert.func(callback, 'callback');
 
-    var errs = [];
-    var validationErrs = [];
-    var VALID_PARAM_NAMES = ['owner_uuid', 'uuid', 'force'];
-    var MANDATORY_PARAM_NAMES = ['uuid'];
+    var log = options.log;
+    var refs = volumeObject.value.refs;
 
-    var mandatoryParamsErrs =
-        validationUtils.checkMandatoryParamsPresence(req.params,
-            MANDATORY_PARAM_NAMES);
-    var invalidParamsErrs =
-        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+    log.debug({volumeObject: volumeObject},
+        'Check volume is not currently required by any VM');
 
-    validationErrs = validationErrs.concat(mandatoryParamsErrs);
-    validationErrs = validationErrs.concat(invalidParamsErrs);
+    if (!Array.isArray(refs) || refs.length === 0) {
+        log.debug('not in use, as there are no references');
+        callback();
+        return;
+    }
+
+    // Validate that these vm references actually exist. We do this by looking
+    // up the vm_uuid's in vmapi (10 at a time), if any of the vms exist (and
+    // are active), then return a volume in use error.
+    vasync.whilst(
+        function testFunc() {
+            return refs.length > 0;
+        },
+        function iterateFunc(cb) {
+            var listParams = {
+                fields: 'uuid',
+                state: 'active',
+                uuids: refs.slice(0, 10).join(',')
+            };
+            refs = refs.slice(10);
+
+            options.vmapiClient.listVms(listParams,
+                    function _onListCb(err, vms) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+                if (vms.length > 0) {
+                    var vmUuids = vms.map(function _mapRefVms(vm) {
+                        return vm.uuid;
+                    });
+                    log.debug({vms: vmUuids }, 'in use still');
+                    cb(new errors.VolumeInUseError(volumeObject.value.name,
+                        vmUuids));
+                    return;
+                }
+
+                cb();
+            });
+        },
+        callback);
+}
+
+function validateDeleteVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['owner_uuid', 'uuid', 'force'];
+    var MANDATORY_PARAM_NAMES = ['uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
 
     if (req.params.uuid !== undefined) {
         errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
@@ -1125,7 +1529,7 @@ function deleteVolume(req, res, next) {
                 var volumeName = volume.name;
                 var ticketId = ownerUuid + '-' + volumeName;
 
-                _acquireVolumeTicket(ticketId, {
+                volumeTickets.acquireVolumeTicket(ticketId, {
                     cnapiClient: req._cnapiClient,
                     log: req.log
                 }, function onTicketAcquired(err, ticket) {
@@ -1162,58 +1566,10 @@ function deleteVolume(req, res, next) {
                     return;
                 }
 
-                req.log.debug({volumeObject: req.loadedVolumeObject},
-                    'Check volume is not currently required by any VM');
-
-                var volumeObject = req.loadedVolumeObject;
-
-                if (!Array.isArray(volumeObject.value.refs) ||
-                        volumeObject.value.refs.length === 0) {
-                    req.log.debug({
-                        params: req.params
-                    }, 'not in use, as there are no references');
-                    done();
-                    return;
-                }
-
-                var refs = volumeObject.value.refs;
-
-                // Validate that these vm references actually exist. We do this
-                // by looking up the vm_uuid's in vmapi (10 at a time), if any
-                // of the vms exist (and are active), then return a volume in
-                // use error.
-                vasync.whilst(
-                    function testFunc() {
-                        return refs.length > 0;
-                    },
-                    function iterateFunc(cb) {
-                        var listParams = {
-                            fields: 'uuid',
-                            state: 'active',
-                            uuids: refs.slice(0, 10).join(',')
-                        };
-                        refs = refs.slice(10);
-
-                        req._vmapiClient.listVms(listParams,
-                                function _onListCb(err, vms) {
-                            if (err) {
-                                cb(err);
-                                return;
-                            }
-                            if (vms.length > 0) {
-                                var vmUuids = vms.map(function _mapRefVms(vm) {
-                                    return vm.uuid;
-                                });
-                                req.log.debug({vms: vmUuids }, 'in use still');
-                                cb(new errors.VolumeInUseError(
-                                    volumeObject.value.name, vmUuids));
-                                return;
-                            }
-
-                            cb();
-                        });
-                    },
-                    done);
+                _checkVolumeUnused(req.loadedVolumeObject, {
+                    log: req.log,
+                    vmapiClient: req._vmapiClient
+                }, done);
             },
             function getStorageVm(ctx, done) {
                 var volume = req.loadedVolumeObject.value;
@@ -1267,6 +1623,67 @@ function deleteVolume(req, res, next) {
                     done();
                 });
             },
+            /*
+             * When a trash period is configured, volumes that have a storage VM
+             * are trashed instead of being deleted: their storage VM is only
+             * stopped, so that they can be restored with RestoreVolume until
+             * volapi-updater purges them once their trash period expires.
+             * Deleting a volume that is already trashed purges it immediately.
+             */
+            function checkVolumeTrashing(ctx, done) {
+                assert.bool(ctx.storageVmNeedsDeletion,
+                    'ctx.storageVmNeedsDeletion');
+
+                ctx.trashVolume = ctx.storageVmNeedsDeletion &&
+                    CONFIG.trashPeriod > 0 &&
+                    req.loadedVolumeObject.value.state !== 'trashed';
+
+                done();
+            },
+            function markVolumeAsTrashed(ctx, done) {
+                var now = Date.now();
+                var volumeObject = req.loadedVolumeObject;
+
+                if (!ctx.trashVolume) {
+                    done();
+                    return;
+                }
+
+                req.log.debug({volumeObject: volumeObject},
+                    'Marking volume as trashed');
+
+                volumeObject.value.state = 'trashed';
+                volumeObject.value.trash = {
+                    create_timestamp: now,
+                    expiration_timestamp: now + CONFIG.trashPeriod * 1000
+                };
+
+                volumesModel.updateVolumeWithRetry(volumeObject.value.uuid,
+                    volumeObject, done);
+            },
+            function stopStorageVm(ctx, done) {
+                var volume = req.loadedVolumeObject.value;
+
+                if (!ctx.trashVolume) {
+                    done();
+                    return;
+                }
+
+                req.log.debug({
+                    volume: volume,
+                    storageVm: ctx.storageVm
+                }, 'Stopping storage VM');
+
+                req._vmapiClient.stopVm({
+                    uuid: volume.vm_uuid,
+                    owner_uuid: volume.owner_uuid,
+                    idempotent: true
+                }, {
+                    headers: {'x-request-id': req.getId()}
+                }, function onStorageVmStopped(stopVmErr) {
+                    done(stopVmErr);
+                });
+            },
             function markVolumeAsDeleted(ctx, done) {
                 assert.bool(ctx.storageVmNeedsDeletion,
                     'ctx.storageVmNeedsDeletion');
@@ -1274,17 +1691,45 @@ function deleteVolume(req, res, next) {
                 var volumeObject = req.loadedVolumeObject;
 
                 if (!ctx.storageVmNeedsDeletion) {
-                    volumesModel.deleteVolumeWithRetry(volumeObject.value.uuid,
-                        done);
+                    volumeSnapshotsModel.deleteVolumeSnapshots(
+                        volumeObject.value.uuid,
+                        function onSnapshotsDeleted(snapshotsDelErr) {
+                            if (snapshotsDelErr) {
+                                done(snapshotsDelErr);
+                                return;
+                            }
+
+                            volumesModel.deleteVolumeWithRetry(
+                                volumeObject.value.uuid, done);
+                        });
                 } else {
                     done();
                 }
             },
+            function recordDeletionUsage(ctx, done) {
+                assert.bool(ctx.storageVmNeedsDeletion,
+                    'ctx.storageVmNeedsDeletion');
+
+                /*
+                 * Similarly to the "volume.deleted" notification, when the
+                 * volume has a storage VM, volapi-updater records its deletion
+                 * once that VM is destroyed.
+                 */
+                if (ctx.storageVmNeedsDeletion) {
+                    done();
+                    return;
+                }
+
+                usageRecordsModel.recordUsage({
+                    event: 'delete',
+                    volume: req.loadedVolumeObject.value
+                }, done);
+            },
             function markVolumeAsDeleting(ctx, done) {
                 assert.bool(ctx.storageVmNeedsDeletion,
                     'ctx.storageVmNeedsDeletion');
 
-                if (!ctx.storageVmNeedsDeletion) {
+                if (!ctx.storageVmNeedsDeletion || ctx.trashVolume) {
                     done();
                     return;
                 }
@@ -1305,7 +1750,7 @@ function deleteVolume(req, res, next) {
 
                 var volume = req.loadedVolumeObject.value;
 
-                if (!ctx.storageVmNeedsDeletion) {
+                if (!ctx.storageVmNeedsDeletion || ctx.trashVolume) {
                     done();
                     return;
                 }
@@ -1325,8 +1770,18 @@ function deleteVolume(req, res, next) {
         ],
         arg: context
     }, function allDone(err) {
+        /*
+         * When the volume had a storage VM, it's only marked as deleting, and
+         * volapi-updater sends the "volume.deleted" notification once that VM
+         * is destroyed.
+         */
+        if (!err && context.storageVmNeedsDeletion === false) {
+            webhooks.notifyVolumeEvent('volume.deleted',
+                req.loadedVolumeObject.value, req.log);
+        }
+
         if (context.ticket !== undefined) {
-            _releaseVolumeTicket(context.ticket, {
+            volumeTickets.releaseVolumeTicket(context.ticket, {
                 cnapiClient: req._cnapiClient,
                 log: req.log
             }, function onTicketReleased() {
@@ -1349,7 +1804,7 @@ function validateUpdateVolume(req, res, next) {
 
     var errs = [];
     var validationErrs = [];
-    var VALID_PARAM_NAMES = ['name', 'owner_uuid', 'uuid'];
+    var VALID_PARAM_NAMES = ['labels', 'name', 'owner_uuid', 'uuid'];
     var MANDATORY_PARAM_NAMES = ['uuid'];
 
     var mandatoryParamsErrs =
@@ -1377,6 +1832,17 @@ function validateUpdateVolume(req, res, next) {
         validationErrs = validationErrs.concat(errs);
     }
 
+    /*
+     * The labels passed to UpdateVolume replace all the volume's current
+     * labels, so they can't be null: an empty object removes all labels.
+     */
+    if (req.params.labels === null) {
+        validationErrs.push(new Error('Volume labels must be an object'));
+    } else if (req.params.labels !== undefined) {
+        errs = volumesValidation.validateVolumeLabels(req.params.labels);
+        validationErrs = validationErrs.concat(errs);
+    }
+
     if (validationErrs.length > 0) {
         next(new errors.ValidationError(validationErrs));
         return;
@@ -1396,6 +1862,7 @@ function updateVolume(req, res, next) {
 
     var context = {};
     var ownerUuid = req.loadedVolumeObject.owner_uuid;
+    var newLabels = req.params.labels;
     var newVolumeName = req.params.name;
 
     vasync.pipeline({funcs: [
@@ -1414,7 +1881,7 @@ function updateVolume(req, res, next) {
 
             var ticketId = ownerUuid + '-' + newVolumeName;
 
-            _acquireVolumeTicket(ticketId, {
+            volumeTickets.acquireVolumeTicket(ticketId, {
                 cnapiClient: req._cnapiClient,
                 log: req.log
             }, function onTicketAcquired(acquireTicketErr, ticket) {
@@ -1506,6 +1973,27 @@ function updateVolume(req, res, next) {
 
             done(err);
         },
+        function checkVolumeReady(ctx, done) {
+            /*
+             * Labels are stored as the storage VM's tags, so they can only be
+             * changed when that storage VM exists and is not being changed by
+             * another operation.
+             */
+            var volume = req.loadedVolumeObject.value;
+
+            if (newLabels === undefined) {
+                done();
+                return;
+            }
+
+            if (volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            done();
+        },
         function changeVolume(ctx, done) {
             var volumeObject = req.loadedVolumeObject;
 
@@ -1513,16 +2001,100 @@ function updateVolume(req, res, next) {
                 volumeObject.value.name = newVolumeName;
             }
 
+            /*
+             * Similarly to ResizeVolume, we record that the volume's labels
+             * are being updated _before_ sending the request to VMAPI, so
+             * that volapi-updater doesn't overwrite them with the storage VM's
+             * current tags until that request completes.
+             */
+            if (newLabels !== undefined) {
+                ctx.previousLabels = volumeObject.value.labels;
+
+                if (jsprim.isEmpty(newLabels)) {
+                    delete volumeObject.value.labels;
+                } else {
+                    volumeObject.value.labels = JSON.stringify(newLabels);
+                }
+
+                volumeObject.value.labels_update = {
+                    create_timestamp: Date.now()
+                };
+            }
+
             req.responseVolume = volumeObject.value;
 
             volumesModel.updateVolumeWithRetry(volumeObject.value.uuid,
                 volumeObject, done);
+        },
+        function updateStorageVmTags(ctx, done) {
+            var updateTagsParams;
+            var volumeObject = req.loadedVolumeObject;
+            var volume = volumeObject.value;
+
+            if (newLabels === undefined) {
+                done();
+                return;
+            }
+
+            assert.uuid(volume.vm_uuid, 'volume.vm_uuid');
+
+            updateTagsParams = {
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid
+            };
+
+            req.log.debug({
+                volume: volume,
+                labels: newLabels
+            }, 'Updating storage VM tags');
+
+            function onStorageVmTagsUpdated(updateTagsErr, job) {
+                if (updateTagsErr) {
+                    req.log.error({err: updateTagsErr},
+                        'Error when updating storage VM tags');
+
+                    /*
+                     * The job that updates the storage VM's tags couldn't be
+                     * scheduled, so the volume keeps its previous labels.
+                     */
+                    if (ctx.previousLabels === undefined) {
+                        delete volume.labels;
+                    } else {
+                        volume.labels = ctx.previousLabels;
+                    }
+
+                    delete volume.labels_update;
+                } else {
+                    volume.labels_update.job_uuid = job.job_uuid;
+                }
+
+                volumesModel.updateVolumeWithRetry(volume.uuid, volumeObject,
+                    function onVolUpdated(volUpdateErr) {
+                        if (updateTagsErr) {
+                            done(new errors.InternalError(updateTagsErr,
+                                'Error when updating storage VM tags'));
+                        } else {
+                            done(volUpdateErr);
+                        }
+                    });
+            }
+
+            if (jsprim.isEmpty(newLabels)) {
+                req._vmapiClient.deleteAllMetadata('tags', updateTagsParams, {
+                    headers: {'x-request-id': req.getId()}
+                }, onStorageVmTagsUpdated);
+            } else {
+                updateTagsParams.metadata = newLabels;
+                req._vmapiClient.setMetadata('tags', updateTagsParams, {
+                    headers: {'x-request-id': req.getId()}
+                }, onStorageVmTagsUpdated);
+            }
         }
     ],
     arg: context
     }, function onVolumeNameUpdated(err) {
         if (context.ticket !== undefined) {
-            _releaseVolumeTicket(context.ticket, {
+            volumeTickets.releaseVolumeTicket(context.ticket, {
                 cnapiClient: req._cnapiClient,
                 log: req.log
             }, function onTicketReleased() {
@@ -1538,82 +2110,15 @@ function updateVolume(req, res, next) {
     });
 }
 
-function renderVolume(req, res, next) {
-    assert.object(req, 'req');
-    assert.object(res, 'res');
-    assert.func(next, 'next');
-
-    assert.object(req.responseVolume, 'req.responseVolume');
-
-    req.renderedResponse = formatVolumeValue(req.responseVolume);
-    next();
-}
-
-function formatVolumeValue(volumeValue) {
-    assert.object(volumeValue, 'volumeValue');
-
-    var result = jsprim.deepCopy(volumeValue);
-
-    result.create_timestamp =
-        new Date(volumeValue.create_timestamp).toISOString();
-
-    if (volumeValue.labels) {
-        result.labels = JSON.parse(volumeValue.labels);
-    }
-
-    return result;
-}
-
-function formatVolumesValues(volumeValues) {
-    assert.arrayOfObject(volumeValues, 'volumeValues');
-    return volumeValues.map(formatVolumeValue);
-}
-
-function renderVolumes(req, res, next) {
-    assert.object(req, 'req');
-    assert.object(res, 'res');
-    assert.func(next, 'next');
-
-    assert.object(req.responseVolumes, 'req.responseVolumes');
-
-    req.renderedResponse = formatVolumesValues(req.responseVolumes);
-
-    next();
-}
-
-function renderVolumeReferences(req, res, next) {
-    assert.object(req, 'req');
-    assert.object(res, 'res');
-    assert.func(next, 'next');
-
-    assert.arrayOfString(req.volumeReferences, 'req.volumeReferences');
-    req.renderedResponse = req.volumeReferences;
-
-    next();
-}
-
-function checkNfsServerImgImported(req, res, next) {
-    assert.object(req, 'req');
-    assert.object(res, 'res');
-    assert.func(next, 'next');
-
-    if (APPLICATION_STATE.nfsServerImageImported !== true ||
-            APPLICATION_STATE.nfsServerImage2Imported !== true) {
-        next(new Error('nfsserver image not yet imported'));
-    } else {
-        next();
-    }
-}
-
-function validateAddVolumeReference(req, res, next) {
+function validateResizeVolume(req, res, next) {
     assert.object(req, 'req');
     assert.object(res, 'res');
     assert.func(next, 'next');
 
     var errs = [];
     var validationErrs = [];
-    var VALID_PARAM_NAMES = ['uuid', 'owner_uuid', 'vm_uuid'];
-    var MANDATORY_PARAM_NAMES = ['uuid', 'owner_uuid', 'vm_uuid'];
+    var VALID_PARAM_NAMES = ['owner_uuid', 'size', 'uuid'];
+    var MANDATORY_PARAM_NAMES = ['size', 'uuid'];
 
     var mandatoryParamsErrs =
         validationUtils.checkMandatoryParamsPresence(req.params,
@@ -1624,18 +2129,18 @@ function validateAddVolumeReference(req, res, next) {
     validationErrs = validationErrs.concat(mandatoryParamsErrs);
     validationErrs = validationErrs.concat(invalidParamsErrs);
 
-    if (req.params.uuid !== undefined) {
+    if (req.params.uuid) {
         errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
         validationErrs = validationErrs.concat(errs);
     }
 
-    if (req.params.owner_uuid !== undefined) {
+    if (req.params.owner_uuid) {
         errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
         validationErrs = validationErrs.concat(errs);
     }
 
-    if (req.params.vm_uuid !== undefined) {
-        errs = uuidValidation.validateUuid(req.params.vm_uuid, 'vm_uuid');
+    if (req.params.size !== undefined) {
+        errs = volumesValidation.validateVolumeSize(req.params.size);
         validationErrs = validationErrs.concat(errs);
     }
 
@@ -1648,37 +2153,1676 @@ function validateAddVolumeReference(req, res, next) {
     }
 }
 
-function addVolumeReference(req, res, next) {
+function resizeVolume(req, res, next) {
     assert.object(req, 'req');
     assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.object(req.params, 'req.params');
+    assert.number(req.params.size, 'req.params.size');
     assert.object(res, 'res');
     assert.func(next, 'next');
 
     var context = {};
-    var vmUuid = req.params.vm_uuid;
-    var volumeName = req.loadedVolumeObject.value.name;
+    var newSize = req.params.size;
     var volumeUuid = req.loadedVolumeObject.value.uuid;
 
-    vasync.pipeline({arg: context, funcs: [
-        /*
-         * Add actual reference first so that we don't end up deleting a
-         * reservation and _not_ adding a reference, which could result in the
-         * VM not referencing the volume in any way in some cases.
-         */
-        function addReference(ctx, done) {
-            volumesModel.addReference(vmUuid, volumeUuid, done);
-        },
-        function loadVolReservation(ctx, done) {
-            reservationModels.listVolumeReservations({
-                volumeName: volumeName,
-                vmUuid: vmUuid
-            }, function onListRes(listResErr, volReservations) {
-                req.log.debug({
-                    err: listResErr,
-                    volReservations: volReservations
-                }, 'Found volume reservations');
+    vasync.pipeline({funcs: [
+        function acquireVolumeTicket(ctx, done) {
+            var volume = req.loadedVolumeObject.value;
+            var ticketId = volume.owner_uuid + '-' + volume.name;
 
-                ctx.volumeReservations = volReservations;
+            volumeTickets.acquireVolumeTicket(ticketId, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketAcquired(err, ticket) {
+                if (err) {
+                    done(new Error('Error when acquiring ticket: ' + err));
+                    return;
+                }
+
+                if (!ticket) {
+                    done(new Error('Error when acquiring ticket'));
+                    return;
+                }
+
+                if (ticket.status !== 'active') {
+                    done(new Error('Could not acquire ticket, ticket is ' +
+                        'not active and instead is: ' + ticket.status));
+                    return;
+                }
+
+                req.log.debug({ticket: ticket},
+                    'Volume resize ticket acquired');
+
+                ctx.ticket = ticket;
+                done();
+            });
+        },
+        /*
+         * The volume object loaded by the loadVolumeObject middleware was
+         * loaded before the ticket was acquired, and thus might have been
+         * changed by another operation (e.g another resize) since then.
+         */
+        function reloadVolume(ctx, done) {
+            volumesModel.loadVolume(volumeUuid,
+                function onVolLoaded(loadVolErr, volumeObject) {
+                    ctx.volumeObject = volumeObject;
+                    done(loadVolErr);
+                });
+        },
+        function checkVolumeReady(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            ctx.resizeNeeded = volume.size !== newSize;
+            done();
+        },
+        function getStorageVmPackage(ctx, done) {
+            getAllNfsSharedVolumesPackages({
+                papiClient: req._papiClient
+            }, function onListDone(getNfsVolPkgsErr, pkgs) {
+                var availableSizes;
+
+                if (getNfsVolPkgsErr || !pkgs || pkgs.length === 0) {
+                    done(new errors.InternalError(getNfsVolPkgsErr,
+                        'Could not get NFS volumes packages'));
+                    return;
+                }
+
+                ctx.storageVmPkg = pkgs.filter(function hasSize(pkg) {
+                    return pkg.quota === newSize;
+                })[0];
+
+                if (ctx.storageVmPkg === undefined) {
+                    availableSizes = pkgs.map(function getSizeFromPkg(pkg) {
+                        return pkg.quota;
+                    });
+
+                    done(new errors.VolumeSizeNotAvailableError(newSize,
+                        availableSizes));
+                    return;
+                }
+
+                req.log.debug({package: ctx.storageVmPkg},
+                    'Storage VM package found');
+
+                done();
+            });
+        },
+        function acquireQuotaTicket(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (newSize <= volume.size) {
+                done();
+                return;
+            }
+
+            _acquireQuotaTicket(req, volume.owner_uuid,
+                function onQuotaTicketAcquired(acquireErr, ticket) {
+                    ctx.quotaTicket = ticket;
+                    done(acquireErr);
+                });
+        },
+        function checkQuota(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            /*
+             * Shrinking a volume can only decrease its owner's usage, and so
+             * it's allowed even if that owner is currently over quota.
+             */
+            if (newSize <= volume.size) {
+                done();
+                return;
+            }
+
+            quotas.checkQuota({
+                log: req.log,
+                ownerUuid: volume.owner_uuid,
+                size: newSize,
+                volumeUuid: volume.uuid
+            }, done);
+        },
+        function getStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            assert.uuid(volume.vm_uuid, 'volume.vm_uuid');
+
+            req._vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetStorageVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                done(getVmErr);
+            });
+        },
+        function checkUsedSpace(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            /*
+             * Growing a volume is always possible, but shrinking it is
+             * possible only if the data it currently stores would fit in the
+             * new size.
+             */
+            if (newSize >= volume.size) {
+                done();
+                return;
+            }
+
+            datasets.getStorageVmDatasetUsage({
+                cnapiClient: req._cnapiClient,
+                serverUuid: ctx.storageVm.server_uuid,
+                storageVmUuid: volume.vm_uuid
+            }, function onUsage(usageErr, usage) {
+                var usedSize;
+
+                if (usageErr) {
+                    done(new errors.InternalError(usageErr,
+                        'Could not get volume\'s used space'));
+                    return;
+                }
+
+                req.log.debug({usage: usage}, 'Got storage VM dataset usage');
+
+                if (usage.used > newSize * units.BYTES_IN_MIB) {
+                    usedSize = Math.ceil(usage.used / units.BYTES_IN_MIB);
+                    done(new errors.VolumeSizeTooSmallError(newSize,
+                        usedSize));
+                    return;
+                }
+
+                done();
+            });
+        },
+        /*
+         * Similarly to what CreateVolume does with the storage VM's uuid, we
+         * record that the volume is being resized _before_ sending the
+         * request to VMAPI so that volapi-updater can't race with us.
+         */
+        function markVolumeAsResizing(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (!ctx.resizeNeeded) {
+                done();
+                return;
+            }
+
+            volume.state = 'resizing';
+            volume.resize = {
+                billing_id: ctx.storageVmPkg.uuid,
+                create_timestamp: Date.now(),
+                size: newSize
+            };
+
+            volumesModel.updateVolumeWithRetry(volume.uuid, ctx.volumeObject,
+                done);
+        },
+        function resizeStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (!ctx.resizeNeeded) {
+                done();
+                return;
+            }
+
+            req.log.debug({
+                volume: volume,
+                billingId: ctx.storageVmPkg.uuid
+            }, 'Resizing storage VM');
+
+            req._vmapiClient.updateVm({
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid,
+                payload: {
+                    billing_id: ctx.storageVmPkg.uuid
+                }
+            }, {
+                headers: {'x-request-id': req.getId()}
+            }, function onStorageVmUpdated(updateVmErr, job) {
+                if (updateVmErr) {
+                    req.log.error({err: updateVmErr},
+                        'Error when resizing storage VM');
+
+                    /*
+                     * The resize job couldn't be scheduled, so there's nothing
+                     * for volapi-updater to wait for: the volume goes back to
+                     * its previous state.
+                     */
+                    volume.state = 'ready';
+                    delete volume.resize;
+                } else {
+                    volume.resize.job_uuid = job.job_uuid;
+                }
+
+                volumesModel.updateVolumeWithRetry(volume.uuid,
+                    ctx.volumeObject, function onVolUpdated(volUpdateErr) {
+                        if (updateVmErr) {
+                            done(new errors.InternalError(updateVmErr,
+                                'Error when resizing storage VM'));
+                        } else {
+                            done(volUpdateErr);
+                        }
+                    });
+            });
+        }
+    ],
+    arg: context
+    }, function onVolumeResized(err) {
+        if (context.volumeObject) {
+            req.responseVolume = context.volumeObject.value;
+        }
+
+        _releaseTicketsAndSendResponse([context.ticket, context.quotaTicket],
+            req, res, next, err);
+    });
+}
+
+function validateRollbackVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['force', 'owner_uuid', 'snapshot_name', 'uuid'];
+    var MANDATORY_PARAM_NAMES = ['snapshot_name', 'uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.owner_uuid) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.snapshot_name !== undefined) {
+        errs = volumesValidation.validateVolumeSnapshotName(
+            req.params.snapshot_name);
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.force !== undefined) {
+        errs = volumesValidation.validateBoolean(req.params.force, 'force');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function rollbackVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.object(req.params, 'req.params');
+    assert.string(req.params.snapshot_name, 'req.params.snapshot_name');
+    assert.optionalBool(req.params.force, 'req.params.force');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var context = {};
+    var snapshotName = req.params.snapshot_name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    function restoreVolume(ctx, rollbackErr, callback) {
+        var volume = ctx.volumeObject.value;
+
+        /*
+         * Regardless of whether the rollback succeeded, we always try to
+         * restart the storage VM so that the volume can be used again. If the
+         * storage VM can't be restarted, the volume is marked as failed, and
+         * volapi-updater moves it back to the 'ready' state if its storage VM
+         * runs again later.
+         */
+        req._vmapiClient.startVm({
+            uuid: volume.vm_uuid,
+            owner_uuid: volume.owner_uuid,
+            idempotent: true,
+            sync: true
+        }, {
+            headers: {'x-request-id': req.getId()}
+        }, function onStorageVmStarted(startVmErr) {
+            if (startVmErr) {
+                req.log.error({err: startVmErr},
+                    'Error when starting storage VM');
+                volume.state = 'failed';
+            } else {
+                volume.state = 'ready';
+            }
+
+            req.log.debug({err: rollbackErr, volume: volume},
+                'Updating volume state after rollback');
+
+            volumesModel.updateVolumeWithRetry(volume.uuid, ctx.volumeObject,
+                function onVolUpdated(volUpdateErr) {
+                    callback(rollbackErr || startVmErr || volUpdateErr);
+                });
+        });
+    }
+
+    vasync.pipeline({funcs: [
+        function acquireVolumeTicket(ctx, done) {
+            var volume = req.loadedVolumeObject.value;
+            var ticketId = volume.owner_uuid + '-' + volume.name;
+
+            volumeTickets.acquireVolumeTicket(ticketId, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketAcquired(err, ticket) {
+                if (err) {
+                    done(new Error('Error when acquiring ticket: ' + err));
+                    return;
+                }
+
+                if (!ticket) {
+                    done(new Error('Error when acquiring ticket'));
+                    return;
+                }
+
+                if (ticket.status !== 'active') {
+                    done(new Error('Could not acquire ticket, ticket is ' +
+                        'not active and instead is: ' + ticket.status));
+                    return;
+                }
+
+                req.log.debug({ticket: ticket},
+                    'Volume rollback ticket acquired');
+
+                ctx.ticket = ticket;
+                done();
+            });
+        },
+        /*
+         * The volume object loaded by the loadVolumeObject middleware was
+         * loaded before the ticket was acquired, and thus might have been
+         * changed by another operation since then.
+         */
+        function reloadVolume(ctx, done) {
+            volumesModel.loadVolume(volumeUuid,
+                function onVolLoaded(loadVolErr, volumeObject) {
+                    ctx.volumeObject = volumeObject;
+                    done(loadVolErr);
+                });
+        },
+        function checkVolumeReady(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            done();
+        },
+        function loadSnapshot(ctx, done) {
+            volumeSnapshotsModel.getVolumeSnapshot(volumeUuid, snapshotName,
+                function onGetSnapshot(getSnapshotErr, snapshotObject) {
+                    if (getSnapshotErr) {
+                        done(getSnapshotErr);
+                        return;
+                    }
+
+                    if (!snapshotObject) {
+                        done(new errors.VolumeSnapshotNotFoundError(volumeUuid,
+                            snapshotName));
+                        return;
+                    }
+
+                    if (snapshotObject.value.state !== 'created') {
+                        done(new errors.VolumeSnapshotNotReadyError(volumeUuid,
+                            snapshotName, snapshotObject.value.state));
+                        return;
+                    }
+
+                    ctx.snapshot = snapshotObject.value;
+                    done();
+                });
+        },
+        function checkVolumeUnused(ctx, done) {
+            if (req.params.force === true) {
+                req.log.debug({
+                    params: req.params
+                }, 'force set to true in request\'s params, skipping ' +
+                    'in-use check');
+                done();
+                return;
+            }
+
+            _checkVolumeUnused(ctx.volumeObject, {
+                log: req.log,
+                vmapiClient: req._vmapiClient
+            }, done);
+        },
+        function getStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            assert.uuid(volume.vm_uuid, 'volume.vm_uuid');
+
+            req._vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetStorageVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                done(getVmErr);
+            });
+        },
+        function markVolumeAsRollingBack(ctx, done) {
+            ctx.volumeObject.value.state = 'rolling_back';
+            volumesModel.updateVolumeWithRetry(volumeUuid, ctx.volumeObject,
+                function onVolUpdated(volUpdateErr) {
+                    if (!volUpdateErr) {
+                        ctx.volumeMarkedAsRollingBack = true;
+                    }
+
+                    done(volUpdateErr);
+                });
+        },
+        /*
+         * A dataset can't be rolled back while it's mounted and used by the
+         * NFS server, so the storage VM needs to be stopped first.
+         */
+        function stopStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            req.log.debug({volume: volume}, 'Stopping storage VM');
+
+            req._vmapiClient.stopVm({
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid,
+                idempotent: true,
+                sync: true
+            }, {
+                headers: {'x-request-id': req.getId()}
+            }, function onStorageVmStopped(stopVmErr) {
+                done(stopVmErr);
+            });
+        },
+        function rollbackDataset(ctx, done) {
+            datasets.rollbackStorageVmDatasetSnapshot({
+                cnapiClient: req._cnapiClient,
+                serverUuid: ctx.storageVm.server_uuid,
+                snapshotName: snapshotName,
+                storageVmUuid: ctx.storageVm.uuid
+            }, function onRolledBack(rollbackErr) {
+                if (rollbackErr) {
+                    req.log.error({err: rollbackErr},
+                        'Error when rolling back dataset');
+                    done(new errors.InternalError(rollbackErr,
+                        'Error when rolling back volume'));
+                    return;
+                }
+
+                done();
+            });
+        },
+        /*
+         * Rolling back the dataset destroyed all the ZFS snapshots more recent
+         * than the one the volume was rolled back to, so their objects need to
+         * be deleted too.
+         */
+        function deleteMoreRecentSnapshots(ctx, done) {
+            volumeSnapshotsModel.listVolumeSnapshots({
+                volumeUuid: volumeUuid
+            }, function onSnapshotsListed(listErr, snapshotObjects) {
+                if (listErr) {
+                    done(listErr);
+                    return;
+                }
+
+                vasync.forEachParallel({
+                    func: function deleteSnapshot(snapshotObject, cb) {
+                        volumeSnapshotsModel.deleteVolumeSnapshot(
+                            snapshotObject.value.uuid, cb);
+                    },
+                    inputs: snapshotObjects.filter(
+                        function isMoreRecent(snapshotObject) {
+                            return snapshotObject.value.create_timestamp >
+                                ctx.snapshot.create_timestamp;
+                        })
+                }, function onSnapshotsDeleted(delErr) {
+                    done(delErr);
+                });
+            });
+        }
+    ],
+    arg: context
+    }, function onVolumeRolledBack(err) {
+        if (context.volumeObject) {
+            req.responseVolume = context.volumeObject.value;
+        }
+
+        function releaseTicket(releaseErr) {
+            if (context.ticket !== undefined) {
+                volumeTickets.releaseVolumeTicket(context.ticket, {
+                    cnapiClient: req._cnapiClient,
+                    log: req.log
+                }, function onTicketReleased() {
+                    // We explicitly ignore errors when releasing volume
+                    // tickets, because there's not much we can do in that
+                    // case. Instead, we propagate the error that happened in
+                    // the vasync pipeline if there's one.
+                    next(releaseErr);
+                });
+            } else {
+                next(releaseErr);
+            }
+        }
+
+        if (context.volumeMarkedAsRollingBack) {
+            restoreVolume(context, err, releaseTicket);
+        } else {
+            releaseTicket(err);
+        }
+    });
+}
+
+function validateRestoreVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['owner_uuid', 'uuid'];
+    var MANDATORY_PARAM_NAMES = ['uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.owner_uuid) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Brings a volume trashed by DeleteVolume back to the 'ready' state by starting
+// its storage VM again.
+//
+function restoreTrashedVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var context = {};
+    var volumeName = req.loadedVolumeObject.value.name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    vasync.pipeline({funcs: [
+        function acquireVolumeTicket(ctx, done) {
+            var volume = req.loadedVolumeObject.value;
+            var ticketId = volume.owner_uuid + '-' + volume.name;
+
+            volumeTickets.acquireVolumeTicket(ticketId, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketAcquired(err, ticket) {
+                if (err) {
+                    done(new Error('Error when acquiring ticket: ' + err));
+                    return;
+                }
+
+                if (!ticket) {
+                    done(new Error('Error when acquiring ticket'));
+                    return;
+                }
+
+                if (ticket.status !== 'active') {
+                    done(new Error('Could not acquire ticket, ticket is ' +
+                        'not active and instead is: ' + ticket.status));
+                    return;
+                }
+
+                req.log.debug({ticket: ticket},
+                    'Volume restore ticket acquired');
+
+                ctx.ticket = ticket;
+                done();
+            });
+        },
+        /*
+         * The volume object loaded by the loadVolumeObject middleware was
+         * loaded before the ticket was acquired, and thus might have been
+         * changed by another operation since then.
+         */
+        function reloadVolume(ctx, done) {
+            volumesModel.loadVolume(volumeUuid,
+                function onVolLoaded(loadVolErr, volumeObject) {
+                    ctx.volumeObject = volumeObject;
+                    done(loadVolErr);
+                });
+        },
+        function checkVolumeTrashed(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (volume.state !== 'trashed') {
+                done(new errors.VolumeNotTrashedError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            done();
+        },
+        /*
+         * Another volume with the same name might have been created by the
+         * same owner since this volume was trashed.
+         */
+        function checkDuplicateVolume(ctx, done) {
+            volumesModel.listVolumes({
+                name: volumeName,
+                owner_uuid: ctx.volumeObject.value.owner_uuid,
+                predicate: krill.createPredicate({
+                    or: [
+                        {eq: ['state', 'ready']},
+                        {eq: ['state', 'creating']}
+                    ]
+                })
+            }, function onVolumesListed(err, volumes) {
+                if (!err && volumes.length > 0) {
+                    err = new errors.VolumeAlreadyExistsError(volumeName);
+                }
+
+                done(err);
+            });
+        },
+        function startStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            req.log.debug({volume: volume}, 'Starting storage VM');
+
+            req._vmapiClient.startVm({
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid,
+                idempotent: true,
+                sync: true
+            }, {
+                headers: {'x-request-id': req.getId()}
+            }, function onStorageVmStarted(startVmErr) {
+                if (startVmErr) {
+                    req.log.error({err: startVmErr},
+                        'Error when starting storage VM');
+                    done(new errors.InternalError(startVmErr,
+                        'Error when starting storage VM'));
+                    return;
+                }
+
+                done();
+            });
+        },
+        /*
+         * volapi-updater doesn't acquire volume tickets before purging
+         * expired trashed volumes, so the volume is updated conditionally on
+         * its etag in case it started purging it in the meantime.
+         */
+        function markVolumeAsReady(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            volume.state = 'ready';
+            delete volume.trash;
+
+            volumesModel.updateVolumeWithRetry(volume.uuid, {
+                etag: ctx.volumeObject._etag,
+                value: volume
+            }, done);
+        }
+    ],
+    arg: context
+    }, function onVolumeRestored(err) {
+        if (context.volumeObject) {
+            req.responseVolume = context.volumeObject.value;
+        }
+
+        if (context.ticket !== undefined) {
+            volumeTickets.releaseVolumeTicket(context.ticket, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketReleased() {
+                // We explicitly ignore errors when releasing volume tickets,
+                // because there's not much we can do in that case. Instead, we
+                // propagate the error that happened in the vasync pipeline if
+                // there's one.
+                next(err);
+            });
+        } else {
+            next(err);
+        }
+    });
+}
+
+function validateTransferVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['new_owner_uuid', 'owner_uuid', 'uuid'];
+    var MANDATORY_PARAM_NAMES = ['new_owner_uuid', 'uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.owner_uuid) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.new_owner_uuid) {
+        errs = uuidValidation.validateUuid(req.params.new_owner_uuid,
+            'new_owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function transferVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.object(req.params, 'req.params');
+    assert.uuid(req.params.new_owner_uuid, 'req.params.new_owner_uuid');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var context = {tickets: []};
+    var newOwnerUuid = req.params.new_owner_uuid;
+    var volumeName = req.loadedVolumeObject.value.name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    vasync.pipeline({funcs: [
+        /*
+         * We need to hold the ticket for the volume's current name and owner
+         * so that no other operation changes the volume while it's being
+         * transferred, and the ticket for its name and new owner so that the
+         * new owner can't create a volume with the same name concurrently.
+         */
+        function acquireVolumeTickets(ctx, done) {
+            /*
+             * Tickets are always acquired in the same order so that opposite
+             * transfers of volumes with the same name (from owner A to owner B
+             * and from owner B to owner A) don't each hold one ticket while
+             * waiting for the other.
+             */
+            var ticketIds = [
+                req.loadedVolumeObject.value.owner_uuid + '-' + volumeName,
+                newOwnerUuid + '-' + volumeName
+            ].sort();
+
+            vasync.forEachPipeline({
+                func: function acquireTicket(ticketId, cb) {
+                    volumeTickets.acquireVolumeTicket(ticketId, {
+                        cnapiClient: req._cnapiClient,
+                        log: req.log
+                    }, function onTicketAcquired(err, ticket) {
+                        if (err) {
+                            cb(new Error('Error when acquiring ticket: ' +
+                                err));
+                            return;
+                        }
+
+                        if (!ticket) {
+                            cb(new Error('Error when acquiring ticket'));
+                            return;
+                        }
+
+                        ctx.tickets.push(ticket);
+
+                        if (ticket.status !== 'active') {
+                            cb(new Error('Could not acquire ticket, ticket ' +
+                                'is not active and instead is: ' +
+                                ticket.status));
+                            return;
+                        }
+
+                        req.log.debug({ticket: ticket},
+                            'Volume transfer ticket acquired');
+                        cb();
+                    });
+                },
+                inputs: ticketIds
+            }, function onTicketsAcquired(err) {
+                done(err);
+            });
+        },
+        /*
+         * The volume object loaded by the loadVolumeObject middleware was
+         * loaded before the tickets were acquired, and thus might have been
+         * changed by another operation since then.
+         */
+        function reloadVolume(ctx, done) {
+            volumesModel.loadVolume(volumeUuid,
+                function onVolLoaded(loadVolErr, volumeObject) {
+                    ctx.volumeObject = volumeObject;
+                    done(loadVolErr);
+                });
+        },
+        function checkVolumeReady(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            done();
+        },
+        function checkVolumeUnreferenced(ctx, done) {
+            var refs = ctx.volumeObject.value.refs;
+
+            /*
+             * VMs of the previous owner can't keep using a volume that they
+             * don't own, so a volume can't be transferred while it's
+             * referenced.
+             */
+            if (refs && refs.length > 0) {
+                done(new errors.VolumeInUseError(volumeName, refs));
+                return;
+            }
+
+            done();
+        },
+        function checkNoReservation(ctx, done) {
+            /*
+             * Similarly, VMs of the previous owner that are being provisioned
+             * would reference the volume once they're created.
+             */
+            reservationModels.listVolumeReservations({
+                volumeName: volumeName,
+                ownerUuid: ctx.volumeObject.value.owner_uuid
+            }, function onListVolRes(listVolResErr, volReservations) {
+                var reservingVmUuids;
+
+                if (listVolResErr) {
+                    done(listVolResErr);
+                    return;
+                }
+
+                if (volReservations.length > 0) {
+                    reservingVmUuids =
+                        volReservations.map(function getVmUuid(volRes) {
+                            return volRes.value.vm_uuid;
+                        });
+
+                    done(new errors.VolumeInUseError(volumeName,
+                        reservingVmUuids));
+                    return;
+                }
+
+                done();
+            });
+        },
+        function checkDuplicateVolume(ctx, done) {
+            volumesModel.listVolumes({
+                name: volumeName,
+                owner_uuid: newOwnerUuid,
+                predicate: krill.createPredicate({
+                    or: [
+                        {eq: ['state', 'ready']},
+                        {eq: ['state', 'creating']}
+                    ]
+                })
+            }, function onVolumesListed(err, volumes) {
+                if (!err && volumes.length > 0) {
+                    err = new errors.VolumeAlreadyExistsError(volumeName);
+                }
+
+                done(err);
+            });
+        },
+        function getStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            assert.uuid(volume.vm_uuid, 'volume.vm_uuid');
+
+            req._vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetStorageVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                done(getVmErr);
+            });
+        },
+        function checkNetworks(ctx, done) {
+            /*
+             * The storage VM stays on the same fabric networks, so these
+             * networks need to be owned by the new owner too.
+             */
+            var networks = (ctx.storageVm.nics || []).map(
+                function getNetworkUuid(nic) {
+                    return nic.network_uuid;
+                });
+
+            networksValidation.validateFabricNetworkOwnership(req._napiClient, {
+                networks: networks,
+                owner_uuid: newOwnerUuid
+            }, done);
+        },
+        /*
+         * The quota ticket is released along with the volume tickets.
+         */
+        function acquireQuotaTicket(ctx, done) {
+            _acquireQuotaTicket(req, newOwnerUuid,
+                function onQuotaTicketAcquired(acquireErr, ticket) {
+                    if (ticket) {
+                        ctx.tickets.push(ticket);
+                    }
+
+                    done(acquireErr);
+                });
+        },
+        function checkQuota(ctx, done) {
+            quotas.checkQuota({
+                log: req.log,
+                ownerUuid: newOwnerUuid,
+                size: ctx.volumeObject.value.size
+            }, done);
+        },
+        function transferStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            req.log.debug({
+                volume: volume,
+                newOwnerUuid: newOwnerUuid
+            }, 'Transferring storage VM');
+
+            req._vmapiClient.updateVm({
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid,
+                payload: {
+                    new_owner_uuid: newOwnerUuid
+                }
+            }, {
+                headers: {'x-request-id': req.getId()}
+            }, function onStorageVmUpdated(updateVmErr) {
+                if (updateVmErr) {
+                    req.log.error({err: updateVmErr},
+                        'Error when transferring storage VM');
+                    done(new errors.InternalError(updateVmErr,
+                        'Error when transferring storage VM'));
+                    return;
+                }
+
+                done();
+            });
+        },
+        function transferSnapshots(ctx, done) {
+            volumeSnapshotsModel.listVolumeSnapshots({
+                volumeUuid: volumeUuid
+            }, function onSnapshotsListed(listErr, snapshotObjects) {
+                if (listErr) {
+                    done(listErr);
+                    return;
+                }
+
+                vasync.forEachParallel({
+                    func: function transferSnapshot(snapshotObject, cb) {
+                        snapshotObject.value.owner_uuid = newOwnerUuid;
+                        volumeSnapshotsModel.updateVolumeSnapshot(
+                            snapshotObject.value, cb);
+                    },
+                    inputs: snapshotObjects
+                }, function onSnapshotsTransferred(transferErr) {
+                    done(transferErr);
+                });
+            });
+        },
+        function changeVolumeOwner(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            volume.owner_uuid = newOwnerUuid;
+
+            volumesModel.updateVolumeWithRetry(volume.uuid, ctx.volumeObject,
+                done);
+        },
+        function recordTransferUsage(ctx, done) {
+            usageRecordsModel.recordUsage({
+                billingId: ctx.storageVm.billing_id,
+                event: 'transfer',
+                volume: ctx.volumeObject.value
+            }, done);
+        }
+    ],
+    arg: context
+    }, function onVolumeTransferred(err) {
+        if (context.volumeObject) {
+            req.responseVolume = context.volumeObject.value;
+        }
+
+        // We explicitly ignore errors when releasing volume tickets, because
+        // there's not much we can do in that case. Instead, we propagate the
+        // error that happened in the vasync pipeline if there's one.
+        vasync.forEachParallel({
+            func: function releaseTicket(ticket, cb) {
+                volumeTickets.releaseVolumeTicket(ticket, {
+                    cnapiClient: req._cnapiClient,
+                    log: req.log
+                }, function onTicketReleased() {
+                    cb();
+                });
+            },
+            inputs: context.tickets
+        }, function onTicketsReleased() {
+            next(err);
+        });
+    });
+}
+
+function validateChangeVolumeNetwork(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var err;
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['network', 'owner_uuid', 'uuid'];
+    var MANDATORY_PARAM_NAMES = ['network', 'uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.owner_uuid) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.network !== undefined) {
+        err = networksValidation.validateNetwork(req.params.network);
+        if (err) {
+            validationErrs.push(err);
+        }
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Loads the volume represented by "req.loadedVolumeObject" and its storage VM
+// while holding that volume's ticket, and then calls the vasync pipeline
+// function "changeNics" that sends the request that changes the storage VM's
+// NICs to VMAPI. The volume's "networks" property is updated by volapi-updater
+// once the storage VM's NICs actually changed.
+//
+function _changeStorageVmNics(req, changeNics, callback) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.func(changeNics, 'changeNics');
+    assert.func(callback, 'callback');
+
+    var context = {};
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    vasync.pipeline({funcs: [
+        function acquireVolumeTicket(ctx, done) {
+            var volume = req.loadedVolumeObject.value;
+            var ticketId = volume.owner_uuid + '-' + volume.name;
+
+            volumeTickets.acquireVolumeTicket(ticketId, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketAcquired(err, ticket) {
+                if (err) {
+                    done(new Error('Error when acquiring ticket: ' + err));
+                    return;
+                }
+
+                if (!ticket) {
+                    done(new Error('Error when acquiring ticket'));
+                    return;
+                }
+
+                if (ticket.status !== 'active') {
+                    done(new Error('Could not acquire ticket, ticket is ' +
+                        'not active and instead is: ' + ticket.status));
+                    return;
+                }
+
+                req.log.debug({ticket: ticket},
+                    'Volume networks update ticket acquired');
+
+                ctx.ticket = ticket;
+                done();
+            });
+        },
+        /*
+         * The volume object loaded by the loadVolumeObject middleware was
+         * loaded before the ticket was acquired, and thus might have been
+         * changed by another operation since then.
+         */
+        function reloadVolume(ctx, done) {
+            volumesModel.loadVolume(volumeUuid,
+                function onVolLoaded(loadVolErr, volumeObject) {
+                    ctx.volumeObject = volumeObject;
+                    done(loadVolErr);
+                });
+        },
+        function checkVolumeReady(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            if (volume.state !== 'ready') {
+                done(new errors.VolumeNotReadyError(volume.uuid,
+                    volume.state));
+                return;
+            }
+
+            done();
+        },
+        function getStorageVm(ctx, done) {
+            var volume = ctx.volumeObject.value;
+
+            assert.uuid(volume.vm_uuid, 'volume.vm_uuid');
+
+            req._vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetStorageVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                done(getVmErr);
+            });
+        },
+        changeNics
+    ],
+    arg: context
+    }, function onStorageVmNicsChanged(err) {
+        if (context.volumeObject) {
+            req.responseVolume = context.volumeObject.value;
+        }
+
+        if (context.ticket !== undefined) {
+            volumeTickets.releaseVolumeTicket(context.ticket, {
+                cnapiClient: req._cnapiClient,
+                log: req.log
+            }, function onTicketReleased() {
+                // We explicitly ignore errors when releasing volume tickets,
+                // because there's not much we can do in that case. Instead, we
+                // propagate the error that happened in the vasync pipeline if
+                // there's one.
+                callback(err);
+            });
+        } else {
+            callback(err);
+        }
+    });
+}
+
+function _findStorageVmNic(storageVm, networkUuid) {
+    assert.object(storageVm, 'storageVm');
+    assert.uuid(networkUuid, 'networkUuid');
+
+    return (storageVm.nics || []).filter(function isOnNetwork(nic) {
+        return nic.network_uuid === networkUuid;
+    })[0];
+}
+
+function addVolumeNetwork(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.uuid(req.params.network, 'req.params.network');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var networkUuid = req.params.network;
+
+    _changeStorageVmNics(req, function addNic(ctx, done) {
+        var volume = ctx.volumeObject.value;
+
+        if (_findStorageVmNic(ctx.storageVm, networkUuid) !== undefined) {
+            done(new errors.VolumeNetworkAlreadyAttachedError(volume.uuid,
+                networkUuid));
+            return;
+        }
+
+        networksValidation.validateFabricNetworkOwnership(req._napiClient, {
+            networks: [networkUuid],
+            owner_uuid: volume.owner_uuid
+        }, function onNetworkValidated(networkErr) {
+            if (networkErr) {
+                done(networkErr);
+                return;
+            }
+
+            req.log.debug({
+                volume: volume,
+                network: networkUuid
+            }, 'Adding NIC to storage VM');
+
+            req._vmapiClient.addNics({
+                uuid: volume.vm_uuid,
+                networks: [networkUuid]
+            }, {
+                headers: {'x-request-id': req.getId()}
+            }, function onNicAdded(addNicErr) {
+                if (addNicErr) {
+                    req.log.error({err: addNicErr},
+                        'Error when adding NIC to storage VM');
+                    done(new errors.InternalError(addNicErr,
+                        'Error when adding NIC to storage VM'));
+                    return;
+                }
+
+                done();
+            });
+        });
+    }, next);
+}
+
+function removeVolumeNetwork(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.uuid(req.params.network, 'req.params.network');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var networkUuid = req.params.network;
+
+    _changeStorageVmNics(req, function removeNic(ctx, done) {
+        var nic = _findStorageVmNic(ctx.storageVm, networkUuid);
+        var volume = ctx.volumeObject.value;
+
+        if (nic === undefined) {
+            done(new errors.VolumeNetworkNotAttachedError(volume.uuid,
+                networkUuid));
+            return;
+        }
+
+        /*
+         * VMs mount the volume using its filesystem_path, which contains the
+         * IP address of one of the storage VM's NICs. Removing that NIC would
+         * make the volume unreachable by these VMs.
+         */
+        if (volume.filesystem_path !== undefined &&
+            volume.filesystem_path.indexOf(nic.ip + ':') === 0) {
+            done(new errors.VolumeNetworkInUseError(volume.uuid,
+                networkUuid));
+            return;
+        }
+
+        req.log.debug({
+            volume: volume,
+            nic: nic
+        }, 'Removing NIC from storage VM');
+
+        req._vmapiClient.removeNics({
+            uuid: volume.vm_uuid,
+            macs: [nic.mac]
+        }, {
+            headers: {'x-request-id': req.getId()}
+        }, function onNicRemoved(removeNicErr) {
+            if (removeNicErr) {
+                req.log.error({err: removeNicErr},
+                    'Error when removing NIC from storage VM');
+                done(new errors.InternalError(removeNicErr,
+                    'Error when removing NIC from storage VM'));
+                return;
+            }
+
+            done();
+        });
+    }, next);
+}
+
+function renderVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseVolume, 'req.responseVolume');
+
+    req.renderedResponse = formatVolumeValue(req.responseVolume, {
+        includeUsage: req.params.include_usage === 'true'
+    });
+    next();
+}
+
+//
+// The "usage" property of volumes is collected periodically by volapi-updater,
+// and is only rendered when "options.includeUsage" is true.
+//
+function formatVolumeValue(volumeValue, options) {
+    assert.object(volumeValue, 'volumeValue');
+    assert.object(options, 'options');
+    assert.bool(options.includeUsage, 'options.includeUsage');
+
+    var result = jsprim.deepCopy(volumeValue);
+
+    result.create_timestamp =
+        new Date(volumeValue.create_timestamp).toISOString();
+
+    if (volumeValue.labels) {
+        result.labels = JSON.parse(volumeValue.labels);
+    }
+
+    if (options.includeUsage && volumeValue.usage) {
+        result.usage.last_updated =
+            new Date(volumeValue.usage.last_updated).toISOString();
+    } else {
+        delete result.usage;
+    }
+
+    return result;
+}
+
+function formatVolumesValues(volumeValues, options) {
+    assert.arrayOfObject(volumeValues, 'volumeValues');
+    assert.object(options, 'options');
+
+    return volumeValues.map(function formatValue(volumeValue) {
+        return formatVolumeValue(volumeValue, options);
+    });
+}
+
+function validateResync(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['uuid'];
+    var MANDATORY_PARAM_NAMES = ['uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+//
+// Resyncs are performed by volapi-updater, so that they're serialized with
+// the VM change events it processes. This forwards the request to the route
+// with path "resyncPath" on volapi-updater's server (see
+// lib/endpoints/resync.js), and stores its result as req.responseResync.
+// Errors sent by volapi-updater, e.g VolumeNotFound, are sent as is.
+//
+function forwardResyncToUpdater(resyncPath, req, next) {
+    assert.string(resyncPath, 'resyncPath');
+    assert.object(req, 'req');
+    assert.object(req._updaterClient, 'req._updaterClient');
+    assert.func(next, 'next');
+
+    req._updaterClient.post(resyncPath, {},
+        function onResync(resyncErr, updaterReq, updaterRes, result) {
+            if (resyncErr && resyncErr.statusCode !== undefined) {
+                next(resyncErr);
+                return;
+            }
+
+            if (resyncErr) {
+                req.log.error({err: resyncErr},
+                    'Error when sending resync request to volapi-updater');
+                next(new errors.InternalError(resyncErr,
+                    'Error when sending resync request to volapi-updater'));
+                return;
+            }
+
+            req.responseResync = result;
+            next();
+        });
+}
+
+function resyncVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    forwardResyncToUpdater('/volumes/' + req.params.uuid + '/resync', req,
+        next);
+}
+
+function resyncVmReferences(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    forwardResyncToUpdater('/vms/' + req.params.uuid + '/resync-references',
+        req, next);
+}
+
+function renderResyncedVolume(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseResync, 'req.responseResync');
+    assert.object(req.responseResync.before, 'req.responseResync.before');
+    assert.optionalObject(req.responseResync.after,
+        'req.responseResync.after');
+
+    req.renderedResponse = {
+        after: null,
+        before: formatVolumeValue(req.responseResync.before, {
+            includeUsage: false
+        })
+    };
+
+    if (req.responseResync.after) {
+        req.renderedResponse.after =
+            formatVolumeValue(req.responseResync.after, {
+                includeUsage: false
+            });
+    }
+
+    next();
+}
+
+function renderResyncedVmReferences(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseResync, 'req.responseResync');
+
+    req.renderedResponse = {
+        after: formatVolumesValues(req.responseResync.after, {
+            includeUsage: false
+        }),
+        before: formatVolumesValues(req.responseResync.before, {
+            includeUsage: false
+        })
+    };
+
+    next();
+}
+
+function renderVolumes(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseVolumes, 'req.responseVolumes');
+
+    req.renderedResponse = formatVolumesValues(req.responseVolumes, {
+        includeUsage: req.query.include_usage === 'true'
+    });
+
+    next();
+}
+
+function renderVolumeReferences(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.arrayOfString(req.volumeReferences, 'req.volumeReferences');
+    req.renderedResponse = req.volumeReferences;
+
+    next();
+}
+
+function checkNfsServerImgImported(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    if (APPLICATION_STATE.nfsServerImageImported !== true ||
+            APPLICATION_STATE.nfsServerImage2Imported !== true) {
+        next(new Error('nfsserver image not yet imported'));
+    } else {
+        next();
+    }
+}
+
+function validateAddVolumeReference(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var errs = [];
+    var validationErrs = [];
+    var VALID_PARAM_NAMES = ['uuid', 'owner_uuid', 'vm_uuid'];
+    var MANDATORY_PARAM_NAMES = ['uuid', 'owner_uuid', 'vm_uuid'];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            MANDATORY_PARAM_NAMES);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params, VALID_PARAM_NAMES);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    if (req.params.uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.uuid, 'uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.owner_uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.owner_uuid, 'owner_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.vm_uuid !== undefined) {
+        errs = uuidValidation.validateUuid(req.params.vm_uuid, 'vm_uuid');
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function addVolumeReference(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedVolumeObject, 'req.loadedVolumeObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var context = {};
+    var vmUuid = req.params.vm_uuid;
+    var volumeName = req.loadedVolumeObject.value.name;
+    var volumeUuid = req.loadedVolumeObject.value.uuid;
+
+    vasync.pipeline({arg: context, funcs: [
+        /*
+         * Add actual reference first so that we don't end up deleting a
+         * reservation and _not_ adding a reference, which could result in the
+         * VM not referencing the volume in any way in some cases.
+         */
+        function addReference(ctx, done) {
+            volumesModel.addReference(vmUuid, volumeUuid, done);
+        },
+        function loadVolReservation(ctx, done) {
+            reservationModels.listVolumeReservations({
+                volumeName: volumeName,
+                vmUuid: vmUuid
+            }, function onListRes(listResErr, volReservations) {
+                req.log.debug({
+                    err: listResErr,
+                    volReservations: volReservations
+                }, 'Found volume reservations');
+
+                ctx.volumeReservations = volReservations;
                 done(listResErr);
             });
         },
@@ -1809,7 +3953,7 @@ function mount(config, server, applicationState) {
         version: '1.0.0'
     }, checkNfsServerImgImported,
         restify.bodyParser(), validateCreateVolume,
-        setConnectionTimeout,
+        connectionMiddlewares.setConnectionTimeout,
         createVolume, renderVolume,
         renderingMiddlewares.makeSendResponseHandler({
             statusCode: 201
@@ -1850,7 +3994,7 @@ function mount(config, server, applicationState) {
         name: 'DeleteVolume',
         version: '1.0.0'
     }, restify.queryParser(), validateDeleteVolume,
-        setConnectionTimeout,
+        connectionMiddlewares.setConnectionTimeout,
         volumesMiddlewares.loadVolumeObject, deleteVolume,
         function renderDeletedVolume(req, res, next) {
             /*
@@ -1881,7 +4025,7 @@ function mount(config, server, applicationState) {
         name: 'UpdateVolume',
         version: '1.0.0'
     }, restify.bodyParser(), validateUpdateVolume,
-        setConnectionTimeout,
+        connectionMiddlewares.setConnectionTimeout,
         volumesMiddlewares.loadVolumeObject,
         updateVolume,
         renderVolume,
@@ -1889,6 +4033,106 @@ function mount(config, server, applicationState) {
             statusCode: 200
         }));
 
+    server.post({
+        path: '/volumes/:uuid/resize',
+        name: 'ResizeVolume',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateResizeVolume,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        resizeVolume,
+        renderVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 202
+        }));
+
+    server.post({
+        path: '/volumes/:uuid/rollback',
+        name: 'RollbackVolume',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateRollbackVolume,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        rollbackVolume,
+        renderVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/volumes/:uuid/restore',
+        name: 'RestoreVolume',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateRestoreVolume,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        restoreTrashedVolume,
+        renderVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/volumes/:uuid/transfer',
+        name: 'TransferVolume',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateTransferVolume,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        transferVolume,
+        renderVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/volumes/:uuid/addnetwork',
+        name: 'AddVolumeNetwork',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateChangeVolumeNetwork,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        addVolumeNetwork,
+        renderVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 202
+        }));
+
+    server.post({
+        path: '/volumes/:uuid/removenetwork',
+        name: 'RemoveVolumeNetwork',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateChangeVolumeNetwork,
+        connectionMiddlewares.setConnectionTimeout,
+        volumesMiddlewares.loadVolumeObject,
+        removeVolumeNetwork,
+        renderVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 202
+        }));
+
+    server.post({
+        path: '/volumes/:uuid/resync',
+        name: 'ResyncVolume',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateResync,
+        resyncVolume,
+        renderResyncedVolume,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/vms/:uuid/resync-references',
+        name: 'ResyncVmReferences',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateResync,
+        resyncVmReferences,
+        renderResyncedVmReferences,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
     server.post({
         path: '/volumes/:uuid/addreference',
         name: 'AddVolumeReference',
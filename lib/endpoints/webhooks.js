@@ -0,0 +1,394 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Webhooks are subscriptions of HTTP endpoints to the lifecycle events of the
+ * volumes of a given owner (see lib/webhooks.js for how they're notified).
+ *
+ * These APIs are internal and meant to be used by operators, not to be exposed
+ * via any external service such as CloudAPI.
+ *
+ * A webhook object has the following properties:
+ *
+ * - uuid -- the webhook's UUID
+ * - owner_uuid -- the owner of the volumes for which the webhook is notified
+ * - url -- the http or https URL to which notifications are sent
+ * - secret -- the key used to sign notifications, which is never rendered
+ * - events -- the events for which the webhook is notified
+ * - create_timestamp -- the date and time at which the webhook was created
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var restify = require('restify');
+
+var errors = require('../errors');
+var renderingMiddlewares = require('../middlewares/rendering');
+var validationUtils = require('../validation/utils');
+var uuidValidation = require('../validation/uuid');
+var webhooksModel = require('../models/webhooks');
+var webhooksValidation = require('../validation/webhooks');
+
+function _validateWebhookParams(req, options) {
+    assert.object(req, 'req');
+    assert.object(options, 'options');
+    assert.arrayOfString(options.validParamNames, 'options.validParamNames');
+    assert.arrayOfString(options.mandatoryParamNames,
+        'options.mandatoryParamNames');
+
+    var errs = [];
+    var validationErrs = [];
+
+    var mandatoryParamsErrs =
+        validationUtils.checkMandatoryParamsPresence(req.params,
+            options.mandatoryParamNames);
+    var invalidParamsErrs =
+        validationUtils.checkInvalidParams(req.params,
+            options.validParamNames);
+
+    validationErrs = validationErrs.concat(mandatoryParamsErrs);
+    validationErrs = validationErrs.concat(invalidParamsErrs);
+
+    ['owner_uuid', 'uuid'].forEach(function validateUuidParam(paramName) {
+        if (req.params[paramName] !== undefined) {
+            errs = uuidValidation.validateUuid(req.params[paramName],
+                paramName);
+            validationErrs = validationErrs.concat(errs);
+        }
+    });
+
+    if (req.params.url !== undefined) {
+        errs = webhooksValidation.validateWebhookUrl(req.params.url);
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.secret !== undefined) {
+        errs = webhooksValidation.validateWebhookSecret(req.params.secret);
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    if (req.params.events !== undefined) {
+        errs = webhooksValidation.validateWebhookEvents(req.params.events);
+        validationErrs = validationErrs.concat(errs);
+    }
+
+    return validationErrs;
+}
+
+function _sendValidationResult(validationErrs, next) {
+    assert.arrayOfObject(validationErrs, 'validationErrs');
+    assert.func(next, 'next');
+
+    if (validationErrs.length > 0) {
+        next(new errors.ValidationError(validationErrs));
+        return;
+    } else {
+        next();
+        return;
+    }
+}
+
+function validateCreateWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    _sendValidationResult(_validateWebhookParams(req, {
+        validParamNames: ['events', 'owner_uuid', 'secret', 'url'],
+        mandatoryParamNames: ['events', 'owner_uuid', 'secret', 'url']
+    }), next);
+}
+
+function validateListWebhooks(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    _sendValidationResult(_validateWebhookParams(req, {
+        validParamNames: ['owner_uuid'],
+        mandatoryParamNames: []
+    }), next);
+}
+
+//
+// Validates the parameters of the GetWebhook and DeleteWebhook endpoints.
+//
+function validateWebhookUuid(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    _sendValidationResult(_validateWebhookParams(req, {
+        validParamNames: ['owner_uuid', 'uuid'],
+        mandatoryParamNames: ['uuid']
+    }), next);
+}
+
+function validateUpdateWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var validationErrs = _validateWebhookParams(req, {
+        validParamNames: ['events', 'owner_uuid', 'secret', 'url', 'uuid'],
+        mandatoryParamNames: ['uuid']
+    });
+
+    if (req.params.events === undefined && req.params.secret === undefined &&
+        req.params.url === undefined) {
+        validationErrs.push(new Error('at least one of events, secret and ' +
+            'url is required'));
+    }
+
+    _sendValidationResult(validationErrs, next);
+}
+
+//
+// Loads the webhook with UUID "req.params.uuid". When "req.params.owner_uuid"
+// is present, webhooks of other owners are considered not to exist.
+//
+function loadWebhookObject(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.uuid(req.params.uuid, 'req.params.uuid');
+    assert.optionalUuid(req.params.owner_uuid, 'req.params.owner_uuid');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var ownerUuid = req.params.owner_uuid;
+    var webhookUuid = req.params.uuid;
+
+    webhooksModel.loadWebhook(webhookUuid,
+        function onWebhookLoaded(err, webhookObject) {
+            if (err) {
+                if (err.name !== 'ObjectNotFoundError') {
+                    req.log.error({err: err},
+                        'Error when loading webhook object from moray');
+                }
+
+                next(new errors.WebhookNotFoundError(webhookUuid));
+                return;
+            }
+
+            if (ownerUuid !== undefined &&
+                webhookObject.value.owner_uuid !== ownerUuid) {
+                next(new errors.WebhookNotFoundError(webhookUuid));
+                return;
+            }
+
+            req.loadedWebhookObject = webhookObject;
+            next();
+        });
+}
+
+function createWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.params, 'req.params');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    webhooksModel.createWebhook({
+        events: req.params.events,
+        owner_uuid: req.params.owner_uuid,
+        secret: req.params.secret,
+        url: req.params.url
+    }, function onWebhookCreated(createErr, webhook) {
+        if (createErr) {
+            req.log.error({err: createErr}, 'Error when creating webhook');
+            next(createErr);
+            return;
+        }
+
+        req.responseWebhook = webhook;
+        next();
+    });
+}
+
+function listWebhooks(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    webhooksModel.listWebhooks({
+        ownerUuid: req.params.owner_uuid
+    }, function onWebhooksListed(listErr, webhookObjects) {
+        if (!listErr) {
+            req.responseWebhooks =
+                webhookObjects.map(function getWebhookValue(webhookObject) {
+                    return webhookObject.value;
+                });
+        }
+
+        next(listErr);
+    });
+}
+
+function getWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedWebhookObject, 'req.loadedWebhookObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    req.responseWebhook = req.loadedWebhookObject.value;
+    next();
+}
+
+function updateWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedWebhookObject, 'req.loadedWebhookObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var webhookObject = req.loadedWebhookObject;
+
+    ['events', 'secret', 'url'].forEach(function updateParam(paramName) {
+        if (req.params[paramName] !== undefined) {
+            webhookObject.value[paramName] = req.params[paramName];
+        }
+    });
+
+    webhooksModel.updateWebhook(webhookObject,
+        function onWebhookUpdated(updateErr) {
+            if (!updateErr) {
+                req.responseWebhook = webhookObject.value;
+            }
+
+            next(updateErr);
+        });
+}
+
+function deleteWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.loadedWebhookObject, 'req.loadedWebhookObject');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var webhookUuid = req.loadedWebhookObject.value.uuid;
+
+    webhooksModel.deleteWebhook(webhookUuid,
+        function onWebhookDeleted(deleteErr) {
+            if (deleteErr && deleteErr.name === 'ObjectNotFoundError') {
+                next(new errors.WebhookNotFoundError(webhookUuid));
+                return;
+            }
+
+            next(deleteErr);
+        });
+}
+
+function formatWebhookValue(webhookValue) {
+    assert.object(webhookValue, 'webhookValue');
+
+    var result = jsprim.deepCopy(webhookValue);
+
+    result.create_timestamp =
+        new Date(webhookValue.create_timestamp).toISOString();
+    delete result.secret;
+
+    return result;
+}
+
+function renderWebhook(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.object(req.responseWebhook, 'req.responseWebhook');
+
+    req.renderedResponse = formatWebhookValue(req.responseWebhook);
+    next();
+}
+
+function renderWebhooks(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    assert.arrayOfObject(req.responseWebhooks, 'req.responseWebhooks');
+
+    req.renderedResponse = req.responseWebhooks.map(formatWebhookValue);
+    next();
+}
+
+function mount(config, server, applicationState) {
+    assert.object(config, 'config');
+    assert.object(server, 'server');
+    assert.object(applicationState, 'applicationState');
+
+    server.post({
+        path: '/webhooks',
+        name: 'CreateWebhook',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateCreateWebhook,
+        createWebhook,
+        renderWebhook,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 201
+        }));
+
+    server.get({
+        path: '/webhooks',
+        name: 'ListWebhooks',
+        version: '1.0.0'
+    }, restify.queryParser(), validateListWebhooks,
+        listWebhooks,
+        renderWebhooks,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.get({
+        path: '/webhooks/:uuid',
+        name: 'GetWebhook',
+        version: '1.0.0'
+    }, restify.queryParser(), validateWebhookUuid,
+        loadWebhookObject,
+        getWebhook,
+        renderWebhook,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.post({
+        path: '/webhooks/:uuid',
+        name: 'UpdateWebhook',
+        version: '1.0.0'
+    }, restify.bodyParser(), validateUpdateWebhook,
+        loadWebhookObject,
+        updateWebhook,
+        renderWebhook,
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 200
+        }));
+
+    server.del({
+        path: '/webhooks/:uuid',
+        name: 'DeleteWebhook',
+        version: '1.0.0'
+    }, restify.queryParser(), validateWebhookUuid,
+        loadWebhookObject,
+        deleteWebhook,
+        function renderDeletedWebhook(req, res, next) {
+            /*
+             * Similarly to DeleteVolume, we explicitly send an empty response
+             * for some HTTP clients to be able to determine that there's
+             * nothing to read.
+             */
+            req.renderedResponse = {};
+            next();
+        },
+        renderingMiddlewares.makeSendResponseHandler({
+            statusCode: 204
+        }));
+}
+
+module.exports = {
+    mount: mount
+};
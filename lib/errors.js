@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
@@ -62,6 +63,18 @@ function VolumeNotFoundError(volumeUuid) {
 }
 util.inherits(VolumeNotFoundError, restify.RestError);
 
+function VolumeSourceNotFoundError(sourceUuid) {
+    restify.RestError.call(this, {
+        restCode: 'VolumeSourceNotFound',
+        statusCode: 404,
+        message: 'Volume or snapshot with uuid ' + sourceUuid + ' could not ' +
+            'be found',
+        constructorOpt: VolumeSourceNotFoundError
+    });
+    this.name = 'VolumeSourceNotFoundError';
+}
+util.inherits(VolumeSourceNotFoundError, restify.RestError);
+
 function VolumeReservationNotFoundError(volumeResUuid) {
     restify.RestError.call(this, {
         restCode: 'VolumeReservationNotFound',
@@ -103,6 +116,168 @@ function VolumeInUseError(volumeName, refs) {
 
 util.inherits(VolumeInUseError, restify.RestError);
 
+function VolumeNotReadyError(volumeUuid, state) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.string(state, 'state');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeNotReady',
+        statusCode: 409,
+        message: 'Volume with uuid ' + volumeUuid + ' is not ready, its ' +
+            'current state is: ' + state,
+        constructorOpt: VolumeNotReadyError
+    });
+    this.name = 'VolumeNotReadyError';
+}
+util.inherits(VolumeNotReadyError, restify.RestError);
+
+function VolumeNotTrashedError(volumeUuid, state) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.string(state, 'state');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeNotTrashed',
+        statusCode: 409,
+        message: 'Volume with uuid ' + volumeUuid + ' is not trashed, its ' +
+            'current state is: ' + state,
+        constructorOpt: VolumeNotTrashedError
+    });
+    this.name = 'VolumeNotTrashedError';
+}
+util.inherits(VolumeNotTrashedError, restify.RestError);
+
+function VolumeNetworkAlreadyAttachedError(volumeUuid, networkUuid) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.uuid(networkUuid, 'networkUuid');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeNetworkAlreadyAttached',
+        statusCode: 409,
+        message: 'Network with uuid ' + networkUuid + ' is already attached ' +
+            'to volume with uuid ' + volumeUuid,
+        constructorOpt: VolumeNetworkAlreadyAttachedError
+    });
+    this.name = 'VolumeNetworkAlreadyAttachedError';
+}
+util.inherits(VolumeNetworkAlreadyAttachedError, restify.RestError);
+
+function VolumeNetworkInUseError(volumeUuid, networkUuid) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.uuid(networkUuid, 'networkUuid');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeNetworkInUse',
+        statusCode: 409,
+        message: 'Network with uuid ' + networkUuid + ' is used by the ' +
+            'filesystem path of volume with uuid ' + volumeUuid,
+        constructorOpt: VolumeNetworkInUseError
+    });
+    this.name = 'VolumeNetworkInUseError';
+}
+util.inherits(VolumeNetworkInUseError, restify.RestError);
+
+function VolumeNetworkNotAttachedError(volumeUuid, networkUuid) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.uuid(networkUuid, 'networkUuid');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeNetworkNotAttached',
+        statusCode: 404,
+        message: 'Network with uuid ' + networkUuid + ' is not attached to ' +
+            'volume with uuid ' + volumeUuid,
+        constructorOpt: VolumeNetworkNotAttachedError
+    });
+    this.name = 'VolumeNetworkNotAttachedError';
+}
+util.inherits(VolumeNetworkNotAttachedError, restify.RestError);
+
+function VolumeSnapshotAlreadyExistsError(volumeUuid, snapshotName) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.string(snapshotName, 'snapshotName');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeSnapshotAlreadyExists',
+        statusCode: 409,
+        message: 'Snapshot with name ' + snapshotName + ' already exists for ' +
+            'volume with uuid ' + volumeUuid,
+        constructorOpt: VolumeSnapshotAlreadyExistsError
+    });
+    this.name = 'VolumeSnapshotAlreadyExistsError';
+}
+util.inherits(VolumeSnapshotAlreadyExistsError, restify.RestError);
+
+function VolumeSnapshotNotFoundError(volumeUuid, snapshotName) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.string(snapshotName, 'snapshotName');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeSnapshotNotFound',
+        statusCode: 404,
+        message: 'Snapshot with name ' + snapshotName + ' could not be found ' +
+            'for volume with uuid ' + volumeUuid,
+        constructorOpt: VolumeSnapshotNotFoundError
+    });
+    this.name = 'VolumeSnapshotNotFoundError';
+}
+util.inherits(VolumeSnapshotNotFoundError, restify.RestError);
+
+function VolumeSnapshotNotReadyError(volumeUuid, snapshotName, state) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.string(snapshotName, 'snapshotName');
+    assert.string(state, 'state');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeSnapshotNotReady',
+        statusCode: 409,
+        message: 'Snapshot with name ' + snapshotName + ' for volume with ' +
+            'uuid ' + volumeUuid + ' is not ready, its current state is: ' +
+            state,
+        constructorOpt: VolumeSnapshotNotReadyError
+    });
+    this.name = 'VolumeSnapshotNotReadyError';
+}
+util.inherits(VolumeSnapshotNotReadyError, restify.RestError);
+
+function QuotaAlreadyExistsError(ownerUuid) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+
+    restify.RestError.call(this, {
+        restCode: 'QuotaAlreadyExists',
+        statusCode: 409,
+        message: 'Quota for owner ' + ownerUuid + ' already exists',
+        constructorOpt: QuotaAlreadyExistsError
+    });
+    this.name = 'QuotaAlreadyExistsError';
+}
+util.inherits(QuotaAlreadyExistsError, restify.RestError);
+
+function QuotaExceededError(ownerUuid, reason) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.string(reason, 'reason');
+
+    restify.RestError.call(this, {
+        restCode: 'QuotaExceeded',
+        statusCode: 403,
+        message: 'Quota exceeded for owner ' + ownerUuid + ': ' + reason,
+        constructorOpt: QuotaExceededError
+    });
+    this.name = 'QuotaExceededError';
+}
+util.inherits(QuotaExceededError, restify.RestError);
+
+function QuotaNotFoundError(ownerUuid) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+
+    restify.RestError.call(this, {
+        restCode: 'QuotaNotFound',
+        statusCode: 404,
+        message: 'Quota for owner ' + ownerUuid + ' could not be found',
+        constructorOpt: QuotaNotFoundError
+    });
+    this.name = 'QuotaNotFoundError';
+}
+util.inherits(QuotaNotFoundError, restify.RestError);
+
 function ValidationError(causes) {
     assert.arrayOfObject(causes, 'causes');
 
@@ -145,12 +320,54 @@ function VolumeSizeNotAvailableError(size, availableSizes) {
 }
 util.inherits(VolumeSizeNotAvailableError, restify.RestError);
 
+function VolumeSizeTooSmallError(size, usedSize) {
+    assert.number(size, 'size');
+    assert.number(usedSize, 'usedSize');
+
+    restify.RestError.call(this, {
+        restCode: 'VolumeSizeTooSmall',
+        statusCode: 409,
+        message: 'Volume size ' + size + ' is too small, the volume ' +
+            'currently uses ' + usedSize + ' mebibytes',
+        constructorOpt: VolumeSizeTooSmallError
+    });
+    this.name = 'VolumeSizeTooSmallError';
+}
+util.inherits(VolumeSizeTooSmallError, restify.RestError);
+
+function WebhookNotFoundError(webhookUuid) {
+    assert.uuid(webhookUuid, 'webhookUuid');
+
+    restify.RestError.call(this, {
+        restCode: 'WebhookNotFound',
+        statusCode: 404,
+        message: 'Webhook ' + webhookUuid + ' could not be found',
+        constructorOpt: WebhookNotFoundError
+    });
+    this.name = 'WebhookNotFoundError';
+}
+util.inherits(WebhookNotFoundError, restify.RestError);
+
 module.exports = {
     InternalError: restify.InternalError,
     InvalidNetworksError: InvalidNetworksError,
+    QuotaAlreadyExistsError: QuotaAlreadyExistsError,
+    QuotaExceededError: QuotaExceededError,
+    QuotaNotFoundError: QuotaNotFoundError,
     ValidationError: ValidationError,
     VolumeAlreadyExistsError: VolumeAlreadyExistsError,
     VolumeInUseError: VolumeInUseError,
+    VolumeNetworkAlreadyAttachedError: VolumeNetworkAlreadyAttachedError,
+    VolumeNetworkInUseError: VolumeNetworkInUseError,
+    VolumeNetworkNotAttachedError: VolumeNetworkNotAttachedError,
     VolumeNotFoundError: VolumeNotFoundError,
-    VolumeSizeNotAvailableError: VolumeSizeNotAvailableError
+    VolumeNotReadyError: VolumeNotReadyError,
+    VolumeNotTrashedError: VolumeNotTrashedError,
+    VolumeSizeNotAvailableError: VolumeSizeNotAvailableError,
+    VolumeSizeTooSmallError: VolumeSizeTooSmallError,
+    VolumeSnapshotAlreadyExistsError: VolumeSnapshotAlreadyExistsError,
+    VolumeSnapshotNotFoundError: VolumeSnapshotNotFoundError,
+    VolumeSnapshotNotReadyError: VolumeSnapshotNotReadyError,
+    VolumeSourceNotFoundError: VolumeSourceNotFoundError,
+    WebhookNotFoundError: WebhookNotFoundError
 };
\ No newline at end of file
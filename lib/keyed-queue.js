@@ -0,0 +1,127 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * A KeyedQueue is a work queue where each task is pushed with a key. Tasks with
+ * the same key are processed one at a time, in the order in which they were
+ * pushed, while tasks with different keys are processed concurrently, with at
+ * most "concurrency" tasks being processed at any given time.
+ *
+ * Keys that have pending tasks are processed in a round-robin fashion, so that
+ * a key with a lot of pending tasks doesn't delay the tasks of other keys.
+ */
+
+var assert = require('assert-plus');
+
+function KeyedQueue(options) {
+    assert.object(options, 'options');
+    assert.func(options.worker, 'options.worker');
+    assert.number(options.concurrency, 'options.concurrency');
+    assert.ok(options.concurrency >= 1,
+        'options.concurrency must be greater than or equal to 1');
+
+    this._concurrency = options.concurrency;
+    this._worker = options.worker;
+
+    this._nbPending = 0;
+    this._nbRunning = 0;
+    /*
+     * Maps keys to the array of their pending tasks, for keys that have at
+     * least one pending task.
+     */
+    this._pendingTasksByKey = {};
+    /*
+     * The keys that have pending tasks and no task being processed, in the
+     * order in which their next task should be processed.
+     */
+    this._readyKeys = [];
+    this._runningKeys = {};
+}
+
+/*
+ * Pushes "task" to be processed by the queue's worker after all the tasks
+ * previously pushed with key "key" have been processed.
+ */
+KeyedQueue.prototype.push = function push(key, task) {
+    assert.string(key, 'key');
+
+    if (this._pendingTasksByKey[key] === undefined) {
+        this._pendingTasksByKey[key] = [];
+
+        if (!this._runningKeys.hasOwnProperty(key)) {
+            this._readyKeys.push(key);
+        }
+    }
+
+    this._pendingTasksByKey[key].push(task);
+    ++this._nbPending;
+
+    this._processNext();
+};
+
+/*
+ * Returns the number of tasks that are waiting to be processed.
+ */
+KeyedQueue.prototype.length = function length() {
+    return this._nbPending;
+};
+
+/*
+ * Returns the number of tasks that are being processed.
+ */
+KeyedQueue.prototype.running = function running() {
+    return this._nbRunning;
+};
+
+KeyedQueue.prototype._processNext = function _processNext() {
+    var self = this;
+
+    while (self._nbRunning < self._concurrency &&
+        self._readyKeys.length > 0) {
+        self._processKey(self._readyKeys.shift());
+    }
+};
+
+KeyedQueue.prototype._processKey = function _processKey(key) {
+    var done = false;
+    var self = this;
+    var task = self._pendingTasksByKey[key].shift();
+
+    if (self._pendingTasksByKey[key].length === 0) {
+        delete self._pendingTasksByKey[key];
+    }
+
+    --self._nbPending;
+    ++self._nbRunning;
+    self._runningKeys[key] = true;
+
+    self._worker(task, function onTaskProcessed() {
+        assert.ok(!done, 'callback for task with key ' + key +
+            ' called more than once');
+        done = true;
+
+        --self._nbRunning;
+        delete self._runningKeys[key];
+
+        if (self._pendingTasksByKey[key] !== undefined) {
+            self._readyKeys.push(key);
+        }
+
+        /*
+         * Workers can call their callback synchronously, so the next tasks are
+         * processed asynchronously to not grow the stack indefinitely.
+         */
+        setImmediate(function processNextTasks() {
+            self._processNext();
+        });
+    });
+};
+
+module.exports = KeyedQueue;
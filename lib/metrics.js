@@ -0,0 +1,301 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Prometheus metrics for VOLAPI and volapi-updater. Each process has its own
+ * metrics collector, and exposes its metrics on its own GET /metrics endpoint:
+ *
+ * - the API server exposes HTTP requests metrics, volume tickets wait
+ *   durations, and the number of volumes and volume reservations, which are
+ *   computed from moray when metrics are collected.
+ *
+ * - volapi-updater exposes the lag and queue depth of the VMAPI changefeed
+ *   events it processes.
+ */
+
+var assert = require('assert-plus');
+var artedi = require('artedi');
+var vasync = require('vasync');
+
+var reservationModels = require('./models/volume-reservations');
+var volumesModel = require('./models/volumes');
+
+var METRICS_PREFIX = 'volapi_';
+var VOLUME_STATES = ['creating', 'ready', 'failed', 'deleting', 'resizing',
+    'rolling_back', 'trashed'];
+var VOLUME_TYPES = ['tritonnfs'];
+
+var collector;
+var log;
+var metrics = {};
+
+//
+// Sets "metric" (a gauge) to the number of volumes for each state and type.
+//
+function _collectVolumesCounts(metric, callback) {
+    assert.object(metric, 'metric');
+    assert.func(callback, 'callback');
+
+    var queries = [];
+
+    VOLUME_STATES.forEach(function addStateQueries(state) {
+        VOLUME_TYPES.forEach(function addTypeQuery(type) {
+            queries.push({state: state, type: type});
+        });
+    });
+
+    vasync.forEachParallel({
+        func: function countVolumes(query, done) {
+            volumesModel.listVolumes(query, {limit: 1},
+                function onVolumesCounted(listErr, volumes, count) {
+                    if (!listErr) {
+                        metric.set(count || 0, query);
+                    }
+
+                    done(listErr);
+                });
+        },
+        inputs: queries
+    }, function onAllCounted(err) {
+        if (err) {
+            log.error({err: err}, 'Error when counting volumes for metrics');
+        }
+
+        callback();
+    });
+}
+
+//
+// Sets "metric" (a gauge) to the age in seconds of the volume that has been in
+// the "creating" state for the longest time, or 0 if there's none. Volumes
+// that are stuck in that state make that value grow indefinitely, which makes
+// it suitable for alerting.
+//
+function _collectOldestCreatingVolumeAge(metric, callback) {
+    assert.object(metric, 'metric');
+    assert.func(callback, 'callback');
+
+    volumesModel.listVolumes({state: 'creating'}, {
+        limit: 1,
+        sort: {
+            attribute: 'create_timestamp',
+            order: 'ASC'
+        }
+    }, function onVolumesListed(listErr, volumes) {
+        if (listErr) {
+            log.error({err: listErr},
+                'Error when listing creating volumes for metrics');
+            callback();
+            return;
+        }
+
+        if (volumes.length === 0) {
+            metric.set(0);
+        } else {
+            metric.set((Date.now() - volumes[0].value.create_timestamp) /
+                1000);
+        }
+
+        callback();
+    });
+}
+
+function _collectVolumeReservationsCount(metric, callback) {
+    assert.object(metric, 'metric');
+    assert.func(callback, 'callback');
+
+    reservationModels.searchVolumeReservations('(uuid=*)', {limit: 1},
+        function onReservationsFound(searchErr, reservations) {
+            if (searchErr) {
+                log.error({err: searchErr},
+                    'Error when counting volume reservations for metrics');
+                callback();
+                return;
+            }
+
+            /*
+             * Moray includes in each record the total number of objects that
+             * match the filter, regardless of the "limit" option.
+             */
+            metric.set(reservations.length > 0 ? reservations[0]._count : 0);
+            callback();
+        });
+}
+
+//
+// Creates the metrics collector for the service named "options.service"
+// ("volapi" or "volapi-updater"). Metrics that are computed from the volumes
+// and volume reservations moray buckets are only collected when
+// "options.collectVolumesMetrics" is true, so that they're not exposed twice.
+//
+function init(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.string(options.service, 'options.service');
+    assert.optionalBool(options.collectVolumesMetrics,
+        'options.collectVolumesMetrics');
+
+    log = options.log;
+
+    collector = artedi.createCollector({
+        labels: {
+            service: options.service
+        }
+    });
+
+    metrics.httpRequests = collector.counter({
+        name: 'http_requests_completed',
+        help: 'count of requests completed'
+    });
+
+    metrics.httpRequestDuration = collector.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'total time to process requests'
+    });
+
+    metrics.ticketWaitDuration = collector.histogram({
+        name: METRICS_PREFIX + 'volume_ticket_wait_seconds',
+        help: 'time spent waiting for volume tickets to be active'
+    });
+
+    metrics.changefeedLag = collector.gauge({
+        name: METRICS_PREFIX + 'updater_changefeed_lag_seconds',
+        help: 'time between the publication of the last processed VMAPI ' +
+            'changefeed event and the start of its processing'
+    });
+
+    metrics.changefeedQueueDepth = collector.gauge({
+        name: METRICS_PREFIX + 'updater_changefeed_queue_depth',
+        help: 'number of VMAPI changefeed events waiting to be processed'
+    });
+
+    if (options.collectVolumesMetrics === true) {
+        collector.addTriggeredMetric(collector.gauge({
+            name: METRICS_PREFIX + 'volumes',
+            help: 'number of volumes by state and type'
+        }), _collectVolumesCounts);
+
+        collector.addTriggeredMetric(collector.gauge({
+            name: METRICS_PREFIX + 'oldest_creating_volume_age_seconds',
+            help: 'age of the oldest volume in the creating state'
+        }), _collectOldestCreatingVolumeAge);
+
+        collector.addTriggeredMetric(collector.gauge({
+            name: METRICS_PREFIX + 'volume_reservations',
+            help: 'number of volume reservations'
+        }), _collectVolumeReservationsCount);
+    }
+}
+
+//
+// The functions below are no-ops when metrics were not initialized, so that
+// modules shared by VOLAPI, volapi-updater and tools don't need to know whether
+// metrics are collected.
+//
+
+function observeHttpRequest(req, res, route) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.optionalObject(route, 'route');
+
+    var labels;
+    var routeName = route ? route.name : 'unknown';
+
+    if (collector === undefined) {
+        return;
+    }
+
+    labels = {
+        method: req.method,
+        route: routeName
+    };
+
+    metrics.httpRequestDuration.observe((Date.now() - req.time()) / 1000,
+        labels);
+
+    labels.status_code = res.statusCode;
+    metrics.httpRequests.increment(labels);
+}
+
+function observeTicketWait(durationMs) {
+    assert.number(durationMs, 'durationMs');
+
+    if (collector === undefined) {
+        return;
+    }
+
+    metrics.ticketWaitDuration.observe(durationMs / 1000);
+}
+
+function setChangefeedLag(lagMs) {
+    assert.number(lagMs, 'lagMs');
+
+    if (collector === undefined) {
+        return;
+    }
+
+    metrics.changefeedLag.set(lagMs / 1000);
+}
+
+function setChangefeedQueueDepth(depth) {
+    assert.number(depth, 'depth');
+
+    if (collector === undefined) {
+        return;
+    }
+
+    metrics.changefeedQueueDepth.set(depth);
+}
+
+//
+// Calls "callback" with the current metrics in the Prometheus text format.
+//
+function collect(callback) {
+    assert.func(callback, 'callback');
+    assert.object(collector, 'collector');
+
+    collector.collect(artedi.FMT_PROM, callback);
+}
+
+//
+// Handler for GET /metrics routes.
+//
+function sendMetrics(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    collect(function onMetricsCollected(collectErr, metricsText) {
+        if (collectErr) {
+            next(collectErr);
+            return;
+        }
+
+        /*
+         * The response is not sent with res.send() so that it's not formatted
+         * as JSON, since Prometheus expects its text format.
+         */
+        res.writeHead(200, {
+            'Content-Type': 'text/plain; version=0.0.4'
+        });
+        res.end(metricsText);
+        next();
+    });
+}
+
+module.exports = {
+    collect: collect,
+    init: init,
+    observeHttpRequest: observeHttpRequest,
+    observeTicketWait: observeTicketWait,
+    sendMetrics: sendMetrics,
+    setChangefeedLag: setChangefeedLag,
+    setChangefeedQueueDepth: setChangefeedQueueDepth
+};
@@ -0,0 +1,31 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+
+function setConnectionTimeout(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(req.connection, 'req.connection');
+    assert.func(next, 'next');
+
+    /*
+     * Node's default HTTP timeout is two minutes, and the request can take
+     * longer than that to complete. Set this connection's timeout to an hour to
+     * avoid an abrupt close after two minutes. See TRITON-2176 for why this is
+     * important.
+     */
+    req.connection.setTimeout(60 * 60 * 1000);
+    next();
+}
+
+module.exports = {
+    setConnectionTimeout: setConnectionTimeout
+};
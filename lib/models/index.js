@@ -6,13 +6,22 @@
 
 /*
  * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
 var vasync = require('vasync');
 
+var quotasModel = require('./quotas');
+var reconciliationReportsModel = require('./reconciliation-reports');
+var referencingVmsModel = require('./referencing-vms');
+var updaterCheckpointModel = require('./updater-checkpoint');
+var usageRecordsModel = require('./usage-records');
+var volumeChangesModel = require('./volume-changes');
 var volumesModel = require('./volumes');
 var volumeReservationsModel = require('./volume-reservations');
+var volumeSnapshotsModel = require('./volume-snapshots');
+var webhooksModel = require('./webhooks');
 
 function init(config, options, callback) {
     assert.object(config, 'config');
@@ -29,6 +38,30 @@ function init(config, options, callback) {
         },
         function initVolumeReservationsModel(done) {
             return volumeReservationsModel.init(config, options, done);
+        },
+        function initVolumeSnapshotsModel(done) {
+            return volumeSnapshotsModel.init(config, options, done);
+        },
+        function initQuotasModel(done) {
+            return quotasModel.init(config, options, done);
+        },
+        function initVolumeChangesModel(done) {
+            return volumeChangesModel.init(config, options, done);
+        },
+        function initWebhooksModel(done) {
+            return webhooksModel.init(config, options, done);
+        },
+        function initUsageRecordsModel(done) {
+            return usageRecordsModel.init(config, options, done);
+        },
+        function initReferencingVmsModel(done) {
+            return referencingVmsModel.init(config, options, done);
+        },
+        function initReconciliationReportsModel(done) {
+            return reconciliationReportsModel.init(config, options, done);
+        },
+        function initUpdaterCheckpointModel(done) {
+            return updaterCheckpointModel.init(config, options, done);
         }
     ]}, function modelsInitDone(err) {
         if (err) {
@@ -0,0 +1,147 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var log;
+var morayClient;
+
+var QUOTAS_BUCKET_NAME = 'volapi_quotas';
+var QUOTAS_BUCKET_CONFIG = {
+    index: {
+        create_timestamp: { type: 'number' },
+        owner_uuid: { type: 'string', unique: true }
+    }
+};
+
+//
+// Quota objects are keyed by the UUID of the owner they apply to, so that
+// there's at most one quota per owner.
+//
+function createQuota(quotaParams, callback) {
+    assert.object(quotaParams, 'quotaParams');
+    assert.uuid(quotaParams.owner_uuid, 'quotaParams.owner_uuid');
+    assert.optionalNumber(quotaParams.max_volumes, 'quotaParams.max_volumes');
+    assert.optionalNumber(quotaParams.max_size, 'quotaParams.max_size');
+    assert.func(callback, 'callback');
+
+    log.debug({quotaParams: quotaParams}, 'Create quota');
+
+    var quotaObject = {
+        create_timestamp: (new Date()).getTime(),
+        owner_uuid: quotaParams.owner_uuid
+    };
+
+    if (quotaParams.max_volumes !== undefined) {
+        quotaObject.max_volumes = quotaParams.max_volumes;
+    }
+
+    if (quotaParams.max_size !== undefined) {
+        quotaObject.max_size = quotaParams.max_size;
+    }
+
+    log.debug({quotaObject: quotaObject}, 'Creating quota object in moray');
+
+    morayClient.putObject(QUOTAS_BUCKET_NAME, quotaObject.owner_uuid,
+        quotaObject, {
+        etag: null
+    }, function onPutObjectDone(err) {
+        return callback(err, quotaObject);
+    });
+}
+
+function updateQuota(quotaObject, callback) {
+    assert.object(quotaObject, 'quotaObject');
+    assert.object(quotaObject.value, 'quotaObject.value');
+    assert.uuid(quotaObject.value.owner_uuid, 'quotaObject.value.owner_uuid');
+    assert.func(callback, 'callback');
+
+    log.debug({quotaObject: quotaObject}, 'Updating quota object in moray');
+
+    morayClient.putObject(QUOTAS_BUCKET_NAME, quotaObject.value.owner_uuid,
+        quotaObject.value, {
+        etag: quotaObject._etag
+    }, callback);
+}
+
+function loadQuota(ownerUuid, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(callback, 'callback');
+
+    morayClient.getObject(QUOTAS_BUCKET_NAME, ownerUuid, callback);
+}
+
+function deleteQuota(ownerUuid, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(callback, 'callback');
+
+    log.debug({ownerUuid: ownerUuid}, 'Delete quota');
+
+    morayClient.deleteObject(QUOTAS_BUCKET_NAME, ownerUuid, callback);
+}
+
+function listQuotas(callback) {
+    assert.func(callback, 'callback');
+
+    var req = morayClient.findObjects(QUOTAS_BUCKET_NAME, '(owner_uuid=*)', {
+        sort: {
+            attribute: 'create_timestamp',
+            order: 'ASC'
+        }
+    });
+    var quotasFound = [];
+
+    req.on('error', function onFindErr(findErr) {
+        callback(findErr);
+    });
+
+    req.on('record', function onRecord(quotaObj) {
+        quotasFound.push(quotaObj);
+    });
+
+    req.on('end', function onEnd() {
+        callback(null, quotasFound);
+    });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing quotas model...');
+
+    morayClient.setupBucket({
+        name: QUOTAS_BUCKET_NAME,
+        config: QUOTAS_BUCKET_CONFIG
+    }, function quotasModelInitialized(err) {
+        if (err) {
+            log.error({err: err}, 'Error when initializing quotas model');
+        } else {
+            log.info('Quotas model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    init: init,
+    createQuota: createQuota,
+    deleteQuota: deleteQuota,
+    listQuotas: listQuotas,
+    loadQuota: loadQuota,
+    updateQuota: updateQuota
+};
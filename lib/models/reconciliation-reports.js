@@ -0,0 +1,147 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Reconciliation reports describe the drift that volapi-updater's reconciler
+ * found between volumes and VMAPI, and fixed, each time it ran. They're read by
+ * the GET /admin/reconciliation endpoint, and are only kept for a limited
+ * period of time (see deleteReportsOlderThan).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+
+var log;
+var morayClient;
+
+var RECONCILIATION_REPORTS_BUCKET_NAME = 'volapi_reconciliation_reports';
+var RECONCILIATION_REPORTS_BUCKET_CONFIG = {
+    index: {
+        end_timestamp: { type: 'number' },
+        start_timestamp: { type: 'number' },
+        uuid: { type: 'string', unique: true }
+    }
+};
+
+//
+// Records the report "report" of a reconciliation that started at
+// "report.start_timestamp" and ended at "report.end_timestamp". "report.drifts"
+// is an array of objects that each represent a property of a volume that was
+// fixed, and "report.errors" is an array of the messages of the errors that
+// prevented some volumes from being reconciled.
+//
+function recordReport(report, callback) {
+    assert.object(report, 'report');
+    assert.number(report.start_timestamp, 'report.start_timestamp');
+    assert.number(report.end_timestamp, 'report.end_timestamp');
+    assert.number(report.nb_volumes, 'report.nb_volumes');
+    assert.arrayOfObject(report.drifts, 'report.drifts');
+    assert.arrayOfString(report.errors, 'report.errors');
+    assert.func(callback, 'callback');
+
+    var uuid = libuuid.create();
+    var reportObject = {
+        drifts: report.drifts,
+        end_timestamp: report.end_timestamp,
+        errors: report.errors,
+        nb_volumes: report.nb_volumes,
+        start_timestamp: report.start_timestamp,
+        uuid: uuid
+    };
+
+    log.debug({report: reportObject}, 'Record reconciliation report');
+
+    morayClient.putObject(RECONCILIATION_REPORTS_BUCKET_NAME, uuid,
+        reportObject, {
+        etag: null
+    }, function onPutObjectDone(err) {
+        callback(err);
+    });
+}
+
+//
+// Calls "callback" with the values of the "limit" most recent reports, the most
+// recent first.
+//
+function listReports(limit, callback) {
+    assert.number(limit, 'limit');
+    assert.func(callback, 'callback');
+
+    var reports = [];
+    var req = morayClient.findObjects(RECONCILIATION_REPORTS_BUCKET_NAME,
+        '(uuid=*)', {
+        limit: limit,
+        sort: {
+            attribute: 'start_timestamp',
+            order: 'DESC'
+        }
+    });
+
+    req.once('error', function onFindErr(findErr) {
+        callback(findErr);
+    });
+
+    req.on('record', function onReport(reportObject) {
+        reports.push(reportObject.value);
+    });
+
+    req.on('end', function onEnd() {
+        callback(null, reports);
+    });
+}
+
+function deleteReportsOlderThan(timestamp, callback) {
+    assert.number(timestamp, 'timestamp');
+    assert.func(callback, 'callback');
+
+    log.debug({timestamp: timestamp}, 'Delete reconciliation reports');
+
+    morayClient.batch([ {
+        bucket: RECONCILIATION_REPORTS_BUCKET_NAME,
+        filter: '(end_timestamp<=' + timestamp + ')',
+        operation: 'deleteMany'
+    } ], function onReportsDeleted(err) {
+        callback(err);
+    });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing reconciliation reports model...');
+
+    morayClient.setupBucket({
+        name: RECONCILIATION_REPORTS_BUCKET_NAME,
+        config: RECONCILIATION_REPORTS_BUCKET_CONFIG
+    }, function reconciliationReportsModelInitialized(err) {
+        if (err) {
+            log.error({err: err},
+                'Error when initializing reconciliation reports model');
+        } else {
+            log.info('Reconciliation reports model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    deleteReportsOlderThan: deleteReportsOlderThan,
+    init: init,
+    listReports: listReports,
+    recordReport: recordReport
+};
@@ -0,0 +1,134 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Referencing VMs are records of the last state in which volapi-updater saw
+ * each VM that references volumes, and of the UUIDs of the volumes that VM
+ * referenced. They're written by volapi-updater when it updates the references
+ * of a VM, and are used to restore the references of VMs that go from the
+ * "failed" state back to an active state, since their references are removed
+ * when they fail.
+ */
+
+var assert = require('assert-plus');
+var verror = require('verror');
+
+var log;
+var morayClient;
+
+var REFERENCING_VMS_BUCKET_NAME = 'volapi_referencing_vms';
+var REFERENCING_VMS_BUCKET_CONFIG = {
+    index: {
+        owner_uuid: { type: 'string' },
+        state: { type: 'string' },
+        update_timestamp: { type: 'number' },
+        uuid: { type: 'string', unique: true },
+        volume_uuids: { type: '[string]' }
+    }
+};
+
+//
+// Calls "callback" with the record of the VM with UUID "vmUuid", or with no
+// record if there's none.
+//
+function getReferencingVm(vmUuid, callback) {
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.func(callback, 'callback');
+
+    morayClient.getObject(REFERENCING_VMS_BUCKET_NAME, vmUuid,
+        function onGetObjectDone(err, referencingVmObject) {
+            if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            }
+
+            callback(err, referencingVmObject);
+        });
+}
+
+//
+// Records that the VM with UUID "params.uuid" and owner "params.owner_uuid" was
+// last seen in state "params.state" and referencing the volumes whose UUIDs are
+// "params.volume_uuids".
+//
+function putReferencingVm(params, callback) {
+    assert.object(params, 'params');
+    assert.uuid(params.uuid, 'params.uuid');
+    assert.uuid(params.owner_uuid, 'params.owner_uuid');
+    assert.string(params.state, 'params.state');
+    assert.arrayOfUuid(params.volume_uuids, 'params.volume_uuids');
+    assert.func(callback, 'callback');
+
+    var referencingVm = {
+        owner_uuid: params.owner_uuid,
+        state: params.state,
+        update_timestamp: (new Date()).getTime(),
+        uuid: params.uuid,
+        volume_uuids: params.volume_uuids
+    };
+
+    log.debug({referencingVm: referencingVm}, 'Put referencing VM');
+
+    morayClient.putObject(REFERENCING_VMS_BUCKET_NAME, params.uuid,
+        referencingVm, function onPutObjectDone(err) {
+            callback(err);
+        });
+}
+
+function deleteReferencingVm(vmUuid, callback) {
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.func(callback, 'callback');
+
+    log.debug({vmUuid: vmUuid}, 'Delete referencing VM');
+
+    morayClient.deleteObject(REFERENCING_VMS_BUCKET_NAME, vmUuid,
+        function onDeleteObjectDone(err) {
+            if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            }
+
+            callback(err);
+        });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing referencing VMs model...');
+
+    morayClient.setupBucket({
+        name: REFERENCING_VMS_BUCKET_NAME,
+        config: REFERENCING_VMS_BUCKET_CONFIG
+    }, function referencingVmsModelInitialized(err) {
+        if (err) {
+            log.error({err: err},
+                'Error when initializing referencing VMs model');
+        } else {
+            log.info('Referencing VMs model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    deleteReferencingVm: deleteReferencingVm,
+    getReferencingVm: getReferencingVm,
+    init: init,
+    putReferencingVm: putReferencingVm
+};
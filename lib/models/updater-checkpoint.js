@@ -0,0 +1,116 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * The updater checkpoint records how far volapi-updater got in keeping volumes
+ * in sync with VMAPI, so that when it restarts it can catch up with the VMs
+ * that changed since then, instead of going through all volumes and VMs again.
+ * There's a single checkpoint, since there's a single volapi-updater instance
+ * per datacenter.
+ */
+
+var assert = require('assert-plus');
+var verror = require('verror');
+
+var log;
+var morayClient;
+
+var UPDATER_CHECKPOINT_BUCKET_NAME = 'volapi_updater_checkpoint';
+var UPDATER_CHECKPOINT_BUCKET_CONFIG = {
+    index: {
+        events_watermark_timestamp: { type: 'number' },
+        last_full_sync_timestamp: { type: 'number' }
+    }
+};
+var UPDATER_CHECKPOINT_KEY = 'volapi-updater';
+
+//
+// Calls "callback" with the checkpoint, or with no checkpoint if none was ever
+// recorded.
+//
+function getCheckpoint(callback) {
+    assert.func(callback, 'callback');
+
+    morayClient.getObject(UPDATER_CHECKPOINT_BUCKET_NAME,
+        UPDATER_CHECKPOINT_KEY,
+        function onGetObjectDone(err, checkpointObject) {
+            if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback();
+                return;
+            }
+
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, checkpointObject.value);
+        });
+}
+
+//
+// Records that the last full sync of volumes with VMAPI started at
+// "checkpoint.last_full_sync_timestamp", and that all the VM changes that
+// happened before "checkpoint.events_watermark_timestamp" were processed.
+//
+function putCheckpoint(checkpoint, callback) {
+    assert.object(checkpoint, 'checkpoint');
+    assert.number(checkpoint.last_full_sync_timestamp,
+        'checkpoint.last_full_sync_timestamp');
+    assert.number(checkpoint.events_watermark_timestamp,
+        'checkpoint.events_watermark_timestamp');
+    assert.func(callback, 'callback');
+
+    var checkpointValue = {
+        events_watermark_timestamp: checkpoint.events_watermark_timestamp,
+        last_full_sync_timestamp: checkpoint.last_full_sync_timestamp
+    };
+
+    log.debug({checkpoint: checkpointValue}, 'Put updater checkpoint');
+
+    morayClient.putObject(UPDATER_CHECKPOINT_BUCKET_NAME,
+        UPDATER_CHECKPOINT_KEY, checkpointValue,
+        function onPutObjectDone(err) {
+            callback(err);
+        });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing updater checkpoint model...');
+
+    morayClient.setupBucket({
+        name: UPDATER_CHECKPOINT_BUCKET_NAME,
+        config: UPDATER_CHECKPOINT_BUCKET_CONFIG
+    }, function updaterCheckpointModelInitialized(err) {
+        if (err) {
+            log.error({err: err},
+                'Error when initializing updater checkpoint model');
+        } else {
+            log.info('Updater checkpoint model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    getCheckpoint: getCheckpoint,
+    init: init,
+    putCheckpoint: putCheckpoint
+};
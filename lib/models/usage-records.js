@@ -0,0 +1,301 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Usage records are an audit trail of the size, owner and billing package of
+ * volumes over time. A record is written every time a volume is created,
+ * resized, transferred or deleted, and represents the volume as it is from
+ * that time until the time of the volume's next record. Records are never
+ * updated or deleted, and they're read by the GET /usage endpoint to compute
+ * the storage used by each owner and billing package over a period of time.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var vasync = require('vasync');
+
+var log;
+var morayClient;
+
+var USAGE_RECORDS_BUCKET_NAME = 'volapi_usage_records';
+var USAGE_RECORDS_BUCKET_CONFIG = {
+    index: {
+        billing_id: { type: 'string' },
+        event: { type: 'string' },
+        owner_uuid: { type: 'string' },
+        timestamp: { type: 'number' },
+        uuid: { type: 'string', unique: true },
+        volume_uuid: { type: 'string' }
+    }
+};
+
+var USAGE_EVENTS = ['create', 'delete', 'resize', 'transfer'];
+
+/*
+ * The maximum number of records fetched by each findObjects request, and the
+ * maximum number of volumes whose records are fetched by each of them.
+ */
+var FIND_RECORDS_PAGE_SIZE = 1000;
+var FIND_VOLUMES_RECORDS_CHUNK_SIZE = 50;
+
+//
+// Records that the volume "params.volume" was created, resized, transferred or
+// deleted, according to "params.event". "params.billingId" is the UUID of the
+// billing package of the volume's storage VM, which is not needed for
+// deletions.
+//
+// Failing to record usage doesn't make the operation it represents fail, so
+// errors are logged and not passed to "callback".
+//
+function recordUsage(params, callback) {
+    assert.object(params, 'params');
+    assert.string(params.event, 'params.event');
+    assert.ok(USAGE_EVENTS.indexOf(params.event) !== -1,
+        'params.event must be one of: ' + USAGE_EVENTS.join(', '));
+    assert.object(params.volume, 'params.volume');
+    assert.uuid(params.volume.uuid, 'params.volume.uuid');
+    assert.uuid(params.volume.owner_uuid, 'params.volume.owner_uuid');
+    assert.number(params.volume.size, 'params.volume.size');
+    assert.optionalUuid(params.billingId, 'params.billingId');
+    assert.ok(params.event === 'delete' || params.billingId !== undefined,
+        'params.billingId is required for ' + params.event + ' events');
+    assert.func(callback, 'callback');
+
+    var uuid = libuuid.create();
+    var usageRecord = {
+        event: params.event,
+        owner_uuid: params.volume.owner_uuid,
+        size: params.volume.size,
+        timestamp: (new Date()).getTime(),
+        uuid: uuid,
+        volume_uuid: params.volume.uuid
+    };
+
+    if (params.billingId !== undefined) {
+        usageRecord.billing_id = params.billingId;
+    }
+
+    morayClient.putObject(USAGE_RECORDS_BUCKET_NAME, uuid, usageRecord, {
+        etag: null
+    }, function onPutObjectDone(err) {
+        if (err) {
+            log.error({err: err, usageRecord: usageRecord},
+                'Error when recording volume usage');
+        }
+
+        callback();
+    });
+}
+
+//
+// Calls "func" with each record that matches "filter", in the order in which
+// they were written, and then "callback". Records are fetched in pages ordered
+// by their moray "_id" so that no record is left out when there are more than
+// moray's default limit.
+//
+function _forEachUsageRecord(filter, func, callback) {
+    assert.string(filter, 'filter');
+    assert.func(func, 'func');
+    assert.func(callback, 'callback');
+
+    var lastId = 0;
+
+    function findNextPage() {
+        var nbPageRecords = 0;
+        var req = morayClient.findObjects(USAGE_RECORDS_BUCKET_NAME,
+            '(&' + filter + '(_id>=' + (lastId + 1) + '))', {
+            limit: FIND_RECORDS_PAGE_SIZE,
+            sort: {
+                attribute: '_id',
+                order: 'ASC'
+            }
+        });
+
+        req.on('error', function onFindErr(findErr) {
+            callback(findErr);
+        });
+
+        req.on('record', function onRecord(usageRecordObj) {
+            ++nbPageRecords;
+            lastId = usageRecordObj._id;
+            func(usageRecordObj);
+        });
+
+        req.on('end', function onEnd() {
+            if (nbPageRecords < FIND_RECORDS_PAGE_SIZE) {
+                callback();
+            } else {
+                findNextPage();
+            }
+        });
+    }
+
+    findNextPage();
+}
+
+//
+// Calls "callback" with the records that match "filter" and that are needed to
+// compute the usage of their volumes between "start" and "end": the records
+// written during that period, and the last record of each volume written
+// before "start", which represents the volume at "start" unless it's a
+// deletion record. Older records are not kept in memory, so that the memory
+// needed doesn't grow with the history of volumes.
+//
+function _findUsageRecordsInPeriod(filter, start, end, callback) {
+    assert.string(filter, 'filter');
+    assert.number(start, 'start');
+    assert.number(end, 'end');
+    assert.func(callback, 'callback');
+
+    var lastRecordsBeforeStart = {};
+    var usageRecords = [];
+
+    vasync.pipeline({funcs: [
+        function findRecordsBeforeStart(arg, next) {
+            _forEachUsageRecord('(&' + filter + '(timestamp<=' + (start - 1) +
+                '))', function keepLastRecord(usageRecordObj) {
+                var volumeUuid = usageRecordObj.value.volume_uuid;
+                var lastRecord = lastRecordsBeforeStart[volumeUuid];
+
+                /*
+                 * Records are found in the order of their "_id", which is
+                 * also the order of their timestamp unless they were written
+                 * concurrently.
+                 */
+                if (lastRecord === undefined ||
+                    usageRecordObj.value.timestamp >=
+                    lastRecord.value.timestamp) {
+                    lastRecordsBeforeStart[volumeUuid] = usageRecordObj;
+                }
+            }, function onDone(findErr) {
+                if (!findErr) {
+                    Object.keys(lastRecordsBeforeStart).forEach(
+                        function addLastRecord(volumeUuid) {
+                            var usageRecordObj =
+                                lastRecordsBeforeStart[volumeUuid];
+
+                            if (usageRecordObj.value.event !== 'delete') {
+                                usageRecords.push(usageRecordObj);
+                            }
+                        });
+                }
+
+                next(findErr);
+            });
+        },
+        function findRecordsInPeriod(arg, next) {
+            _forEachUsageRecord('(&' + filter + '(timestamp>=' + start + ')' +
+                '(timestamp<=' + end + '))',
+                function addRecord(usageRecordObj) {
+                    usageRecords.push(usageRecordObj);
+                }, next);
+        }
+    ]}, function onAllRecordsFound(err) {
+        callback(err, usageRecords);
+    });
+}
+
+//
+// Calls "callback" with the usage records needed to compute the usage of
+// volumes between "params.start" and "params.end" (see
+// _findUsageRecordsInPeriod). When "params.ownerUuid" is set, only the records
+// of volumes that were owned by that owner at some point until "params.end" are
+// included, but all of these volumes' records are included, so that the usage
+// of volumes transferred to or from that owner can be computed.
+//
+function listUsageRecords(params, callback) {
+    assert.object(params, 'params');
+    assert.number(params.start, 'params.start');
+    assert.number(params.end, 'params.end');
+    assert.optionalUuid(params.ownerUuid, 'params.ownerUuid');
+    assert.func(callback, 'callback');
+
+    var usageRecords = [];
+    var volumeUuids = {};
+
+    if (params.ownerUuid === undefined) {
+        _findUsageRecordsInPeriod('(volume_uuid=*)', params.start, params.end,
+            callback);
+        return;
+    }
+
+    _forEachUsageRecord('(&(owner_uuid=' + params.ownerUuid + ')' +
+        '(timestamp<=' + params.end + '))',
+        function addVolumeUuid(usageRecordObj) {
+            volumeUuids[usageRecordObj.value.volume_uuid] = true;
+        }, function onOwnerRecordsFound(findErr) {
+        var chunks = [];
+
+        if (findErr) {
+            callback(findErr);
+            return;
+        }
+
+        volumeUuids = Object.keys(volumeUuids);
+        while (volumeUuids.length > 0) {
+            chunks.push(volumeUuids.splice(0,
+                FIND_VOLUMES_RECORDS_CHUNK_SIZE));
+        }
+
+        vasync.forEachPipeline({
+            func: function findVolumesRecords(chunk, done) {
+                var volumesFilter = chunk.map(function buildFilter(volUuid) {
+                    return '(volume_uuid=' + volUuid + ')';
+                }).join('');
+
+                _findUsageRecordsInPeriod('(|' + volumesFilter + ')',
+                    params.start, params.end,
+                    function onVolumesRecordsFound(err, records) {
+                        if (!err) {
+                            usageRecords = usageRecords.concat(records);
+                        }
+
+                        done(err);
+                    });
+            },
+            inputs: chunks
+        }, function onAllRecordsFound(err) {
+            callback(err, usageRecords);
+        });
+    });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing usage records model...');
+
+    morayClient.setupBucket({
+        name: USAGE_RECORDS_BUCKET_NAME,
+        config: USAGE_RECORDS_BUCKET_CONFIG
+    }, function usageRecordsModelInitialized(err) {
+        if (err) {
+            log.error({err: err},
+                'Error when initializing usage records model');
+        } else {
+            log.info('Usage records model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    init: init,
+    listUsageRecords: listUsageRecords,
+    recordUsage: recordUsage
+};
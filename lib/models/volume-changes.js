@@ -0,0 +1,204 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Volume changes are records of the writes made to volume and volume
+ * reservation objects. They're written by the volumes and volume reservations
+ * models, which are used by both the API server and volapi-updater, and are
+ * read by the GET /volumes/changes endpoint to stream them to clients.
+ *
+ * Changes are ordered by the "_id" property that moray assigns to each object
+ * of a bucket when it's inserted. Since changes are inserted concurrently, a
+ * change can be committed, and thus become visible, after a change with a
+ * greater "_id": readers need to account for that (see
+ * lib/volume-changes-cursor.js). Changes are only kept for a limited period of
+ * time (see deleteChangesOlderThan).
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+
+var log;
+var morayClient;
+
+var VOLUME_CHANGES_BUCKET_NAME = 'volapi_volume_changes';
+var VOLUME_CHANGES_BUCKET_CONFIG = {
+    index: {
+        create_timestamp: { type: 'number' },
+        owner_uuid: { type: 'string' },
+        resource_uuid: { type: 'string' },
+        uuid: { type: 'string', unique: true }
+    }
+};
+
+var RESOURCE_TYPES = ['volume', 'volumereservation'];
+var CHANGE_TYPES = ['create', 'delete', 'state_change', 'update'];
+
+//
+// Records a change of type "change.type" made to the resource "change.resource"
+// of type "change.resourceType". "change.previousState" is the state the
+// resource had before a "state_change" change.
+//
+// Failing to record a change doesn't make the write it represents fail, so
+// errors are logged and not passed to "callback".
+//
+function recordChange(change, callback) {
+    assert.object(change, 'change');
+    assert.string(change.type, 'change.type');
+    assert.ok(CHANGE_TYPES.indexOf(change.type) !== -1,
+        'change.type must be one of: ' + CHANGE_TYPES.join(', '));
+    assert.string(change.resourceType, 'change.resourceType');
+    assert.ok(RESOURCE_TYPES.indexOf(change.resourceType) !== -1,
+        'change.resourceType must be one of: ' + RESOURCE_TYPES.join(', '));
+    assert.object(change.resource, 'change.resource');
+    assert.uuid(change.resource.uuid, 'change.resource.uuid');
+    assert.optionalString(change.previousState, 'change.previousState');
+    assert.func(callback, 'callback');
+
+    var uuid = libuuid.create();
+    var changeObject = {
+        create_timestamp: (new Date()).getTime(),
+        owner_uuid: change.resource.owner_uuid,
+        resource: change.resource,
+        resource_type: change.resourceType,
+        resource_uuid: change.resource.uuid,
+        type: change.type,
+        uuid: uuid
+    };
+
+    if (change.previousState !== undefined) {
+        changeObject.previous_state = change.previousState;
+    }
+
+    morayClient.putObject(VOLUME_CHANGES_BUCKET_NAME, uuid, changeObject, {
+        etag: null
+    }, function onPutObjectDone(err) {
+        if (err) {
+            log.error({err: err, change: changeObject},
+                'Error when recording volume change');
+        }
+
+        callback();
+    });
+}
+
+//
+// Calls "callback" with at most "params.limit" of the changes visible so far
+// that have an id greater than "params.afterId", sorted by id. Changes with a
+// greater id than the ones listed can be listed by a later call, but so can
+// changes with a lower id that were not committed yet.
+//
+function listChanges(params, callback) {
+    assert.object(params, 'params');
+    assert.number(params.afterId, 'params.afterId');
+    assert.number(params.limit, 'params.limit');
+    assert.func(callback, 'callback');
+
+    var changesFound = [];
+    var req = morayClient.findObjects(VOLUME_CHANGES_BUCKET_NAME,
+        '(&(uuid=*)(_id>=' + (params.afterId + 1) + '))', {
+        limit: params.limit,
+        sort: {
+            attribute: '_id',
+            order: 'ASC'
+        }
+    });
+
+    req.on('error', function onFindErr(findErr) {
+        callback(findErr);
+    });
+
+    req.on('record', function onRecord(changeObj) {
+        changesFound.push(changeObj);
+    });
+
+    req.on('end', function onEnd() {
+        callback(null, changesFound);
+    });
+}
+
+//
+// Calls "callback" with the id of the most recently recorded change, or 0 if
+// there's no change.
+//
+function getLatestChangeId(callback) {
+    assert.func(callback, 'callback');
+
+    var latestChangeId = 0;
+    var req = morayClient.findObjects(VOLUME_CHANGES_BUCKET_NAME, '(uuid=*)', {
+        limit: 1,
+        sort: {
+            attribute: '_id',
+            order: 'DESC'
+        }
+    });
+
+    req.on('error', function onFindErr(findErr) {
+        callback(findErr);
+    });
+
+    req.on('record', function onRecord(changeObj) {
+        latestChangeId = changeObj._id;
+    });
+
+    req.on('end', function onEnd() {
+        callback(null, latestChangeId);
+    });
+}
+
+function deleteChangesOlderThan(timestamp, callback) {
+    assert.number(timestamp, 'timestamp');
+    assert.func(callback, 'callback');
+
+    log.debug({timestamp: timestamp}, 'Delete volume changes');
+
+    morayClient.batch([ {
+        bucket: VOLUME_CHANGES_BUCKET_NAME,
+        filter: '(create_timestamp<=' + timestamp + ')',
+        operation: 'deleteMany'
+    } ], function onChangesDeleted(err) {
+        callback(err);
+    });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing volume changes model...');
+
+    morayClient.setupBucket({
+        name: VOLUME_CHANGES_BUCKET_NAME,
+        config: VOLUME_CHANGES_BUCKET_CONFIG
+    }, function volumeChangesModelInitialized(err) {
+        if (err) {
+            log.error({err: err},
+                'Error when initializing volume changes model');
+        } else {
+            log.info('Volume changes model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    init: init,
+    deleteChangesOlderThan: deleteChangesOlderThan,
+    getLatestChangeId: getLatestChangeId,
+    listChanges: listChanges,
+    recordChange: recordChange
+};
@@ -6,13 +6,17 @@
 
 /*
  * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
 var krill = require('krill');
 var libuuid = require('libuuid');
+var vasync = require('vasync');
 var VError = require('verror');
 
+var volumeChangesModel = require('./volume-changes');
+
 var log;
 var morayClient;
 
@@ -63,7 +67,18 @@ function createVolumeReservation(reservationParams, callback) {
         reservationObject, {
         etag: null
     }, function onPutObjectDone(err) {
-        return callback(err, uuid);
+        if (err) {
+            callback(err, uuid);
+            return;
+        }
+
+        volumeChangesModel.recordChange({
+            resource: reservationObject,
+            resourceType: 'volumereservation',
+            type: 'create'
+        }, function onChangeRecorded() {
+            callback(null, uuid);
+        });
     });
 }
 
@@ -83,8 +98,45 @@ function deleteVolumeReservation(reservationUuid, callback) {
 
     log.debug({reservationUuid: reservationUuid}, 'Delete volume reservation');
 
-    morayClient.deleteObject(VOLUMES_RESERVATIONS_BUCKET_NAME, reservationUuid,
-        callback);
+    /*
+     * The reservation is loaded before it's deleted so that the recorded
+     * change includes its last representation.
+     */
+    getVolumeReservation(reservationUuid,
+        function onReservationLoaded(loadErr, reservationObject) {
+            if (loadErr) {
+                callback(loadErr);
+                return;
+            }
+
+            morayClient.deleteObject(VOLUMES_RESERVATIONS_BUCKET_NAME,
+                reservationUuid, function onDeleteObjectDone(deleteErr) {
+                    if (deleteErr) {
+                        callback(deleteErr);
+                        return;
+                    }
+
+                    _recordReservationsDeletion([reservationObject], callback);
+                });
+        });
+}
+
+function _recordReservationsDeletion(volumeReservations, callback) {
+    assert.arrayOfObject(volumeReservations, 'volumeReservations');
+    assert.func(callback, 'callback');
+
+    vasync.forEachParallel({
+        func: function recordDeletion(volResObject, done) {
+            volumeChangesModel.recordChange({
+                resource: volResObject.value,
+                resourceType: 'volumereservation',
+                type: 'delete'
+            }, done);
+        },
+        inputs: volumeReservations
+    }, function onDeletionsRecorded() {
+        callback();
+    });
 }
 
 function makeBatchDelOpFromVolRes(volResObject) {
@@ -104,17 +156,29 @@ function deleteVolumeReservations(volumeReservations, callback) {
 
     var delBatch = volumeReservations.map(makeBatchDelOpFromVolRes);
     if (delBatch && delBatch.length > 0) {
-        morayClient.batch(delBatch, callback);
+        morayClient.batch(delBatch, function onBatchDone(batchErr, meta) {
+            if (batchErr) {
+                callback(batchErr, meta);
+                return;
+            }
+
+            _recordReservationsDeletion(volumeReservations,
+                function onDeletionsRecorded() {
+                    callback(null, meta);
+                });
+        });
     } else {
         callback();
     }
 }
 
-function searchVolumeReservations(filter, callback) {
+function searchVolumeReservations(filter, findOptions, callback) {
     assert.string(filter, 'filter');
+    assert.object(findOptions, 'findOptions');
     assert.func(callback, 'callback');
 
-    var req = morayClient.findObjects(VOLUMES_RESERVATIONS_BUCKET_NAME, filter);
+    var req = morayClient.findObjects(VOLUMES_RESERVATIONS_BUCKET_NAME, filter,
+        findOptions);
     var reservationsFound = [];
 
     req.on('error', function onFindErr(findErr) {
@@ -130,10 +194,21 @@ function searchVolumeReservations(filter, callback) {
     });
 }
 
-function listVolumeReservations(params, callback) {
+//
+// Lists volume reservations that match "params". "options" is optional and can
+// have a "sort" property, which is an object with properties "attribute" and
+// "order" ('ASC' or 'DESC') that specifies on what attribute reservations are
+// sorted. Reservations with the same value for that attribute are sorted by
+// uuid.
+//
+function listVolumeReservations(params, options, callback) {
     if (typeof (params) === 'function') {
         callback = params;
         params = {};
+        options = {};
+    } else if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
     }
 
     assert.object(params, 'params');
@@ -141,10 +216,13 @@ function listVolumeReservations(params, callback) {
     assert.optionalUuid(params.vmUuid, 'params.vmUuid');
     assert.optionalUuid(params.ownerUuid, 'params.ownerUuid');
     assert.optionalUuid(params.jobUuid, 'params.jobUuid');
+    assert.object(options, 'options');
+    assert.optionalObject(options.sort, 'options.sort');
     assert.func(callback, 'callback');
 
-    log.debug({params: params}, 'ListVolumeReservations');
+    log.debug({params: params, options: options}, 'ListVolumeReservations');
 
+    var findOptions = {};
     var jobUuid = params.jobUuid;
     var ldapFilter;
     var ownerUuid = params.ownerUuid;
@@ -186,7 +264,30 @@ function listVolumeReservations(params, callback) {
     ldapFilter = predicate.toLDAPFilterString();
     log.debug({filter: ldapFilter}, 'Generated LDAP filter');
 
-    searchVolumeReservations(ldapFilter, callback);
+    if (options.sort !== undefined) {
+        findOptions.sort = [
+            {attribute: options.sort.attribute, order: options.sort.order},
+            {attribute: 'uuid', order: options.sort.order}
+        ];
+    }
+
+    searchVolumeReservations(ldapFilter, findOptions, callback);
+}
+
+//
+// Returns an object whose keys are the names of the volume reservation
+// properties that reservations can be sorted on, and whose values are the type
+// of these properties. Reservations can only be sorted on indexed properties.
+//
+function getSortableFields() {
+    var fields = {};
+
+    Object.keys(VOLUMES_RESERVATIONS_BUCKET_CONFIG.index).forEach(
+        function addField(name) {
+            fields[name] = VOLUMES_RESERVATIONS_BUCKET_CONFIG.index[name].type;
+        });
+
+    return fields;
 }
 
 function init(config, options, callback) {
@@ -222,5 +323,6 @@ module.exports = {
     getVolumeReservation: getVolumeReservation,
     deleteVolumeReservation: deleteVolumeReservation,
     deleteVolumeReservations: deleteVolumeReservations,
+    getSortableFields: getSortableFields,
     listVolumeReservations: listVolumeReservations
 };
\ No newline at end of file
@@ -0,0 +1,232 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var krill = require('krill');
+var libuuid = require('libuuid');
+
+var log;
+var morayClient;
+
+var VOLUME_SNAPSHOTS_BUCKET_NAME = 'volapi_volume_snapshots';
+var VOLUME_SNAPSHOTS_BUCKET_CONFIG = {
+    index: {
+        create_timestamp: { type: 'number' },
+        name: { type: 'string' },
+        owner_uuid: { type: 'string' },
+        state: { type: 'string' },
+        uuid: { type: 'string', unique: true},
+        volume_uuid: { type: 'string' }
+    }
+};
+
+function createVolumeSnapshot(snapshotParams, callback) {
+    assert.object(snapshotParams, 'snapshotParams');
+    assert.string(snapshotParams.name, 'snapshotParams.name');
+    assert.uuid(snapshotParams.owner_uuid, 'snapshotParams.owner_uuid');
+    assert.uuid(snapshotParams.volume_uuid, 'snapshotParams.volume_uuid');
+    assert.func(callback, 'callback');
+
+    log.debug({snapshotParams: snapshotParams}, 'Create volume snapshot');
+
+    var uuid = libuuid.create();
+
+    var snapshotObject = {
+        create_timestamp: (new Date()).getTime(),
+        name: snapshotParams.name,
+        owner_uuid: snapshotParams.owner_uuid,
+        state: 'creating',
+        uuid: uuid,
+        volume_uuid: snapshotParams.volume_uuid
+    };
+
+    log.debug({snapshotObject: snapshotObject},
+        'Creating volume snapshot object in moray');
+
+    morayClient.putObject(VOLUME_SNAPSHOTS_BUCKET_NAME, uuid, snapshotObject, {
+        etag: null
+    }, function onPutObjectDone(err) {
+        return callback(err, snapshotObject);
+    });
+}
+
+function updateVolumeSnapshot(snapshotObject, callback) {
+    assert.object(snapshotObject, 'snapshotObject');
+    assert.uuid(snapshotObject.uuid, 'snapshotObject.uuid');
+    assert.func(callback, 'callback');
+
+    log.debug({snapshotObject: snapshotObject},
+        'Updating volume snapshot object in moray');
+
+    morayClient.putObject(VOLUME_SNAPSHOTS_BUCKET_NAME, snapshotObject.uuid,
+        snapshotObject, callback);
+}
+
+function loadVolumeSnapshot(snapshotUuid, callback) {
+    assert.uuid(snapshotUuid, 'snapshotUuid');
+    assert.func(callback, 'callback');
+
+    morayClient.getObject(VOLUME_SNAPSHOTS_BUCKET_NAME, snapshotUuid,
+        callback);
+}
+
+function deleteVolumeSnapshot(snapshotUuid, callback) {
+    assert.uuid(snapshotUuid, 'snapshotUuid');
+    assert.func(callback, 'callback');
+
+    log.debug({snapshotUuid: snapshotUuid}, 'Delete volume snapshot');
+
+    morayClient.deleteObject(VOLUME_SNAPSHOTS_BUCKET_NAME, snapshotUuid,
+        callback);
+}
+
+//
+// Deletes all snapshots of the volume with UUID "volumeUuid". This is used when
+// a volume is deleted, in which case its storage VM's delegated dataset, and
+// thus all its ZFS snapshots, are destroyed too.
+//
+function deleteVolumeSnapshots(volumeUuid, callback) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.func(callback, 'callback');
+
+    var filter = krill.createPredicate({
+        eq: ['volume_uuid', volumeUuid]
+    }).toLDAPFilterString();
+
+    log.debug({volumeUuid: volumeUuid}, 'Delete all volume snapshots');
+
+    morayClient.batch([ {
+        bucket: VOLUME_SNAPSHOTS_BUCKET_NAME,
+        filter: filter,
+        operation: 'deleteMany'
+    } ], function onSnapshotsDeleted(err) {
+        callback(err);
+    });
+}
+
+function searchVolumeSnapshots(filter, callback) {
+    assert.string(filter, 'filter');
+    assert.func(callback, 'callback');
+
+    var req = morayClient.findObjects(VOLUME_SNAPSHOTS_BUCKET_NAME, filter, {
+        sort: {
+            attribute: 'create_timestamp',
+            order: 'ASC'
+        }
+    });
+    var snapshotsFound = [];
+
+    req.on('error', function onFindErr(findErr) {
+        callback(findErr);
+    });
+
+    req.on('record', function onRecord(snapshotObj) {
+        snapshotsFound.push(snapshotObj);
+    });
+
+    req.on('end', function onEnd() {
+        callback(null, snapshotsFound);
+    });
+}
+
+function listVolumeSnapshots(params, callback) {
+    assert.object(params, 'params');
+    assert.uuid(params.volumeUuid, 'params.volumeUuid');
+    assert.optionalString(params.name, 'params.name');
+    assert.optionalUuid(params.ownerUuid, 'params.ownerUuid');
+    assert.func(callback, 'callback');
+
+    log.debug({params: params}, 'ListVolumeSnapshots');
+
+    var ldapFilter;
+    var predicateComponents = [
+        {eq: ['volume_uuid', params.volumeUuid]}
+    ];
+
+    if (params.name !== undefined) {
+        predicateComponents.push({eq: ['name', params.name]});
+    }
+
+    if (params.ownerUuid !== undefined) {
+        predicateComponents.push({eq: ['owner_uuid', params.ownerUuid]});
+    }
+
+    ldapFilter = krill.createPredicate({
+        and: predicateComponents
+    }).toLDAPFilterString();
+
+    log.debug({filter: ldapFilter}, 'Generated LDAP filter');
+
+    searchVolumeSnapshots(ldapFilter, callback);
+}
+
+//
+// Calls "callback" with the snapshot object named "snapshotName" for the volume
+// with UUID "volumeUuid" as its second parameter, or with undefined as its
+// second parameter if no such snapshot exists.
+//
+function getVolumeSnapshot(volumeUuid, snapshotName, callback) {
+    assert.uuid(volumeUuid, 'volumeUuid');
+    assert.string(snapshotName, 'snapshotName');
+    assert.func(callback, 'callback');
+
+    listVolumeSnapshots({
+        volumeUuid: volumeUuid,
+        name: snapshotName
+    }, function onSnapshotsListed(listErr, snapshots) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        assert.ok(snapshots.length <= 1,
+            'at most one snapshot with a given name per volume');
+
+        callback(null, snapshots[0]);
+    });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing volume snapshots model...');
+
+    morayClient.setupBucket({
+        name: VOLUME_SNAPSHOTS_BUCKET_NAME,
+        config: VOLUME_SNAPSHOTS_BUCKET_CONFIG
+    }, function volumeSnapshotsModelInitialized(err) {
+        if (err) {
+            log.error({err: err},
+                'Error when initializing volume snapshots model');
+        } else {
+            log.info('Volume snapshots model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    init: init,
+    createVolumeSnapshot: createVolumeSnapshot,
+    deleteVolumeSnapshot: deleteVolumeSnapshot,
+    deleteVolumeSnapshots: deleteVolumeSnapshots,
+    getVolumeSnapshot: getVolumeSnapshot,
+    listVolumeSnapshots: listVolumeSnapshots,
+    loadVolumeSnapshot: loadVolumeSnapshot,
+    updateVolumeSnapshot: updateVolumeSnapshot
+};
@@ -6,18 +6,21 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
- * Copyright 2022 MNX Cloud, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var path = require('path');
 var util = require('util');
 
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
 var libuuid = require('libuuid');
 var ldapFilter = require('ldap-filter');
 var vasync = require('vasync');
 var verror = require('verror');
 
+var changefeed = require('../changefeed');
+var volumeChangesModel = require('./volume-changes');
 var volumes = require('../volumes');
 
 var VOLUMES_BUCKET_NAME = 'volapi_volumes';
@@ -43,8 +46,85 @@ var VOLUMES_BUCKET_CONFIG = {
     }
 };
 
+/*
+ * Tombstones are the last representation of deleted volumes, kept for
+ * "tombstonesRetentionPeriod" seconds so that ListVolumes can still list them
+ * when its "include_deleted" parameter is true. They're indexed like volumes
+ * so that they can be searched with the same filters.
+ */
+var VOLUME_TOMBSTONES_BUCKET_NAME = 'volapi_volume_tombstones';
+var VOLUME_TOMBSTONES_BUCKET_CONFIG = {
+    index: {
+        delete_timestamp: { type: 'number' },
+        expiration_timestamp: { type: 'number' }
+    }
+};
+
+Object.keys(VOLUMES_BUCKET_CONFIG.index).forEach(function addIndex(name) {
+    VOLUME_TOMBSTONES_BUCKET_CONFIG.index[name] =
+        VOLUMES_BUCKET_CONFIG.index[name];
+});
+
 var morayClient;
 var log;
+var tombstonesRetentionPeriod;
+
+//
+// Records the change from "previousVolume" to "volume" in the volume changes
+// bucket and publishes it on the changefeed. When "previousVolume" is
+// undefined, the volume was created, and when "volume" is undefined, it was
+// deleted. Neither operation passes errors to "callback".
+//
+function _recordVolumeChange(previousVolume, volume, callback) {
+    assert.optionalObject(previousVolume, 'previousVolume');
+    assert.optionalObject(volume, 'volume');
+    assert.func(callback, 'callback');
+
+    var change = {
+        resource: volume || previousVolume,
+        resourceType: 'volume',
+        type: 'update'
+    };
+
+    if (previousVolume === undefined) {
+        change.type = 'create';
+    } else if (volume === undefined) {
+        change.type = 'delete';
+    } else if (previousVolume.state !== volume.state) {
+        change.type = 'state_change';
+        change.previousState = previousVolume.state;
+    }
+
+    vasync.parallel({funcs: [
+        function recordChange(done) {
+            volumeChangesModel.recordChange(change, done);
+        },
+        function publishChange(done) {
+            changefeed.publishVolumeChange(previousVolume, volume, done);
+        }
+    ]}, function onChangeRecorded() {
+        callback();
+    });
+}
+
+//
+// Returns true if the only property that differs between "previousVolume" and
+// "volume" is "usage". volapi-updater updates the usage of all volumes
+// periodically, and these updates are not recorded as volume changes so that
+// they don't flood the volume changes stream and changefeed listeners.
+//
+function _isUsageOnlyChange(previousVolume, volume) {
+    assert.object(previousVolume, 'previousVolume');
+    assert.object(volume, 'volume');
+
+    var previousVolumeWithoutUsage = jsprim.deepCopy(previousVolume);
+    var volumeWithoutUsage = jsprim.deepCopy(volume);
+
+    delete previousVolumeWithoutUsage.usage;
+    delete volumeWithoutUsage.usage;
+
+    return jsprim.deepEqual(previousVolumeWithoutUsage, volumeWithoutUsage);
+}
 
 function createVolume(volumeParams, callback) {
     assert.object(volumeParams, 'volumeParams');
@@ -79,12 +159,28 @@ function createVolume(volumeParams, callback) {
         volumeObject.networks = volumeParams.networks;
     }
 
+    if (state === 'failed') {
+        volumeObject.failed_timestamp = volumeObject.create_timestamp;
+    }
+
+    if (volumeParams.source !== undefined) {
+        volumeObject.source = volumeParams.source;
+    }
+
     log.debug({volumeObject: volumeObject}, 'Creating volume object in moray');
 
     morayClient.putObject(VOLUMES_BUCKET_NAME, volumeUuid, volumeObject, {
         etag: null
     }, function onPutObjectDone(err) {
-        return callback(err, volumeUuid);
+        if (err) {
+            callback(err, volumeUuid);
+            return;
+        }
+
+        _recordVolumeChange(undefined, volumeObject,
+            function onChangeRecorded() {
+                callback(null, volumeUuid);
+            });
     });
 }
 
@@ -95,9 +191,57 @@ function updateVolume(volumeUuid, volumeObject, callback) {
 
     log.debug({volumeObject: volumeObject}, 'Updating volume object in moray');
 
-    morayClient.putObject(VOLUMES_BUCKET_NAME, volumeUuid, volumeObject.value, {
-        etag: volumeObject.etag
-    }, callback);
+    /*
+     * The volume's current representation is loaded before it's updated so
+     * that the change can be described accurately. Failing to load it only
+     * means that the change is recorded as a regular update, without any
+     * change kind to publish on the changefeed.
+     */
+    morayClient.getObject(VOLUMES_BUCKET_NAME, volumeUuid,
+        function onPreviousLoaded(loadErr, previousVolumeObject) {
+            var previousVolume = volumeObject.value;
+            var usageOnlyChange = false;
+
+            if (!loadErr && previousVolumeObject) {
+                previousVolume = previousVolumeObject.value;
+            }
+
+            /*
+             * The time at which volumes moved to the "failed" state is kept so
+             * that volapi-updater's reaper can delete them once they've been
+             * failed for long enough.
+             */
+            if (volumeObject.value.state !== 'failed') {
+                delete volumeObject.value.failed_timestamp;
+            } else if (previousVolume.state !== 'failed') {
+                volumeObject.value.failed_timestamp = (new Date()).getTime();
+            }
+
+            if (previousVolume !== volumeObject.value) {
+                usageOnlyChange = _isUsageOnlyChange(previousVolume,
+                    volumeObject.value);
+            }
+
+            morayClient.putObject(VOLUMES_BUCKET_NAME, volumeUuid,
+                volumeObject.value, {
+                etag: volumeObject.etag
+            }, function onPutObjectDone(putErr) {
+                if (putErr) {
+                    callback(putErr);
+                    return;
+                }
+
+                if (usageOnlyChange) {
+                    callback();
+                    return;
+                }
+
+                _recordVolumeChange(previousVolume, volumeObject.value,
+                    function onChangeRecorded() {
+                        callback();
+                    });
+            });
+        });
 }
 
 function _isTransientVolumeUpdateError(volumeUpdateError) {
@@ -158,6 +302,51 @@ function updateVolumeWithRetry(volumeUuid, volumeObject, callback) {
     doUpdateVolume();
 }
 
+//
+// Returns an LDAP filter object that matches volumes that have a label named
+// "labelName" with value "labelValue". Labels are stored as a stringified JSON
+// object, so this looks for the stringified key/value pair in that string.
+//
+function _buildLabelFilter(labelName, labelValue) {
+    assert.string(labelName, 'labelName');
+    assert.string(labelValue, 'labelValue');
+
+    return new ldapFilter.SubstringFilter({
+        attribute: 'labels',
+        any: [JSON.stringify(labelName) + ':' + JSON.stringify(labelValue)]
+    });
+}
+
+//
+// Replaces, in place, the equality filters on the "label" attribute generated
+// from "label" predicates (of the form "(label=key=value)") with filters on
+// the "labels" index. Returns the filter that should be used instead of
+// "filter".
+//
+function _replaceLabelFilters(filter) {
+    var labelSeparatorIndex;
+
+    assert.object(filter, 'filter');
+
+    if (filter.filters !== undefined) {
+        filter.filters = filter.filters.map(_replaceLabelFilters);
+        return filter;
+    }
+
+    if (filter.filter !== undefined) {
+        filter.filter = _replaceLabelFilters(filter.filter);
+        return filter;
+    }
+
+    if (filter.type === 'equal' && filter.attribute === 'label') {
+        labelSeparatorIndex = filter.value.indexOf('=');
+        return _buildLabelFilter(filter.value.substr(0, labelSeparatorIndex),
+            filter.value.substr(labelSeparatorIndex + 1));
+    }
+
+    return filter;
+}
+
 function _buildSearchFilter(params) {
     assert.object(params, 'params');
 
@@ -180,7 +369,8 @@ function _buildSearchFilter(params) {
         predicateLdapFilterString =
             predicateLdapFilterString.replace('(dangling=false)', '(refs=*)');
 
-        predicateLdapFilterObject = ldapFilter.parse(predicateLdapFilterString);
+        predicateLdapFilterObject =
+            _replaceLabelFilters(ldapFilter.parse(predicateLdapFilterString));
     }
 
     if (predicateLdapFilterObject) {
@@ -201,6 +391,18 @@ function _buildSearchFilter(params) {
             continue;
         }
 
+        /*
+         * 'labels' is an object that maps label names to the value that
+         * volumes' labels with that name must have.
+         */
+        if (paramName === 'labels') {
+            Object.keys(params.labels).forEach(function addLabel(labelName) {
+                filters.push(_buildLabelFilter(labelName,
+                    params.labels[labelName]));
+            });
+            continue;
+        }
+
         /*
          * We want to be able to include '*' as a prefix or suffix, and if we
          * just add it using EqualityFilter, the '*' will be destroyed, so we
@@ -252,32 +454,298 @@ function listVolumesByFilter(filter, callback) {
     });
 }
 
-function listVolumes(params, callback) {
+//
+// Returns an LDAP filter object that matches the objects that come after the
+// object represented by "marker" when sorting on the attribute "sort.attribute"
+// in the order "sort.order", and then on their uuid in the same order to break
+// ties.
+//
+function _buildMarkerFilter(marker, sort) {
+    assert.object(marker, 'marker');
+    assert.uuid(marker.uuid, 'marker.uuid');
+    assert.object(sort, 'sort');
+    assert.string(sort.attribute, 'sort.attribute');
+    assert.string(sort.order, 'sort.order');
+
+    function buildAfterFilter(attribute, value) {
+        var ComparisonFilter = sort.order === 'ASC' ?
+            ldapFilter.GreaterThanEqualsFilter :
+            ldapFilter.LessThanEqualsFilter;
+
+        /*
+         * LDAP filters don't have strict comparison operators, so we exclude
+         * equal values explicitly.
+         */
+        return new ldapFilter.AndFilter({filters: [
+            new ComparisonFilter({attribute: attribute, value: value}),
+            new ldapFilter.NotFilter({
+                filter: new ldapFilter.EqualityFilter({
+                    attribute: attribute,
+                    value: value
+                })
+            })
+        ]});
+    }
+
+    if (sort.attribute === 'uuid') {
+        return buildAfterFilter('uuid', marker.uuid);
+    }
+
+    return new ldapFilter.OrFilter({filters: [
+        buildAfterFilter(sort.attribute, marker[sort.attribute]),
+        new ldapFilter.AndFilter({filters: [
+            new ldapFilter.EqualityFilter({
+                attribute: sort.attribute,
+                value: marker[sort.attribute]
+            }),
+            buildAfterFilter('uuid', marker.uuid)
+        ]})
+    ]});
+}
+
+function _findVolumes(bucketName, filter, findOptions, callback) {
+    assert.string(bucketName, 'bucketName');
+    assert.string(filter, 'filter');
+    assert.object(findOptions, 'findOptions');
+    assert.func(callback, 'callback');
+
+    var count = 0;
+    var volumesFound = [];
+
+    var req = morayClient.findObjects(bucketName, filter, findOptions);
+
+    req.once('error', function onSearchVolumeError(err) {
+        callback(err);
+    });
+
+    req.on('record', function onVolumeFound(volumeObj) {
+        /*
+         * Moray includes in each record the total number of objects that
+         * match the filter, regardless of the "limit" option.
+         */
+        count = volumeObj._count;
+        volumesFound.push(volumeObj);
+    });
+
+    req.on('end', function onSearchVolumeEnd() {
+        callback(null, volumesFound, count);
+    });
+}
+
+//
+// Lists the objects of the bucket "bucketName" that match "searchFilter",
+// according to the "limit", "sort" and "marker" options described in
+// listVolumes.
+//
+function _listBucketVolumes(bucketName, searchFilter, options, callback) {
+    assert.string(bucketName, 'bucketName');
+    assert.string(searchFilter, 'searchFilter');
+    assert.object(options, 'options');
+    assert.func(callback, 'callback');
+
+    var findOptions = {};
+    var pageFilter = searchFilter;
+
+    if (options.marker !== undefined) {
+        assert.object(options.sort, 'options.sort');
+
+        pageFilter = new ldapFilter.AndFilter({filters: [
+            ldapFilter.parse(searchFilter),
+            _buildMarkerFilter(options.marker, options.sort)
+        ]}).toString();
+    }
+
+    if (options.sort !== undefined) {
+        findOptions.sort = [
+            {attribute: options.sort.attribute, order: options.sort.order},
+            {attribute: 'uuid', order: options.sort.order}
+        ];
+    }
+
+    if (options.limit !== undefined) {
+        findOptions.limit = options.limit;
+    }
+
+    _findVolumes(bucketName, pageFilter, findOptions,
+        function onVolumesFound(findErr, volumes, count) {
+            if (findErr || options.marker === undefined) {
+                callback(findErr, volumes, count);
+                return;
+            }
+
+            /*
+             * The total count of volumes needs to not take the marker into
+             * account, so we need a separate request to get it.
+             */
+            _findVolumes(bucketName, searchFilter, {limit: 1},
+                function onCountFound(countErr, countVolumes, totalCount) {
+                    callback(countErr, volumes, totalCount);
+                });
+        });
+}
+
+//
+// Returns a function that compares volume objects according to "sort", in the
+// same way moray sorts them in _listBucketVolumes.
+//
+function _makeVolumeObjectsComparator(sort) {
+    assert.object(sort, 'sort');
+    assert.string(sort.attribute, 'sort.attribute');
+    assert.string(sort.order, 'sort.order');
+
+    var direction = sort.order === 'ASC' ? 1 : -1;
+
+    function compareValues(a, b) {
+        if (a === b) {
+            return 0;
+        }
+
+        return (a < b ? -1 : 1) * direction;
+    }
+
+    return function compareVolumeObjects(a, b) {
+        return compareValues(a.value[sort.attribute],
+            b.value[sort.attribute]) ||
+            compareValues(a.value.uuid, b.value.uuid);
+    };
+}
+
+//
+// Lists volumes that match "params". "options" is optional and can have the
+// following properties:
+//
+// - limit: the maximum number of volumes to list
+// - sort: an object with properties "attribute" and "order" ('ASC' or 'DESC')
+//   that specifies on what attribute volumes are sorted. Volumes with the same
+//   value for that attribute are sorted by uuid.
+// - marker: an object with a "uuid" property and a property named after the
+//   sort attribute, in which case only volumes that come after the volume it
+//   represents are listed. "sort" is mandatory when "marker" is set.
+// - includeDeleted: if true, the tombstones of deleted volumes that haven't
+//   expired are listed along with volumes.
+//
+// "callback" is called with the volumes found as its second parameter and with
+// the total number of volumes that match "params" (regardless of "limit" and
+// "marker") as its third parameter.
+//
+function listVolumes(params, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+
     assert.object(params, 'params');
     assert.optionalString(params.name, 'params.name');
     assert.optionalString(params.owner_uuid, 'params.owner_uuid');
     assert.optionalString(params.state, 'params.state');
     assert.optionalObject(params.predicate, 'params.predicate');
+    assert.optionalObject(params.labels, 'params.labels');
+    assert.object(options, 'options');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.optionalObject(options.sort, 'options.sort');
+    assert.optionalObject(options.marker, 'options.marker');
+    assert.optionalBool(options.includeDeleted, 'options.includeDeleted');
     assert.func(callback, 'callback');
 
-    var volumesFound = [];
-
     var searchFilter = _buildSearchFilter(params);
     log.debug({searchFilter: searchFilter}, 'Built search filter');
 
-    var req = morayClient.findObjects(VOLUMES_BUCKET_NAME, searchFilter);
+    if (!options.includeDeleted) {
+        _listBucketVolumes(VOLUMES_BUCKET_NAME, searchFilter, options,
+            callback);
+        return;
+    }
 
-    req.once('error', function onSearchVolumeError(err) {
-        callback(err);
+    /*
+     * Volumes and tombstones are listed separately with the same options, and
+     * the two lists are then merged. Since each list has at most "limit"
+     * objects that come after "marker", the first "limit" objects of the
+     * merged list are the ones of the requested page.
+     */
+    vasync.parallel({funcs: [
+        function listVolumesObjects(done) {
+            _listBucketVolumes(VOLUMES_BUCKET_NAME, searchFilter, options,
+                function onListed(err, volumes, count) {
+                    done(err, {count: count, volumes: volumes});
+                });
+        },
+        function listTombstones(done) {
+            var tombstonesFilter = '(&' + searchFilter +
+                '(expiration_timestamp>=' + (new Date()).getTime() + '))';
+
+            _listBucketVolumes(VOLUME_TOMBSTONES_BUCKET_NAME, tombstonesFilter,
+                options, function onListed(err, tombstones, count) {
+                    done(err, {count: count, volumes: tombstones});
+                });
+        }
+    ]}, function onAllListed(err, results) {
+        var count = 0;
+        var volumes = [];
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        results.successes.forEach(function addResults(result) {
+            count += result.count;
+            volumes = volumes.concat(result.volumes);
+        });
+
+        if (options.sort !== undefined) {
+            volumes.sort(_makeVolumeObjectsComparator(options.sort));
+        }
+
+        if (options.limit !== undefined) {
+            volumes = volumes.slice(0, options.limit);
+        }
+
+        callback(null, volumes, count);
     });
+}
 
-    req.on('record', function onVolumeFound(volumeObj) {
-        volumesFound.push(volumeObj);
+//
+// Lists the volumes that have been in the "failed" state since "timestamp" or
+// earlier. Volumes that moved to the "failed" state before their
+// "failed_timestamp" property was maintained are not included.
+//
+function listVolumesFailedBefore(timestamp, callback) {
+    assert.number(timestamp, 'timestamp');
+    assert.func(callback, 'callback');
+
+    listVolumes({
+        state: 'failed'
+    }, function onVolumesListed(err, volumeObjects) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, volumeObjects.filter(function failedBefore(volObject) {
+            return volObject.value.failed_timestamp !== undefined &&
+                volObject.value.failed_timestamp <= timestamp;
+        }));
     });
+}
 
-    req.on('end', function onSearchVolumeEnd() {
-        callback(null, volumesFound);
+//
+// Returns an object whose keys are the names of the volume properties that
+// volumes can be sorted on, and whose values are the type of these properties
+// ('string' or 'number'). Volumes can only be sorted on indexed properties
+// that are not arrays.
+//
+function getSortableFields() {
+    var fields = {};
+
+    Object.keys(VOLUMES_BUCKET_CONFIG.index).forEach(function addField(name) {
+        var fieldType = VOLUMES_BUCKET_CONFIG.index[name].type;
+
+        if (fieldType === 'string' || fieldType === 'number') {
+            fields[name] = fieldType;
+        }
     });
+
+    return fields;
 }
 
 function loadVolume(volumeUuid, callback) {
@@ -287,13 +755,94 @@ function loadVolume(volumeUuid, callback) {
     morayClient.getObject(VOLUMES_BUCKET_NAME, volumeUuid, callback);
 }
 
+//
+// Creates the tombstone of the deleted volume "volume", unless tombstones are
+// disabled. Failing to create a tombstone doesn't make the deletion fail, so
+// errors are logged and not passed to "callback".
+//
+function _createTombstone(volume, callback) {
+    assert.object(volume, 'volume');
+    assert.uuid(volume.uuid, 'volume.uuid');
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).getTime();
+    var tombstone = {};
+
+    if (!(tombstonesRetentionPeriod > 0)) {
+        callback();
+        return;
+    }
+
+    Object.keys(volume).forEach(function copyProperty(propertyName) {
+        tombstone[propertyName] = volume[propertyName];
+    });
+
+    tombstone.state = 'deleted';
+    tombstone.delete_timestamp = now;
+    tombstone.expiration_timestamp = now + tombstonesRetentionPeriod * 1000;
+
+    morayClient.putObject(VOLUME_TOMBSTONES_BUCKET_NAME, volume.uuid,
+        tombstone, function onPutObjectDone(err) {
+            if (err) {
+                log.error({err: err, tombstone: tombstone},
+                    'Error when creating volume tombstone');
+            }
+
+            callback();
+        });
+}
+
+//
+// Deletes the tombstones of deleted volumes that expired.
+//
+function deleteExpiredTombstones(callback) {
+    assert.func(callback, 'callback');
+
+    var now = (new Date()).getTime();
+
+    log.debug({timestamp: now}, 'Delete expired volume tombstones');
+
+    morayClient.batch([ {
+        bucket: VOLUME_TOMBSTONES_BUCKET_NAME,
+        filter: '(expiration_timestamp<=' + now + ')',
+        operation: 'deleteMany'
+    } ], function onTombstonesDeleted(err) {
+        callback(err);
+    });
+}
+
 function deleteVolume(volumeUuid, callback) {
     assert.string(volumeUuid, 'volumeUuid');
     assert.func(callback, 'callback');
 
     log.debug({volumeUuid: volumeUuid}, 'Delete volume');
 
-    morayClient.deleteObject(VOLUMES_BUCKET_NAME, volumeUuid, callback);
+    /*
+     * The volume is loaded before it's deleted so that the recorded change
+     * includes its last representation.
+     */
+    loadVolume(volumeUuid, function onVolumeLoaded(loadErr, volumeObject) {
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        morayClient.deleteObject(VOLUMES_BUCKET_NAME, volumeUuid,
+            function onDeleteObjectDone(deleteErr) {
+                if (deleteErr) {
+                    callback(deleteErr);
+                    return;
+                }
+
+                _createTombstone(volumeObject.value,
+                    function onTombstoneCreated() {
+                        _recordVolumeChange(volumeObject.value, undefined,
+                            function onChangeRecorded() {
+                                callback();
+                            });
+                    });
+            });
+    });
 }
 
 //
@@ -459,12 +1008,24 @@ function init(config, options, callback) {
 
     morayClient = options.morayClient;
     log = options.log;
+    tombstonesRetentionPeriod = config.tombstonesRetentionPeriod;
 
     log.info('Initializing volumes model...');
 
-    morayClient.setupBucket({
-        name: VOLUMES_BUCKET_NAME,
-        config: VOLUMES_BUCKET_CONFIG
+    vasync.forEachParallel({
+        func: function setupBucket(bucket, done) {
+            morayClient.setupBucket(bucket, done);
+        },
+        inputs: [
+            {
+                name: VOLUMES_BUCKET_NAME,
+                config: VOLUMES_BUCKET_CONFIG
+            },
+            {
+                name: VOLUME_TOMBSTONES_BUCKET_NAME,
+                config: VOLUME_TOMBSTONES_BUCKET_CONFIG
+            }
+        ]
     }, function volumeModelInitialized(err) {
         if (err) {
             log.error({err: err}, 'Error when initializing volumes model');
@@ -484,8 +1045,11 @@ module.exports = {
     loadVolume: loadVolume,
     listVolumes: listVolumes,
     listVolumesByFilter: listVolumesByFilter,
+    getSortableFields: getSortableFields,
     deleteVolume: deleteVolume,
     deleteVolumeWithRetry: deleteVolumeWithRetry,
+    deleteExpiredTombstones: deleteExpiredTombstones,
+    listVolumesFailedBefore: listVolumesFailedBefore,
     addReference: addReference,
     removeReference: removeReference
 };
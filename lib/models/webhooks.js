@@ -0,0 +1,161 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+
+var log;
+var morayClient;
+
+var WEBHOOKS_BUCKET_NAME = 'volapi_webhooks';
+var WEBHOOKS_BUCKET_CONFIG = {
+    index: {
+        create_timestamp: { type: 'number' },
+        owner_uuid: { type: 'string' },
+        uuid: { type: 'string', unique: true }
+    }
+};
+
+function createWebhook(webhookParams, callback) {
+    assert.object(webhookParams, 'webhookParams');
+    assert.uuid(webhookParams.owner_uuid, 'webhookParams.owner_uuid');
+    assert.string(webhookParams.url, 'webhookParams.url');
+    assert.string(webhookParams.secret, 'webhookParams.secret');
+    assert.arrayOfString(webhookParams.events, 'webhookParams.events');
+    assert.func(callback, 'callback');
+
+    log.debug({
+        owner_uuid: webhookParams.owner_uuid,
+        url: webhookParams.url,
+        events: webhookParams.events
+    }, 'Create webhook');
+
+    var webhookUuid = libuuid.create();
+    var webhookObject = {
+        create_timestamp: (new Date()).getTime(),
+        events: webhookParams.events,
+        owner_uuid: webhookParams.owner_uuid,
+        secret: webhookParams.secret,
+        url: webhookParams.url,
+        uuid: webhookUuid
+    };
+
+    morayClient.putObject(WEBHOOKS_BUCKET_NAME, webhookUuid, webhookObject, {
+        etag: null
+    }, function onPutObjectDone(err) {
+        return callback(err, webhookObject);
+    });
+}
+
+function updateWebhook(webhookObject, callback) {
+    assert.object(webhookObject, 'webhookObject');
+    assert.object(webhookObject.value, 'webhookObject.value');
+    assert.uuid(webhookObject.value.uuid, 'webhookObject.value.uuid');
+    assert.func(callback, 'callback');
+
+    log.debug({
+        uuid: webhookObject.value.uuid,
+        url: webhookObject.value.url,
+        events: webhookObject.value.events
+    }, 'Updating webhook object in moray');
+
+    morayClient.putObject(WEBHOOKS_BUCKET_NAME, webhookObject.value.uuid,
+        webhookObject.value, {
+        etag: webhookObject._etag
+    }, callback);
+}
+
+function loadWebhook(webhookUuid, callback) {
+    assert.uuid(webhookUuid, 'webhookUuid');
+    assert.func(callback, 'callback');
+
+    morayClient.getObject(WEBHOOKS_BUCKET_NAME, webhookUuid, callback);
+}
+
+function deleteWebhook(webhookUuid, callback) {
+    assert.uuid(webhookUuid, 'webhookUuid');
+    assert.func(callback, 'callback');
+
+    log.debug({webhookUuid: webhookUuid}, 'Delete webhook');
+
+    morayClient.deleteObject(WEBHOOKS_BUCKET_NAME, webhookUuid, callback);
+}
+
+//
+// Calls "callback" with all webhooks, or only the webhooks of owner
+// "params.ownerUuid" if it's present.
+//
+function listWebhooks(params, callback) {
+    assert.object(params, 'params');
+    assert.optionalUuid(params.ownerUuid, 'params.ownerUuid');
+    assert.func(callback, 'callback');
+
+    var filter = '(uuid=*)';
+    var req;
+    var webhooksFound = [];
+
+    if (params.ownerUuid !== undefined) {
+        filter = '(owner_uuid=' + params.ownerUuid + ')';
+    }
+
+    req = morayClient.findObjects(WEBHOOKS_BUCKET_NAME, filter, {
+        sort: {
+            attribute: 'create_timestamp',
+            order: 'ASC'
+        }
+    });
+
+    req.on('error', function onFindErr(findErr) {
+        callback(findErr);
+    });
+
+    req.on('record', function onRecord(webhookObj) {
+        webhooksFound.push(webhookObj);
+    });
+
+    req.on('end', function onEnd() {
+        callback(null, webhooksFound);
+    });
+}
+
+function init(config, options, callback) {
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    morayClient = options.morayClient;
+    log = options.log;
+
+    log.info('Initializing webhooks model...');
+
+    morayClient.setupBucket({
+        name: WEBHOOKS_BUCKET_NAME,
+        config: WEBHOOKS_BUCKET_CONFIG
+    }, function webhooksModelInitialized(err) {
+        if (err) {
+            log.error({err: err}, 'Error when initializing webhooks model');
+        } else {
+            log.info('Webhooks model initialized successfully');
+        }
+
+        return callback(err);
+    });
+}
+
+module.exports = {
+    init: init,
+    createWebhook: createWebhook,
+    deleteWebhook: deleteWebhook,
+    listWebhooks: listWebhooks,
+    loadWebhook: loadWebhook,
+    updateWebhook: updateWebhook
+};
@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Quotas limit the number of volumes and the total size of the volumes that a
+ * given owner can have. Volumes in the "failed" state don't use any storage
+ * capacity, and thus are not taken into account. Trashed volumes keep using
+ * the capacity of their storage VM until they're purged, so they are taken
+ * into account, and restoring them doesn't need to be checked against quotas.
+ *
+ * Quotas are checked while holding the owner's quota ticket (see
+ * acquireQuotaTicket), which is released only once the volume is recorded with
+ * its new size or owner, so that concurrent requests for _different_ volumes of
+ * the same owner can't each pass the quota check and together exceed it.
+ */
+
+var assert = require('assert-plus');
+var krill = require('krill');
+
+var errors = require('./errors');
+var quotasModel = require('./models/quotas');
+var volumesModel = require('./models/volumes');
+var volumeTickets = require('./volume-tickets');
+
+//
+// Calls "callback" with an object with the properties "nbVolumes" and
+// "totalSize" (in mebibytes) that represents the storage capacity currently
+// used by all the volumes of owner "ownerUuid", except the volume with UUID
+// "options.excludeVolumeUuid" if present.
+//
+function _getOwnerUsage(ownerUuid, options, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.object(options, 'options');
+    assert.optionalUuid(options.excludeVolumeUuid,
+        'options.excludeVolumeUuid');
+    assert.func(callback, 'callback');
+
+    volumesModel.listVolumes({
+        owner_uuid: ownerUuid,
+        predicate: krill.createPredicate({
+            or: [
+                {eq: ['state', 'creating']},
+                {eq: ['state', 'ready']},
+                {eq: ['state', 'resizing']},
+                {eq: ['state', 'rolling_back']},
+                {eq: ['state', 'deleting']},
+                {eq: ['state', 'trashed']}
+            ]
+        })
+    }, function onVolumesListed(listErr, volumeObjects) {
+        var usage = {
+            nbVolumes: 0,
+            totalSize: 0
+        };
+
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        volumeObjects.forEach(function addVolumeUsage(volumeObject) {
+            var volume = volumeObject.value;
+            var volumeSize = volume.size;
+
+            if (volume.uuid === options.excludeVolumeUuid) {
+                return;
+            }
+
+            /*
+             * A volume that is being resized might end up with its new size,
+             * so we account for the largest of the two.
+             */
+            if (volume.state === 'resizing' && volume.resize !== undefined &&
+                volume.resize.size > volumeSize) {
+                volumeSize = volume.resize.size;
+            }
+
+            ++usage.nbVolumes;
+            usage.totalSize += volumeSize;
+        });
+
+        callback(null, usage);
+    });
+}
+
+//
+// Calls "callback" with a QuotaExceededError if adding a volume of size
+// "params.size" (in mebibytes) to the volumes of owner "params.ownerUuid"
+// would exceed that owner's quota. When "params.volumeUuid" is set, it's the
+// UUID of an existing volume that would have size "params.size" (e.g when
+// resizing it), and so it's not counted as an additional volume.
+//
+function checkQuota(params, callback) {
+    assert.object(params, 'params');
+    assert.object(params.log, 'params.log');
+    assert.uuid(params.ownerUuid, 'params.ownerUuid');
+    assert.number(params.size, 'params.size');
+    assert.optionalUuid(params.volumeUuid, 'params.volumeUuid');
+    assert.func(callback, 'callback');
+
+    var ownerUuid = params.ownerUuid;
+
+    quotasModel.loadQuota(ownerUuid, function onQuotaLoaded(loadErr, quota) {
+        if (loadErr && loadErr.name === 'ObjectNotFoundError') {
+            params.log.debug({ownerUuid: ownerUuid},
+                'No quota for owner, skipping quota check');
+            callback();
+            return;
+        }
+
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        _getOwnerUsage(ownerUuid, {
+            excludeVolumeUuid: params.volumeUuid
+        }, function onUsage(usageErr, usage) {
+            var maxSize = quota.value.max_size;
+            var maxVolumes = quota.value.max_volumes;
+            var newNbVolumes;
+            var newTotalSize;
+
+            if (usageErr) {
+                callback(usageErr);
+                return;
+            }
+
+            newNbVolumes = usage.nbVolumes + 1;
+            newTotalSize = usage.totalSize + params.size;
+
+            params.log.debug({
+                quota: quota.value,
+                usage: usage,
+                newNbVolumes: newNbVolumes,
+                newTotalSize: newTotalSize
+            }, 'Checking quota');
+
+            if (params.volumeUuid === undefined && maxVolumes !== undefined &&
+                newNbVolumes > maxVolumes) {
+                callback(new errors.QuotaExceededError(ownerUuid,
+                    'maximum number of volumes is ' + maxVolumes));
+                return;
+            }
+
+            if (maxSize !== undefined && newTotalSize > maxSize) {
+                callback(new errors.QuotaExceededError(ownerUuid,
+                    'maximum total size of volumes is ' + maxSize +
+                        ' mebibytes, total size would be ' + newTotalSize +
+                        ' mebibytes'));
+                return;
+            }
+
+            callback();
+        });
+    });
+}
+
+//
+// Acquires the ticket that serializes quota checks for the volumes of owner
+// "ownerUuid", and calls "callback" with that ticket as its second parameter.
+// Volume tickets are always acquired before the quota ticket, so that requests
+// that hold a quota ticket never wait for a volume ticket. The ticket is passed
+// to "callback" even when it can't be activated, so that it can be released
+// with volumeTickets.releaseVolumeTicket.
+//
+function acquireQuotaTicket(ownerUuid, options, callback) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.object(options, 'options');
+    assert.object(options.cnapiClient, 'options.cnapiClient');
+    assert.object(options.log, 'options.log');
+    assert.func(callback, 'callback');
+
+    /*
+     * Volume tickets' ids start with the owner's UUID, so they can't conflict
+     * with quota tickets' ids.
+     */
+    volumeTickets.acquireVolumeTicket('quota-' + ownerUuid, options,
+        function onTicketAcquired(acquireErr, ticket) {
+            if (acquireErr) {
+                callback(acquireErr, ticket);
+                return;
+            }
+
+            if (!ticket || ticket.status !== 'active') {
+                callback(new Error('Could not acquire quota ticket, ticket ' +
+                    'is not active and instead is: ' +
+                    (ticket && ticket.status)), ticket);
+                return;
+            }
+
+            options.log.debug({ticket: ticket}, 'Quota ticket acquired');
+            callback(null, ticket);
+        });
+}
+
+module.exports = {
+    acquireQuotaTicket: acquireQuotaTicket,
+    checkQuota: checkQuota
+};
@@ -6,6 +6,8 @@
 
 /*
  * Copyright (c) 2016, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
-exports.MIBS_IN_GB = 1024;
\ No newline at end of file
+exports.BYTES_IN_MIB = 1024 * 1024;
+exports.MIBS_IN_GB = 1024;
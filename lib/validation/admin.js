@@ -0,0 +1,30 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var VALID_PERIOD_REGEXP = /^[1-9][0-9]*$/;
+
+function validateRetentionPeriod(value, paramName) {
+    assert.string(paramName, 'paramName');
+
+    var errs = [];
+
+    if (typeof (value) !== 'string' || !VALID_PERIOD_REGEXP.test(value)) {
+        errs.push(new Error('invalid value for ' + paramName + ' parameter, ' +
+            'must be a positive integer number of seconds'));
+    }
+
+    return errs;
+}
+
+module.exports = {
+    validateRetentionPeriod: validateRetentionPeriod
+};
@@ -0,0 +1,99 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var mod_uuid = require('../uuid');
+
+var MAX_LIMIT = 1000;
+var VALID_LIMIT_REGEXP = /^[1-9][0-9]*$/;
+var VALID_SORT_REGEXP = /^([a-z_]+)\.(asc|desc)$/;
+
+function validateLimit(limit) {
+    var errs = [];
+
+    if (typeof (limit) !== 'string' || !VALID_LIMIT_REGEXP.test(limit) ||
+        Number(limit) > MAX_LIMIT) {
+        errs.push(new Error('invalid value for limit parameter, must be an ' +
+            'integer between 1 and ' + MAX_LIMIT));
+    }
+
+    return errs;
+}
+
+//
+// Validates that "sort" is of the form "field.asc" or "field.desc", where
+// "field" is one of "validSortFields".
+//
+function validateSort(sort, validSortFields) {
+    assert.arrayOfString(validSortFields, 'validSortFields');
+
+    var errs = [];
+    var matches;
+
+    if (typeof (sort) === 'string') {
+        matches = VALID_SORT_REGEXP.exec(sort);
+    }
+
+    if (!matches) {
+        errs.push(new Error('invalid value for sort parameter, must match ' +
+            VALID_SORT_REGEXP));
+    } else if (validSortFields.indexOf(matches[1]) === -1) {
+        errs.push(new Error('cannot sort on field ' + matches[1] + ', valid ' +
+            'sort fields are: ' + validSortFields.join(', ')));
+    }
+
+    return errs;
+}
+
+//
+// Validates that "marker" is a JSON string representing an object with a
+// "uuid" property and a property named "sortField" of type "sortFieldType",
+// which together identify the last item of the previous page of results.
+//
+function validateMarker(marker, sortField, sortFieldType) {
+    assert.string(sortField, 'sortField');
+    assert.string(sortFieldType, 'sortFieldType');
+
+    var errs = [];
+    var markerObject;
+
+    try {
+        markerObject = JSON.parse(marker);
+    } catch (parseErr) {
+        errs.push(new Error('invalid value for marker parameter, must be a ' +
+            'JSON object'));
+        return errs;
+    }
+
+    if (typeof (markerObject) !== 'object' || markerObject === null ||
+        Array.isArray(markerObject)) {
+        errs.push(new Error('invalid value for marker parameter, must be a ' +
+            'JSON object'));
+        return errs;
+    }
+
+    if (!mod_uuid.validUuid(markerObject.uuid)) {
+        errs.push(new Error('marker must have a valid uuid property'));
+    }
+
+    if (typeof (markerObject[sortField]) !== sortFieldType) {
+        errs.push(new Error('marker must have a ' + sortField + ' property ' +
+            'of type ' + sortFieldType));
+    }
+
+    return errs;
+}
+
+module.exports = {
+    validateLimit: validateLimit,
+    validateMarker: validateMarker,
+    validateSort: validateSort
+};
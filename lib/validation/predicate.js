@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
@@ -18,6 +19,7 @@ var volumesValidation = require('./volumes');
 
 var VOLUME_PREDICATE_TYPES = {
     dangling: 'boolean',
+    label: 'string',
     name: 'string',
     network: 'string',
     size: 'number',
@@ -37,6 +39,7 @@ function validatePredicate(predicateString) {
     var predicateField;
     var VALIDATION_FUNCS = {
         dangling: volumesValidation.validateDanglingPredicate,
+        label: volumesValidation.validateLabelPredicate,
         name: volumesValidation.validateVolumeName,
         network: volumesValidation.validateVolumeNetwork,
         size: volumesValidation.validateVolumeSize,
@@ -0,0 +1,30 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+
+function validateQuotaLimit(value, paramName) {
+    assert.string(paramName, 'paramName');
+
+    var errs = [];
+    var validLimit = typeof (value) === 'number' && value >= 0 &&
+        Math.floor(value) === value;
+
+    if (!validLimit) {
+        errs.push(new Error(paramName + ': "' + value + '" is not a valid ' +
+            'quota limit. Limits must be integers >= 0'));
+    }
+
+    return errs;
+}
+
+module.exports = {
+    validateQuotaLimit: validateQuotaLimit
+};
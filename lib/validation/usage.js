@@ -0,0 +1,29 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+
+function validateUsageDate(value, paramName) {
+    assert.string(paramName, 'paramName');
+
+    var errs = [];
+
+    if (typeof (value) !== 'string' || isNaN(Date.parse(value))) {
+        errs.push(new Error(paramName + ': "' + value + '" is not a valid ' +
+            'date. Dates must be ISO 8601 date strings, e.g ' +
+            '2026-01-01T00:00:00Z'));
+    }
+
+    return errs;
+}
+
+module.exports = {
+    validateUsageDate: validateUsageDate
+};
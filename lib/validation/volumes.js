@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
@@ -98,6 +99,32 @@ function validateVolumeName(name, opts) {
      return errs;
 }
 
+function validateVolumeSnapshotName(name) {
+    var errs = [];
+    /*
+     * Snapshot names are used as the name of the ZFS snapshot of the storage
+     * VM's delegated dataset, so they need to be valid ZFS snapshot names and
+     * be short enough to not exceed the maximum length of ZFS dataset names.
+     */
+    var MAX_NAME_LENGTH = 64;
+
+    if (typeof (name) !== 'string') {
+        errs.push(new Error('snapshot name must be a string'));
+    } else {
+        if (!VALID_VOLUME_NAME_REGEXP.test(name)) {
+            errs.push(new Error('snapshot name must match ' +
+                VALID_VOLUME_NAME_REGEXP));
+        }
+
+        if (name.length > MAX_NAME_LENGTH) {
+            errs.push(new Error('snapshot name is too long, max length is ' +
+                MAX_NAME_LENGTH));
+        }
+    }
+
+    return errs;
+}
+
 function validateVolumeNameSearchParam(name) {
     var coreName;
     var errs = [];
@@ -165,7 +192,8 @@ function validateVolumeSizeSearchParam(size) {
 
 function validateVolumeState(state) {
     var errs = [];
-    var VALID_STATES = ['creating', 'ready', 'failed', 'deleting'];
+    var VALID_STATES = ['creating', 'ready', 'failed', 'deleting',
+        'deleted', 'resizing', 'rolling_back', 'trashed'];
 
     if (VALID_STATES.indexOf(state) === -1) {
         errs.push(new Error('Volume state: ' + state + ' is invalid'));
@@ -186,6 +214,26 @@ function validateDanglingPredicate(dangling) {
     return errs;
 }
 
+//
+// "label" predicates have values of the form "name=value", and match volumes
+// that have a label named "name" with value "value". Since these predicates are
+// transformed into LDAP filters on the "labels" index, their value cannot
+// contain wildcards.
+//
+function validateLabelPredicate(label) {
+    var errs = [];
+    var validLabelPredicate = typeof (label) === 'string' &&
+        label.indexOf('=') > 0 && label.indexOf('*') === -1;
+
+    if (!validLabelPredicate) {
+        errs.push(new Error('Label predicate: "' + label + '" is not a ' +
+            'valid label predicate. must be of the form name=value and ' +
+            'not contain "*"'));
+    }
+
+    return errs;
+}
+
 function validateVolumeLabels(labels) {
     var errs = [];
 
@@ -209,12 +257,14 @@ function validateVolumeLabels(labels) {
 }
 
 module.exports = {
+    validateLabelPredicate: validateLabelPredicate,
     validateVolumeLabels: validateVolumeLabels,
     validateVolumeName: validateVolumeName,
     validateVolumeNameSearchParam: validateVolumeNameSearchParam,
     validateVolumeNetwork: validateVolumeNetwork,
     validateVolumeSize: validateVolumeSize,
     validateVolumeSizeSearchParam: validateVolumeSizeSearchParam,
+    validateVolumeSnapshotName: validateVolumeSnapshotName,
     validateVolumeState: validateVolumeState,
     validateVolumeType: validateVolumeType,
     validateDanglingPredicate: validateDanglingPredicate,
@@ -0,0 +1,76 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var url = require('url');
+
+var webhookDestinations = require('../webhook-destinations');
+var webhooks = require('../webhooks');
+
+var MAX_SECRET_LENGTH = 256;
+var MIN_SECRET_LENGTH = 16;
+
+function validateWebhookUrl(webhookUrl) {
+    var errs = [];
+    var parsedUrl;
+
+    if (typeof (webhookUrl) === 'string') {
+        parsedUrl = url.parse(webhookUrl);
+    }
+
+    if (parsedUrl === undefined ||
+        (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') ||
+        !parsedUrl.hostname) {
+        errs.push(new Error('url: "' + webhookUrl + '" is not a valid ' +
+            'webhook URL. URLs must use the http or https scheme'));
+    } else if (webhookDestinations.isForbiddenHostname(parsedUrl.hostname)) {
+        errs.push(new Error('url: "' + webhookUrl + '" is not an allowed ' +
+            'webhook URL. URLs must not target loopback, link-local, ' +
+            'private or internal addresses'));
+    }
+
+    return errs;
+}
+
+function validateWebhookSecret(secret) {
+    var errs = [];
+
+    if (typeof (secret) !== 'string' || secret.length < MIN_SECRET_LENGTH ||
+        secret.length > MAX_SECRET_LENGTH) {
+        errs.push(new Error('secret must be a string of ' +
+            MIN_SECRET_LENGTH + ' to ' + MAX_SECRET_LENGTH + ' characters'));
+    }
+
+    return errs;
+}
+
+function validateWebhookEvents(events) {
+    var errs = [];
+
+    if (!Array.isArray(events) || events.length === 0) {
+        errs.push(new Error('events must be a non-empty array'));
+        return errs;
+    }
+
+    events.forEach(function validateEvent(event) {
+        if (webhooks.WEBHOOK_EVENTS.indexOf(event) === -1) {
+            errs.push(new Error('events: "' + event + '" is not a valid ' +
+                'event, valid events are: ' +
+                webhooks.WEBHOOK_EVENTS.join(', ')));
+        }
+    });
+
+    return errs;
+}
+
+module.exports = {
+    validateWebhookEvents: validateWebhookEvents,
+    validateWebhookSecret: validateWebhookSecret,
+    validateWebhookUrl: validateWebhookUrl
+};
@@ -0,0 +1,88 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * The references of a VM to the volumes it uses are removed by volapi-updater
+ * when the VM fails, and restored if it becomes active again. VMs that have
+ * data about the volumes they require in VMAPI get their references from that
+ * data, but the others get them from their referencing VM record (see
+ * lib/models/referencing-vms.js), which these functions maintain.
+ */
+
+var assert = require('assert-plus');
+
+var ACTIVE_VM_STATES = ['running', 'stopped'];
+
+//
+// Returns the UUIDs of the volumes whose reference from the VM represented by
+// "referencingVm", its referencing VM record, needs to be restored now that it
+// became active again, except the ones in "processedVolumeUuids".
+//
+// Only the references of VMs that were not active when last seen need to be
+// restored: VMs that were already active still reference the volumes they
+// need, and references removed from them on purpose (e.g with the
+// RemoveVolumeReference endpoint) must not be restored.
+//
+function getVolumeUuidsToRestore(referencingVm, processedVolumeUuids) {
+    assert.optionalObject(referencingVm, 'referencingVm');
+    assert.arrayOfUuid(processedVolumeUuids, 'processedVolumeUuids');
+
+    if (referencingVm === undefined ||
+        ACTIVE_VM_STATES.indexOf(referencingVm.state) !== -1) {
+        return [];
+    }
+
+    return referencingVm.volume_uuids.filter(
+        function isNotProcessed(volumeUuid) {
+            return processedVolumeUuids.indexOf(volumeUuid) === -1;
+        });
+}
+
+//
+// Returns the UUIDs of the volumes to record in the referencing VM record of a
+// VM whose references to the volumes with UUIDs "volumeUuids" were just added,
+// or deleted when "referencesDeleted" is true. "referencingVm" is the VM's
+// previous record, if any.
+//
+// When a VM fails, the volumes it referenced are kept in its record so that
+// its references can be restored if it becomes active again. If the VM was
+// already not active when last seen, its references were already deleted, and
+// so the volumes in its previous record are kept too. Otherwise, the volumes
+// it currently references are the ones it needs: volumes in its previous
+// record that it doesn't reference anymore had their reference removed on
+// purpose.
+//
+function getVolumeUuidsToRecord(referencingVm, volumeUuids,
+    referencesDeleted) {
+    assert.optionalObject(referencingVm, 'referencingVm');
+    assert.arrayOfUuid(volumeUuids, 'volumeUuids');
+    assert.bool(referencesDeleted, 'referencesDeleted');
+
+    var volumeUuidsToRecord = volumeUuids.slice();
+
+    if (!referencesDeleted || referencingVm === undefined ||
+        ACTIVE_VM_STATES.indexOf(referencingVm.state) !== -1) {
+        return volumeUuidsToRecord;
+    }
+
+    referencingVm.volume_uuids.forEach(function addUuid(volumeUuid) {
+        if (volumeUuidsToRecord.indexOf(volumeUuid) === -1) {
+            volumeUuidsToRecord.push(volumeUuid);
+        }
+    });
+
+    return volumeUuidsToRecord;
+}
+
+module.exports = {
+    ACTIVE_VM_STATES: ACTIVE_VM_STATES,
+    getVolumeUuidsToRecord: getVolumeUuidsToRecord,
+    getVolumeUuidsToRestore: getVolumeUuidsToRestore
+};
@@ -6,7 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
- * Copyright 2022 MNX Cloud, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var crypto = require('crypto');
@@ -24,13 +24,24 @@ var NapiClient = require('sdc-clients').NAPI;
 var PapiClient = require('sdc-clients').PAPI;
 var SapiClient = require('sdc-clients').SAPI;
 var VmapiClient = require('sdc-clients').VMAPI;
+var WfClient = require('wf-client');
 
+var changefeed = require('./changefeed');
+var metrics = require('./metrics');
 var models = require('./models');
+var volumeChangesModel = require('./models/volume-changes');
 var Moray = require('./moray');
 
+var adminRoutes = require('./endpoints/admin');
+var metricsRoutes = require('./endpoints/metrics');
 var pingRoutes = require('./endpoints/ping');
+var quotaRoutes = require('./endpoints/quotas');
+var usageRoutes = require('./endpoints/usage');
+var volumeChangeRoutes = require('./endpoints/volume-changes');
 var volumeResRoutes = require('./endpoints/volume-reservations');
+var volumeSnapshotRoutes = require('./endpoints/volume-snapshots');
 var volumeRoutes = require('./endpoints/volumes');
+var webhookRoutes = require('./endpoints/webhooks');
 
 var request_seq_id = 0;
 
@@ -84,9 +95,12 @@ function setCommonMiddlewares(config, server, options, callback) {
 
         req._cnapiClient = options.cnapiClient;
         req._imgapiClient = options.imgapiClient;
+        req._morayClient = options.morayClient;
         req._napiClient = options.napiClient;
         req._papiClient = options.papiClient;
+        req._updaterClient = options.updaterClient;
         req._vmapiClient = options.vmapiClient;
+        req._wfApiClient = options.wfApiClient;
 
         next();
     });
@@ -101,12 +115,50 @@ function setRoutes(config, server, applicationState, callback) {
     assert.func(callback, 'callback');
 
     volumeResRoutes.mount(config, server, applicationState);
+    /*
+     * The volume changes routes need to be mounted before the volumes routes,
+     * otherwise GET /volumes/changes would be handled by GetVolume.
+     */
+    volumeChangeRoutes.mount(config, server, applicationState);
     volumeRoutes.mount(config, server, applicationState);
-    pingRoutes.mount(config, server);
+    volumeSnapshotRoutes.mount(config, server, applicationState);
+    quotaRoutes.mount(config, server, applicationState);
+    webhookRoutes.mount(config, server, applicationState);
+    usageRoutes.mount(config, server, applicationState);
+    adminRoutes.mount(config, server, applicationState);
+    pingRoutes.mount(config, server, applicationState);
+    metricsRoutes.mount(config, server);
 
     callback();
 }
 
+//
+// Periodically deletes the volume changes that are older than
+// VOLUME_CHANGES_RETENTION_PERIOD, so that the volume changes bucket doesn't
+// grow indefinitely. Clients of the GET /volumes/changes endpoint that were
+// disconnected for longer than that can't resume their stream without missing
+// changes.
+//
+function expireVolumeChanges(log) {
+    assert.object(log, 'log');
+
+    var VOLUME_CHANGES_EXPIRATION_INTERVAL = 5 * 60 * 1000; // 5 minutes
+    var VOLUME_CHANGES_RETENTION_PERIOD = 60 * 60 * 1000; // 1 hour
+
+    volumeChangesModel.deleteChangesOlderThan(
+        Date.now() - VOLUME_CHANGES_RETENTION_PERIOD,
+        function onChangesDeleted(deleteErr) {
+            if (deleteErr) {
+                log.error({err: deleteErr},
+                    'Error when deleting expired volume changes');
+            }
+
+            setTimeout(function expireNextVolumeChanges() {
+                expireVolumeChanges(log);
+            }, VOLUME_CHANGES_EXPIRATION_INTERVAL);
+        });
+}
+
 function setupRestifyServer(config, log) {
     assert.object(log, 'log');
     assert.object(config, 'log');
@@ -116,10 +168,13 @@ function setupRestifyServer(config, log) {
         log: log.child({ component: 'api' }, true),
         version: config.version,
         serverName: 'SmartDataCenter',
-        handleUncaughtExceptions: false
+        handleUncaughtExceptions: false,
+        // Changefeed listeners connect with websockets
+        handleUpgrades: true
     });
 
     var TRACE_EVENTS_SKIPPED_ROUTES = {
+        'getmetrics': true,
         'ping': true
     };
 
@@ -152,8 +207,12 @@ function setupRestifyServer(config, log) {
         }
     });
 
+    server.on('after', function observeRequest(req, res, route, err) {
+        metrics.observeHttpRequest(req, res, route);
+    });
+
     server.on('after', function onAfter(req, res, route, err) {
-        if (req.path() === '/ping') {
+        if (req.path() === '/ping' || req.path() === '/metrics') {
             return;
         }
 
@@ -239,6 +298,7 @@ function init(config, log, callback) {
     };
 
     var applicationState = {
+        bucketsSetup: false,
         nfsServerImageImported : false,
         nfsServerImage2Imported : false
     };
@@ -283,6 +343,7 @@ function init(config, log, callback) {
                         modelsInitBackoff.backoff();
                     } else {
                         ctx.log.info('Models initialized successfully');
+                        applicationState.bucketsSetup = true;
                         modelsInitBackoff.reset();
                         next();
                     }
@@ -291,6 +352,18 @@ function init(config, log, callback) {
 
             modelsInitBackoff.backoff();
         },
+        function initMetrics(ctx, next) {
+            metrics.init({
+                collectVolumesMetrics: true,
+                log: ctx.log,
+                service: 'volapi'
+            });
+            next();
+        },
+        function startVolumeChangesExpiration(ctx, next) {
+            expireVolumeChanges(ctx.log);
+            next();
+        },
         function setupHttpServer(ctx, next) {
             ctx.server = setupRestifyServer(ctx.config, ctx.log);
             next();
@@ -298,15 +371,46 @@ function init(config, log, callback) {
         function setupMiddlewares(ctx, next) {
             assert.object(ctx.server, 'ctx.server');
 
+            /*
+             * The workflow client requires a path property in its config
+             * object, even though it's only used to ping workflow, so we
+             * provide a dummy one.
+             */
+            var wfApiConfig = {
+                log: ctx.log,
+                path: './foo',
+                url: config.wfapi.url
+            };
+
             return setCommonMiddlewares(config, ctx.server, {
                 cnapiClient: new CnapiClient(config.cnapi),
                 imgapiClient: imgapiClient,
                 morayClient: morayClient,
                 napiClient: new NapiClient(config.napi),
                 papiClient: new PapiClient(config.papi),
-                vmapiClient: new VmapiClient(config.vmapi)
+                /*
+                 * volapi-updater runs in the same zone, and performs resyncs
+                 * on behalf of the ResyncVolume and ResyncVmReferences
+                 * endpoints on its resync server, which only listens on the
+                 * loopback interface.
+                 */
+                updaterClient: restify.createJsonClient({
+                    url: 'http://127.0.0.1:' + config.updater.resyncPort
+                }),
+                vmapiClient: new VmapiClient(config.vmapi),
+                wfApiClient: new WfClient(wfApiConfig)
             }, next);
         },
+        function initChangefeed(ctx, next) {
+            assert.object(ctx.server, 'ctx.server');
+
+            changefeed.init({
+                log: ctx.log,
+                morayClient: morayClient,
+                restifyServer: ctx.server
+            });
+            next();
+        },
         function setupRoutes(ctx, next) {
             assert.object(ctx.server, 'ctx.server');
             return setRoutes(config, ctx.server, applicationState, next);
@@ -0,0 +1,97 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * A VolumeChangesCursor keeps track of the volume changes that a stream of the
+ * GET /volumes/changes endpoint already sent.
+ *
+ * Moray assigns each change an "_id" when it's inserted, but both VOLAPI and
+ * volapi-updater insert changes concurrently, so a change can become visible
+ * after a change with a greater "_id" was already sent. To not skip such
+ * changes, each poll re-reads the last "window" ids before the greatest id sent
+ * so far, and changes that were already sent are filtered out by their UUID.
+ */
+
+var assert = require('assert-plus');
+
+var DEFAULT_WINDOW = 100;
+
+function VolumeChangesCursor(options) {
+    assert.object(options, 'options');
+    assert.number(options.afterId, 'options.afterId');
+    assert.number(options.batchSize, 'options.batchSize');
+    assert.optionalNumber(options.window, 'options.window');
+
+    this._batchSize = options.batchSize;
+    this._window = options.window || DEFAULT_WINDOW;
+
+    /*
+     * Changes with an id lower than or equal to the one the stream started
+     * after were sent, if at all, by a previous stream.
+     */
+    this._floorId = options.afterId;
+    this._lastId = options.afterId;
+    /*
+     * Maps the UUIDs of the changes sent within the window to their id.
+     */
+    this._sentChanges = {};
+}
+
+/*
+ * Returns the parameters to pass to the volume changes model's listChanges
+ * function for the next poll.
+ */
+VolumeChangesCursor.prototype.getListParams = function getListParams() {
+    var self = this;
+
+    Object.keys(self._sentChanges).forEach(function prune(changeUuid) {
+        if (self._sentChanges[changeUuid] <= self._lastId - self._window) {
+            delete self._sentChanges[changeUuid];
+        }
+    });
+
+    return {
+        afterId: Math.max(self._floorId, self._lastId - self._window),
+        limit: self._window + self._batchSize
+    };
+};
+
+/*
+ * Returns true and considers "changeObject", listed with the parameters
+ * returned by getListParams, sent if it was not sent yet. Returns false
+ * otherwise.
+ */
+VolumeChangesCursor.prototype.addChange = function addChange(changeObject) {
+    assert.object(changeObject, 'changeObject');
+    assert.number(changeObject._id, 'changeObject._id');
+    assert.uuid(changeObject.value.uuid, 'changeObject.value.uuid');
+
+    var changeUuid = changeObject.value.uuid;
+
+    if (changeObject._id <= this._floorId ||
+        this._sentChanges.hasOwnProperty(changeUuid)) {
+        return false;
+    }
+
+    this._sentChanges[changeUuid] = changeObject._id;
+    this._lastId = Math.max(this._lastId, changeObject._id);
+
+    return true;
+};
+
+/*
+ * Returns the greatest id of the changes sent so far, which clients can use to
+ * resume a stream.
+ */
+VolumeChangesCursor.prototype.lastId = function lastId() {
+    return this._lastId;
+};
+
+module.exports = VolumeChangesCursor;
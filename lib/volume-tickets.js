@@ -0,0 +1,89 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Volume tickets are CNAPI waitlist tickets used to serialize operations that
+ * modify a given volume (e.g creating, deleting or updating it), so that these
+ * operations never run concurrently.
+ */
+
+var assert = require('assert-plus');
+
+var metrics = require('./metrics');
+
+var VOLUME_TICKETS_SCOPE = 'nfs_volume';
+
+function acquireVolumeTicket(ticketId, options, callback) {
+    assert.string(ticketId, 'ticketId');
+    assert.object(options, 'options');
+    assert.object(options.cnapiClient, 'options.cnapiClient');
+    assert.object(options.log, 'options.log');
+    assert.func(callback, 'callback');
+
+    var cnapiClient = options.cnapiClient;
+    var log = options.log;
+    var startTime = Date.now();
+    var ticketParams = {
+        scope: VOLUME_TICKETS_SCOPE,
+        id: ticketId,
+        // 10 minutes
+        expires_at: (new Date(Date.now() + 600 * 1000).toString())
+    };
+    /*
+     * Volume tickets need to always be created on the same "server" so that
+     * volume tickets with a given ID are appended to the same queue and are
+     * activated sequentially and in the proper order. We could use the HN's
+     * server UUID for that, however some Triton DCs can have more than one HN,
+     * and so it would be challenging to make sure that all volume tickets use
+     * the same server UUID all the time. Nevertheless, CNAPI accepts the string
+     * 'default' as server UUID. We use that to our advantage so that, even when
+     * a DC has more than one headnode, we can create/wait on tickets that are
+     * always placed in the same queue, regardless of the servers' (including
+     * headnodes) lifecycle.
+     */
+    var WAITLIST_NAME = 'default';
+
+    log.debug({ticketParams: ticketParams}, 'Acquiring volume ticket');
+
+    cnapiClient.waitlistTicketCreate(WAITLIST_NAME, ticketParams,
+        function onTicketCreated(ticketCreationErr, ticket) {
+            if (ticketCreationErr) {
+                callback(ticketCreationErr);
+                return;
+            }
+
+            cnapiClient.waitlistTicketWait(ticket.uuid,
+                function onTicketReleasedOrExpired(err) {
+                    metrics.observeTicketWait(Date.now() - startTime);
+                    cnapiClient.waitlistTicketGet(ticket.uuid, callback);
+                });
+        });
+}
+
+function releaseVolumeTicket(ticket, options, callback) {
+    assert.object(ticket, 'ticket');
+    assert.object(options, 'options');
+    assert.object(options.cnapiClient, 'options.cnapiClient');
+    assert.object(options.log, 'options.log');
+    assert.func(callback, 'callback');
+
+    var cnapiClient = options.cnapiClient;
+    var log = options.log;
+
+    log.debug({ticket: ticket}, 'Releasing volume ticket');
+
+    cnapiClient.waitlistTicketRelease(ticket.uuid, callback);
+}
+
+module.exports = {
+    acquireVolumeTicket: acquireVolumeTicket,
+    releaseVolumeTicket: releaseVolumeTicket
+};
@@ -0,0 +1,214 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Webhook notifications are sent from the VOLAPI zone, which is on the admin
+ * network, so webhooks must not be able to make VOLAPI send requests to
+ * internal services. Loopback, link-local, private and unspecified addresses
+ * are forbidden, as well as addresses on the networks of the zone's own
+ * interfaces, since the admin network doesn't necessarily use a private range.
+ *
+ * Webhook URLs whose host is a forbidden IP address or "localhost" are
+ * rejected when webhooks are created, and the addresses that host names
+ * resolve to are checked again each time a notification is sent, since they
+ * can change.
+ */
+
+var dns = require('dns');
+var net = require('net');
+var os = require('os');
+
+var assert = require('assert-plus');
+
+var FORBIDDEN_IPV4_NETWORKS = [
+    '0.0.0.0/8',
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '127.0.0.0/8',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '255.255.255.255/32'
+].map(function parseNetwork(cidr) {
+    var parts = cidr.split('/');
+
+    return _ipv4Network(_ipv4ToNumber(parts[0]), Number(parts[1]));
+});
+
+function _ipv4ToNumber(address) {
+    return address.split('.').reduce(function addByte(value, byte) {
+        return value * 256 + Number(byte);
+    }, 0);
+}
+
+function _ipv4Network(address, prefixLength) {
+    var mask = prefixLength === 0 ?
+        0 : (0xffffffff << (32 - prefixLength)) >>> 0;
+
+    return {
+        address: (address & mask) >>> 0,
+        mask: mask
+    };
+}
+
+function _isInIpv4Network(address, network) {
+    return ((address & network.mask) >>> 0) === network.address;
+}
+
+//
+// Returns the IPv4 networks of the interfaces of the current zone.
+//
+function _getLocalIpv4Networks() {
+    var interfaces = os.networkInterfaces();
+    var networks = [];
+
+    Object.keys(interfaces).forEach(function addNetworks(name) {
+        interfaces[name].forEach(function addNetwork(iface) {
+            if (iface.family !== 'IPv4' && iface.family !== 4) {
+                return;
+            }
+
+            networks.push({
+                address: (_ipv4ToNumber(iface.address) &
+                    _ipv4ToNumber(iface.netmask)) >>> 0,
+                mask: _ipv4ToNumber(iface.netmask)
+            });
+        });
+    });
+
+    return networks;
+}
+
+//
+// Returns true if webhook notifications must not be sent to the IP address
+// "address". "localNetworks" is the list of the IPv4 networks of the current
+// zone's interfaces, and defaults to the actual interfaces' networks.
+//
+function isForbiddenAddress(address, localNetworks) {
+    assert.string(address, 'address');
+    assert.optionalArrayOfObject(localNetworks, 'localNetworks');
+
+    var hexMappedIpv4Match;
+    var ipv4Address;
+    var ipv6Address = address.toLowerCase();
+    var mappedIpv4Match;
+
+    if (net.isIPv6(ipv6Address)) {
+        /*
+         * IPv4-mapped addresses, e.g "::ffff:127.0.0.1" or "::ffff:7f00:1".
+         */
+        mappedIpv4Match = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ipv6Address);
+        if (mappedIpv4Match !== null) {
+            return isForbiddenAddress(mappedIpv4Match[1], localNetworks);
+        }
+
+        hexMappedIpv4Match =
+            /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(ipv6Address);
+        if (hexMappedIpv4Match !== null) {
+            ipv4Address = parseInt(hexMappedIpv4Match[1], 16) * 65536 +
+                parseInt(hexMappedIpv4Match[2], 16);
+            return isForbiddenAddress([
+                ipv4Address >>> 24,
+                (ipv4Address >>> 16) & 255,
+                (ipv4Address >>> 8) & 255,
+                ipv4Address & 255
+            ].join('.'), localNetworks);
+        }
+
+        /*
+         * The unspecified and loopback addresses, in their short or full
+         * form, link-local addresses (fe80::/10) and unique local addresses
+         * (fc00::/7).
+         */
+        return /^::1?$/.test(ipv6Address) ||
+            /^(0{1,4}:){7}0{0,3}[01]$/.test(ipv6Address) ||
+            /^fe[89ab][0-9a-f]:/.test(ipv6Address) ||
+            /^f[cd][0-9a-f]{2}:/.test(ipv6Address);
+    }
+
+    if (!net.isIPv4(address)) {
+        return false;
+    }
+
+    if (localNetworks === undefined) {
+        localNetworks = _getLocalIpv4Networks();
+    }
+
+    ipv4Address = _ipv4ToNumber(address);
+
+    return FORBIDDEN_IPV4_NETWORKS.concat(localNetworks).some(
+        function isInNetwork(network) {
+            return _isInIpv4Network(ipv4Address, network);
+        });
+}
+
+//
+// Returns true if webhook notifications must not be sent to "hostname", the
+// host of a webhook URL, without resolving it.
+//
+function isForbiddenHostname(hostname, localNetworks) {
+    assert.string(hostname, 'hostname');
+    assert.optionalArrayOfObject(localNetworks, 'localNetworks');
+
+    var lowerCaseHostname = hostname.toLowerCase().replace(/\.$/, '');
+
+    if (lowerCaseHostname === 'localhost' ||
+        /\.localhost$/.test(lowerCaseHostname)) {
+        return true;
+    }
+
+    return isForbiddenAddress(lowerCaseHostname, localNetworks);
+}
+
+//
+// A replacement for dns.lookup, to be used as the "lookup" option of HTTP
+// requests, that fails with an error named "ForbiddenWebhookDestinationError"
+// when the host resolves to a forbidden address.
+//
+function lookup(hostname, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    assert.string(hostname, 'hostname');
+    assert.func(callback, 'callback');
+
+    dns.lookup(hostname, options, function onLookup(lookupErr, address,
+        family) {
+        var addresses;
+        var err;
+
+        if (lookupErr) {
+            callback(lookupErr);
+            return;
+        }
+
+        addresses = Array.isArray(address) ? address : [{address: address}];
+
+        if (addresses.some(function isForbidden(entry) {
+            return isForbiddenAddress(entry.address);
+        })) {
+            err = new Error('webhook host ' + hostname + ' resolves to a ' +
+                'forbidden address');
+            err.name = 'ForbiddenWebhookDestinationError';
+            callback(err);
+            return;
+        }
+
+        callback(null, address, family);
+    });
+}
+
+module.exports = {
+    isForbiddenAddress: isForbiddenAddress,
+    isForbiddenHostname: isForbiddenHostname,
+    lookup: lookup
+};
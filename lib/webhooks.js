@@ -0,0 +1,268 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Webhooks notify external HTTP endpoints of volume lifecycle events. Each
+ * webhook belongs to an owner and is only notified of events for that owner's
+ * volumes, and only for the events it subscribed to.
+ *
+ * Notifications are sent asynchronously: the API requests and volapi-updater
+ * operations that trigger them don't wait for them to be delivered, and a
+ * delivery that fails doesn't make them fail. Deliveries are retried with an
+ * exponential backoff when the endpoint can't be reached or responds with a
+ * 5xx status code, and are given up on after DELIVERY_MAX_ATTEMPTS attempts.
+ *
+ * Each notification is a POST request whose body is a JSON object, and whose
+ * X-Volapi-Signature header is "sha256=" followed by the hex-encoded HMAC
+ * SHA-256 of that body, using the webhook's secret as key. Receivers use that
+ * signature to check that notifications were sent by VOLAPI.
+ *
+ * Notifications are not sent to loopback, link-local, private or internal
+ * addresses (see lib/webhook-destinations.js).
+ */
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var net = require('net');
+var url = require('url');
+
+var assert = require('assert-plus');
+var backoff = require('backoff');
+var jsprim = require('jsprim');
+var libuuid = require('libuuid');
+
+var webhookDestinations = require('./webhook-destinations');
+var webhooksModel = require('./models/webhooks');
+
+var DELIVERY_INITIAL_DELAY = 1000;
+var DELIVERY_MAX_ATTEMPTS = 5;
+var DELIVERY_MAX_DELAY = 60 * 1000;
+var DELIVERY_TIMEOUT = 10 * 1000;
+
+var WEBHOOK_EVENTS = [
+    'volume.created',
+    'volume.deleted',
+    'volume.failed'
+];
+
+function _formatVolume(volume) {
+    assert.object(volume, 'volume');
+
+    var result = jsprim.deepCopy(volume);
+
+    result.create_timestamp = new Date(volume.create_timestamp).toISOString();
+
+    if (typeof (volume.labels) === 'string') {
+        result.labels = JSON.parse(volume.labels);
+    }
+
+    if (volume.usage) {
+        result.usage.last_updated =
+            new Date(volume.usage.last_updated).toISOString();
+    }
+
+    return result;
+}
+
+function _signPayload(payload, secret) {
+    assert.string(payload, 'payload');
+    assert.string(secret, 'secret');
+
+    return 'sha256=' +
+        crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+//
+// Sends the notification "payload" (a JSON string) for event "eventName" to
+// the webhook "webhook" once, and calls "callback" with an error if it wasn't
+// delivered. The error's "retryable" property is true if delivering it again
+// later could succeed.
+//
+function _sendNotification(webhook, eventName, payload, callback) {
+    assert.object(webhook, 'webhook');
+    assert.string(eventName, 'eventName');
+    assert.string(payload, 'payload');
+    assert.func(callback, 'callback');
+
+    var called = false;
+    var req;
+    var reqOpts = url.parse(webhook.url);
+    var transport = reqOpts.protocol === 'https:' ? https : http;
+
+    function done(err) {
+        if (called) {
+            return;
+        }
+
+        called = true;
+        callback(err);
+    }
+
+    /*
+     * Webhooks created before their URL was checked could target a forbidden
+     * IP address, which is not resolved with the "lookup" option.
+     */
+    if (net.isIP(reqOpts.hostname) &&
+        webhookDestinations.isForbiddenHostname(reqOpts.hostname)) {
+        done(new Error('webhook URL targets a forbidden address'));
+        return;
+    }
+
+    reqOpts.lookup = webhookDestinations.lookup;
+    reqOpts.method = 'POST';
+    reqOpts.headers = {
+        'Content-Length': Buffer.byteLength(payload),
+        'Content-Type': 'application/json',
+        'X-Volapi-Event': eventName,
+        'X-Volapi-Signature': _signPayload(payload, webhook.secret)
+    };
+
+    req = transport.request(reqOpts, function onResponse(res) {
+        var err;
+
+        // The response's body is not used, but it needs to be consumed.
+        res.resume();
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            done();
+            return;
+        }
+
+        err = new Error('webhook endpoint responded with status code ' +
+            res.statusCode);
+        err.retryable = res.statusCode >= 500;
+        done(err);
+    });
+
+    req.setTimeout(DELIVERY_TIMEOUT, function onTimeout() {
+        var err = new Error('webhook endpoint timed out');
+
+        err.retryable = true;
+        req.abort();
+        done(err);
+    });
+
+    req.on('error', function onReqError(reqErr) {
+        reqErr.retryable =
+            reqErr.name !== 'ForbiddenWebhookDestinationError';
+        done(reqErr);
+    });
+
+    req.end(payload);
+}
+
+function _deliverNotification(webhook, eventName, payload, log) {
+    assert.object(webhook, 'webhook');
+    assert.string(eventName, 'eventName');
+    assert.string(payload, 'payload');
+    assert.object(log, 'log');
+
+    var deliveryBackoff = backoff.exponential({
+        initialDelay: DELIVERY_INITIAL_DELAY,
+        maxDelay: DELIVERY_MAX_DELAY
+    });
+    var nbAttempts = 0;
+
+    function attemptDelivery() {
+        ++nbAttempts;
+
+        _sendNotification(webhook, eventName, payload,
+            function onSent(sendErr) {
+                if (!sendErr) {
+                    log.info({
+                        attempt: nbAttempts,
+                        event: eventName,
+                        webhookUuid: webhook.uuid
+                    }, 'Webhook notification delivered');
+                    return;
+                }
+
+                log.warn({
+                    attempt: nbAttempts,
+                    err: sendErr,
+                    event: eventName,
+                    webhookUuid: webhook.uuid
+                }, 'Error when delivering webhook notification');
+
+                if (sendErr.retryable) {
+                    deliveryBackoff.backoff();
+                }
+            });
+    }
+
+    deliveryBackoff.failAfter(DELIVERY_MAX_ATTEMPTS - 1);
+    deliveryBackoff.on('ready', attemptDelivery);
+    deliveryBackoff.on('fail', function onFail() {
+        log.error({
+            event: eventName,
+            webhookUuid: webhook.uuid
+        }, 'Giving up on delivering webhook notification');
+    });
+
+    attemptDelivery();
+}
+
+//
+// Notifies the webhooks of the owner of volume "volume" (a volume object's
+// value) that subscribed to event "eventName". This function returns
+// immediately, and errors are logged.
+//
+function notifyVolumeEvent(eventName, volume, log) {
+    assert.string(eventName, 'eventName');
+    assert.ok(WEBHOOK_EVENTS.indexOf(eventName) !== -1,
+        'eventName must be one of: ' + WEBHOOK_EVENTS.join(', '));
+    assert.object(volume, 'volume');
+    assert.uuid(volume.owner_uuid, 'volume.owner_uuid');
+    assert.object(log, 'log');
+
+    /*
+     * The volume is formatted right away, as callers can modify it while
+     * webhooks are being listed.
+     */
+    var formattedVolume = _formatVolume(volume);
+
+    webhooksModel.listWebhooks({
+        ownerUuid: volume.owner_uuid
+    }, function onWebhooksListed(listErr, webhookObjects) {
+        if (listErr) {
+            log.error({
+                err: listErr,
+                event: eventName,
+                volumeUuid: volume.uuid
+            }, 'Error when listing webhooks to notify');
+            return;
+        }
+
+        webhookObjects.forEach(function notifyWebhook(webhookObject) {
+            var payload;
+            var webhook = webhookObject.value;
+
+            if (webhook.events.indexOf(eventName) === -1) {
+                return;
+            }
+
+            payload = JSON.stringify({
+                delivery_uuid: libuuid.create(),
+                event: eventName,
+                timestamp: new Date().toISOString(),
+                volume: formattedVolume,
+                webhook_uuid: webhook.uuid
+            });
+
+            _deliverNotification(webhook, eventName, payload, log);
+        });
+    });
+}
+
+module.exports = {
+    notifyVolumeEvent: notifyVolumeEvent,
+    WEBHOOK_EVENTS: WEBHOOK_EVENTS
+};
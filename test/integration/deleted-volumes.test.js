@@ -0,0 +1,262 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var TOMBSTONES_ENABLED = CONFIG.tombstonesRetentionPeriod > 0;
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+//
+// Polls the volume with UUID "volumeUuid" until it's not found, since deleting
+// volumes is asynchronous.
+//
+function waitForVolumeDeleted(volumeUuid, callback) {
+    var MAX_NB_TRIES = 120;
+    var nbTries = 0;
+    var POLL_INTERVAL = 1000;
+
+    function poll() {
+        ++nbTries;
+
+        CLIENTS.volapi.getVolume({
+            uuid: volumeUuid
+        }, function onGetVolume(err) {
+            if (err && err.body && err.body.code === 'VolumeNotFound') {
+                callback();
+            } else if (nbTries >= MAX_NB_TRIES) {
+                callback(new Error('volume ' + volumeUuid + ' not deleted ' +
+                    'after ' + nbTries + ' tries'));
+            } else {
+                setTimeout(poll, POLL_INTERVAL);
+            }
+        });
+    }
+
+    poll();
+}
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Deleted volumes', function (tt) {
+    var volume;
+
+    tt.test('listing volumes with invalid include_deleted should fail',
+        function (t) {
+        CLIENTS.volapi.listVolumes({
+            include_deleted: 'bogus'
+        }, function onListVolumes(err) {
+            t.ok(err, 'listing volumes should error');
+            if (err) {
+                t.equal(err.body.code, 'ValidationError',
+                    'error code should be ValidationError');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                volume = vol;
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('deleting the volume should succeed', function (t) {
+        CLIENTS.volapi.deleteVolumeAndWait({
+            uuid: volume.uuid,
+            owner_uuid: UFDS_ADMIN_UUID
+        }, function onVolumeDeleted(err) {
+            t.ifErr(err, 'deleting volume should succeed');
+
+            waitForVolumeDeleted(volume.uuid, function onDeleted(waitErr) {
+                t.ifErr(waitErr, 'volume should be deleted');
+
+                if (!waitErr) {
+                    CREATED_VOLUMES.splice(
+                        CREATED_VOLUMES.indexOf(volume.uuid), 1);
+                }
+
+                t.end();
+            });
+        });
+    });
+
+    tt.test('listing volumes should not include the deleted volume',
+        function (t) {
+        CLIENTS.volapi.listVolumes({
+            name: volume.name,
+            owner_uuid: UFDS_ADMIN_UUID
+        }, function onListVolumes(err, volumes) {
+            t.ifErr(err, 'listing volumes should succeed');
+            if (volumes) {
+                t.equal(volumes.length, 0, 'no volume should be listed');
+            }
+
+            t.end();
+        });
+    });
+
+    /*
+     * The following test can only run when VOLAPI is configured with a
+     * tombstones retention period, since no tombstone is created otherwise.
+     */
+    if (!TOMBSTONES_ENABLED) {
+        return;
+    }
+
+    tt.test('listing volumes with include_deleted=true should include the ' +
+        'deleted volume', function (t) {
+        CLIENTS.volapi.listVolumes({
+            include_deleted: true,
+            name: volume.name,
+            owner_uuid: UFDS_ADMIN_UUID
+        }, function onListVolumes(err, volumes) {
+            t.ifErr(err, 'listing volumes should succeed');
+            if (volumes) {
+                t.equal(volumes.length, 1, 'one volume should be listed');
+                t.equal(volumes[0].uuid, volume.uuid,
+                    'deleted volume should be listed');
+                t.equal(volumes[0].state, 'deleted',
+                    'volume should be in state deleted');
+                t.ok(volumes[0].delete_timestamp,
+                    'volume should have a delete_timestamp property');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('Failed volumes reaper', function (tt) {
+    tt.test('previewing the reaper should succeed', function (t) {
+        CLIENTS.volapi.get({
+            path: '/admin/reaper',
+            query: {
+                retention_period: 3600
+            }
+        }, function onGetReaperPreview(err, req, res, preview) {
+            t.ifErr(err, 'previewing the reaper should succeed');
+
+            if (preview) {
+                t.equal(preview.retention_period, 3600,
+                    'retention period should be 3600');
+                t.ok(Array.isArray(preview.volumes),
+                    'volumes should be an array');
+                preview.volumes.forEach(function checkVolume(vol) {
+                    t.ok(Date.parse(vol.failed_timestamp) <=
+                        Date.now() - 3600 * 1000,
+                        'volume ' + vol.uuid + ' should have failed more ' +
+                            'than an hour ago');
+                });
+                t.ok(Array.isArray(preview.in_use_volumes),
+                    'in_use_volumes should be an array');
+                preview.in_use_volumes.forEach(function checkVolume(vol) {
+                    t.ok(vol.refs.length > 0,
+                        'volume ' + vol.uuid + ' should be referenced');
+                });
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('previewing the reaper with an invalid retention period should ' +
+        'fail', function (t) {
+        CLIENTS.volapi.get({
+            path: '/admin/reaper',
+            query: {
+                retention_period: 'bogus'
+            }
+        }, function onGetReaperPreview(err) {
+            t.ok(err, 'previewing the reaper should error');
+            if (err) {
+                t.equal(err.body.code, 'ValidationError',
+                    'error code should be ValidationError');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup volumes', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
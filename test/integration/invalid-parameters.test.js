@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
@@ -93,6 +94,20 @@ test('testing endpoints with invalid parameters', function (tt) {
         });
     });
 
+    tt.test('listing volumes with include_usage=bogus should fail',
+        function (t) {
+            CLIENTS.volapi.listVolumes({
+                include_usage: 'bogus'
+            }, function onListVolumes(err, req, res, obj) {
+                t.ok(err, 'listing volumes should result in an error');
+                t.equal((err ? err.message : ''), 'Validation error, ' +
+                    'causes: Error: bogus is not a valid boolean string ' +
+                    'value for include_usage.',
+                    'expected error due to invalid parameter');
+                t.end();
+            });
+        });
+
     tt.test('listing volumesizes with bogus=true should fail', function (t) {
         CLIENTS.volapi.listVolumeSizes({
             bogus: true
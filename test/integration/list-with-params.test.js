@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -141,6 +142,46 @@ test('listing nfs shared volumes with invalid query parameters', function (tt) {
             'invalid owner_uuid should fail',
             'owner_uuid',
             {owner_uuid: '%'}
+        ],
+        [
+            'zero limit should fail',
+            'limit',
+            {limit: 0}
+        ],
+        [
+            'limit too large should fail',
+            'limit',
+            {limit: 1001}
+        ],
+        [
+            'invalid sort order should fail',
+            'sort',
+            {sort: 'create_timestamp.sideways'}
+        ],
+        [
+            'non-JSON marker should fail',
+            'marker',
+            {marker: 'godzilla'}
+        ],
+        [
+            'sort on non-indexed field should fail',
+            'sort',
+            {sort: 'gorilla.asc'}
+        ],
+        [
+            'sort on array field should fail',
+            'sort',
+            {sort: 'refs.asc'}
+        ],
+        [
+            'empty label name should fail',
+            'label',
+            {'label.': 'staging'}
+        ],
+        [
+            'marker without uuid should fail',
+            'marker',
+            {marker: JSON.stringify({create_timestamp: 42})}
         ]
     ];
     var idx;
@@ -535,6 +576,262 @@ test('listing nfs shared volumes with simple parameters', function (tt) {
     });
 });
 
+test('listing nfs shared volumes with pagination parameters', function (tt) {
+    var ownerUuid = libuuid.create();
+    var testVolumeObjects = [0, 1, 2].map(function makeVolume(idx) {
+        return {
+            name: resources.makeResourceName(VOLUMES_NAMES_PREFIX +
+                '-page' + idx),
+            owner_uuid: ownerUuid,
+            size: 10240 * (idx + 1),
+            state: 'ready',
+            type: 'tritonnfs',
+            uuid: libuuid.create()
+        };
+    });
+    var firstPage;
+
+    tt.test('creating test volume objects should succeed', function (t) {
+        vasync.forEachPipeline({
+            func: createTestVolumeObject,
+            inputs: testVolumeObjects
+        }, function allTestVolumeObjectsCreated(err, results) {
+            t.ifErr(err, 'creating test volume objects should not error');
+            t.end();
+        });
+    });
+
+    tt.test('list with limit=2 returns 2 volumes and total count',
+        function (t) {
+            API_CLIENTS.volapi.listVolumes({
+                owner_uuid: ownerUuid,
+                limit: 2
+            }, function onListVolumes(err, volumes, req, res) {
+                t.ifErr(err, 'listing volumes with limit should not error');
+
+                if (volumes !== undefined) {
+                    firstPage = volumes;
+                    t.equal(volumes.length, 2, 'should list 2 volumes');
+                    t.equal(res.headers['x-resource-count'], '3',
+                        'x-resource-count header should be 3');
+                } else {
+                    t.ok(false, 'no volumes returned from listVolumes');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('list with marker returns the rest of the volumes',
+        function (t) {
+            var lastVolume = firstPage[firstPage.length - 1];
+
+            API_CLIENTS.volapi.listVolumes({
+                owner_uuid: ownerUuid,
+                limit: 2,
+                marker: JSON.stringify({
+                    create_timestamp:
+                        new Date(lastVolume.create_timestamp).getTime(),
+                    uuid: lastVolume.uuid
+                })
+            }, function onListVolumes(err, volumes, req, res) {
+                var allUuids;
+
+                t.ifErr(err, 'listing volumes with marker should not error');
+
+                if (volumes !== undefined) {
+                    t.equal(volumes.length, 1, 'should list 1 volume');
+                    t.equal(res.headers['x-resource-count'], '3',
+                        'x-resource-count header should be 3');
+
+                    allUuids = firstPage.concat(volumes).map(
+                        function getUuid(volume) {
+                            return volume.uuid;
+                        }).sort();
+                    t.deepEqual(allUuids, testVolumeObjects.map(
+                        function getUuid(volume) {
+                            return volume.uuid;
+                        }).sort(), 'all volumes should have been listed');
+                } else {
+                    t.ok(false, 'no volumes returned from listVolumes');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('list with sort=size.desc returns volumes sorted by size',
+        function (t) {
+            API_CLIENTS.volapi.listVolumes({
+                owner_uuid: ownerUuid,
+                sort: 'size.desc'
+            }, function onListVolumes(err, volumes) {
+                t.ifErr(err, 'listing volumes with sort should not error');
+
+                if (volumes !== undefined) {
+                    t.deepEqual(volumes.map(function getSize(volume) {
+                        return volume.size;
+                    }), [30720, 20480, 10240],
+                        'volumes should be sorted by size, descending');
+                } else {
+                    t.ok(false, 'no volumes returned from listVolumes');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('list with sort=size.desc and marker returns next page',
+        function (t) {
+            var firstVolume = testVolumeObjects[2];
+
+            API_CLIENTS.volapi.listVolumes({
+                owner_uuid: ownerUuid,
+                sort: 'size.desc',
+                marker: JSON.stringify({
+                    size: firstVolume.size,
+                    uuid: firstVolume.uuid
+                })
+            }, function onListVolumes(err, volumes) {
+                t.ifErr(err, 'listing volumes with sort and marker should ' +
+                    'not error');
+
+                if (volumes !== undefined) {
+                    t.deepEqual(volumes.map(function getSize(volume) {
+                        return volume.size;
+                    }), [20480, 10240],
+                        'volumes after marker should be listed');
+                } else {
+                    t.ok(false, 'no volumes returned from listVolumes');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('removing test volume objects should succeed', function (t) {
+        vasync.forEachParallel({
+            func: deleteTestVolumeObject,
+            inputs: testVolumeObjects.map(function getVolumeUuid(volume) {
+                assert.object(volume, 'volume');
+                return volume.uuid;
+            })
+        }, function allTestVolumeObjectsDeleted(err, results) {
+            t.ifErr(err, 'deleting test volume objects should not error');
+            t.end();
+        });
+    });
+});
+
+test('listing nfs shared volumes with label parameters', function (tt) {
+    var ownerUuid = libuuid.create();
+    var testVolumeObjects = [
+        {env: 'staging', role: 'db'},
+        {env: 'staging', role: 'web'},
+        {env: 'production', role: 'db'}
+    ].map(function makeVolume(labels, idx) {
+        return {
+            labels: JSON.stringify(labels),
+            name: resources.makeResourceName(VOLUMES_NAMES_PREFIX +
+                '-labels' + idx),
+            owner_uuid: ownerUuid,
+            size: 10240,
+            state: 'ready',
+            type: 'tritonnfs',
+            uuid: libuuid.create()
+        };
+    });
+
+    function getUuids(volumes) {
+        return volumes.map(function getUuid(volume) {
+            return volume.uuid;
+        }).sort();
+    }
+
+    tt.test('creating test volume objects should succeed', function (t) {
+        vasync.forEachParallel({
+            func: createTestVolumeObject,
+            inputs: testVolumeObjects
+        }, function allTestVolumeObjectsCreated(err, results) {
+            t.ifErr(err, 'creating test volume objects should not error');
+            t.end();
+        });
+    });
+
+    tt.test('list with label.env=staging returns 2 volumes', function (t) {
+        API_CLIENTS.volapi.listVolumes({
+            owner_uuid: ownerUuid,
+            'label.env': 'staging'
+        }, function onListVolumes(err, volumes) {
+            t.ifErr(err, 'listing volumes with label should not error');
+
+            if (volumes !== undefined) {
+                t.deepEqual(getUuids(volumes),
+                    getUuids(testVolumeObjects.slice(0, 2)),
+                    'volumes labeled env=staging should be listed');
+            } else {
+                t.ok(false, 'no volumes returned from listVolumes');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('list with label.env=staging and label.role=db returns 1 volume',
+        function (t) {
+            API_CLIENTS.volapi.listVolumes({
+                owner_uuid: ownerUuid,
+                'label.env': 'staging',
+                'label.role': 'db'
+            }, function onListVolumes(err, volumes) {
+                t.ifErr(err, 'listing volumes with labels should not error');
+
+                if (volumes !== undefined) {
+                    t.deepEqual(getUuids(volumes),
+                        getUuids(testVolumeObjects.slice(0, 1)),
+                        'volume labeled env=staging,role=db should be listed');
+                } else {
+                    t.ok(false, 'no volumes returned from listVolumes');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('list with label predicate returns 2 volumes', function (t) {
+        API_CLIENTS.volapi.listVolumes({
+            owner_uuid: ownerUuid,
+            predicate: JSON.stringify({eq: ['label', 'role=db']})
+        }, function onListVolumes(err, volumes) {
+            t.ifErr(err, 'listing volumes with label predicate should not ' +
+                'error');
+
+            if (volumes !== undefined) {
+                t.deepEqual(getUuids(volumes),
+                    getUuids([testVolumeObjects[0], testVolumeObjects[2]]),
+                    'volumes labeled role=db should be listed');
+            } else {
+                t.ok(false, 'no volumes returned from listVolumes');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('removing test volume objects should succeed', function (t) {
+        vasync.forEachParallel({
+            func: deleteTestVolumeObject,
+            inputs: testVolumeObjects.map(function getVolumeUuid(volume) {
+                assert.object(volume, 'volume');
+                return volume.uuid;
+            })
+        }, function allTestVolumeObjectsDeleted(err, results) {
+            t.ifErr(err, 'deleting test volume objects should not error');
+            t.end();
+        });
+    });
+});
+
 test('teardown', function (tt) {
     tt.test('close moray client connection', function (t) {
         MORAY_CLIENT.close();
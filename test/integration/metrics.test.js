@@ -0,0 +1,103 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var http = require('http');
+var test = require('tape');
+var url = require('url');
+
+var configLoader = require('../../lib/config-loader');
+
+var CONFIG = configLoader.loadConfigSync();
+var VOLAPI_URL = process.env.VOLAPI_URL || 'http://localhost';
+var VOLAPI_UPDATER_METRICS_URL = 'http://localhost:' +
+    CONFIG.updater.metricsPort;
+
+//
+// Calls "callback" with the response and the body of a GET request to "url".
+//
+function getText(url, callback) {
+    http.get(url, function onResponse(res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            body += chunk;
+        });
+        res.on('end', function onEnd() {
+            callback(null, res, body);
+        });
+    }).on('error', callback);
+}
+
+test('Metrics', function (tt) {
+    tt.test('getting VOLAPI metrics should succeed', function (t) {
+        getText(VOLAPI_URL + '/metrics',
+            function onMetrics(err, res, body) {
+                t.ifErr(err, 'getting metrics should succeed');
+
+                if (res) {
+                    t.equal(res.statusCode, 200, 'status code should be 200');
+                    t.ok(/^volapi_volumes\{.*state="creating".*\} /m.test(body),
+                        'metrics should include volumes counts by state');
+                    t.ok(/^volapi_oldest_creating_volume_age_seconds/m
+                        .test(body), 'metrics should include the age of the ' +
+                        'oldest creating volume');
+                    t.ok(/^volapi_volume_reservations/m.test(body),
+                        'metrics should include volume reservations count');
+                }
+
+                t.end();
+            });
+    });
+
+    tt.test('getting volapi-updater metrics should succeed', function (t) {
+        getText(VOLAPI_UPDATER_METRICS_URL + '/metrics',
+            function onMetrics(err, res, body) {
+                t.ifErr(err, 'getting metrics should succeed');
+
+                if (res) {
+                    t.equal(res.statusCode, 200, 'status code should be 200');
+                    t.ok(/^text\/plain/.test(res.headers['content-type']),
+                        'content type should be text/plain');
+                }
+
+                t.end();
+            });
+    });
+
+    tt.test('volapi-updater metrics server should not serve resync routes',
+        function (t) {
+        var ended = false;
+        var req;
+        var reqOptions = url.parse(VOLAPI_UPDATER_METRICS_URL +
+            '/vms/00000000-0000-0000-0000-000000000000/resync-references');
+
+        function end() {
+            if (!ended) {
+                ended = true;
+                t.end();
+            }
+        }
+
+        reqOptions.method = 'POST';
+
+        req = http.request(reqOptions, function onResponse(res) {
+            t.notEqual(res.statusCode, 200, 'status code should not be 200');
+            res.resume();
+            res.on('end', end);
+        });
+
+        req.on('error', function onError(err) {
+            t.ifErr(err, 'request should succeed');
+            end();
+        });
+        req.end();
+    });
+});
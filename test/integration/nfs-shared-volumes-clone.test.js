@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Cloning NFS shared volumes', function (tt) {
+    var sourceVolume;
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                sourceVolume = vol;
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('cloning the volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID],
+            source: sourceVolume.uuid
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume clone creation should succeed');
+
+            if (vol) {
+                CREATED_VOLUMES.push(vol.uuid);
+
+                t.equal(vol.state, 'ready', 'clone should be ready');
+                t.equal(vol.size, sourceVolume.size,
+                    'clone should have the same size as its source');
+                t.ok(vol.source, 'clone should have a source property');
+                if (vol.source) {
+                    t.equal(vol.source.volume_uuid, sourceVolume.uuid,
+                        'clone source volume should be ' + sourceVolume.uuid);
+                }
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('cloning a non-existent source should fail', function (t) {
+        var nonExistentSourceUuid = libuuid.create();
+
+        CLIENTS.volapi.createVolume({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID],
+            source: nonExistentSourceUuid
+        }, function onVolumeCreated(err) {
+            t.ok(err, 'volume clone creation should error');
+            if (err) {
+                t.equal(err.body.code, 'VolumeSourceNotFound',
+                    'error code should be VolumeSourceNotFound');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
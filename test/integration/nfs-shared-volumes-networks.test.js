@@ -0,0 +1,149 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Changing NFS shared volumes networks', function (tt) {
+    var volume;
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                volume = vol;
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('adding an attached network should fail', function (t) {
+        CLIENTS.volapi.post({
+            path: '/volumes/' + volume.uuid + '/addnetwork'
+        }, {
+            network: ADMIN_OWNED_FABRIC_NETWORK_UUID
+        }, function onNetworkAdded(err) {
+            t.ok(err, 'adding network should error');
+            if (err) {
+                t.equal(err.body.code, 'VolumeNetworkAlreadyAttached',
+                    'error code should be VolumeNetworkAlreadyAttached');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('removing a non-attached network should fail', function (t) {
+        CLIENTS.volapi.post({
+            path: '/volumes/' + volume.uuid + '/removenetwork'
+        }, {
+            network: libuuid.create()
+        }, function onNetworkRemoved(err) {
+            t.ok(err, 'removing network should error');
+            if (err) {
+                t.equal(err.body.code, 'VolumeNetworkNotAttached',
+                    'error code should be VolumeNetworkNotAttached');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('removing the filesystem path network should fail', function (t) {
+        CLIENTS.volapi.post({
+            path: '/volumes/' + volume.uuid + '/removenetwork'
+        }, {
+            network: ADMIN_OWNED_FABRIC_NETWORK_UUID
+        }, function onNetworkRemoved(err) {
+            t.ok(err, 'removing network should error');
+            if (err) {
+                t.equal(err.body.code, 'VolumeNetworkInUse',
+                    'error code should be VolumeNetworkInUse');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,212 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+function resizeVolume(volumeUuid, size, callback) {
+    CLIENTS.volapi.post({
+        path: '/volumes/' + volumeUuid + '/resize'
+    }, {
+        owner_uuid: UFDS_ADMIN_UUID,
+        size: size
+    }, function onResize(err, req, res, volume) {
+        callback(err, volume);
+    });
+}
+
+function waitForVolumeReady(volumeUuid, callback) {
+    var RETRY_DELAY = 5000;
+    var MAX_NB_TRIES = 120;
+    var nbTries = 0;
+    var volume;
+
+    vasync.whilst(function volumeNotReady() {
+        return (volume === undefined || volume.state !== 'ready') &&
+            nbTries < MAX_NB_TRIES;
+    }, function getVolume(next) {
+        ++nbTries;
+
+        CLIENTS.volapi.getVolume({
+            uuid: volumeUuid
+        }, function onGetVol(getVolErr, vol) {
+            volume = vol;
+
+            if (getVolErr || vol.state === 'ready') {
+                next(getVolErr);
+                return;
+            }
+
+            setTimeout(next, RETRY_DELAY);
+        });
+    }, function onDone(err) {
+        callback(err, volume);
+    });
+}
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Resizing NFS shared volumes', function (tt) {
+    var availableSizes;
+    var volume;
+
+    tt.test('listing volume sizes should succeed', function (t) {
+        CLIENTS.volapi.listVolumeSizes({type: NFS_SHARED_VOLUMES_TYPE_NAME},
+            function onListVolSizes(err, sizes) {
+                t.ifErr(err, 'listing volume sizes should not error');
+                t.ok(Array.isArray(sizes), 'sizes should be an array');
+
+                availableSizes = sizes.map(function getSize(sizeObject) {
+                    return sizeObject.size;
+                }).sort(function compareSizes(a, b) {
+                    return a - b;
+                });
+
+                t.ok(availableSizes.length > 1,
+                    'there should be at least 2 available sizes');
+                t.end();
+            });
+    });
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID],
+            size: availableSizes[0]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                volume = vol;
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('resizing volume to unavailable size should fail', function (t) {
+        var unavailableSize = availableSizes[availableSizes.length - 1] + 1;
+
+        resizeVolume(volume.uuid, unavailableSize,
+            function onResize(resizeErr) {
+                t.ok(resizeErr, 'resizing volume should error');
+                if (resizeErr) {
+                    t.equal(resizeErr.body.code, 'VolumeSizeNotAvailable',
+                        'error code should be VolumeSizeNotAvailable');
+                }
+
+                t.end();
+            });
+    });
+
+    tt.test('growing volume should succeed', function (t) {
+        var newSize = availableSizes[1];
+
+        vasync.pipeline({funcs: [
+            function resizeVol(_, next) {
+                resizeVolume(volume.uuid, newSize,
+                    function onResize(resizeErr, resizingVol) {
+                        t.ifErr(resizeErr, 'resizing volume should not error');
+
+                        if (resizingVol) {
+                            t.equal(resizingVol.state, 'resizing',
+                                'volume should be in state resizing');
+                        }
+
+                        next(resizeErr);
+                    });
+            },
+            function waitForResize(_, next) {
+                waitForVolumeReady(volume.uuid,
+                    function onReady(waitErr, resizedVol) {
+                        t.ifErr(waitErr, 'getting volume should not error');
+
+                        if (resizedVol) {
+                            t.equal(resizedVol.state, 'ready',
+                                'volume should be back in state ready');
+                            t.equal(resizedVol.size, newSize,
+                                'volume size should be ' + newSize);
+                        }
+
+                        next(waitErr);
+                    });
+            }
+        ]}, function onDone(err) {
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,239 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+function snapshotsPath(volumeUuid) {
+    return '/volumes/' + volumeUuid + '/snapshots';
+}
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('NFS shared volumes snapshots', function (tt) {
+    var SNAPSHOT_NAME = 'test-snapshot-' + libuuid.create().substr(0, 8);
+    var volume;
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                volume = vol;
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('creating a snapshot should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: snapshotsPath(volume.uuid)
+        }, {
+            owner_uuid: UFDS_ADMIN_UUID,
+            name: SNAPSHOT_NAME
+        }, function onSnapshotCreated(err, req, res, snapshot) {
+            t.ifErr(err, 'snapshot creation should succeed');
+            t.equal(res.statusCode, 201, 'status code should be 201');
+
+            if (snapshot) {
+                t.equal(snapshot.name, SNAPSHOT_NAME,
+                    'snapshot name should be ' + SNAPSHOT_NAME);
+                t.equal(snapshot.volume_uuid, volume.uuid,
+                    'snapshot volume_uuid should be ' + volume.uuid);
+                t.equal(snapshot.state, 'created',
+                    'snapshot should be in state created');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('creating a snapshot with the same name should fail',
+        function (t) {
+            CLIENTS.volapi.post({
+                path: snapshotsPath(volume.uuid)
+            }, {
+                owner_uuid: UFDS_ADMIN_UUID,
+                name: SNAPSHOT_NAME
+            }, function onSnapshotCreated(err) {
+                t.ok(err, 'snapshot creation should error');
+                if (err) {
+                    t.equal(err.body.code, 'VolumeSnapshotAlreadyExists',
+                        'error code should be VolumeSnapshotAlreadyExists');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('listing snapshots should succeed', function (t) {
+        CLIENTS.volapi.get({
+            path: snapshotsPath(volume.uuid)
+        }, function onSnapshotsListed(err, req, res, snapshots) {
+            t.ifErr(err, 'listing snapshots should succeed');
+            t.ok(Array.isArray(snapshots), 'snapshots should be an array');
+
+            if (snapshots) {
+                t.equal(snapshots.length, 1, 'there should be one snapshot');
+                t.equal(snapshots[0].name, SNAPSHOT_NAME,
+                    'snapshot name should be ' + SNAPSHOT_NAME);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('getting snapshot should succeed', function (t) {
+        CLIENTS.volapi.get({
+            path: snapshotsPath(volume.uuid) + '/' + SNAPSHOT_NAME
+        }, function onGetSnapshot(err, req, res, snapshot) {
+            t.ifErr(err, 'getting snapshot should succeed');
+
+            if (snapshot) {
+                t.equal(snapshot.name, SNAPSHOT_NAME,
+                    'snapshot name should be ' + SNAPSHOT_NAME);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('rolling back volume to snapshot should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: '/volumes/' + volume.uuid + '/rollback'
+        }, {
+            owner_uuid: UFDS_ADMIN_UUID,
+            snapshot_name: SNAPSHOT_NAME
+        }, function onRolledBack(err, req, res, rolledBackVolume) {
+            t.ifErr(err, 'rolling back volume should succeed');
+
+            if (rolledBackVolume) {
+                t.equal(rolledBackVolume.state, 'ready',
+                    'volume should be in state ready');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('rolling back volume to non-existent snapshot should fail',
+        function (t) {
+            CLIENTS.volapi.post({
+                path: '/volumes/' + volume.uuid + '/rollback'
+            }, {
+                owner_uuid: UFDS_ADMIN_UUID,
+                snapshot_name: SNAPSHOT_NAME + '-non-existent'
+            }, function onRolledBack(err) {
+                t.ok(err, 'rolling back volume should error');
+                if (err) {
+                    t.equal(err.body.code, 'VolumeSnapshotNotFound',
+                        'error code should be VolumeSnapshotNotFound');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('deleting snapshot should succeed', function (t) {
+        CLIENTS.volapi.del({
+            path: snapshotsPath(volume.uuid) + '/' + SNAPSHOT_NAME
+        }, function onSnapshotDeleted(err, req, res) {
+            t.ifErr(err, 'deleting snapshot should succeed');
+            t.equal(res.statusCode, 204, 'status code should be 204');
+            t.end();
+        });
+    });
+
+    tt.test('getting deleted snapshot should fail', function (t) {
+        CLIENTS.volapi.get({
+            path: snapshotsPath(volume.uuid) + '/' + SNAPSHOT_NAME
+        }, function onGetSnapshot(err) {
+            t.ok(err, 'getting deleted snapshot should error');
+            if (err) {
+                t.equal(err.body.code, 'VolumeSnapshotNotFound',
+                    'error code should be VolumeSnapshotNotFound');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var TRASH_ENABLED = CONFIG.trashPeriod > 0;
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+function restoreVolume(volumeUuid, callback) {
+    CLIENTS.volapi.post({
+        path: '/volumes/' + volumeUuid + '/restore'
+    }, {
+        owner_uuid: UFDS_ADMIN_UUID
+    }, function onRestore(err, req, res, volume) {
+        callback(err, volume);
+    });
+}
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Trashing NFS shared volumes', function (tt) {
+    var volume;
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                volume = vol;
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('restoring a ready volume should fail', function (t) {
+        restoreVolume(volume.uuid, function onRestored(err) {
+            t.ok(err, 'restoring volume should error');
+            if (err) {
+                t.equal(err.body.code, 'VolumeNotTrashed',
+                    'error code should be VolumeNotTrashed');
+            }
+
+            t.end();
+        });
+    });
+
+    /*
+     * The following tests can only run when VOLAPI is configured with a trash
+     * period, since volumes are deleted right away otherwise.
+     */
+    if (!TRASH_ENABLED) {
+        return;
+    }
+
+    tt.test('deleting the volume should trash it', function (t) {
+        CLIENTS.volapi.deleteVolume({
+            uuid: volume.uuid,
+            owner_uuid: UFDS_ADMIN_UUID
+        }, function onVolumeDeleted(err) {
+            t.ifErr(err, 'deleting volume should succeed');
+
+            CLIENTS.volapi.getVolume({
+                uuid: volume.uuid
+            }, function onGetVolume(getErr, vol) {
+                t.ifErr(getErr, 'getting volume should succeed');
+
+                if (vol) {
+                    t.equal(vol.state, 'trashed', 'volume should be trashed');
+                    t.ok(vol.trash, 'volume should have a trash property');
+                }
+
+                t.end();
+            });
+        });
+    });
+
+    tt.test('restoring the volume should succeed', function (t) {
+        restoreVolume(volume.uuid, function onRestored(err, vol) {
+            t.ifErr(err, 'restoring volume should succeed');
+
+            if (vol) {
+                t.equal(vol.state, 'ready', 'volume should be ready');
+                t.equal(vol.trash, undefined,
+                    'volume should not have a trash property');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('deleting a trashed volume should purge it', function (t) {
+        CLIENTS.volapi.deleteVolume({
+            uuid: volume.uuid,
+            owner_uuid: UFDS_ADMIN_UUID
+        }, function onVolumeTrashed(err) {
+            t.ifErr(err, 'trashing volume should succeed');
+
+            CLIENTS.volapi.deleteVolumeAndWait({
+                uuid: volume.uuid,
+                owner_uuid: UFDS_ADMIN_UUID
+            }, function onVolumeDeleted(delErr) {
+                t.ifErr(delErr, 'purging volume should succeed');
+
+                if (!delErr) {
+                    CREATED_VOLUMES.splice(
+                        CREATED_VOLUMES.indexOf(volume.uuid), 1);
+                }
+
+                t.end();
+            });
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup volumes', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var assert = require('assert-plus');
@@ -217,6 +218,68 @@ test('Updating NFS shared volumes', function (tt) {
         });
     });
 
+    tt.test('updating volume with labels should succeed', function (t) {
+        var NEW_LABELS = {
+            'cost-center': 'engineering',
+            project: 'volapi'
+        };
+
+        vasync.pipeline({funcs: [
+            function updateVol(_, next) {
+                CLIENTS.volapi.updateVolume({
+                    uuid: CREATED_VOLUMES[0],
+                    labels: NEW_LABELS
+                }, function onUpdateVol(updateVolErr, updatedVol) {
+                    t.ifError(updateVolErr, 'updating volume should not error');
+                    t.ok(updatedVol,
+                        'volume update response should not be empty');
+
+                    if (updatedVol) {
+                        t.deepEqual(updatedVol.labels, NEW_LABELS,
+                            'volume update should return volume with updated ' +
+                                'labels');
+                    }
+
+                    next(updateVolErr);
+                });
+            },
+            function checkVolumeUpdated(_, next) {
+                CLIENTS.volapi.getVolume({
+                    uuid: CREATED_VOLUMES[0]
+                }, function onGetVol(getVolErr, vol) {
+                    t.ifError(getVolErr,
+                        'getting updated volume should succeed, got error: ' +
+                            getVolErr);
+                    t.ok(vol, 'response should not be empty');
+                    if (vol) {
+                        t.deepEqual(vol.labels, NEW_LABELS,
+                            'volume labels should have been updated');
+                    }
+
+                    next();
+                });
+            }
+        ]}, function onDone(err) {
+            t.end();
+        });
+    });
+
+    tt.test('updating volume with null labels should fail', function (t) {
+        CLIENTS.volapi.updateVolume({
+            uuid: CREATED_VOLUMES[0],
+            labels: null
+        }, function onUpdateVol(updateVolErr) {
+            t.ok(updateVolErr, 'updating volume should error');
+
+            if (updateVolErr) {
+                t.equal(updateVolErr.body.code, 'ValidationError',
+                    'error code should be ValidationError');
+            }
+
+            t.end();
+        });
+    });
+
     tt.test('updating volume with invalid param should fail', function (t) {
         var EXPECTED_ERR = {
             jse_shortmsg: '',
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 var child_process = require('child_process');
@@ -243,6 +244,37 @@ test('nfs shared volumes', function (tt) {
         });
     });
 
+    tt.test('getting volume with include_usage=true should succeed',
+        function (t) {
+            if (!sharedNfsVolume) {
+                t.end();
+                return;
+            }
+
+            CLIENTS.volapi.get({
+                path: '/volumes/' + sharedNfsVolume.uuid,
+                query: {include_usage: 'true'}
+            }, function onGetVolume(err, req, res, volume) {
+                t.ifErr(err, 'should be no error getting volume');
+
+                /*
+                 * Usage is collected periodically by volapi-updater, so it
+                 * might not have been collected yet for this volume.
+                 */
+                if (volume && volume.usage) {
+                    t.equal(typeof (volume.usage.used), 'number',
+                        'usage.used should be a number');
+                    t.equal(typeof (volume.usage.available), 'number',
+                        'usage.available should be a number');
+                    t.ok(ISO_DATE_STRING_RE.test(volume.usage.last_updated),
+                        'usage.last_updated should match ' +
+                            ISO_DATE_STRING_RE);
+                }
+
+                t.end();
+            });
+        });
+
     tt.test('create a VM on same network as volume', function (t) {
         if (!sharedNfsVolume) {
             t.end();
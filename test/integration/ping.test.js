@@ -0,0 +1,58 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var clientsSetup = require('./lib/clients-setup');
+
+var CLIENTS;
+var DEPENDENCIES = ['cnapi', 'imgapi', 'moray', 'napi', 'papi', 'vmapi',
+    'wfapi'];
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+});
+
+test('Ping', function (tt) {
+    tt.test('ping should report dependencies status', function (t) {
+        CLIENTS.volapi.get({
+            path: '/ping'
+        }, function onPing(err, req, res, pong) {
+            t.ifErr(err, 'ping should succeed');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+
+            if (pong) {
+                t.equal(pong.healthy, true, 'VOLAPI should be healthy');
+                t.equal(pong.status, 'OK', 'status should be OK');
+                t.equal(pong.buckets.setup, true,
+                    'buckets should be set up');
+
+                DEPENDENCIES.forEach(function checkDependency(name) {
+                    var dependency = pong.dependencies[name];
+
+                    t.ok(dependency, name + ' status should be reported');
+                    if (dependency) {
+                        t.equal(dependency.status, 'online',
+                            name + ' should be online');
+                        t.equal(typeof (dependency.latency), 'number',
+                            name + ' latency should be a number');
+                    }
+                });
+            }
+
+            t.end();
+        });
+    });
+});
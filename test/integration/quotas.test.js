@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_QUOTAS = []; // owners for which we created quotas to delete
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Quotas CRUD', function (tt) {
+    var ownerUuid = libuuid.create();
+
+    tt.test('creating a quota should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: '/quotas'
+        }, {
+            owner_uuid: ownerUuid,
+            max_volumes: 2
+        }, function onQuotaCreated(err, req, res, quota) {
+            t.ifErr(err, 'creating quota should succeed');
+
+            if (quota) {
+                CREATED_QUOTAS.push(ownerUuid);
+                t.equal(quota.owner_uuid, ownerUuid,
+                    'quota owner should be ' + ownerUuid);
+                t.equal(quota.max_volumes, 2, 'max_volumes should be 2');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('creating the same quota again should fail', function (t) {
+        CLIENTS.volapi.post({
+            path: '/quotas'
+        }, {
+            owner_uuid: ownerUuid,
+            max_volumes: 2
+        }, function onQuotaCreated(err) {
+            t.ok(err, 'creating quota should error');
+            if (err) {
+                t.equal(err.body.code, 'QuotaAlreadyExists',
+                    'error code should be QuotaAlreadyExists');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('updating a quota should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: '/quotas/' + ownerUuid
+        }, {
+            max_volumes: null,
+            max_size: 20480
+        }, function onQuotaUpdated(err, req, res, quota) {
+            t.ifErr(err, 'updating quota should succeed');
+
+            if (quota) {
+                t.equal(quota.max_volumes, undefined,
+                    'max_volumes should have been removed');
+                t.equal(quota.max_size, 20480, 'max_size should be 20480');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('getting a quota should succeed', function (t) {
+        CLIENTS.volapi.get({
+            path: '/quotas/' + ownerUuid
+        }, function onGetQuota(err, req, res, quota) {
+            t.ifErr(err, 'getting quota should succeed');
+
+            if (quota) {
+                t.equal(quota.max_size, 20480, 'max_size should be 20480');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('deleting a quota should succeed', function (t) {
+        CLIENTS.volapi.del({
+            path: '/quotas/' + ownerUuid
+        }, function onQuotaDeleted(err) {
+            t.ifErr(err, 'deleting quota should succeed');
+
+            if (!err) {
+                CREATED_QUOTAS.splice(CREATED_QUOTAS.indexOf(ownerUuid), 1);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('getting a deleted quota should fail', function (t) {
+        CLIENTS.volapi.get({
+            path: '/quotas/' + ownerUuid
+        }, function onGetQuota(err) {
+            t.ok(err, 'getting deleted quota should error');
+            if (err) {
+                t.equal(err.body.code, 'QuotaNotFound',
+                    'error code should be QuotaNotFound');
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('Quotas enforcement', function (tt) {
+    tt.test('creating a zero size quota should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: '/quotas'
+        }, {
+            owner_uuid: UFDS_ADMIN_UUID,
+            max_size: 0
+        }, function onQuotaCreated(err) {
+            t.ifErr(err, 'creating quota should succeed');
+
+            if (!err) {
+                CREATED_QUOTAS.push(UFDS_ADMIN_UUID);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('creating a volume over quota should fail', function (t) {
+        CLIENTS.volapi.createVolume({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, volume) {
+            t.ok(err, 'volume creation should error');
+            if (err) {
+                t.equal(err.body.code, 'QuotaExceeded',
+                    'error code should be QuotaExceeded');
+            }
+
+            if (volume) {
+                CREATED_VOLUMES.push(volume.uuid);
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup quotas', function (t) {
+        vasync.forEachParallel({
+            func: function deleteQuota(ownerUuid, done) {
+                CLIENTS.volapi.del({
+                    path: '/quotas/' + ownerUuid
+                }, function onQuotaDeleted(err) {
+                    t.ifErr(err, 'delete quota ' + ownerUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_QUOTAS
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+
+    tt.test('cleanup volumes', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
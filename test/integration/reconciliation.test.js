@@ -0,0 +1,68 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var clientsSetup = require('./lib/clients-setup');
+
+var CLIENTS;
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+});
+
+test('Reconciliation reports', function (tt) {
+    tt.test('listing reports with an invalid limit should fail', function (t) {
+        CLIENTS.volapi.get({
+            path: '/admin/reconciliation',
+            query: {
+                limit: 'foo'
+            }
+        }, function onListReports(err) {
+            t.ok(err, 'listing reports should error');
+            if (err) {
+                t.equal(err.body.code, 'ValidationError',
+                    'error code should be ValidationError');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('listing reports should succeed', function (t) {
+        CLIENTS.volapi.get({
+            path: '/admin/reconciliation',
+            query: {
+                limit: '1'
+            }
+        }, function onListReports(err, req, res, reports) {
+            t.ifErr(err, 'listing reports should succeed');
+
+            if (reports) {
+                t.ok(Array.isArray(reports), 'reports should be an array');
+                t.ok(reports.length <= 1,
+                    'there should be at most one report');
+                reports.forEach(function checkReport(report) {
+                    t.ok(Array.isArray(report.drifts),
+                        'report drifts should be an array');
+                    t.ok(Array.isArray(report.errors),
+                        'report errors should be an array');
+                });
+            }
+
+            t.end();
+        });
+    });
+});
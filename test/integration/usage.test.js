@@ -0,0 +1,162 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Usage records', function (tt) {
+    var start = new Date().toISOString();
+
+    tt.test('getting usage with start after end should fail', function (t) {
+        CLIENTS.volapi.get({
+            path: '/usage',
+            query: {
+                start: '2026-02-01T00:00:00Z',
+                end: '2026-01-01T00:00:00Z'
+            }
+        }, function onGetUsage(err) {
+            t.ok(err, 'getting usage should error');
+            if (err) {
+                t.equal(err.body.code, 'ValidationError',
+                    'error code should be ValidationError');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('getting usage with invalid dates should fail', function (t) {
+        CLIENTS.volapi.get({
+            path: '/usage',
+            query: {
+                start: 'yesterday',
+                end: '2026-01-01T00:00:00Z'
+            }
+        }, function onGetUsage(err) {
+            t.ok(err, 'getting usage should error');
+            if (err) {
+                t.equal(err.body.code, 'ValidationError',
+                    'error code should be ValidationError');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('creating a nfs shared volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, vol) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (vol) {
+                CREATED_VOLUMES.push(vol.uuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('getting usage should include the volume owner', function (t) {
+        CLIENTS.volapi.get({
+            path: '/usage',
+            query: {
+                owner_uuid: UFDS_ADMIN_UUID,
+                start: start,
+                end: new Date().toISOString()
+            }
+        }, function onGetUsage(err, req, res, usage) {
+            t.ifErr(err, 'getting usage should succeed');
+
+            if (usage) {
+                t.ok(Array.isArray(usage.usage), 'usage should be an array');
+                t.ok(usage.usage.length > 0,
+                    'usage should have at least one entry');
+                usage.usage.forEach(function checkOwnerUsage(ownerUsage) {
+                    t.equal(ownerUsage.owner_uuid, UFDS_ADMIN_UUID,
+                        'usage should be for owner ' + UFDS_ADMIN_UUID);
+                    t.ok(ownerUsage.mib_hours > 0,
+                        'mib_hours should be greater than 0');
+                });
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup volumes', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
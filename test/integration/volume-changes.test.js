@@ -0,0 +1,198 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var http = require('http');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+var VOLAPI_URL = process.env.VOLAPI_URL || 'http://localhost';
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+//
+// Parses the server-sent events in "data" and returns them as an array of
+// objects with properties "id", "event" and "data".
+//
+function parseEvents(data) {
+    assert.string(data, 'data');
+
+    return data.split('\n\n').filter(function isEvent(rawEvent) {
+        return rawEvent.length > 0 && rawEvent[0] !== ':';
+    }).map(function parseEvent(rawEvent) {
+        var event = {};
+
+        rawEvent.split('\n').forEach(function parseField(line) {
+            var sepIdx = line.indexOf(': ');
+            event[line.slice(0, sepIdx)] = line.slice(sepIdx + 2);
+        });
+
+        event.data = JSON.parse(event.data);
+
+        return event;
+    });
+}
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+});
+
+test('Volume changes', function (tt) {
+    var changesReq;
+    var changesData = '';
+
+    tt.test('opening the changes stream should succeed', function (t) {
+        changesReq = http.get(VOLAPI_URL + '/volumes/changes?owner_uuid=' +
+            UFDS_ADMIN_UUID, function onResponse(res) {
+                t.equal(res.statusCode, 200, 'status code should be 200');
+                t.equal(res.headers['content-type'], 'text/event-stream',
+                    'content type should be text/event-stream');
+
+                res.setEncoding('utf8');
+                res.on('data', function onData(chunk) {
+                    changesData += chunk;
+                });
+
+                t.end();
+            });
+    });
+
+    tt.test('creating a volume should emit changes', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, volume) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (!volume) {
+                t.end();
+                return;
+            }
+
+            CREATED_VOLUMES.push(volume.uuid);
+
+            /*
+             * Give the stream some time to poll the latest changes.
+             */
+            setTimeout(function checkChanges() {
+                var volumeEvents = parseEvents(changesData).filter(
+                    function isVolumeEvent(event) {
+                        return event.data.resource.uuid === volume.uuid;
+                    });
+                var readyEvents = volumeEvents.filter(function isReady(event) {
+                    return event.event === 'state_change' &&
+                        event.data.resource.state === 'ready';
+                });
+
+                t.ok(volumeEvents.length > 0, 'should get volume events');
+                if (volumeEvents.length > 0) {
+                    t.equal(volumeEvents[0].event, 'create',
+                        'first volume event should be create');
+                }
+
+                t.equal(readyEvents.length, 1,
+                    'should get one state change to ready');
+                if (readyEvents.length > 0) {
+                    t.equal(readyEvents[0].data.previous_state, 'creating',
+                        'previous state should be creating');
+                }
+
+                t.end();
+            }, 3000);
+        });
+    });
+
+    tt.test('closing the changes stream', function (t) {
+        changesReq.abort();
+        t.end();
+    });
+});
+
+test('Volumes changefeed', function (tt) {
+    tt.test('listing changefeed resources should include volumes',
+        function (t) {
+            CLIENTS.volapi.get({
+                path: '/changefeeds'
+            }, function onGetChangefeeds(err, req, res, resources) {
+                t.ifErr(err, 'listing changefeed resources should succeed');
+
+                if (resources) {
+                    t.ok(resources.volume,
+                        'volume resource should be published');
+                    t.equal(resources.volume.bootstrapRoute, '/volumes',
+                        'bootstrap route should be /volumes');
+                    t.ok(resources.volume.subResources.indexOf('state') !==
+                        -1, 'state should be a volume change kind');
+                }
+
+                t.end();
+            });
+        });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,394 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var http = require('http');
+var test = require('tape');
+var vasync = require('vasync');
+
+var clientsSetup = require('./lib/clients-setup');
+var configLoader = require('../../lib/config-loader');
+
+var ADMIN_OWNED_FABRIC_NETWORK_UUID;
+var CLIENTS;
+var CONFIG = configLoader.loadConfigSync();
+var CREATED_VOLUMES = []; // volumes we created and need to destroy
+var CREATED_WEBHOOKS = []; // webhooks we created and need to delete
+var NFS_SHARED_VOLUMES_TYPE_NAME = 'tritonnfs';
+var UFDS_ADMIN_UUID = CONFIG.ufdsAdminUuid;
+var WEBHOOK_SECRET = 'volapi-webhooks-test-secret';
+
+/*
+ * Tests run in the VOLAPI zone, and VOLAPI doesn't send notifications to
+ * loopback, private or internal addresses, including the addresses of its own
+ * zone. A local HTTP server stands in for a webhook endpoint, and notifications
+ * can only be tested when VOLAPI_TEST_WEBHOOK_HOST is set to a host that
+ * reaches that server and is not forbidden (e.g an address NATed to the VOLAPI
+ * zone). Otherwise, webhooks are created with a host that is never notified.
+ */
+var NOTIFICATIONS = [];
+var WEBHOOK_HOST = process.env.VOLAPI_TEST_WEBHOOK_HOST;
+var WEBHOOK_SERVER;
+
+assert.string(UFDS_ADMIN_UUID, 'UFDS_ADMIN_UUID');
+
+//
+// Calls "callback" with the first notification received for event "eventName"
+// and volume "volumeUuid", polling every second for at most "timeout"
+// milliseconds.
+//
+function waitForNotification(eventName, volumeUuid, timeout, callback) {
+    var startTime = Date.now();
+
+    function checkNotifications() {
+        var idx;
+        var notification;
+
+        for (idx = 0; idx < NOTIFICATIONS.length; ++idx) {
+            notification = NOTIFICATIONS[idx];
+            if (notification.body.event === eventName &&
+                notification.body.volume.uuid === volumeUuid) {
+                callback(null, notification);
+                return;
+            }
+        }
+
+        if (Date.now() - startTime > timeout) {
+            callback(new Error('timed out waiting for ' + eventName +
+                ' notification'));
+            return;
+        }
+
+        setTimeout(checkNotifications, 1000);
+    }
+
+    checkNotifications();
+}
+
+test('setup', function (tt) {
+    tt.test('setup clients', function (t) {
+        clientsSetup.getApiClients(function onClientsSetup(err, clients) {
+            CLIENTS = clients;
+            t.end();
+        });
+    });
+
+    tt.test('setup networks', function (t) {
+        CLIENTS.napi.get('/networks?owner_uuid=' + UFDS_ADMIN_UUID,
+            function onListNetworks(err, networks) {
+                var idx;
+
+                t.ifError(err, 'expected success listing networks');
+                t.ok(networks, 'got networks from NAPI');
+                t.ok(Array.isArray(networks),
+                    'networks object from NAPI is an array');
+                t.ok(networks.length > 1, 'expected more than 1 NAPI network');
+
+                for (idx = 0; idx < networks.length &&
+                    !ADMIN_OWNED_FABRIC_NETWORK_UUID; idx++) {
+                    if (networks[idx].fabric) {
+                        ADMIN_OWNED_FABRIC_NETWORK_UUID = networks[idx].uuid;
+                    }
+                }
+
+                t.ok(ADMIN_OWNED_FABRIC_NETWORK_UUID,
+                    'expected to find admin-owned fabric network, got: ' +
+                    ADMIN_OWNED_FABRIC_NETWORK_UUID);
+
+                t.end();
+            });
+    });
+
+    tt.test('setup webhook endpoint', function (t) {
+        WEBHOOK_SERVER = http.createServer(function onRequest(req, res) {
+            var body = '';
+
+            req.setEncoding('utf8');
+            req.on('data', function onData(chunk) {
+                body += chunk;
+            });
+            req.on('end', function onEnd() {
+                NOTIFICATIONS.push({
+                    body: JSON.parse(body),
+                    rawBody: body,
+                    headers: req.headers
+                });
+
+                res.statusCode = 204;
+                res.end();
+            });
+        });
+
+        WEBHOOK_SERVER.listen(0, function onListening() {
+            t.end();
+        });
+    });
+});
+
+test('Webhooks CRUD', function (tt) {
+    var webhook;
+
+    tt.test('creating a webhook with an invalid URL should fail',
+        function (t) {
+            CLIENTS.volapi.post({
+                path: '/webhooks'
+            }, {
+                owner_uuid: UFDS_ADMIN_UUID,
+                url: 'ftp://127.0.0.1/notifications',
+                secret: WEBHOOK_SECRET,
+                events: ['volume.failed']
+            }, function onWebhookCreated(err) {
+                t.ok(err, 'creating webhook should error');
+                if (err) {
+                    t.equal(err.body.code, 'ValidationError',
+                        'error code should be ValidationError');
+                }
+
+                t.end();
+            });
+        });
+
+    [
+        'http://127.0.0.1/notifications',
+        'http://localhost/notifications',
+        'http://169.254.169.254/notifications',
+        'http://10.99.99.7/notifications',
+        'http://[::1]/notifications'
+    ].forEach(function testForbiddenUrl(forbiddenUrl) {
+        tt.test('creating a webhook with URL ' + forbiddenUrl +
+            ' should fail', function (t) {
+            CLIENTS.volapi.post({
+                path: '/webhooks'
+            }, {
+                owner_uuid: UFDS_ADMIN_UUID,
+                url: forbiddenUrl,
+                secret: WEBHOOK_SECRET,
+                events: ['volume.failed']
+            }, function onWebhookCreated(err) {
+                t.ok(err, 'creating webhook should error');
+                if (err) {
+                    t.equal(err.body.code, 'ValidationError',
+                        'error code should be ValidationError');
+                }
+
+                t.end();
+            });
+        });
+    });
+
+    tt.test('creating a webhook with an invalid event should fail',
+        function (t) {
+            CLIENTS.volapi.post({
+                path: '/webhooks'
+            }, {
+                owner_uuid: UFDS_ADMIN_UUID,
+                url: 'http://example.com/notifications',
+                secret: WEBHOOK_SECRET,
+                events: ['volume.exploded']
+            }, function onWebhookCreated(err) {
+                t.ok(err, 'creating webhook should error');
+                if (err) {
+                    t.equal(err.body.code, 'ValidationError',
+                        'error code should be ValidationError');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('creating a webhook should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: '/webhooks'
+        }, {
+            owner_uuid: UFDS_ADMIN_UUID,
+            url: 'http://' + (WEBHOOK_HOST || 'example.com') + ':' +
+                WEBHOOK_SERVER.address().port + '/notifications',
+            secret: WEBHOOK_SECRET,
+            events: ['volume.created']
+        }, function onWebhookCreated(err, req, res, createdWebhook) {
+            t.ifErr(err, 'creating webhook should succeed');
+
+            if (createdWebhook) {
+                webhook = createdWebhook;
+                CREATED_WEBHOOKS.push(webhook.uuid);
+                t.equal(webhook.owner_uuid, UFDS_ADMIN_UUID,
+                    'webhook owner should be ' + UFDS_ADMIN_UUID);
+                t.equal(webhook.secret, undefined,
+                    'webhook secret should not be rendered');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('updating a webhook should succeed', function (t) {
+        CLIENTS.volapi.post({
+            path: '/webhooks/' + webhook.uuid
+        }, {
+            events: ['volume.created', 'volume.deleted']
+        }, function onWebhookUpdated(err, req, res, updatedWebhook) {
+            t.ifErr(err, 'updating webhook should succeed');
+
+            if (updatedWebhook) {
+                t.deepEqual(updatedWebhook.events,
+                    ['volume.created', 'volume.deleted'],
+                    'webhook events should have been updated');
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('getting a webhook with another owner should fail',
+        function (t) {
+            CLIENTS.volapi.get({
+                path: '/webhooks/' + webhook.uuid + '?owner_uuid=' +
+                    '00000000-0000-0000-0000-000000000000'
+            }, function onGetWebhook(err) {
+                t.ok(err, 'getting webhook should error');
+                if (err) {
+                    t.equal(err.body.code, 'WebhookNotFound',
+                        'error code should be WebhookNotFound');
+                }
+
+                t.end();
+            });
+        });
+
+    tt.test('listing webhooks should include the webhook', function (t) {
+        CLIENTS.volapi.get({
+            path: '/webhooks?owner_uuid=' + UFDS_ADMIN_UUID
+        }, function onListWebhooks(err, req, res, webhooks) {
+            t.ifErr(err, 'listing webhooks should succeed');
+
+            if (webhooks) {
+                t.ok(webhooks.some(function isWebhook(listedWebhook) {
+                    return listedWebhook.uuid === webhook.uuid;
+                }), 'webhooks should include ' + webhook.uuid);
+            }
+
+            t.end();
+        });
+    });
+});
+
+test('Webhooks notifications', {skip: !WEBHOOK_HOST}, function (tt) {
+    var volumeUuid;
+
+    tt.test('creating a volume should succeed', function (t) {
+        CLIENTS.volapi.createVolumeAndWait({
+            owner_uuid: UFDS_ADMIN_UUID,
+            type: NFS_SHARED_VOLUMES_TYPE_NAME,
+            networks: [ADMIN_OWNED_FABRIC_NETWORK_UUID]
+        }, function onVolumeCreated(err, volume) {
+            t.ifErr(err, 'volume creation should succeed');
+
+            if (volume) {
+                volumeUuid = volume.uuid;
+                CREATED_VOLUMES.push(volumeUuid);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('a signed volume.created notification should be received',
+        function (t) {
+            waitForNotification('volume.created', volumeUuid, 30000,
+                function onNotification(err, notification) {
+                    var expectedSignature;
+
+                    t.ifErr(err, 'notification should be received');
+
+                    if (notification) {
+                        expectedSignature = 'sha256=' +
+                            crypto.createHmac('sha256', WEBHOOK_SECRET)
+                                .update(notification.rawBody)
+                                .digest('hex');
+
+                        t.equal(notification.headers['x-volapi-signature'],
+                            expectedSignature,
+                            'notification signature should be valid');
+                        t.equal(notification.headers['x-volapi-event'],
+                            'volume.created',
+                            'notification event header should be set');
+                    }
+
+                    t.end();
+                });
+        });
+
+    tt.test('deleting the volume should succeed', function (t) {
+        CLIENTS.volapi.deleteVolumeAndWait({
+            uuid: volumeUuid,
+            owner_uuid: UFDS_ADMIN_UUID
+        }, function onVolumeDeleted(err) {
+            t.ifErr(err, 'volume deletion should succeed');
+
+            if (!err) {
+                CREATED_VOLUMES.splice(CREATED_VOLUMES.indexOf(volumeUuid),
+                    1);
+            }
+
+            t.end();
+        });
+    });
+
+    tt.test('a volume.deleted notification should be received',
+        function (t) {
+            waitForNotification('volume.deleted', volumeUuid, 30000,
+                function onNotification(err) {
+                    t.ifErr(err, 'notification should be received');
+                    t.end();
+                });
+        });
+});
+
+test('teardown', function (tt) {
+    tt.test('cleanup webhooks', function (t) {
+        vasync.forEachParallel({
+            func: function deleteWebhook(webhookUuid, done) {
+                CLIENTS.volapi.del({
+                    path: '/webhooks/' + webhookUuid
+                }, function onWebhookDeleted(err) {
+                    t.ifErr(err, 'delete webhook ' + webhookUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_WEBHOOKS
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+
+    tt.test('cleanup volumes', function (t) {
+        vasync.forEachParallel({
+            func: function deleteVolume(volumeUuid, done) {
+                CLIENTS.volapi.deleteVolumeAndWait({
+                    uuid: volumeUuid,
+                    owner_uuid: UFDS_ADMIN_UUID
+                }, function onVolumeDeleted(err) {
+                    t.ifErr(err, 'delete volume ' + volumeUuid);
+                    done();
+                });
+            },
+            inputs: CREATED_VOLUMES
+        }, function cleanupDone(err) {
+            t.end();
+        });
+    });
+
+    tt.test('stop webhook endpoint', function (t) {
+        WEBHOOK_SERVER.close(function onClosed() {
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var catchUp = require('../../lib/catch-up');
+
+var NOW = 1700000000000;
+
+//
+// Returns a fake VMAPI client whose listVms method lists "nbVms" VMs, and
+// records the parameters of each call in "listVmsCalls".
+//
+function createVmapiClient(nbVms, listVmsCalls) {
+    return {
+        listVms: function listVms(params, callback) {
+            var idx;
+            var vms = [];
+
+            listVmsCalls.push(params);
+
+            for (idx = params.offset;
+                idx < Math.min(nbVms, params.offset + params.limit); ++idx) {
+                vms.push({uuid: String(idx)});
+            }
+
+            setImmediate(callback, null, vms);
+        }
+    };
+}
+
+test('events watermark', function (tt) {
+    tt.test('is now when all events were processed', function (t) {
+        t.equal(catchUp.getEventsWatermark({}, NOW), NOW);
+        t.end();
+    });
+
+    tt.test('is the time the oldest unprocessed event was received',
+        function (t) {
+        t.equal(catchUp.getEventsWatermark({
+            0: NOW - 1000,
+            1: NOW - 3000,
+            2: NOW - 2000
+        }, NOW), NOW - 3000);
+        t.end();
+    });
+});
+
+test('choice between full sync and catch-up', function (tt) {
+    var MAX_CATCH_UP_PERIOD = 3600;
+
+    tt.test('full sync without checkpoint', function (t) {
+        t.equal(catchUp.shouldCatchUp(undefined, MAX_CATCH_UP_PERIOD, NOW),
+            false);
+        t.end();
+    });
+
+    tt.test('full sync when catching up is disabled', function (t) {
+        t.equal(catchUp.shouldCatchUp({
+            events_watermark_timestamp: NOW - 1000
+        }, 0, NOW), false);
+        t.end();
+    });
+
+    tt.test('full sync when the checkpoint is too old', function (t) {
+        t.equal(catchUp.shouldCatchUp({
+            events_watermark_timestamp: NOW - MAX_CATCH_UP_PERIOD * 1000 - 1
+        }, MAX_CATCH_UP_PERIOD, NOW), false);
+        t.end();
+    });
+
+    tt.test('catch-up when the checkpoint is recent enough', function (t) {
+        t.equal(catchUp.shouldCatchUp({
+            events_watermark_timestamp: NOW - 1000
+        }, MAX_CATCH_UP_PERIOD, NOW), true);
+        t.equal(catchUp.shouldCatchUp({
+            events_watermark_timestamp: NOW - MAX_CATCH_UP_PERIOD * 1000
+        }, MAX_CATCH_UP_PERIOD, NOW), true);
+        t.end();
+    });
+});
+
+test('listVmsModifiedSince', function (tt) {
+    var LIMIT = catchUp.LIST_VMS_LIMIT;
+
+    tt.test('lists all pages of VMs', function (t) {
+        var listVmsCalls = [];
+        var nbVms = LIMIT * 2 + LIMIT / 2;
+
+        catchUp.listVmsModifiedSince(createVmapiClient(nbVms, listVmsCalls),
+            NOW, function onListed(listErr, vms) {
+                t.ifError(listErr);
+                t.equal(vms.length, nbVms);
+                t.deepEqual(listVmsCalls.map(function getOffset(params) {
+                    return params.offset;
+                }), [0, LIMIT, LIMIT * 2]);
+                listVmsCalls.forEach(function checkParams(params) {
+                    t.equal(params.limit, LIMIT);
+                    t.equal(params.query, '(last_modified>=' + NOW + ')');
+                });
+                t.end();
+            });
+    });
+
+    tt.test('lists an empty last page when all pages are full',
+        function (t) {
+        var listVmsCalls = [];
+
+        catchUp.listVmsModifiedSince(createVmapiClient(LIMIT, listVmsCalls),
+            NOW, function onListed(listErr, vms) {
+                t.ifError(listErr);
+                t.equal(vms.length, LIMIT);
+                t.equal(listVmsCalls.length, 2);
+                t.end();
+            });
+    });
+
+    tt.test('stops on errors', function (t) {
+        var nbCalls = 0;
+        var vmapiClient = {
+            listVms: function listVms(params, callback) {
+                ++nbCalls;
+                setImmediate(callback, new Error('boom'));
+            }
+        };
+
+        catchUp.listVmsModifiedSince(vmapiClient, NOW,
+            function onListed(listErr, vms) {
+                t.ok(listErr);
+                t.equal(vms, undefined);
+                t.equal(nbCalls, 1);
+                t.end();
+            });
+    });
+});
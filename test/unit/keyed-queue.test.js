@@ -0,0 +1,115 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var KeyedQueue = require('../../lib/keyed-queue');
+
+test('KeyedQueue', function (tt) {
+    tt.test('tasks with the same key are processed in order, one at a time',
+        function (t) {
+        var nbRunning = 0;
+        var processed = [];
+        var queue = new KeyedQueue({
+            concurrency: 10,
+            worker: function processTask(task, done) {
+                ++nbRunning;
+                t.equal(nbRunning, 1,
+                    'task ' + task + ' should be the only one running');
+
+                setTimeout(function onTaskDone() {
+                    --nbRunning;
+                    processed.push(task);
+
+                    if (processed.length === 5) {
+                        t.deepEqual(processed, [0, 1, 2, 3, 4],
+                            'tasks should be processed in order');
+                        t.end();
+                    }
+
+                    done();
+                }, 5 - task);
+            }
+        });
+
+        [0, 1, 2, 3, 4].forEach(function pushTask(task) {
+            queue.push('key', task);
+        });
+    });
+
+    tt.test('at most "concurrency" tasks are processed at a time',
+        function (t) {
+        var maxNbRunning = 0;
+        var nbProcessed = 0;
+        var nbRunning = 0;
+        var queue = new KeyedQueue({
+            concurrency: 3,
+            worker: function processTask(task, done) {
+                ++nbRunning;
+                maxNbRunning = Math.max(maxNbRunning, nbRunning);
+                t.equal(queue.running(), nbRunning,
+                    'running() should be the number of tasks running');
+
+                setTimeout(function onTaskDone() {
+                    --nbRunning;
+                    ++nbProcessed;
+
+                    if (nbProcessed === 10) {
+                        t.equal(maxNbRunning, 3,
+                            '3 tasks should have been running at most');
+                        t.equal(queue.length(), 0,
+                            'no task should be pending');
+                        t.end();
+                    }
+
+                    done();
+                }, 5);
+            }
+        });
+        var task;
+
+        for (task = 0; task < 10; ++task) {
+            queue.push('key-' + task, task);
+        }
+
+        t.equal(queue.length(), 7, '7 tasks should be pending');
+    });
+
+    tt.test('keys with pending tasks are processed in a round-robin fashion',
+        function (t) {
+        var processed = [];
+        var queue = new KeyedQueue({
+            concurrency: 1,
+            worker: function processTask(task, done) {
+                processed.push(task);
+
+                if (processed.length === 6) {
+                    t.deepEqual(processed,
+                        ['a0', 'b0', 'c0', 'a1', 'b1', 'a2'],
+                        'a key with many tasks should not delay other keys');
+                    t.end();
+                }
+
+                setImmediate(done);
+            }
+        });
+
+        /*
+         * Task "a0" starts being processed as soon as it's pushed, and the
+         * other tasks are pending until it's done.
+         */
+        queue.push('a', 'a0');
+        queue.push('a', 'a1');
+        queue.push('a', 'a2');
+        queue.push('b', 'b0');
+        queue.push('b', 'b1');
+        queue.push('c', 'c0');
+    });
+});
@@ -0,0 +1,130 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var vmReferences = require('../../lib/vm-references');
+
+var VOLUME_A_UUID = '0b1e6ad6-2d42-4a1b-9d3a-6b3e3f6d9a01';
+var VOLUME_B_UUID = '5c8e0b7e-3f1a-4c4e-8f0a-0b6a8f8f0b02';
+var VOLUME_C_UUID = 'a4d2c6f0-7a5e-4b8b-b6c1-2f7e1d3c4b03';
+
+//
+// Returns the referencing VM record that volapi-updater writes for a VM in
+// state "state" whose references to the volumes with UUIDs "volumeUuids" were
+// just added, or deleted when "referencesDeleted" is true, given its previous
+// record "referencingVm".
+//
+function recordVm(referencingVm, state, volumeUuids, referencesDeleted) {
+    return {
+        state: state,
+        volume_uuids: vmReferences.getVolumeUuidsToRecord(referencingVm,
+            volumeUuids, referencesDeleted)
+    };
+}
+
+test('restoring references of VMs that become active after failing',
+    function (tt) {
+    tt.test('references of a VM that fails and comes back are restored',
+        function (t) {
+        var referencingVm = recordVm(undefined, 'running',
+            [VOLUME_A_UUID, VOLUME_B_UUID], false);
+
+        referencingVm = recordVm(referencingVm, 'failed',
+            [VOLUME_A_UUID, VOLUME_B_UUID], true);
+        t.deepEqual(referencingVm.volume_uuids,
+            [VOLUME_A_UUID, VOLUME_B_UUID],
+            'failed VM record should keep the volumes it referenced');
+
+        t.deepEqual(vmReferences.getVolumeUuidsToRestore(referencingVm, []),
+            [VOLUME_A_UUID, VOLUME_B_UUID],
+            'all references should be restored when the VM comes back');
+        t.end();
+    });
+
+    tt.test('references of a VM that fails twice are restored',
+        function (t) {
+        var referencingVm = recordVm(undefined, 'running',
+            [VOLUME_A_UUID, VOLUME_B_UUID], false);
+
+        referencingVm = recordVm(referencingVm, 'failed',
+            [VOLUME_A_UUID, VOLUME_B_UUID], true);
+        /*
+         * The VM's references were already removed when it first failed, so
+         * it doesn't reference any volume anymore.
+         */
+        referencingVm = recordVm(referencingVm, 'failed', [], true);
+
+        t.deepEqual(vmReferences.getVolumeUuidsToRestore(referencingVm, []),
+            [VOLUME_A_UUID, VOLUME_B_UUID],
+            'all references should be restored when the VM comes back');
+        t.end();
+    });
+
+    tt.test('references removed on purpose are not restored', function (t) {
+        var referencingVm = recordVm(undefined, 'running',
+            [VOLUME_A_UUID, VOLUME_B_UUID], false);
+
+        /*
+         * The reference to volume B is removed, e.g with the
+         * RemoveVolumeReference endpoint, which doesn't update the record,
+         * and then the VM fails.
+         */
+        referencingVm = recordVm(referencingVm, 'failed', [VOLUME_A_UUID],
+            true);
+        t.deepEqual(referencingVm.volume_uuids, [VOLUME_A_UUID],
+            'failed VM record should only have the volumes it referenced');
+
+        t.deepEqual(vmReferences.getVolumeUuidsToRestore(referencingVm, []),
+            [VOLUME_A_UUID],
+            'only the reference to volume A should be restored');
+        t.end();
+    });
+
+    tt.test('references of VMs that were active are not restored',
+        function (t) {
+        var referencingVm = recordVm(undefined, 'stopped',
+            [VOLUME_A_UUID, VOLUME_B_UUID], false);
+
+        t.deepEqual(vmReferences.getVolumeUuidsToRestore(referencingVm, []),
+            [], 'no reference should be restored');
+        t.deepEqual(vmReferences.getVolumeUuidsToRestore(undefined, []), [],
+            'no reference should be restored for VMs without a record');
+        t.end();
+    });
+
+    tt.test('volumes already processed are not restored again',
+        function (t) {
+        var referencingVm = {
+            state: 'failed',
+            volume_uuids: [VOLUME_A_UUID, VOLUME_B_UUID, VOLUME_C_UUID]
+        };
+
+        t.deepEqual(vmReferences.getVolumeUuidsToRestore(referencingVm,
+            [VOLUME_B_UUID]), [VOLUME_A_UUID, VOLUME_C_UUID],
+            'only volumes not processed yet should be restored');
+        t.end();
+    });
+
+    tt.test('active VM record has the volumes it currently references',
+        function (t) {
+        var referencingVm = {
+            state: 'failed',
+            volume_uuids: [VOLUME_A_UUID, VOLUME_B_UUID]
+        };
+
+        referencingVm = recordVm(referencingVm, 'running',
+            [VOLUME_A_UUID, VOLUME_C_UUID], false);
+        t.deepEqual(referencingVm.volume_uuids,
+            [VOLUME_A_UUID, VOLUME_C_UUID],
+            'record should only have the volumes the VM references');
+        t.end();
+    });
+});
@@ -0,0 +1,116 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var VolumeChangesCursor = require('../../lib/volume-changes-cursor');
+
+function makeChange(id) {
+    var idString = String(id);
+
+    while (idString.length < 12) {
+        idString = '0' + idString;
+    }
+
+    return {_id: id, value: {uuid: '00000000-0000-4000-8000-' + idString}};
+}
+
+function addChanges(cursor, changes) {
+    return changes.filter(function addChange(change) {
+        return cursor.addChange(change);
+    }).map(function getId(change) {
+        return change._id;
+    });
+}
+
+test('VolumeChangesCursor', function (tt) {
+    tt.test('list params re-read a window of ids', function (t) {
+        var cursor = new VolumeChangesCursor({
+            afterId: 42,
+            batchSize: 10,
+            window: 5
+        });
+
+        t.deepEqual(cursor.getListParams(), {afterId: 42, limit: 15},
+            'first poll should list after the id the stream started after');
+
+        addChanges(cursor, [makeChange(43), makeChange(50)]);
+        t.deepEqual(cursor.getListParams(), {afterId: 45, limit: 15},
+            'next poll should re-read the last 5 ids');
+        t.equal(cursor.lastId(), 50, 'last id should be the greatest id sent');
+        t.end();
+    });
+
+    tt.test('late changes are sent once', function (t) {
+        var change43 = makeChange(43);
+        var change44 = makeChange(44);
+        var change45 = makeChange(45);
+        var cursor = new VolumeChangesCursor({
+            afterId: 42,
+            batchSize: 10,
+            window: 5
+        });
+
+        t.deepEqual(addChanges(cursor, [change43, change45]), [43, 45],
+            'changes visible on the first poll should be sent');
+        t.deepEqual(addChanges(cursor, [change43, change44, change45]), [44],
+            'only the change that became visible later should be sent');
+        t.equal(cursor.lastId(), 45, 'last id should not decrease');
+        t.deepEqual(addChanges(cursor, [change43, change44, change45]), [],
+            'no change should be sent twice');
+        t.end();
+    });
+
+    tt.test('last id increases with each change sent', function (t) {
+        var cursor = new VolumeChangesCursor({
+            afterId: 0,
+            batchSize: 10
+        });
+
+        t.ok(cursor.addChange(makeChange(1)), 'change 1 should be sent');
+        t.equal(cursor.lastId(), 1, 'last id should be 1');
+        t.ok(cursor.addChange(makeChange(2)), 'change 2 should be sent');
+        t.equal(cursor.lastId(), 2, 'last id should be 2');
+        t.end();
+    });
+
+    tt.test('changes before resumed stream are not sent', function (t) {
+        var cursor = new VolumeChangesCursor({
+            afterId: 42,
+            batchSize: 10,
+            window: 5
+        });
+
+        t.deepEqual(addChanges(cursor, [makeChange(41), makeChange(42),
+            makeChange(43)]), [43],
+            'only changes after the id the stream resumed after are sent');
+        t.end();
+    });
+
+    tt.test('changes out of the window are forgotten', function (t) {
+        var change45 = makeChange(45);
+        var cursor = new VolumeChangesCursor({
+            afterId: 42,
+            batchSize: 10,
+            window: 5
+        });
+
+        addChanges(cursor, [change45, makeChange(48), makeChange(49)]);
+        cursor.getListParams();
+        t.ok(cursor._sentChanges.hasOwnProperty(change45.value.uuid),
+            'change within the window should be remembered');
+
+        addChanges(cursor, [makeChange(50)]);
+        cursor.getListParams();
+        t.notOk(cursor._sentChanges.hasOwnProperty(change45.value.uuid),
+            'change out of the window should be forgotten');
+        t.end();
+    });
+});
@@ -0,0 +1,161 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+var test = require('tape');
+
+var webhookDestinations = require('../../lib/webhook-destinations');
+
+/*
+ * The networks of the interfaces of a fake zone on the 10.99.99.0/24 admin
+ * network and on the 203.0.113.0/24 external network.
+ */
+var LOCAL_NETWORKS = [
+    {address: 0x0a636300, mask: 0xffffff00},
+    {address: 0xcb007100, mask: 0xffffff00}
+];
+
+function isForbiddenAddress(address) {
+    return webhookDestinations.isForbiddenAddress(address, LOCAL_NETWORKS);
+}
+
+function isForbiddenHostname(hostname) {
+    return webhookDestinations.isForbiddenHostname(hostname, LOCAL_NETWORKS);
+}
+
+test('IPv4 addresses', function (tt) {
+    tt.test('loopback, link-local, private and unspecified addresses are ' +
+        'forbidden', function (t) {
+        [
+            '0.0.0.0',
+            '10.1.2.3',
+            '100.64.0.1',
+            '127.0.0.1',
+            '127.255.255.254',
+            '169.254.169.254',
+            '172.16.0.1',
+            '172.31.255.255',
+            '192.168.1.1',
+            '255.255.255.255'
+        ].forEach(function checkAddress(address) {
+            t.equal(isForbiddenAddress(address), true, address);
+        });
+        t.end();
+    });
+
+    tt.test('addresses on local networks are forbidden', function (t) {
+        t.equal(isForbiddenAddress('203.0.113.10'), true);
+        t.equal(isForbiddenAddress('203.0.114.10'), false);
+        t.end();
+    });
+
+    tt.test('public addresses are allowed', function (t) {
+        [
+            '8.8.8.8',
+            '100.128.0.1',
+            '172.32.0.1',
+            '192.169.0.1',
+            '198.51.100.7'
+        ].forEach(function checkAddress(address) {
+            t.equal(isForbiddenAddress(address), false, address);
+        });
+        t.end();
+    });
+});
+
+test('IPv6 addresses', function (tt) {
+    tt.test('loopback, link-local, unique local and unspecified addresses ' +
+        'are forbidden', function (t) {
+        [
+            '::',
+            '::1',
+            '0:0:0:0:0:0:0:1',
+            '0000:0000:0000:0000:0000:0000:0000:0000',
+            'fe80::1',
+            'FEBF::1',
+            'fc00::1',
+            'fd12:3456::1'
+        ].forEach(function checkAddress(address) {
+            t.equal(isForbiddenAddress(address), true, address);
+        });
+        t.end();
+    });
+
+    tt.test('IPv4-mapped addresses are checked as IPv4 addresses',
+        function (t) {
+        t.equal(isForbiddenAddress('::ffff:127.0.0.1'), true);
+        t.equal(isForbiddenAddress('::ffff:7f00:1'), true);
+        t.equal(isForbiddenAddress('::ffff:a63:630a'), true);
+        t.equal(isForbiddenAddress('::ffff:8.8.8.8'), false);
+        t.equal(isForbiddenAddress('::ffff:808:808'), false);
+        t.end();
+    });
+
+    tt.test('public addresses are allowed', function (t) {
+        t.equal(isForbiddenAddress('2001:db8::1'), false);
+        t.equal(isForbiddenAddress('2606:4700::1111'), false);
+        t.end();
+    });
+});
+
+test('host names', function (tt) {
+    tt.test('localhost is forbidden', function (t) {
+        t.equal(isForbiddenHostname('localhost'), true);
+        t.equal(isForbiddenHostname('LOCALHOST.'), true);
+        t.equal(isForbiddenHostname('volapi.localhost'), true);
+        t.end();
+    });
+
+    tt.test('forbidden IP addresses are forbidden', function (t) {
+        t.equal(isForbiddenHostname('127.0.0.1'), true);
+        t.equal(isForbiddenHostname('::1'), true);
+        t.end();
+    });
+
+    tt.test('other host names are allowed without being resolved',
+        function (t) {
+        t.equal(isForbiddenHostname('example.com'), false);
+        t.equal(isForbiddenHostname('localhost.example.com'), false);
+        t.equal(isForbiddenHostname('8.8.8.8'), false);
+        t.end();
+    });
+});
+
+test('lookup', function (tt) {
+    tt.test('fails for host names that resolve to forbidden addresses',
+        function (t) {
+        webhookDestinations.lookup('127.0.0.1', {},
+            function onLookup(lookupErr) {
+                t.ok(lookupErr);
+                if (lookupErr) {
+                    t.equal(lookupErr.name,
+                        'ForbiddenWebhookDestinationError');
+                }
+                t.end();
+            });
+    });
+
+    tt.test('fails when any resolved address is forbidden', function (t) {
+        webhookDestinations.lookup('127.0.0.1', {all: true},
+            function onLookup(lookupErr) {
+                t.ok(lookupErr);
+                t.end();
+            });
+    });
+
+    tt.test('resolves allowed addresses', function (t) {
+        webhookDestinations.lookup('8.8.8.8', function onLookup(lookupErr,
+            address, family) {
+            t.ifError(lookupErr);
+            t.equal(address, '8.8.8.8');
+            t.equal(family, 4);
+            t.end();
+        });
+    });
+});
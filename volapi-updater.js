@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -93,16 +94,25 @@
  *
  * We end up with the correct end state for the storage VM: stopped.
  *
- * Suboptimal serialization to prevent races
- * -----------------------------------------
+ * Serializing events per VM
+ * -------------------------
  *
- * Currently, volapi-updater serializes all state change events _for all VMs_,
- * which is suboptimal. If a significant number of different VMs change state at
- * the same time, actually updating the state of the associate volumes could be
- * delayed significantly.
+ * The race described above can only happen between events for the same VM, so
+ * volapi-updater only serializes the processing of state change events _per
+ * VM_, using a keyed queue (see lib/keyed-queue.js) whose keys are VM UUIDs.
+ * Events for different VMs are processed concurrently, up to the number of
+ * events set by the "updater.vmChangeEventsConcurrency" configuration property,
+ * so that a significant number of different VMs changing state at the same
+ * time (e.g when a CN reboots) doesn't delay the state update of all the
+ * associated volumes.
  *
- * Ideally, we would serialize updates only per VM. This is an improvement that
- * still needs to be implemented.
+ * A volume can still be written concurrently when processing events for
+ * different VMs: events for its storage VM update its state, labels, networks
+ * and filesystem path, while events for the VMs that reference it update its
+ * references, and several VMs can reference the same volume. All these writes
+ * are made conditionally on the volume's etag, and on conflicts the volume is
+ * reloaded and the write is computed again from the reloaded volume, so that
+ * no write overwrites another.
  *
  * Dealing with concurrent volume state updates
  * --------------------------------------------
@@ -118,13 +128,20 @@
  *
  * - CreateVolume
  * - DeleteVolume
+ * - ResizeVolume
+ * - RollbackVolume
  *
  * However, the implementation of these operations is designed to not run
  * concurrently with a volume state update performed by volapi-updater as a
  * result of a VM change event.
  *
  * CreateVolume and DeleteVolume always schedule a storage VM creation _after_
- * they wrote the latest possible volume state update to moray.
+ * they wrote the latest possible volume state update to moray. Similarly,
+ * ResizeVolume marks the volume as 'resizing' before scheduling the storage VM
+ * update, and it is the jobs watcher (see below) that moves that volume back
+ * to the 'ready' state once the resize job completes. RollbackVolume marks the
+ * volume as 'rolling_back' before stopping its storage VM, and volapi-updater
+ * doesn't consider a 'rolling_back' volume with a stopped storage VM as failed.
  *
  * volapi-updater still uses an etag to not overwrite other changes made to
  * volume objects, such as when a volume's name is updated. In this case, an
@@ -186,8 +203,8 @@
  * purpose of volumes reservations is really to hold a reference to a volume
  * until the state of the VM that reserved it is known.
  *
- * Known issues
- * ------------
+ * VMs going from failed to active
+ * -------------------------------
  *
  * It is possible for a VM to transition from a state === 'failed' to a state
  * that is considered active. In this case, what would happen is that
@@ -195,13 +212,91 @@
  * 'failed', and another one when the VM transition to an active state.
  *
  * When processing the event corresponding to the VM transitioning to the state
- * 'failed', volapi-updater would remove the VM's uuid from the "refs" property
- * of all volumes that were previously referenced by it. At that point, the
- * owner of the volumes referenced by the VM would be able to delete all these
- * volumes, even though the VM would actually be running on the CN, and would
- * later come back to an active state.
+ * 'failed', volapi-updater removes the VM's uuid from the "refs" property of
+ * all volumes that were previously referenced by it.
+ *
+ * When processing the event corresponding to the VM transitioning back to an
+ * active state, the VM's references are added again. For VMs that have data
+ * about the volumes they require (in their internal metadata or their
+ * "volumes" property), these volumes are loaded by name. For other VMs,
+ * volapi-updater records, for each VM whose references it updates, the state
+ * in which it last saw that VM and the UUIDs of the volumes it referenced (see
+ * lib/models/referencing-vms.js). When such a VM becomes active after being
+ * seen in an inactive state, its references to these volumes are restored.
+ *
+ * Known issues
+ * ------------
+ *
+ * While a VM is failed, the owner of the volumes referenced by the VM is able
+ * to delete these volumes, even though the VM could actually be running on the
+ * CN, and could later come back to an active state. References to volumes that
+ * were deleted in the meantime can't be restored.
  *
  * This is currently considered to be an acceptable limitation.
+ *
+ * Reconciling volumes with VMAPI
+ * ==============================
+ *
+ * When it starts, volapi-updater catches up with the VM changes that happened
+ * while it wasn't running (see "Checkpointing" below). Changefeed events can
+ * also be missed while volapi-updater is running, e.g during VMAPI or moray
+ * outages, so all volumes and their references are periodically compared with
+ * the state of VMs in VMAPI by the "reconciler" (see reconcileVolumes), every
+ * "updater.reconciliationInterval" seconds.
+ *
+ * The reconciler compares the state, NFS path and labels of each volume with
+ * its storage VM, and the references of all volumes with the VMs that require
+ * them. It fixes any drift it finds and records a report of each drift and its
+ * reason (see lib/models/reconciliation-reports.js), which operators can read
+ * with the GET /admin/reconciliation endpoint.
+ *
+ * Each storage VM and each referencing VM is reconciled through the VM change
+ * events queue, keyed by the VM's UUID, so that it's not reconciled
+ * concurrently with the processing of its change events: the volume is
+ * reloaded once the VM's previous events were processed, its drift is computed
+ * from that reloaded volume, and it's then updated conditionally on its etag.
+ * As a result, the reconciler doesn't revert concurrent changes to the volume,
+ * such as a state change made by the API server, its references or its usage.
+ *
+ * Checkpointing
+ * -------------
+ *
+ * Updating all volumes and their references from all VMs in VMAPI (a "full
+ * sync") is slow and puts a lot of load on VMAPI in large datacenters. Instead,
+ * volapi-updater records a checkpoint in moray (see
+ * lib/models/updater-checkpoint.js) with the time of the last full sync, and
+ * an "events watermark": the time before which all VM change events were
+ * processed. The watermark is the time at which the oldest VM change event in
+ * the queue was received, or the current time if the queue is empty, and is
+ * recorded every minute.
+ *
+ * When it starts, volapi-updater performs a full sync only if there's no
+ * checkpoint, or if the events watermark is older than
+ * "updater.maxCatchUpPeriod" seconds (setting it to 0 forces a full sync on
+ * each start). Otherwise, it lists the VMs whose "last_modified" property is
+ * more recent than the events watermark, minus a safety margin, and pushes a
+ * VM change event for each of them to the queue, as if they had been received
+ * from changefeed (see lib/catch-up.js).
+ *
+ * The same choice is made each time the changefeed listener reconnects and
+ * emits a "bootstrap" event, but VM change events keep being processed by a
+ * single listener, and checkpoints recorded by a single timer.
+ *
+ * Resyncing volumes on demand
+ * ---------------------------
+ *
+ * Operators can also resync a single volume with its storage VM, or the
+ * references of a single VM, with VOLAPI's ResyncVolume and ResyncVmReferences
+ * endpoints. VOLAPI forwards these requests to the same routes on
+ * volapi-updater's resync server (see lib/endpoints/resync.js), which push the
+ * resync to the VM change events queue with the UUID of the storage VM or of
+ * the referencing VM as its key. Resyncs are thus serialized with the
+ * processing of the VM change events of the same VM.
+ *
+ * The resync server listens on the "updater.resyncPort" port of the loopback
+ * interface only, since VOLAPI runs in the same zone, and its routes are not
+ * authenticated. The server that exposes volapi-updater's metrics on the
+ * "updater.metricsPort" port of all interfaces only serves metrics.
  */
 
 var execFile = require('child_process').execFile;
@@ -215,13 +310,29 @@ var mod_vasync = require('vasync');
 var mod_VError = require('verror');
 var path = require('path');
 var util = require('util');
+var CnapiClient = require('sdc-clients').CNAPI;
 var VmapiClient = require('sdc-clients').VMAPI;
 var WfClient = require('wf-client');
 
+var changefeed = require('./lib/changefeed');
+var mod_catchUp = require('./lib/catch-up.js');
 var configLoader = require('./lib/config-loader');
+var mod_datasets = require('./lib/datasets.js');
+var KeyedQueue = require('./lib/keyed-queue.js');
+var mod_metrics = require('./lib/metrics.js');
+var mod_vmReferences = require('./lib/vm-references.js');
 var mod_volumeUtils = require('./lib/volumes.js');
+var mod_webhooks = require('./lib/webhooks.js');
+var metricsRoutes = require('./lib/endpoints/metrics.js');
+var resyncRoutes = require('./lib/endpoints/resync.js');
 var models = require('./lib/models');
+var reconciliationReportModels =
+    require('./lib/models/reconciliation-reports.js');
+var referencingVmModels = require('./lib/models/referencing-vms.js');
 var reservationModels = require('./lib/models/volume-reservations.js');
+var snapshotModels = require('./lib/models/volume-snapshots.js');
+var updaterCheckpointModels = require('./lib/models/updater-checkpoint.js');
+var usageRecordModels = require('./lib/models/usage-records.js');
 var volumeModels = require('./lib/models/volumes.js');
 var Moray = require('./lib/moray.js');
 
@@ -244,8 +355,35 @@ function VolumesUpdater(options) {
         'options.changefeedPublisherUrl');
     this._changefeedPublisherUrl = options.changefeedPublisherUrl;
 
-    this._vmChangeEventsQueue =
-        mod_vasync.queue(this._processVmChangeEvent.bind(this), 1);
+    mod_assert.number(options.vmChangeEventsConcurrency,
+        'options.vmChangeEventsConcurrency');
+
+    /*
+     * Events are serialized per VM, see "Events ordering concerns" above.
+     * Resyncs requested through volapi-updater's resync server are pushed to
+     * the same queue (see "Resyncing volumes on demand" above).
+     */
+    this._vmChangeEventsQueue = new KeyedQueue({
+        concurrency: options.vmChangeEventsConcurrency,
+        worker: this._processVmTask.bind(this)
+    });
+
+    mod_assert.number(options.maxCatchUpPeriod, 'options.maxCatchUpPeriod');
+    this._maxCatchUpPeriod = options.maxCatchUpPeriod;
+
+    /*
+     * See "Checkpointing" above.
+     */
+    this._lastFullSyncTimestamp = undefined;
+    this._nextEventId = 0;
+    this._unprocessedEventsTimestamps = {};
+
+    /*
+     * Set once VM change events are processed and checkpoints recorded, which
+     * must happen only once across repeated "bootstrap" events.
+     */
+    this._processingChangefeedEvents = false;
+    this._checkpointing = false;
 }
 
 function getInstanceUuid(callback) {
@@ -323,6 +461,32 @@ function updateVolumeLabelsFromStorageVm(volume, storageVm) {
     mod_assert.object(volume, 'volume');
     mod_assert.object(storageVm, 'storageVm');
 
+    /*
+     * VMAPI jobs that update a VM's tags can take a while to complete, so
+     * there's no point in waiting for a labels update longer than that.
+     */
+    var LABELS_UPDATE_TIMEOUT = 10 * 60 * 1000;
+    var labelsUpdated;
+
+    if (volume.labels_update !== undefined) {
+        /*
+         * The volume's labels were changed with UpdateVolume, and the storage
+         * VM's tags might not have been updated yet. Once they match the
+         * volume's labels, the update is complete. If they still don't match
+         * after LABELS_UPDATE_TIMEOUT, the job that updated them most likely
+         * failed, and the storage VM's tags are the source of truth again.
+         */
+        labelsUpdated = mod_jsprim.deepEqual(storageVm.tags || {},
+            JSON.parse(volume.labels || '{}'));
+
+        if (!labelsUpdated && Date.now() -
+            volume.labels_update.create_timestamp < LABELS_UPDATE_TIMEOUT) {
+            return;
+        }
+
+        delete volume.labels_update;
+    }
+
     if (storageVm.state !== 'destroyed' && storageVm.state !== 'failed') {
         // Update the labels using the vm tags, in case someone manually
         // changed the tags.
@@ -330,11 +494,40 @@ function updateVolumeLabelsFromStorageVm(volume, storageVm) {
     }
 }
 
+function updateVolumeNetworksFromStorageVm(volume, storageVm) {
+    mod_assert.object(volume, 'volume');
+    mod_assert.object(storageVm, 'storageVm');
+
+    /*
+     * NICs can be added to or removed from a volume's storage VM with the
+     * AddVolumeNetwork and RemoveVolumeNetwork endpoints, so the storage VM's
+     * NICs are the source of truth for the volume's networks.
+     */
+    if (storageVm.state !== 'destroyed' && storageVm.state !== 'failed' &&
+        Array.isArray(storageVm.nics) && storageVm.nics.length > 0) {
+        volume.networks = storageVm.nics.map(function getNetwork(nic) {
+            return nic.network_uuid;
+        });
+    }
+}
+
 function updateVolumeStateFromStorageVm(volume, storageVm) {
     mod_assert.object(volume, 'volume');
     mod_assert.object(storageVm, 'storageVm');
 
     if (storageVm.state === 'running') {
+        /*
+         * A cloned volume is ready only once its data has been copied from
+         * its source, which is done by the jobs watcher (see
+         * seedClonedVolumes). That's also the case for clones that failed to
+         * be seeded, whose storage VM can be started again, e.g by an operator
+         * or when its compute node reboots, while they hold no data or only
+         * part of it.
+         */
+        if (volume.source !== undefined && !volume.source.seeded) {
+            return;
+        }
+
         if (volume.state === 'creating' || volume.state === 'failed') {
             volume.state = 'ready';
         }
@@ -347,9 +540,24 @@ function updateVolumeStateFromStorageVm(volume, storageVm) {
             volume.state = 'failed';
         }
     } else if (storageVm.state === 'failed') {
-        volume.state = 'failed';
+        /*
+         * Failed volumes are deleted along with their failed storage VM, e.g
+         * by the failed volumes reaper, in which case they need to stay in
+         * the 'deleting' state until the VM is destroyed.
+         */
+        if (volume.state !== 'deleting') {
+            volume.state = 'failed';
+        }
     } else if (storageVm.state === 'stopped') {
-        if (volume.state !== 'deleting' && volume.state !== 'creating') {
+        /*
+         * The storage VM of a volume being rolled back is stopped on purpose
+         * by the RollbackVolume endpoint, which restarts it and moves the
+         * volume back to the 'ready' state once it's done. Similarly, the
+         * storage VM of a trashed volume is stopped by the DeleteVolume
+         * endpoint.
+         */
+        if (volume.state !== 'deleting' && volume.state !== 'creating' &&
+            volume.state !== 'rolling_back' && volume.state !== 'trashed') {
             volume.state = 'failed';
         }
     }
@@ -385,6 +593,46 @@ function updateVolumeNfsPathFromStorageVm(volume, storageVm) {
     }
 }
 
+/*
+ * Deletes the object of the volume "volume", whose storage VM doesn't exist
+ * anymore, along with the objects of its snapshots.
+ */
+function deleteVolumeObject(volume, log, callback) {
+    mod_assert.object(volume, 'volume');
+    mod_assert.object(log, 'log');
+    mod_assert.func(callback, 'callback');
+
+    // When deleting we won't hit an Etag error, so we don't need to load
+    // and retry. We can just do the regular retries on transient moray
+    // errors.
+    //
+    // The volume's snapshots were destroyed along with its storage VM's
+    // delegated dataset, so their objects are deleted first.
+    snapshotModels.deleteVolumeSnapshots(volume.uuid,
+        function onSnapshotsDeleted(snapshotsDelErr) {
+            if (snapshotsDelErr) {
+                callback(snapshotsDelErr);
+                return;
+            }
+
+            volumeModels.deleteVolumeWithRetry(volume.uuid,
+                function onVolumeDeleted(volDeleteErr) {
+                    if (volDeleteErr) {
+                        callback(volDeleteErr);
+                        return;
+                    }
+
+                    mod_webhooks.notifyVolumeEvent('volume.deleted', volume,
+                        log);
+
+                    usageRecordModels.recordUsage({
+                        event: 'delete',
+                        volume: volume
+                    }, callback);
+                });
+        });
+}
+
 function updateVolumeFromStorageVm(volumeObject, storageVm, log, callback) {
     mod_assert.object(volumeObject, 'volumeObject');
     mod_assert.object(storageVm, 'storageVm');
@@ -393,6 +641,7 @@ function updateVolumeFromStorageVm(volumeObject, storageVm, log, callback) {
     var oldState = volumeObject.value.state;
 
     updateVolumeLabelsFromStorageVm(volumeObject.value, storageVm);
+    updateVolumeNetworksFromStorageVm(volumeObject.value, storageVm);
     updateVolumeStateFromStorageVm(volumeObject.value, storageVm);
     updateVolumeNfsPathFromStorageVm(volumeObject.value, storageVm);
 
@@ -405,41 +654,41 @@ function updateVolumeFromStorageVm(volumeObject, storageVm, log, callback) {
     }
 
     function updateVolume() {
-        volumeModels.updateVolumeWithRetry(volumeObject.value.uuid,
-            volumeObject,
-            function onVolUpdated(volUpdateErr) {
-                if (volUpdateErr && volUpdateErr.name === 'EtagConflictError') {
-                    volumeModels.loadVolume(volumeObject.value.uuid,
-                        function onReloaded(loadVolErr, reloadedVolumeObject) {
-                            if (loadVolErr) {
-                                callback(loadVolErr);
-                                return;
-                            }
-
-                            setTimeout(function retryUpdateVolume() {
-                                updateVolumeFromStorageVm(reloadedVolumeObject,
-                                    storageVm, log, callback);
-                            }, 2000);
+        volumeModels.updateVolumeWithRetry(volumeObject.value.uuid, {
+            etag: volumeObject._etag,
+            value: volumeObject.value
+        }, function onVolUpdated(volUpdateErr) {
+            if (volUpdateErr && volUpdateErr.name === 'EtagConflictError') {
+                volumeModels.loadVolume(volumeObject.value.uuid,
+                    function onReloaded(loadVolErr, reloadedVolumeObject) {
+                        if (loadVolErr) {
+                            callback(loadVolErr);
                             return;
-                        });
-                } else {
-                    callback(volUpdateErr);
-                    return;
+                        }
+
+                        setTimeout(function retryUpdateVolume() {
+                            updateVolumeFromStorageVm(reloadedVolumeObject,
+                                storageVm, log, callback);
+                        }, 2000);
+                        return;
+                    });
+            } else {
+                if (!volUpdateErr && oldState !== 'failed' &&
+                    volumeObject.value.state === 'failed') {
+                    mod_webhooks.notifyVolumeEvent('volume.failed',
+                        volumeObject.value, log);
                 }
-            });
-    }
 
-    function deleteVolume() {
-        // When deleting we won't hit an Etag error, so we don't need to load
-        // and retry. We can just do the regular retries on transient moray
-        // errors.
-        volumeModels.deleteVolumeWithRetry(volumeObject.value.uuid, callback);
+                callback(volUpdateErr);
+                return;
+            }
+        });
     }
 
     if (volumeObject.value.state === 'deleted') {
         // Switching to 'deleted' means removing the entry rather than updating
         // it in Moray.
-        deleteVolume();
+        deleteVolumeObject(volumeObject.value, log, callback);
     } else {
         updateVolume();
     }
@@ -769,41 +1018,28 @@ VolumesUpdater.prototype.start = function start() {
     self._changefeedListener.register();
 
     self._changefeedListener.on('bootstrap', function onBootstrap() {
-        mod_vasync.parallel({funcs: [
-            function updateVolumes(done) {
-                self._log.info('Updating all volumes from VMAPI');
-                updateAllVolumesFromVmApi(self._vmapiClient, self._log,
-                    function onUpdateVolsDone(volsUpdateErr) {
-                        if (volsUpdateErr) {
-                            self._log.error({error: volsUpdateErr},
-                                    'Error when updating all volumes from ' +
-                                        'VMAPI');
-                        } else {
-                            self._log.info('All volumes updated from VMAPI ' +
-                                'successfully');
-                        }
+        var context = {};
 
-                        done(volsUpdateErr);
+        mod_vasync.pipeline({arg: context, funcs: [
+            function loadCheckpoint(ctx, next) {
+                updaterCheckpointModels.getCheckpoint(
+                    function onCheckpointLoaded(loadErr, checkpoint) {
+                        self._log.info({
+                            checkpoint: checkpoint,
+                            err: loadErr
+                        }, 'Loaded updater checkpoint');
+
+                        ctx.checkpoint = checkpoint;
+                        next(loadErr);
                     });
             },
-            function updateVolumesRefsAndRes(done) {
-                self._log.info('Updating all volumes references and ' +
-                    'reservations');
-                updateAllVolumesRefs({
-                    vmapiClient: self._vmapiClient,
-                    log: self._log
-                }, function onUpdateVolRefsAndResDone(updateErr) {
-                    if (updateErr) {
-                        self._log.error({error: updateErr},
-                            'Error when updating all volumes references and ' +
-                                'reservations');
-                    } else {
-                        self._log.info('Updated all volumes references and ' +
-                                'reservations successfully');
-                    }
-
-                    done(updateErr);
-                });
+            function syncVolumes(ctx, next) {
+                if (mod_catchUp.shouldCatchUp(ctx.checkpoint,
+                    self._maxCatchUpPeriod, Date.now())) {
+                    self._catchUp(ctx.checkpoint, next);
+                } else {
+                    self._fullSync(next);
+                }
             }
         ]}, function onBootstrapDone(bootstrapErr) {
             if (bootstrapErr) {
@@ -813,11 +1049,214 @@ VolumesUpdater.prototype.start = function start() {
             } else {
                 self._log.info('All volumes updated successfully on bootstrap');
                 self._startProcessingChangefeedEvents();
+                self._startCheckpointing();
             }
         });
     });
 };
 
+//
+// Updates all volumes and their references according to the state of all VMs
+// in VMAPI, and records a checkpoint for the time at which it started.
+//
+VolumesUpdater.prototype._fullSync = function _fullSync(callback) {
+    mod_assert.func(callback, 'callback');
+
+    var self = this;
+    var syncStartTimestamp = Date.now();
+
+    mod_vasync.parallel({funcs: [
+        function updateVolumes(done) {
+            self._log.info('Updating all volumes from VMAPI');
+            updateAllVolumesFromVmApi(self._vmapiClient, self._log,
+                function onUpdateVolsDone(volsUpdateErr) {
+                    if (volsUpdateErr) {
+                        self._log.error({error: volsUpdateErr},
+                                'Error when updating all volumes from ' +
+                                    'VMAPI');
+                    } else {
+                        self._log.info('All volumes updated from VMAPI ' +
+                            'successfully');
+                    }
+
+                    done(volsUpdateErr);
+                });
+        },
+        function updateVolumesRefsAndRes(done) {
+            self._log.info('Updating all volumes references and ' +
+                'reservations');
+            updateAllVolumesRefs({
+                vmapiClient: self._vmapiClient,
+                log: self._log
+            }, function onUpdateVolRefsAndResDone(updateErr) {
+                if (updateErr) {
+                    self._log.error({error: updateErr},
+                        'Error when updating all volumes references and ' +
+                            'reservations');
+                } else {
+                    self._log.info('Updated all volumes references and ' +
+                            'reservations successfully');
+                }
+
+                done(updateErr);
+            });
+        }
+    ]}, function onFullSyncDone(syncErr) {
+        if (syncErr) {
+            callback(syncErr);
+            return;
+        }
+
+        self._lastFullSyncTimestamp = syncStartTimestamp;
+        self._putCheckpoint(syncStartTimestamp, callback);
+    });
+};
+
+//
+// Pushes a VM change event to the VM change events queue for each VM that
+// changed since the events watermark of "checkpoint", minus a safety margin.
+// These events are considered to be received at the time of that watermark,
+// so that it doesn't move until they're processed.
+//
+VolumesUpdater.prototype._catchUp = function _catchUp(checkpoint, callback) {
+    mod_assert.object(checkpoint, 'checkpoint');
+    mod_assert.func(callback, 'callback');
+
+    /*
+     * The watermark is computed with volapi-updater's clock, while VMs'
+     * "last_modified" property is set by VMAPI with its own clock, and some
+     * events may have been published before the watermark but not received
+     * yet when it was recorded.
+     */
+    var CATCH_UP_SAFETY_MARGIN = 5 * 60 * 1000; // 5 minutes
+    var self = this;
+    var watermark = checkpoint.events_watermark_timestamp;
+
+    self._log.info({checkpoint: checkpoint},
+        'Catching up with VMs changed since checkpoint');
+
+    mod_catchUp.listVmsModifiedSince(self._vmapiClient,
+        watermark - CATCH_UP_SAFETY_MARGIN,
+        function onVmsListed(listErr, vms) {
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            self._log.info({nbVms: vms.length},
+                'Listed VMs changed since checkpoint');
+
+            self._lastFullSyncTimestamp = checkpoint.last_full_sync_timestamp;
+
+            vms.forEach(function pushVmChangeEvent(vm) {
+                self._pushVmChangeEvent({
+                    changedResourceId: vm.uuid
+                }, watermark);
+            });
+
+            callback();
+        });
+};
+
+//
+// Pushes "vmChangeEvent", received at "receivedTimestamp", to the VM change
+// events queue.
+//
+VolumesUpdater.prototype._pushVmChangeEvent =
+    function _pushVmChangeEvent(vmChangeEvent, receivedTimestamp) {
+        mod_assert.object(vmChangeEvent, 'vmChangeEvent');
+        mod_assert.number(receivedTimestamp, 'receivedTimestamp');
+
+        var eventId = this._nextEventId++;
+
+        this._unprocessedEventsTimestamps[eventId] = receivedTimestamp;
+        this._vmChangeEventsQueue.push(vmChangeEvent.changedResourceId, {
+            eventId: eventId,
+            vmChangeEvent: vmChangeEvent
+        });
+        mod_metrics.setChangefeedQueueDepth(
+            this._vmChangeEventsQueue.length());
+    };
+
+//
+// Returns the time before which all VM change events were processed: the time
+// at which the oldest unprocessed event was received, or now if all events
+// were processed.
+//
+VolumesUpdater.prototype._getEventsWatermark =
+    function _getEventsWatermark() {
+        return mod_catchUp.getEventsWatermark(
+            this._unprocessedEventsTimestamps, Date.now());
+    };
+
+VolumesUpdater.prototype._putCheckpoint =
+    function _putCheckpoint(eventsWatermark, callback) {
+        mod_assert.number(eventsWatermark, 'eventsWatermark');
+        mod_assert.number(this._lastFullSyncTimestamp,
+            'this._lastFullSyncTimestamp');
+        mod_assert.func(callback, 'callback');
+
+        updaterCheckpointModels.putCheckpoint({
+            events_watermark_timestamp: eventsWatermark,
+            last_full_sync_timestamp: this._lastFullSyncTimestamp
+        }, callback);
+    };
+
+//
+// Periodically records the current events watermark in the updater
+// checkpoint. Does nothing if checkpointing already started.
+//
+VolumesUpdater.prototype._startCheckpointing =
+    function _startCheckpointing() {
+        var CHECKPOINT_INTERVAL = 60 * 1000; // 1 minute
+        var self = this;
+
+        if (self._checkpointing) {
+            return;
+        }
+
+        self._checkpointing = true;
+
+        function putCheckpoint() {
+            self._putCheckpoint(self._getEventsWatermark(),
+                function onCheckpointPut(putErr) {
+                    if (putErr) {
+                        self._log.error({err: putErr},
+                            'Error when recording updater checkpoint');
+                    }
+
+                    setTimeout(putCheckpoint, CHECKPOINT_INTERVAL);
+                });
+        }
+
+        setTimeout(putCheckpoint, CHECKPOINT_INTERVAL);
+    };
+
+//
+// Returns the volumes required by the VM "vm" as an array of objects with a
+// "name" property, from the volumes data stored in its internal metadata when
+// it was provisioned, or from its "volumes" property. Returns undefined when
+// "vm" doesn't have any data about the volumes it requires, and throws when its
+// internal metadata can't be parsed.
+//
+function getVmRequiredVolumes(vm) {
+    mod_assert.object(vm, 'vm');
+
+    var vmInternalMetadata = vm.internal_metadata;
+    var vmVolumesInternalMetadata;
+
+    if (vmInternalMetadata &&
+        (vmInternalMetadata['sdc:volumes'] !== undefined ||
+        vmInternalMetadata['docker:nfsvolumes'] !== undefined)) {
+        vmVolumesInternalMetadata = vmInternalMetadata['sdc:volumes'] ||
+            vmInternalMetadata['docker:nfsvolumes'];
+
+        return JSON.parse(vmVolumesInternalMetadata);
+    }
+
+    return vm.volumes;
+}
+
 function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
     mod_assert.uuid(vmUuid, 'vmUuid');
     mod_assert.object(options, 'options');
@@ -828,7 +1267,6 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
     mod_assert.func(callback, 'callback');
 
     var considerProvisioningVmFailed = options.considerProvisioningVmFailed;
-    var context = {};
     var log = options.log;
     var RETRY_DELAY = 1000;
     var MAX_NB_TRIES = 5;
@@ -836,11 +1274,13 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
     var vmapiClient = options.vmapiClient;
 
     function doUpdate() {
+        var context = {};
+
         ++nbTries;
 
         mod_vasync.pipeline({arg: context, funcs: [
             function getVm(ctx, next) {
-                var STATES_REQUIRE_REFS_ADD = ['running', 'stopped'];
+                var STATES_REQUIRE_REFS_ADD = mod_vmReferences.ACTIVE_VM_STATES;
                 var STATES_REQUIRE_REFS_DEL = ['failed', 'destroyed'];
 
                 if (considerProvisioningVmFailed === true) {
@@ -877,9 +1317,36 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                     next(getVmErr);
                 });
             },
+            function parseVmRequiredVolumes(ctx, next) {
+                if (ctx.vm === undefined) {
+                    next();
+                    return;
+                }
+
+                try {
+                    ctx.vmRequiredVolumes = getVmRequiredVolumes(ctx.vm);
+                } catch (parseErr) {
+                    next(parseErr);
+                    return;
+                }
+
+                next();
+            },
+            function loadReferencingVm(ctx, next) {
+                if (ctx.shouldAddReferences !== true &&
+                    ctx.shouldDeleteReferences !== true) {
+                    next();
+                    return;
+                }
+
+                referencingVmModels.getReferencingVm(vmUuid,
+                    function onReferencingVmLoaded(loadErr, referencingVmObj) {
+                        ctx.referencingVmObject = referencingVmObj;
+                        next(loadErr);
+                    });
+            },
             function loadVolumesRefedByVmWithNoVolumesInfo(ctx, next) {
                 var listVolumesParams;
-                var vmInternalMetadata;
 
                 if (ctx.shouldAddReferences !== true &&
                     ctx.shouldDeleteReferences !== true) {
@@ -918,13 +1385,7 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                  *
                  * In both cases, it is fine to delete any reservation.
                  */
-                if (ctx.vm !== undefined) {
-                    vmInternalMetadata = ctx.vm.internal_metadata;
-                }
-
-                if (vmInternalMetadata &&
-                    (vmInternalMetadata['sdc:volumes'] !== undefined ||
-                    vmInternalMetadata['docker:nfsvolumes'] !== undefined)) {
+                if (ctx.vmRequiredVolumes !== undefined) {
                     /*
                      * The VM exists and its VM object in VMAPI contains the
                      * data on which volume(s) it uses, so we'll use that
@@ -962,11 +1423,67 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                         next(listVolsErr);
                     });
             },
+            function loadVolumesRefedByVmBeforeFailing(ctx, next) {
+                var volumeUuidsToLoad;
+
+                /*
+                 * The references of a VM are removed when it fails, so when a
+                 * VM that doesn't have any data about the volumes it requires
+                 * becomes active again, the volumes it referenced when it was
+                 * last seen are loaded from its referencing VM record so that
+                 * its references to them are restored.
+                 */
+                if (ctx.shouldAddReferences !== true ||
+                    ctx.vmRequiredVolumes !== undefined ||
+                    ctx.referencingVmObject === undefined) {
+                    next();
+                    return;
+                }
+
+                if (ctx.volumesToProcess === undefined) {
+                    ctx.volumesToProcess = [];
+                }
+
+                volumeUuidsToLoad = mod_vmReferences.getVolumeUuidsToRestore(
+                    ctx.referencingVmObject.value,
+                    ctx.volumesToProcess.map(function getUuid(volumeObj) {
+                        return volumeObj.value.uuid;
+                    }));
+
+                if (volumeUuidsToLoad.length === 0) {
+                    next();
+                    return;
+                }
+
+                log.info({
+                    vmUuid: vmUuid,
+                    volumeUuids: volumeUuidsToLoad
+                }, 'Loading volumes referenced by VM before it failed');
+
+                mod_vasync.forEachParallel({
+                    func: function loadVolume(volumeUuid, done) {
+                        volumeModels.loadVolume(volumeUuid,
+                            function onVolLoaded(loadErr, volumeObj) {
+                                if (loadErr &&
+                                    mod_VError.hasCauseWithName(loadErr,
+                                        'ObjectNotFoundError')) {
+                                    done();
+                                    return;
+                                }
+
+                                if (!loadErr &&
+                                    volumeObj.value.state === 'ready') {
+                                    ctx.volumesToProcess.push(volumeObj);
+                                }
+
+                                done(loadErr);
+                            });
+                    },
+                    inputs: volumeUuidsToLoad
+                }, next);
+            },
             function loadVolumesRefedByExistentVm(ctx, next) {
                 var requiredVolumes = [];
-                var parsedVmVolumesInternalMetadata;
-                var vmInternalMetadata;
-                var vmVolumesInternalMetadata;
                 var volumeNames;
                 var volumeOwnerUuid;
 
@@ -980,32 +1497,15 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                     return;
                 }
 
-                if (ctx.vm !== undefined) {
-                    vmInternalMetadata = ctx.vm.internal_metadata;
-                }
-
-                if (vmInternalMetadata === undefined ||
-                    (vmInternalMetadata['sdc:volumes'] === undefined &&
-                    vmInternalMetadata['docker:nfsvolumes'] === undefined)) {
+                if (ctx.vmRequiredVolumes === undefined) {
                     next();
                     return;
                 }
 
-                vmVolumesInternalMetadata = vmInternalMetadata['sdc:volumes'] ||
-                    vmInternalMetadata['docker:nfsvolumes'];
-
-                try {
-                    parsedVmVolumesInternalMetadata =
-                        JSON.parse(vmVolumesInternalMetadata);
-                } catch (parseErr) {
-                    next(parseErr);
-                    return;
-                }
-
-                mod_assert.arrayOfObject(parsedVmVolumesInternalMetadata,
-                    'parsedVmVolumesInternalMetadiata');
+                mod_assert.arrayOfObject(ctx.vmRequiredVolumes,
+                    'ctx.vmRequiredVolumes');
 
-                volumeNames = parsedVmVolumesInternalMetadata.map(
+                volumeNames = ctx.vmRequiredVolumes.map(
                     function getVolNames(volume) {
                         mod_assert.string(volume.name, 'volume.name');
                         return volume.name;
@@ -1014,7 +1514,7 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                 volumeOwnerUuid = ctx.vm.owner_uuid;
 
                 log.info({
-                    volumes: parsedVmVolumesInternalMetadata,
+                    volumes: ctx.vmRequiredVolumes,
                     vm: ctx.vm
                 }, 'Loading volumes required by VM');
 
@@ -1144,10 +1644,20 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                     return;
                 }
 
+                /*
+                 * Events for different VMs are processed concurrently, so the
+                 * references of a volume required by several VMs can be
+                 * updated concurrently. Volumes are updated conditionally on
+                 * their etag so that no reference is lost, and references are
+                 * updated again from scratch on conflicts.
+                 */
                 mod_vasync.forEachParallel({
                     func: function updateVolume(volumeObj, done) {
                         volumeModels.updateVolumeWithRetry(volumeObj.value.uuid,
-                            volumeObj, function onVolUpdated(volUpdateErr) {
+                            {
+                                etag: volumeObj._etag,
+                                value: volumeObj.value
+                            }, function onVolUpdated(volUpdateErr) {
                                 if (volUpdateErr &&
                                     volUpdateErr.name === 'EtagConflictError') {
                                     ctx.needRetry = true;
@@ -1159,6 +1669,42 @@ function updateReferencesAndReservationsForVm(vmUuid, options, callback) {
                     inputs: ctx.volumeObjectsToUpdate
                 }, next);
             },
+            function recordReferencingVm(ctx, next) {
+                var volumeUuids;
+
+                if (ctx.shouldAddReferences !== true &&
+                    ctx.shouldDeleteReferences !== true) {
+                    next();
+                    return;
+                }
+
+                volumeUuids = mod_vmReferences.getVolumeUuidsToRecord(
+                    ctx.referencingVmObject ?
+                        ctx.referencingVmObject.value : undefined,
+                    (ctx.volumesToProcess || []).map(
+                        function getVolumeUuid(volumeObj) {
+                            return volumeObj.value.uuid;
+                        }),
+                    ctx.shouldDeleteReferences === true);
+
+                if (ctx.vm === undefined || ctx.vm.state === 'destroyed' ||
+                    volumeUuids.length === 0) {
+                    if (ctx.referencingVmObject === undefined) {
+                        next();
+                        return;
+                    }
+
+                    referencingVmModels.deleteReferencingVm(vmUuid, next);
+                    return;
+                }
+
+                referencingVmModels.putReferencingVm({
+                    owner_uuid: ctx.vm.owner_uuid,
+                    state: ctx.vm.state,
+                    uuid: vmUuid,
+                    volume_uuids: volumeUuids
+                }, next);
+            },
             /*
              * Reservations are cleaned up only if updating references was
              * successful. Otherwise, we might lose some data about provisioning
@@ -1222,6 +1768,17 @@ VolumesUpdater.prototype._processVmChangeEvent =
         log.info({vmChangeEvent: vmChangeEvent},
             'Processing VM change event...');
 
+        /*
+         * Changefeed publishers set the "published" property of events to the
+         * time at which they were sent, as a string.
+         */
+        if (vmChangeEvent.published !== undefined) {
+            mod_metrics.setChangefeedLag(Date.now() -
+                Number(vmChangeEvent.published));
+        }
+        mod_metrics.setChangefeedQueueDepth(
+            self._vmChangeEventsQueue.length());
+
         mod_vasync.parallel({funcs: [
             function updateVolume(done) {
                 updateVolumeFromVmChangeEvent(vmChangeEvent, self._log,
@@ -1251,16 +1808,255 @@ VolumesUpdater.prototype._processVmChangeEvent =
         ]}, callback);
 };
 
-VolumesUpdater.prototype._startProcessingChangefeedEvents =
-    function _startProcessingChangefeedEvents() {
+//
+// Tasks in the VM change events queue either hold a VM change event, or a
+// "resync" function that resyncs volumes on demand (see resyncVolume and
+// resyncVmReferences) or when reconciling them (see runVmTask).
+//
+VolumesUpdater.prototype._processVmTask =
+    function _processVmTask(task, callback) {
+        mod_assert.object(task, 'task');
+        mod_assert.func(callback, 'callback');
+
         var self = this;
 
-        self._changefeedListener.on('data',
+        if (task.vmChangeEvent !== undefined) {
+            self._processVmChangeEvent(task.vmChangeEvent,
+                function onEventProcessed(err) {
+                    /*
+                     * Events that failed to be processed are not retried, and
+                     * thus count as processed for the events watermark. The
+                     * volumes they would have updated are fixed by the
+                     * reconciler.
+                     */
+                    delete self._unprocessedEventsTimestamps[task.eventId];
+                    callback(err);
+                });
+        } else {
+            mod_assert.func(task.resync, 'task.resync');
+            task.resync(callback);
+        }
+    };
+
+//
+// Updates the volume with UUID "volumeUuid" from its storage VM in VMAPI, and
+// calls "callback" with an object that has the volume's value before the
+// update as its "before" property, and after the update as its "after"
+// property. "after" is null if the volume was deleted because its storage VM
+// was destroyed.
+//
+VolumesUpdater.prototype.resyncVolume =
+    function resyncVolume(volumeUuid, callback) {
+        mod_assert.uuid(volumeUuid, 'volumeUuid');
+        mod_assert.func(callback, 'callback');
+
+        var log = this._log;
+        var self = this;
+
+        volumeModels.loadVolume(volumeUuid,
+            function onVolumeLoaded(loadErr, volumeObject) {
+                if (loadErr) {
+                    callback(loadErr);
+                    return;
+                }
+
+                if (volumeObject.value.vm_uuid === undefined) {
+                    callback(null, {
+                        after: volumeObject.value,
+                        before: volumeObject.value
+                    });
+                    return;
+                }
+
+                self._vmChangeEventsQueue.push(volumeObject.value.vm_uuid, {
+                    resync: function doResyncVolume(done) {
+                        var context = {};
+
+                        log.info({volumeUuid: volumeUuid}, 'Resyncing volume');
+
+                        mod_vasync.pipeline({arg: context, funcs: [
+                            function reloadVolume(ctx, next) {
+                                volumeModels.loadVolume(volumeUuid,
+                                    function onReloaded(reloadErr, volObj) {
+                                        if (!reloadErr) {
+                                            ctx.volumeObject = volObj;
+                                            ctx.before = mod_jsprim.deepCopy(
+                                                volObj.value);
+                                        }
+
+                                        next(reloadErr);
+                                    });
+                            },
+                            function getStorageVm(ctx, next) {
+                                self._vmapiClient.getVm({
+                                    uuid: ctx.volumeObject.value.vm_uuid
+                                }, function onGetVm(getVmErr, storageVm) {
+                                    ctx.storageVm = storageVm;
+                                    next(getVmErr);
+                                });
+                            },
+                            function updateVolume(ctx, next) {
+                                updateVolumeFromStorageVm(ctx.volumeObject,
+                                    ctx.storageVm, log, next);
+                            },
+                            function loadUpdatedVolume(ctx, next) {
+                                volumeModels.loadVolume(volumeUuid,
+                                    function onLoaded(err, volObj) {
+                                        if (err &&
+                                            mod_VError.hasCauseWithName(err,
+                                                'ObjectNotFoundError')) {
+                                            ctx.after = null;
+                                            next();
+                                            return;
+                                        }
+
+                                        if (!err) {
+                                            ctx.after = volObj.value;
+                                        }
+
+                                        next(err);
+                                    });
+                            }
+                        ]}, function onResyncDone(resyncErr) {
+                            log.info({
+                                err: resyncErr,
+                                volumeUuid: volumeUuid
+                            }, 'Done resyncing volume');
+
+                            done();
+
+                            if (resyncErr) {
+                                callback(resyncErr);
+                            } else {
+                                callback(null, {
+                                    after: context.after,
+                                    before: context.before
+                                });
+                            }
+                        });
+                    }
+                });
+            });
+    };
+
+//
+// Updates the references and reservations of the VM with UUID "vmUuid" from
+// its state in VMAPI, and calls "callback" with an object that has the values
+// of the volumes referenced by that VM before the update as its "before"
+// property, and after the update as its "after" property.
+//
+VolumesUpdater.prototype.resyncVmReferences =
+    function resyncVmReferences(vmUuid, callback) {
+        mod_assert.uuid(vmUuid, 'vmUuid');
+        mod_assert.func(callback, 'callback');
+
+        var log = this._log;
+        var self = this;
+
+        function listReferencedVolumes(cb) {
+            volumeModels.listVolumesByFilter('(refs=' + vmUuid + ')',
+                function onListVolumes(listErr, volumeObjects) {
+                    if (listErr) {
+                        cb(listErr);
+                        return;
+                    }
+
+                    cb(null, (volumeObjects || []).map(
+                        function getValue(volumeObject) {
+                            return volumeObject.value;
+                        }));
+                });
+        }
+
+        self._vmChangeEventsQueue.push(vmUuid, {
+            resync: function doResyncVmReferences(done) {
+                var context = {};
+
+                log.info({vmUuid: vmUuid}, 'Resyncing VM references');
+
+                mod_vasync.pipeline({arg: context, funcs: [
+                    function listVolumesBefore(ctx, next) {
+                        listReferencedVolumes(function onList(err, volumes) {
+                            ctx.before = volumes;
+                            next(err);
+                        });
+                    },
+                    function updateRefs(ctx, next) {
+                        updateReferencesAndReservationsForVm(vmUuid, {
+                            log: log,
+                            vmapiClient: self._vmapiClient
+                        }, next);
+                    },
+                    function listVolumesAfter(ctx, next) {
+                        listReferencedVolumes(function onList(err, volumes) {
+                            ctx.after = volumes;
+                            next(err);
+                        });
+                    }
+                ]}, function onResyncDone(resyncErr) {
+                    log.info({
+                        err: resyncErr,
+                        vmUuid: vmUuid
+                    }, 'Done resyncing VM references');
+
+                    done();
+
+                    if (resyncErr) {
+                        callback(resyncErr);
+                    } else {
+                        callback(null, {
+                            after: context.after,
+                            before: context.before
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+//
+// Calls "func" once all the tasks previously pushed for the VM with UUID
+// "vmUuid" were processed, and before the ones pushed later are, so that it
+// doesn't update volumes concurrently with the processing of that VM's change
+// events. "func" is passed a callback, and the arguments it calls it with are
+// passed to "callback".
+//
+VolumesUpdater.prototype.runVmTask =
+    function runVmTask(vmUuid, func, callback) {
+        mod_assert.uuid(vmUuid, 'vmUuid');
+        mod_assert.func(func, 'func');
+        mod_assert.func(callback, 'callback');
+
+        this._vmChangeEventsQueue.push(vmUuid, {
+            resync: function runTask(done) {
+                func(function onTaskDone() {
+                    done();
+                    callback.apply(null, arguments);
+                });
+            }
+        });
+    };
+
+//
+// Starts processing the VM change events emitted by the changefeed listener.
+// Does nothing if their processing already started.
+//
+VolumesUpdater.prototype._startProcessingChangefeedEvents =
+    function _startProcessingChangefeedEvents() {
+        var self = this;
+
+        if (self._processingChangefeedEvents) {
+            return;
+        }
+
+        self._processingChangefeedEvents = true;
+
+        self._changefeedListener.on('data',
             function processVmChangeEvent(vmChangeEvent) {
                 self._log.info({
                     vmChangeEvent: vmChangeEvent
                 }, 'Got data event from changefeed');
-                self._vmChangeEventsQueue.push(vmChangeEvent);
+                self._pushVmChangeEvent(vmChangeEvent, Date.now());
             });
     };
 
@@ -1268,11 +2064,15 @@ function startVolumesUpdater(config, log) {
     mod_assert.object(config, 'config');
     mod_assert.object(log, 'log');
 
+    var DEFAULT_VM_CHANGE_EVENTS_CONCURRENCY = 10;
     var vmapiClient = new VmapiClient(config.vmapi);
     var volumesUpdater = new VolumesUpdater({
         log: log,
         vmapiClient: vmapiClient,
-        changefeedPublisherUrl: config.vmapi.url
+        changefeedPublisherUrl: config.vmapi.url,
+        vmChangeEventsConcurrency: config.updater.vmChangeEventsConcurrency ||
+            DEFAULT_VM_CHANGE_EVENTS_CONCURRENCY,
+        maxCatchUpPeriod: config.updater.maxCatchUpPeriod || 0
     });
 
     volumesUpdater.init(function onVolsUpdaterInitDone(initUpdaterErr) {
@@ -1291,6 +2091,8 @@ function startVolumesUpdater(config, log) {
             volumesUpdater.start();
         }
     });
+
+    return volumesUpdater;
 }
 
 /*
@@ -1484,99 +2286,1836 @@ function pollJobs(options, callback) {
     reservationModels.listVolumeReservations(onResListed);
 }
 
-function startJobsWatcher(config, log) {
-    mod_assert.object(config, 'config');
-    mod_assert.object(log, 'log');
-
-    var CHECK_RESERVATION_JOBS_INTERVAL = 60 * 1000; // 1 minute
-    var vmapiClient = new VmapiClient(config.vmapi);
-    var wfApiClient;
-    var wfApiConfig = mod_jsprim.deepCopy(config.wfapi);
+/*
+ * This function checks the status of the job that resizes the storage VM of a
+ * volume in state 'resizing', and moves that volume back to the 'ready' state
+ * once that job is done.
+ */
+function checkResizeJob(volumeObject, options, callback) {
+    mod_assert.object(volumeObject, 'volumeObject');
+    mod_assert.object(volumeObject.value, 'volumeObject.value');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.wfApiClient, 'options.wfApiClient');
+    mod_assert.func(callback, 'callback');
 
+    var log = options.log;
+    var volume = volumeObject.value;
+    var resize = volume.resize;
+    var wfApiClient = options.wfApiClient;
     /*
-     * the workflow client seems to _require_ a path property in the config
-     * object, so we provide a dummy one. VOLAPI itself does not have any
-     * workflow defined in this directory.
+     * Volume tickets expire after 10 minutes, so if the API server still
+     * hasn't recorded a resize job after that time, it will never do it.
      */
-    wfApiConfig.path = './foo';
-    wfApiConfig.log = log;
-    wfApiClient = new WfClient(wfApiConfig);
+    var RESIZE_JOB_SCHEDULING_TIMEOUT = 10 * 60 * 1000;
 
-    function processJobs() {
-        log.info('Starting to poll jobs');
+    log.info({volume: volume}, 'Starting to check volume resize job');
 
-        pollJobs({
+    if (resize === undefined ||
+        (resize.job_uuid === undefined &&
+        Date.now() - resize.create_timestamp > RESIZE_JOB_SCHEDULING_TIMEOUT)) {
+        log.error({volume: volume}, 'No resize job for resizing volume, ' +
+            'moving it back to state ready');
+
+        volume.state = 'ready';
+        delete volume.resize;
+        volumeModels.updateVolumeWithRetry(volume.uuid, volumeObject,
+            callback);
+        return;
+    }
+
+    if (resize.job_uuid === undefined) {
+        log.info({volume: volume}, 'Resize job not scheduled yet');
+        callback();
+        return;
+    }
+
+    wfApiClient.getJob(resize.job_uuid, function onGetJob(getJobErr, job) {
+        if (getJobErr || job === undefined || job === null) {
+            log.error({err: getJobErr}, 'Could not get job info');
+
+            callback(new mod_VError.VError(getJobErr,
+                'Could not get job info when checking resize job'));
+            return;
+        }
+
+        log.info({job: job}, 'Fetched job successfully');
+
+        if (job.execution === 'succeeded') {
+            volume.size = resize.size;
+        } else if (job.execution !== 'failed' &&
+            job.execution !== 'canceled') {
+            /*
+             * The job is still running, there's nothing to do until it
+             * completes.
+             */
+            callback();
+            return;
+        }
+
+        log.info({
+            volume: volume,
+            execution: job.execution
+        }, 'Resize job done, moving volume back to state ready');
+
+        volume.state = 'ready';
+        delete volume.resize;
+        volumeModels.updateVolumeWithRetry(volume.uuid, volumeObject,
+            function onVolUpdated(volUpdateErr) {
+                if (volUpdateErr || job.execution !== 'succeeded') {
+                    callback(volUpdateErr);
+                    return;
+                }
+
+                usageRecordModels.recordUsage({
+                    billingId: resize.billing_id,
+                    event: 'resize',
+                    volume: volume
+                }, callback);
+            });
+    });
+}
+
+/*
+ * List all volumes that are being resized, and check the job that resizes
+ * their storage VM to determine if they can be moved back to the 'ready'
+ * state.
+ */
+function pollResizeJobs(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.wfApiClient, 'options.wfApiClient');
+    mod_assert.func(callback, 'callback');
+
+    var CHECK_RESIZE_JOBS_CONCURRENCY = 4;
+    var checkResizeJobsQueue;
+    var log = options.log;
+    var wfApiClient = options.wfApiClient;
+
+    checkResizeJobsQueue = mod_vasync.queue(checkResizingVolume,
+        CHECK_RESIZE_JOBS_CONCURRENCY);
+
+    checkResizeJobsQueue.on('end', callback);
+
+    function onVolumesListed(listVolsErr, volumeObjects) {
+        if (listVolsErr) {
+            log.error({
+                err: listVolsErr
+            }, 'Error when listing resizing volumes');
+
+            callback(new mod_VError.VError(listVolsErr,
+                'Could not check resize jobs'));
+            return;
+        }
+
+        volumeObjects.forEach(function pushToQueue(volumeObject) {
+            checkResizeJobsQueue.push(volumeObject);
+        });
+
+        checkResizeJobsQueue.close();
+    }
+
+    function checkResizingVolume(volumeObject, done) {
+        mod_assert.object(volumeObject, 'volumeObject');
+        mod_assert.func(done, 'done');
+
+        checkResizeJob(volumeObject, {
             log: log,
-            vmapiClient: vmapiClient,
             wfApiClient: wfApiClient
-        }, function onJobsProcessed(jobsErr) {
-            log.info({err: jobsErr}, 'Done polling jobs');
+        }, function onChecked(checkErr) {
+            if (checkErr) {
+                log.error({
+                    err: checkErr,
+                    volume: volumeObject.value
+                }, 'Error when checking resize job, will retry later');
+            }
 
-            setTimeout(function checkVolReservationsJobs() {
-                processJobs();
-            }, CHECK_RESERVATION_JOBS_INTERVAL);
+            done();
         });
     }
 
-    processJobs();
+    volumeModels.listVolumes({state: 'resizing'}, onVolumesListed);
 }
 
-function main() {
-    var config = configLoader.loadConfigSync();
-    var log = new mod_bunyan.createLogger({
-        name: 'volapi-updater',
-        level: config.logLevel || 'debug',
-        serializers: mod_bunyan.stdSerializers
+/*
+ * Returns true if seeding a cloned volume failed with the error "seedErr" for
+ * a reason that could go away on its own, such as VMAPI or CNAPI being
+ * unavailable, in which case seeding it is retried on the next pass of the
+ * jobs watcher. Other errors make the clone fail.
+ */
+function isTransientSeedingError(seedErr) {
+    mod_assert.object(seedErr, 'seedErr');
+
+    var cause;
+    var PERMANENT_SEEDING_ERROR_NAMES = [
+        'CommandFailedError',
+        'StorageVmFailedError',
+        'StorageVmsNotColocatedError'
+    ];
+
+    if (PERMANENT_SEEDING_ERROR_NAMES.some(function isCause(errName) {
+        return mod_VError.hasCauseWithName(seedErr, errName);
+    })) {
+        return false;
+    }
+
+    /*
+     * Errors without a status code are connection errors.
+     */
+    for (cause = seedErr; cause !== null; cause = mod_VError.cause(cause)) {
+        if (cause.statusCode !== undefined) {
+            return cause.statusCode >= 500;
+        }
+    }
+
+    return true;
+}
+
+/*
+ * Destroys the snapshot of the source volume of a cloned volume, "source"
+ * being that clone's "source" property, once the clone doesn't need it anymore
+ * because it's seeded or it will never be. Snapshots of source volumes (as
+ * opposed to user-created snapshots) are created only for the purpose of
+ * cloning. Failing to destroy them is not a fatal error, so errors are only
+ * logged.
+ */
+function destroyCloneSourceSnapshot(source, options, callback) {
+    mod_assert.object(source, 'source');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.cnapiClient, 'options.cnapiClient');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var log = options.log;
+
+    if (source.type !== 'volume') {
+        callback();
+        return;
+    }
+
+    options.vmapiClient.getVm({
+        uuid: source.vm_uuid
+    }, function onGetVm(getVmErr, sourceStorageVm) {
+        if (getVmErr) {
+            log.error({err: getVmErr, source: source},
+                'Error when getting source storage VM, not destroying ' +
+                    'source volume snapshot');
+            callback();
+            return;
+        }
+
+        mod_datasets.destroyStorageVmDatasetSnapshot({
+            cnapiClient: options.cnapiClient,
+            serverUuid: sourceStorageVm.server_uuid,
+            snapshotName: source.snapshot_name,
+            storageVmUuid: source.vm_uuid
+        }, function onSnapshotDestroyed(destroyErr) {
+            if (destroyErr) {
+                log.error({err: destroyErr, source: source},
+                    'Error when destroying source volume snapshot');
+            }
+
+            callback();
+        });
     });
-    var morayClient;
+}
 
-    mod_vasync.pipeline({funcs: [
-        function connectToMoray(arg, next) {
-            morayClient = new Moray(config.moray);
-            morayClient.connect();
-            morayClient.on('connect', next);
-        },
-        function initModels(arg, next) {
-            var modelsInitBackoff = mod_backoff.exponential({
-                initialDelay: 100,
-                maxDelay: 10000
-            });
+/*
+ * Copies the data of the source of the cloned volume represented by
+ * "volumeObject" to its storage VM, and then moves that volume to the 'ready'
+ * state. The storage VM is stopped while its data is replaced, and started
+ * again once it's done.
+ *
+ * Transient errors (see isTransientSeedingError) leave the volume in the
+ * 'creating' state so that seeding it is retried later. On any other outcome
+ * (the clone is seeded, it failed, or it's not being created anymore), the
+ * source volume snapshot is destroyed, and the storage VM is started again if
+ * it was stopped.
+ */
+function seedClonedVolume(volumeObject, options, callback) {
+    mod_assert.object(volumeObject, 'volumeObject');
+    mod_assert.object(volumeObject.value, 'volumeObject.value');
+    mod_assert.object(volumeObject.value.source, 'volumeObject.value.source');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.cnapiClient, 'options.cnapiClient');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
 
-            modelsInitBackoff.on('ready', function onBackoff(number, delay) {
-                models.init(config, {
-                    morayClient: morayClient,
-                    log: log
-                }, function onModelsInitialized(modelsInitErr) {
-                    if (modelsInitErr) {
-                        log.error({
-                            err: modelsInitErr
-                        }, 'Error when initializing models, backing off');
-                        modelsInitBackoff.backoff();
-                    } else {
-                        log.info('Models initialized successfully');
-                        modelsInitBackoff.reset();
-                        next();
+    var context = {};
+    var log = options.log;
+    var source = volumeObject.value.source;
+    var vmapiClient = options.vmapiClient;
+    var volume = volumeObject.value;
+
+    log.info({volume: volume}, 'Starting to check cloned volume');
+
+    /*
+     * Cleans up after seeding the clone is over, whether it succeeded or not.
+     * The storage VM is not started again if the volume is being deleted.
+     */
+    function cleanUp(restartStorageVm, done) {
+        mod_vasync.parallel({funcs: [
+            function startStorageVm(next) {
+                if (!restartStorageVm || !context.storageVmStopped) {
+                    next();
+                    return;
+                }
+
+                vmapiClient.startVm({
+                    uuid: volume.vm_uuid,
+                    owner_uuid: volume.owner_uuid,
+                    idempotent: true,
+                    sync: true
+                }, function onStorageVmStarted(startVmErr) {
+                    if (startVmErr) {
+                        log.error({err: startVmErr, volume: volume},
+                            'Error when starting storage VM of cloned ' +
+                                'volume');
+                    }
+
+                    next();
+                });
+            },
+            function destroySourceSnapshot(next) {
+                destroyCloneSourceSnapshot(source, options, next);
+            }
+        ]}, function onCleanedUp() {
+            done();
+        });
+    }
+
+    mod_vasync.pipeline({funcs: [
+        function getStorageVm(ctx, next) {
+            vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                next(getVmErr);
+            });
+        },
+        function checkStorageVmProvisioned(ctx, next) {
+            /*
+             * The storage VM needs to be provisioned before its dataset can be
+             * seeded.
+             */
+            ctx.needsSeeding = ctx.storageVm.state === 'running' ||
+                ctx.storageVm.state === 'stopped';
+
+            if (ctx.storageVm.state === 'failed' ||
+                ctx.storageVm.state === 'destroyed') {
+                next(new mod_VError.VError({
+                    name: 'StorageVmFailedError'
+                }, 'storage VM is %s', ctx.storageVm.state));
+                return;
+            }
+
+            if (!ctx.needsSeeding) {
+                log.info({
+                    volume: volume,
+                    vmState: ctx.storageVm.state
+                }, 'Storage VM not provisioned yet, not seeding volume');
+            }
+
+            next();
+        },
+        function getSourceStorageVm(ctx, next) {
+            if (!ctx.needsSeeding) {
+                next();
+                return;
+            }
+
+            vmapiClient.getVm({
+                uuid: source.vm_uuid
+            }, function onGetVm(getVmErr, vm) {
+                if (!getVmErr &&
+                    vm.server_uuid !== ctx.storageVm.server_uuid) {
+                    getVmErr = new mod_VError.VError({
+                        name: 'StorageVmsNotColocatedError'
+                    }, 'source and target storage VMs are not on the same ' +
+                        'server');
+                }
+
+                next(getVmErr);
+            });
+        },
+        function stopStorageVm(ctx, next) {
+            if (!ctx.needsSeeding) {
+                next();
+                return;
+            }
+
+            vmapiClient.stopVm({
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid,
+                idempotent: true,
+                sync: true
+            }, function onStorageVmStopped(stopVmErr) {
+                /*
+                 * The VM could have been stopped even if an error is
+                 * returned, and starting it again is idempotent.
+                 */
+                ctx.storageVmStopped = true;
+                next(stopVmErr);
+            });
+        },
+        function copySourceData(ctx, next) {
+            if (!ctx.needsSeeding) {
+                next();
+                return;
+            }
+
+            mod_datasets.copyStorageVmDatasetSnapshot({
+                cnapiClient: options.cnapiClient,
+                serverUuid: ctx.storageVm.server_uuid,
+                snapshotName: source.snapshot_name,
+                storageVmUuid: source.vm_uuid,
+                targetStorageVmUuid: volume.vm_uuid
+            }, next);
+        },
+        function startStorageVm(ctx, next) {
+            if (!ctx.needsSeeding) {
+                next();
+                return;
+            }
+
+            vmapiClient.startVm({
+                uuid: volume.vm_uuid,
+                owner_uuid: volume.owner_uuid,
+                idempotent: true,
+                sync: true
+            }, function onStorageVmStarted(startVmErr) {
+                if (!startVmErr) {
+                    ctx.storageVmStopped = false;
+                }
+
+                next(startVmErr);
+            });
+        }
+    ],
+    arg: context
+    }, function onSeeded(seedErr) {
+        if (!seedErr && !context.needsSeeding) {
+            callback();
+            return;
+        }
+
+        if (seedErr && isTransientSeedingError(seedErr)) {
+            log.warn({err: seedErr, volume: volume},
+                'Transient error when seeding cloned volume, will retry ' +
+                    'later');
+            callback(seedErr);
+            return;
+        }
+
+        /*
+         * The volume could have been deleted while it was being seeded, in
+         * which case its state must not be changed. It's updated conditionally
+         * on its etag, and reloaded if it changed concurrently, e.g because
+         * the volumes updater marked it as failed.
+         */
+        function updateClonedVolume() {
+            volumeModels.loadVolume(volume.uuid,
+                function onVolumeReloaded(loadErr, reloadedVolumeObject) {
+                    if (loadErr) {
+                        if (mod_VError.hasCauseWithName(loadErr,
+                            'ObjectNotFoundError')) {
+                            cleanUp(false, function onCleanedUp() {
+                                callback(seedErr);
+                            });
+                        } else {
+                            callback(loadErr);
+                        }
+                        return;
+                    }
+
+                    onVolumeLoaded(reloadedVolumeObject);
+                });
+        }
+
+        function onVolumeLoaded(reloadedVolumeObject) {
+            var reloadedVolume = reloadedVolumeObject.value;
+
+            if (reloadedVolume.state !== 'creating') {
+                cleanUp(reloadedVolume.state !== 'deleting',
+                    function onCleanedUp() {
+                        callback(seedErr);
+                    });
+                return;
+            }
+
+            if (seedErr) {
+                log.error({err: seedErr, volume: volume},
+                    'Error when seeding cloned volume, marking it as failed');
+                reloadedVolume.state = 'failed';
+            } else {
+                log.info({volume: volume}, 'Cloned volume seeded');
+                reloadedVolume.source.seeded = true;
+                reloadedVolume.state = 'ready';
+            }
+
+            volumeModels.updateVolumeWithRetry(reloadedVolume.uuid, {
+                etag: reloadedVolumeObject._etag,
+                value: reloadedVolume
+            }, function onVolUpdated(updateErr) {
+                if (updateErr && updateErr.name === 'EtagConflictError') {
+                    updateClonedVolume();
+                    return;
+                }
+
+                if (updateErr) {
+                    callback(updateErr);
+                    return;
+                }
+
+                cleanUp(true, function onCleanedUp() {
+                    callback(seedErr);
+                });
+            });
+        }
+
+        updateClonedVolume();
+    });
+}
+
+/*
+ * List all cloned volumes that are being created, and seed the ones whose
+ * storage VM is provisioned with their source's data.
+ */
+function seedClonedVolumes(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.cnapiClient, 'options.cnapiClient');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var SEED_CLONED_VOLUMES_CONCURRENCY = 4;
+    var log = options.log;
+    var seedClonedVolumesQueue;
+
+    function seedVolume(volumeObject, done) {
+        seedClonedVolume(volumeObject, options, function onSeeded(seedErr) {
+            if (seedErr) {
+                log.error({
+                    err: seedErr,
+                    volume: volumeObject.value
+                }, 'Error when seeding cloned volume');
+            }
+
+            done();
+        });
+    }
+
+    seedClonedVolumesQueue = mod_vasync.queue(seedVolume,
+        SEED_CLONED_VOLUMES_CONCURRENCY);
+
+    seedClonedVolumesQueue.on('end', callback);
+
+    volumeModels.listVolumes({
+        state: 'creating'
+    }, function onVolumesListed(listVolsErr, volumeObjects) {
+        if (listVolsErr) {
+            log.error({
+                err: listVolsErr
+            }, 'Error when listing volumes being created');
+
+            callback(new mod_VError.VError(listVolsErr,
+                'Could not seed cloned volumes'));
+            return;
+        }
+
+        volumeObjects.filter(function isUnseededClone(volumeObject) {
+            var source = volumeObject.value.source;
+            return source !== undefined && !source.seeded;
+        }).forEach(function pushToQueue(volumeObject) {
+            seedClonedVolumesQueue.push(volumeObject);
+        });
+
+        seedClonedVolumesQueue.close();
+    });
+}
+
+/*
+ * Purges the trashed volume represented by "volumeObject" if its trash period
+ * expired, by moving it to the 'deleting' state and deleting its storage VM.
+ * The volume is then deleted by the volumes updater once its storage VM is
+ * destroyed, as if it had been deleted with the DeleteVolume endpoint. If
+ * deleting its storage VM fails, it's retried by retryStorageVmDeletions.
+ */
+function purgeTrashedVolume(volumeObject, options, callback) {
+    mod_assert.object(volumeObject, 'volumeObject');
+    mod_assert.object(volumeObject.value, 'volumeObject.value');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var log = options.log;
+    var volume = volumeObject.value;
+
+    if (volume.trash !== undefined &&
+        volume.trash.expiration_timestamp > Date.now()) {
+        callback();
+        return;
+    }
+
+    log.info({volume: volume}, 'Trash period expired, purging volume');
+
+    volume.state = 'deleting';
+
+    /*
+     * The RestoreVolume endpoint could be restoring the volume concurrently, so
+     * it's updated conditionally on its etag, and it's not purged if it
+     * changed since it was listed.
+     */
+    volumeModels.updateVolumeWithRetry(volume.uuid, {
+        etag: volumeObject._etag,
+        value: volume
+    }, function onVolUpdated(volUpdateErr) {
+        if (volUpdateErr && volUpdateErr.name === 'EtagConflictError') {
+            log.info({volume: volume},
+                'Trashed volume changed, not purging it');
+            callback();
+            return;
+        }
+
+        if (volUpdateErr) {
+            callback(volUpdateErr);
+            return;
+        }
+
+        options.vmapiClient.deleteVm({
+            uuid: volume.vm_uuid,
+            owner: volume.owner_uuid
+        }, function onStorageVmDeleted(deleteVmErr) {
+            callback(deleteVmErr);
+        });
+    });
+}
+
+/*
+ * List all trashed volumes, and purge the ones whose trash period expired.
+ */
+function purgeTrashedVolumes(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var PURGE_TRASHED_VOLUMES_CONCURRENCY = 4;
+    var log = options.log;
+    var purgeTrashedVolumesQueue;
+
+    function purgeVolume(volumeObject, done) {
+        purgeTrashedVolume(volumeObject, options, function onPurged(purgeErr) {
+            if (purgeErr) {
+                log.error({
+                    err: purgeErr,
+                    volume: volumeObject.value
+                }, 'Error when purging trashed volume');
+            }
+
+            done();
+        });
+    }
+
+    purgeTrashedVolumesQueue = mod_vasync.queue(purgeVolume,
+        PURGE_TRASHED_VOLUMES_CONCURRENCY);
+
+    purgeTrashedVolumesQueue.on('end', callback);
+
+    volumeModels.listVolumes({
+        state: 'trashed'
+    }, function onVolumesListed(listVolsErr, volumeObjects) {
+        if (listVolsErr) {
+            log.error({
+                err: listVolsErr
+            }, 'Error when listing trashed volumes');
+
+            callback(new mod_VError.VError(listVolsErr,
+                'Could not purge trashed volumes'));
+            return;
+        }
+
+        volumeObjects.forEach(function pushToQueue(volumeObject) {
+            purgeTrashedVolumesQueue.push(volumeObject);
+        });
+
+        purgeTrashedVolumesQueue.close();
+    });
+}
+
+/*
+ * Deletes the volume represented by "volumeObject", which has been in the
+ * "failed" state for longer than the failed volumes retention period, along
+ * with its storage VM if it still exists. Volumes that don't have a
+ * "failed_timestamp" property because they failed before it was maintained are
+ * not deleted, but their "failed_timestamp" property is set so that they're
+ * deleted once the retention period expires. Volumes that are still referenced
+ * by VMs are not deleted either, like DeleteVolume refuses to delete volumes
+ * that are in use, since these VMs might come back and need them.
+ */
+function reapFailedVolume(volumeObject, options, callback) {
+    mod_assert.object(volumeObject, 'volumeObject');
+    mod_assert.object(volumeObject.value, 'volumeObject.value');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.number(options.retentionPeriod, 'options.retentionPeriod');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var context = {};
+    var log = options.log;
+    var vmapiClient = options.vmapiClient;
+    var volume = volumeObject.value;
+
+    if (volume.failed_timestamp === undefined) {
+        volume.failed_timestamp = Date.now();
+        volumeModels.updateVolumeWithRetry(volume.uuid, {
+            etag: volumeObject._etag,
+            value: volume
+        }, function onVolUpdated(volUpdateErr) {
+            if (volUpdateErr && volUpdateErr.name === 'EtagConflictError') {
+                callback();
+                return;
+            }
+
+            callback(volUpdateErr);
+        });
+        return;
+    }
+
+    if (volume.failed_timestamp >
+        Date.now() - options.retentionPeriod * 1000) {
+        callback();
+        return;
+    }
+
+    if (volume.refs !== undefined && volume.refs.length > 0) {
+        log.warn({volume: volume},
+            'Retention period expired, but volume is in use, not reaping it');
+        callback();
+        return;
+    }
+
+    log.info({volume: volume}, 'Retention period expired, reaping volume');
+
+    mod_vasync.pipeline({arg: context, funcs: [
+        function getStorageVm(ctx, next) {
+            if (volume.vm_uuid === undefined) {
+                next();
+                return;
+            }
+
+            vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetVm(getVmErr, vm) {
+                if (getVmErr && getVmErr.statusCode === 404) {
+                    next();
+                    return;
+                }
+
+                if (!getVmErr && vm.state !== 'destroyed') {
+                    ctx.storageVm = vm;
+                }
+
+                next(getVmErr);
+            });
+        },
+        function markVolumeAsDeleting(ctx, next) {
+            volume.state = 'deleting';
+
+            /*
+             * The volume could recover or be deleted concurrently, so it's
+             * updated conditionally on its etag, and it's not reaped if it
+             * changed since it was listed.
+             */
+            volumeModels.updateVolumeWithRetry(volume.uuid, {
+                etag: volumeObject._etag,
+                value: volume
+            }, function onVolUpdated(volUpdateErr) {
+                if (volUpdateErr && volUpdateErr.name === 'EtagConflictError') {
+                    log.info({volume: volume},
+                        'Failed volume changed, not reaping it');
+                    ctx.volumeChanged = true;
+                    next();
+                    return;
+                }
+
+                next(volUpdateErr);
+            });
+        },
+        function deleteVolume(ctx, next) {
+            if (ctx.volumeChanged) {
+                next();
+                return;
+            }
+
+            /*
+             * When the volume has a storage VM, the volume object is deleted
+             * by the volumes updater once the VM is destroyed. If deleting the
+             * VM fails, it's retried by retryStorageVmDeletions.
+             */
+            if (ctx.storageVm) {
+                vmapiClient.deleteVm({
+                    uuid: volume.vm_uuid,
+                    owner: volume.owner_uuid
+                }, function onStorageVmDeleted(deleteVmErr) {
+                    next(deleteVmErr);
+                });
+                return;
+            }
+
+            deleteVolumeObject(volume, log, next);
+        }
+    ]}, function onVolumeReaped(reapErr) {
+        callback(reapErr);
+    });
+}
+
+/*
+ * List all failed volumes, and reap the ones that have been failed for longer
+ * than "options.retentionPeriod" seconds.
+ */
+function reapFailedVolumes(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.number(options.retentionPeriod, 'options.retentionPeriod');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var log = options.log;
+    var REAP_FAILED_VOLUMES_CONCURRENCY = 4;
+    var reapFailedVolumesQueue;
+
+    function reapVolume(volumeObject, done) {
+        reapFailedVolume(volumeObject, options, function onReaped(reapErr) {
+            if (reapErr) {
+                log.error({
+                    err: reapErr,
+                    volume: volumeObject.value
+                }, 'Error when reaping failed volume');
+            }
+
+            done();
+        });
+    }
+
+    reapFailedVolumesQueue = mod_vasync.queue(reapVolume,
+        REAP_FAILED_VOLUMES_CONCURRENCY);
+
+    reapFailedVolumesQueue.on('end', callback);
+
+    volumeModels.listVolumes({
+        state: 'failed'
+    }, function onVolumesListed(listVolsErr, volumeObjects) {
+        if (listVolsErr) {
+            log.error({
+                err: listVolsErr
+            }, 'Error when listing failed volumes');
+
+            callback(new mod_VError.VError(listVolsErr,
+                'Could not reap failed volumes'));
+            return;
+        }
+
+        volumeObjects.forEach(function pushToQueue(volumeObject) {
+            reapFailedVolumesQueue.push(volumeObject);
+        });
+
+        reapFailedVolumesQueue.close();
+    });
+}
+
+/*
+ * Deletes again the storage VM of the volume represented by "volumeObject",
+ * which is in the 'deleting' state, if deleting it failed. Volumes are moved
+ * to the 'deleting' state before their storage VM is deleted (by the trashed
+ * volumes purger, the failed volumes reaper and the DeleteVolume endpoint) so
+ * that they're not restored or updated concurrently, and they would stay in
+ * that state forever if deleting their storage VM then failed.
+ *
+ * Only volumes that haven't changed for "options.retryDelay" milliseconds are
+ * considered, so that storage VMs whose deletion is just about to be requested
+ * are not deleted twice, and storage VMs that are already being destroyed by a
+ * queued or running job are not deleted again.
+ */
+function retryStorageVmDeletion(volumeObject, options, callback) {
+    mod_assert.object(volumeObject, 'volumeObject');
+    mod_assert.object(volumeObject.value, 'volumeObject.value');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.number(options.retryDelay, 'options.retryDelay');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var context = {};
+    var log = options.log;
+    var vmapiClient = options.vmapiClient;
+    var volume = volumeObject.value;
+
+    if (volume.vm_uuid === undefined ||
+        volumeObject._mtime > Date.now() - options.retryDelay) {
+        callback();
+        return;
+    }
+
+    mod_vasync.pipeline({arg: context, funcs: [
+        /*
+         * When the storage VM is already destroyed, the volume is deleted by
+         * the volumes updater, or by the reconciler if its change event was
+         * missed.
+         */
+        function getStorageVm(ctx, next) {
+            vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetVm(getVmErr, vm) {
+                if (getVmErr && getVmErr.statusCode === 404) {
+                    ctx.storageVmDestroyed = true;
+                    next();
+                    return;
+                }
+
+                ctx.storageVmDestroyed = !getVmErr && vm.state === 'destroyed';
+                next(getVmErr);
+            });
+        },
+        function checkDestroyJobs(ctx, next) {
+            if (ctx.storageVmDestroyed) {
+                next();
+                return;
+            }
+
+            vmapiClient.listJobs({
+                vm_uuid: volume.vm_uuid,
+                task: 'destroy'
+            }, function onListJobs(listJobsErr, jobs) {
+                if (!listJobsErr) {
+                    ctx.storageVmBeingDestroyed = jobs.some(
+                        function isPending(job) {
+                            return job.execution === 'queued' ||
+                                job.execution === 'running';
+                        });
+                }
+
+                next(listJobsErr);
+            });
+        },
+        function deleteStorageVm(ctx, next) {
+            if (ctx.storageVmDestroyed || ctx.storageVmBeingDestroyed) {
+                next();
+                return;
+            }
+
+            log.warn({volume: volume},
+                'Storage VM of deleting volume not being destroyed, ' +
+                    'deleting it again');
+
+            vmapiClient.deleteVm({
+                uuid: volume.vm_uuid,
+                owner: volume.owner_uuid
+            }, function onStorageVmDeleted(deleteVmErr) {
+                next(deleteVmErr);
+            });
+        }
+    ]}, function onRetried(retryErr) {
+        callback(retryErr);
+    });
+}
+
+/*
+ * List all volumes in the 'deleting' state, and delete again the storage VMs
+ * of the ones whose deletion failed.
+ */
+function retryStorageVmDeletions(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var log = options.log;
+    var RETRY_STORAGE_VM_DELETIONS_CONCURRENCY = 4;
+    var STORAGE_VM_DELETION_RETRY_DELAY = 10 * 60 * 1000; // 10 minutes
+    var retryStorageVmDeletionsQueue;
+
+    function retryDeletion(volumeObject, done) {
+        retryStorageVmDeletion(volumeObject, {
+            log: log,
+            retryDelay: STORAGE_VM_DELETION_RETRY_DELAY,
+            vmapiClient: options.vmapiClient
+        }, function onRetried(retryErr) {
+            if (retryErr) {
+                log.error({
+                    err: retryErr,
+                    volume: volumeObject.value
+                }, 'Error when retrying storage VM deletion');
+            }
+
+            done();
+        });
+    }
+
+    retryStorageVmDeletionsQueue = mod_vasync.queue(retryDeletion,
+        RETRY_STORAGE_VM_DELETIONS_CONCURRENCY);
+
+    retryStorageVmDeletionsQueue.on('end', callback);
+
+    volumeModels.listVolumes({
+        state: 'deleting'
+    }, function onVolumesListed(listVolsErr, volumeObjects) {
+        if (listVolsErr) {
+            log.error({
+                err: listVolsErr
+            }, 'Error when listing deleting volumes');
+
+            callback(new mod_VError.VError(listVolsErr,
+                'Could not retry storage VM deletions'));
+            return;
+        }
+
+        volumeObjects.forEach(function pushToQueue(volumeObject) {
+            retryStorageVmDeletionsQueue.push(volumeObject);
+        });
+
+        retryStorageVmDeletionsQueue.close();
+    });
+}
+
+function startJobsWatcher(config, log) {
+    mod_assert.object(config, 'config');
+    mod_assert.object(log, 'log');
+
+    var CHECK_RESERVATION_JOBS_INTERVAL = 60 * 1000; // 1 minute
+    var cnapiClient = new CnapiClient(config.cnapi);
+    var vmapiClient = new VmapiClient(config.vmapi);
+    var wfApiClient;
+    var wfApiConfig = mod_jsprim.deepCopy(config.wfapi);
+
+    /*
+     * the workflow client seems to _require_ a path property in the config
+     * object, so we provide a dummy one. VOLAPI itself does not have any
+     * workflow defined in this directory.
+     */
+    wfApiConfig.path = './foo';
+    wfApiConfig.log = log;
+    wfApiClient = new WfClient(wfApiConfig);
+
+    /*
+     * Reaps failed volumes when a failed volumes retention period is
+     * configured, and deletes the tombstones of deleted volumes that expired.
+     */
+    function reapVolumes(callback) {
+        mod_vasync.pipeline({funcs: [
+            function reapFailed(arg, next) {
+                if (!(config.failedVolumesRetentionPeriod > 0)) {
+                    next();
+                    return;
+                }
+
+                reapFailedVolumes({
+                    log: log,
+                    retentionPeriod: config.failedVolumesRetentionPeriod,
+                    vmapiClient: vmapiClient
+                }, function onFailedVolumesReaped(reapErr) {
+                    log.info({err: reapErr}, 'Done reaping failed volumes');
+                    next();
+                });
+            },
+            function deleteExpiredTombstones(arg, next) {
+                volumeModels.deleteExpiredTombstones(
+                    function onTombstonesDeleted(deleteErr) {
+                        log.info({err: deleteErr},
+                            'Done deleting expired volume tombstones');
+                        next();
+                    });
+            }
+        ]}, function onVolumesReaped() {
+            callback();
+        });
+    }
+
+    function processJobs() {
+        log.info('Starting to poll jobs');
+
+        pollJobs({
+            log: log,
+            vmapiClient: vmapiClient,
+            wfApiClient: wfApiClient
+        }, function onJobsProcessed(jobsErr) {
+            log.info({err: jobsErr}, 'Done polling jobs');
+
+            pollResizeJobs({
+                log: log,
+                wfApiClient: wfApiClient
+            }, function onResizeJobsProcessed(resizeJobsErr) {
+                log.info({err: resizeJobsErr}, 'Done polling resize jobs');
+
+                seedClonedVolumes({
+                    cnapiClient: cnapiClient,
+                    log: log,
+                    vmapiClient: vmapiClient
+                }, function onClonesSeeded(seedErr) {
+                    log.info({err: seedErr}, 'Done seeding cloned volumes');
+
+                    purgeTrashedVolumes({
+                        log: log,
+                        vmapiClient: vmapiClient
+                    }, function onTrashedVolumesPurged(purgeErr) {
+                        log.info({err: purgeErr},
+                            'Done purging trashed volumes');
+
+                        reapVolumes(function onVolumesReaped() {
+                            retryStorageVmDeletions({
+                                log: log,
+                                vmapiClient: vmapiClient
+                            }, function onDeletionsRetried(retryErr) {
+                                log.info({err: retryErr},
+                                    'Done retrying storage VM deletions');
+
+                                setTimeout(function checkVolReservationsJobs() {
+                                    processJobs();
+                                }, CHECK_RESERVATION_JOBS_INTERVAL);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    processJobs();
+}
+
+/*
+ * Collects the storage usage of the dataset of the storage VM of the volume
+ * represented by "volumeObject", and stores it in the volume's "usage"
+ * property. Usage is only collected for volumes whose storage VM is running.
+ */
+function collectVolumeUsage(volumeObject, options, callback) {
+    mod_assert.object(volumeObject, 'volumeObject');
+    mod_assert.object(volumeObject.value, 'volumeObject.value');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.cnapiClient, 'options.cnapiClient');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var context = {};
+    var log = options.log;
+    var volume = volumeObject.value;
+
+    mod_vasync.pipeline({funcs: [
+        function getStorageVm(ctx, next) {
+            options.vmapiClient.getVm({
+                uuid: volume.vm_uuid
+            }, function onGetVm(getVmErr, vm) {
+                ctx.storageVm = vm;
+                next(getVmErr);
+            });
+        },
+        function getDatasetUsage(ctx, next) {
+            if (ctx.storageVm.state !== 'running') {
+                log.debug({
+                    volume: volume,
+                    vmState: ctx.storageVm.state
+                }, 'Storage VM not running, not collecting volume usage');
+                next();
+                return;
+            }
+
+            mod_datasets.getStorageVmDatasetUsage({
+                cnapiClient: options.cnapiClient,
+                serverUuid: ctx.storageVm.server_uuid,
+                storageVmUuid: volume.vm_uuid
+            }, function onUsage(usageErr, usage) {
+                ctx.usage = usage;
+                next(usageErr);
+            });
+        },
+        function storeUsage(ctx, next) {
+            if (ctx.usage === undefined) {
+                next();
+                return;
+            }
+
+            /*
+             * The volume is reloaded and updated conditionally on its etag so
+             * that changes made to it while its usage was being collected are
+             * not overwritten. If it changed in the meantime, its usage will
+             * be collected again at the next collection. Such updates are not
+             * recorded as volume changes (see lib/models/volumes.js).
+             */
+            volumeModels.loadVolume(volume.uuid,
+                function onVolumeReloaded(loadErr, reloadedVolumeObject) {
+                    if (loadErr) {
+                        next(loadErr);
+                        return;
+                    }
+
+                    reloadedVolumeObject.value.usage = {
+                        available: ctx.usage.available,
+                        last_updated: Date.now(),
+                        used: ctx.usage.used
+                    };
+
+                    volumeModels.updateVolumeWithRetry(volume.uuid, {
+                        etag: reloadedVolumeObject._etag,
+                        value: reloadedVolumeObject.value
+                    }, function onVolUpdated(updateErr) {
+                        if (updateErr &&
+                            updateErr.name === 'EtagConflictError') {
+                            log.info({volume: volume},
+                                'Volume changed while collecting its ' +
+                                    'usage, not storing usage');
+                            updateErr = undefined;
+                        }
+
+                        next(updateErr);
+                    });
+                });
+        }
+    ],
+    arg: context
+    }, function onUsageCollected(err) {
+        callback(err);
+    });
+}
+
+/*
+ * List all ready volumes, and store the storage usage of each of them in their
+ * "usage" property.
+ */
+function collectVolumesUsage(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.cnapiClient, 'options.cnapiClient');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.func(callback, 'callback');
+
+    var COLLECT_VOLUMES_USAGE_CONCURRENCY = 4;
+    var collectVolumesUsageQueue;
+    var log = options.log;
+
+    function collectUsage(volumeObject, done) {
+        collectVolumeUsage(volumeObject, options,
+            function onUsageCollected(collectErr) {
+                if (collectErr) {
+                    log.error({
+                        err: collectErr,
+                        volume: volumeObject.value
+                    }, 'Error when collecting volume usage');
+                }
+
+                done();
+            });
+    }
+
+    collectVolumesUsageQueue = mod_vasync.queue(collectUsage,
+        COLLECT_VOLUMES_USAGE_CONCURRENCY);
+
+    collectVolumesUsageQueue.on('end', callback);
+
+    volumeModels.listVolumes({
+        state: 'ready'
+    }, function onVolumesListed(listVolsErr, volumeObjects) {
+        if (listVolsErr) {
+            log.error({
+                err: listVolsErr
+            }, 'Error when listing ready volumes');
+
+            callback(new mod_VError.VError(listVolsErr,
+                'Could not collect volumes usage'));
+            return;
+        }
+
+        volumeObjects.filter(function hasStorageVm(volumeObject) {
+            return volumeObject.value.vm_uuid !== undefined;
+        }).forEach(function pushToQueue(volumeObject) {
+            collectVolumesUsageQueue.push(volumeObject);
+        });
+
+        collectVolumesUsageQueue.close();
+    });
+}
+
+function startUsageCollector(config, log) {
+    mod_assert.object(config, 'config');
+    mod_assert.object(log, 'log');
+
+    var COLLECT_USAGE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+    var cnapiClient = new CnapiClient(config.cnapi);
+    var vmapiClient = new VmapiClient(config.vmapi);
+
+    function collectUsage() {
+        log.info('Starting to collect volumes usage');
+
+        collectVolumesUsage({
+            cnapiClient: cnapiClient,
+            log: log,
+            vmapiClient: vmapiClient
+        }, function onVolumesUsageCollected(collectErr) {
+            log.info({err: collectErr}, 'Done collecting volumes usage');
+
+            setTimeout(function collectUsageAgain() {
+                collectUsage();
+            }, COLLECT_USAGE_INTERVAL);
+        });
+    }
+
+    collectUsage();
+}
+
+/*
+ * Returns the properties of the volume "volume" that drifted from what they
+ * should be according to its storage VM "storageVm", as an array of objects
+ * that describe each drift, without changing "volume".
+ */
+function getStorageVmDrifts(volume, storageVm) {
+    mod_assert.object(volume, 'volume');
+    mod_assert.object(storageVm, 'storageVm');
+
+    var drifts = [];
+    var expectedVolume = mod_jsprim.deepCopy(volume);
+    var REASONS = {
+        filesystem_path: 'storage VM NFS path differs',
+        labels: 'storage VM tags differ',
+        state: 'storage VM is ' + storageVm.state
+    };
+
+    updateVolumeLabelsFromStorageVm(expectedVolume, storageVm);
+    updateVolumeStateFromStorageVm(expectedVolume, storageVm);
+    updateVolumeNfsPathFromStorageVm(expectedVolume, storageVm);
+
+    Object.keys(REASONS).sort().forEach(function checkProperty(property) {
+        if (!mod_jsprim.deepEqual(volume[property],
+            expectedVolume[property])) {
+            drifts.push({
+                previous_value: volume[property],
+                property: property,
+                reason: REASONS[property],
+                value: expectedVolume[property],
+                volume_uuid: volume.uuid
+            });
+        }
+    });
+
+    return drifts;
+}
+
+/*
+ * Compares the volume with UUID "volumeUuid" with its storage VM with UUID
+ * "storageVmUuid" in VMAPI, and updates it if it drifted. Drifts are added to
+ * "options.report". The volume is reconciled through the VM change events queue
+ * of "options.volumesUpdater", and is reloaded there so that its drift is
+ * computed from its latest value.
+ */
+function reconcileVolumeWithStorageVm(volumeUuid, storageVmUuid, options,
+    callback) {
+    mod_assert.uuid(volumeUuid, 'volumeUuid');
+    mod_assert.uuid(storageVmUuid, 'storageVmUuid');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.report, 'options.report');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.object(options.volumesUpdater, 'options.volumesUpdater');
+    mod_assert.func(callback, 'callback');
+
+    var log = options.log;
+
+    options.volumesUpdater.runVmTask(storageVmUuid,
+        function doReconcileVolume(done) {
+            var context = {};
+
+            mod_vasync.pipeline({arg: context, funcs: [
+                function reloadVolume(ctx, next) {
+                    volumeModels.loadVolume(volumeUuid,
+                        function onReloaded(reloadErr, volumeObject) {
+                            /*
+                             * The volume might have been deleted since it was
+                             * listed, in which case there's nothing to
+                             * reconcile.
+                             */
+                            if (reloadErr &&
+                                mod_VError.hasCauseWithName(reloadErr,
+                                    'ObjectNotFoundError')) {
+                                next();
+                                return;
+                            }
+
+                            if (!reloadErr &&
+                                volumeObject.value.vm_uuid === storageVmUuid) {
+                                ctx.volumeObject = volumeObject;
+                            }
+
+                            next(reloadErr);
+                        });
+                },
+                function getStorageVm(ctx, next) {
+                    if (ctx.volumeObject === undefined) {
+                        next();
+                        return;
+                    }
+
+                    options.vmapiClient.getVm({
+                        uuid: storageVmUuid
+                    }, function onGetVm(getVmErr, storageVm) {
+                        ctx.storageVm = storageVm;
+                        next(getVmErr);
+                    });
+                },
+                function updateVolume(ctx, next) {
+                    var drifts;
+                    var volume;
+
+                    if (ctx.volumeObject === undefined) {
+                        next();
+                        return;
+                    }
+
+                    volume = ctx.volumeObject.value;
+                    drifts = getStorageVmDrifts(volume, ctx.storageVm);
+                    if (drifts.length === 0) {
+                        next();
+                        return;
+                    }
+
+                    log.warn({drifts: drifts, volume: volume},
+                        'Volume drifted from its storage VM, updating it');
+
+                    options.report.drifts =
+                        options.report.drifts.concat(drifts);
+                    updateVolumeFromStorageVm(ctx.volumeObject, ctx.storageVm,
+                        log, next);
+                }
+            ]}, function onVolumeReconciled(err) {
+                done(err);
+            });
+        }, callback);
+}
+
+/*
+ * Calls "callback" with an object that maps the UUID of each volume that is
+ * referenced by the VM with UUID "vmUuid" to its "refs" property.
+ */
+function getVmVolumesRefs(vmUuid, callback) {
+    mod_assert.uuid(vmUuid, 'vmUuid');
+    mod_assert.func(callback, 'callback');
+
+    volumeModels.listVolumesByFilter('(refs=' + vmUuid + ')',
+        function onListVolumes(listErr, volumeObjects) {
+            var refsByVolume = {};
+
+            if (listErr) {
+                callback(listErr);
+                return;
+            }
+
+            (volumeObjects || []).forEach(function addRefs(volumeObj) {
+                refsByVolume[volumeObj.value.uuid] = volumeObj.value.refs || [];
+            });
+
+            callback(null, refsByVolume);
+        });
+}
+
+/*
+ * Updates the references of the VM with UUID "vmUuid" according to its state in
+ * VMAPI (see updateReferencesAndReservationsForVm), and adds the references
+ * that changed as a result to "options.report". The VM is reconciled through
+ * the VM change events queue of "options.volumesUpdater", so references
+ * changed concurrently by the processing of its change events are not
+ * reported.
+ */
+function reconcileVmRefs(vmUuid, options, callback) {
+    mod_assert.uuid(vmUuid, 'vmUuid');
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.report, 'options.report');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.object(options.volumesUpdater, 'options.volumesUpdater');
+    mod_assert.func(callback, 'callback');
+
+    function withoutVm(refs) {
+        return refs.filter(function isOtherVm(refVmUuid) {
+            return refVmUuid !== vmUuid;
+        });
+    }
+
+    options.volumesUpdater.runVmTask(vmUuid, function doReconcileVmRefs(done) {
+        var context = {};
+
+        mod_vasync.pipeline({arg: context, funcs: [
+            function getRefsBefore(ctx, next) {
+                getVmVolumesRefs(vmUuid, function onRefs(err, refsByVolume) {
+                    ctx.refsBefore = refsByVolume;
+                    next(err);
+                });
+            },
+            function updateRefs(ctx, next) {
+                updateReferencesAndReservationsForVm(vmUuid, {
+                    log: options.log,
+                    vmapiClient: options.vmapiClient
+                }, next);
+            },
+            function getRefsAfter(ctx, next) {
+                getVmVolumesRefs(vmUuid, function onRefs(err, refsByVolume) {
+                    ctx.refsAfter = refsByVolume;
+                    next(err);
+                });
+            },
+            function reportRefsDrifts(ctx, next) {
+                Object.keys(ctx.refsAfter).forEach(function addDrift(volUuid) {
+                    var refsAfter = ctx.refsAfter[volUuid];
+
+                    if (ctx.refsBefore.hasOwnProperty(volUuid)) {
+                        return;
+                    }
+
+                    options.report.drifts.push({
+                        previous_value: withoutVm(refsAfter),
+                        property: 'refs',
+                        reason: 'VM ' + vmUuid + ' requires the volume',
+                        value: refsAfter,
+                        volume_uuid: volUuid
+                    });
+                });
+
+                Object.keys(ctx.refsBefore).forEach(function addDrift(volUuid) {
+                    var refsBefore = ctx.refsBefore[volUuid];
+
+                    if (ctx.refsAfter.hasOwnProperty(volUuid)) {
+                        return;
+                    }
+
+                    options.report.drifts.push({
+                        previous_value: refsBefore,
+                        property: 'refs',
+                        reason: 'VM ' + vmUuid + ' does not require the ' +
+                            'volume anymore',
+                        value: withoutVm(refsBefore),
+                        volume_uuid: volUuid
+                    });
+                });
+
+                next();
+            }
+        ]}, function onVmRefsReconciled(err) {
+            done(err);
+        });
+    }, callback);
+}
+
+/*
+ * Compares the state, NFS path, labels and references of all volumes with
+ * VMAPI, fixes the ones that drifted, and records a report of the drifts that
+ * were fixed. Reports older than RECONCILIATION_REPORTS_RETENTION_PERIOD are
+ * deleted.
+ */
+function reconcileVolumes(options, callback) {
+    mod_assert.object(options, 'options');
+    mod_assert.object(options.log, 'options.log');
+    mod_assert.object(options.vmapiClient, 'options.vmapiClient');
+    mod_assert.object(options.volumesUpdater, 'options.volumesUpdater');
+    mod_assert.func(callback, 'callback');
+
+    var log = options.log;
+    var RECONCILE_VOLUMES_CONCURRENCY = 4;
+    var RECONCILIATION_REPORTS_RETENTION_PERIOD = 7 * 24 * 60 * 60 * 1000;
+    var report = {
+        drifts: [],
+        errors: [],
+        nb_volumes: 0,
+        start_timestamp: Date.now()
+    };
+
+    function addError(err, message) {
+        log.error({err: err}, message);
+        report.errors.push(message + ': ' + err.message);
+    }
+
+    mod_vasync.pipeline({funcs: [
+        function reconcileStorageVms(arg, next) {
+            var reconcileQueue = mod_vasync.queue(
+                function reconcileVolume(volumeObject, done) {
+                    reconcileVolumeWithStorageVm(volumeObject.value.uuid,
+                        volumeObject.value.vm_uuid, {
+                        log: log,
+                        report: report,
+                        vmapiClient: options.vmapiClient,
+                        volumesUpdater: options.volumesUpdater
+                    }, function onReconciled(reconcileErr) {
+                        if (reconcileErr) {
+                            addError(reconcileErr, 'Error when reconciling ' +
+                                'volume ' + volumeObject.value.uuid);
+                        }
+
+                        done();
+                    });
+                }, RECONCILE_VOLUMES_CONCURRENCY);
+
+            reconcileQueue.on('end', function onQueueEnd() {
+                next();
+            });
+
+            volumeModels.listVolumes({}, function onVolumesListed(listErr,
+                volumeObjects) {
+                if (listErr) {
+                    addError(listErr, 'Error when listing volumes');
+                    reconcileQueue.close();
+                    return;
+                }
+
+                report.nb_volumes = volumeObjects.length;
+
+                volumeObjects.forEach(function pushToQueue(volumeObject) {
+                    if (volumeObject.value.vm_uuid !== undefined) {
+                        reconcileQueue.push(volumeObject);
+                    }
+                });
+
+                reconcileQueue.close();
+            });
+        },
+        function reconcileRefs(arg, next) {
+            var reconcileQueue = mod_vasync.queue(
+                function reconcileVm(vmUuid, done) {
+                    reconcileVmRefs(vmUuid, {
+                        log: log,
+                        report: report,
+                        vmapiClient: options.vmapiClient,
+                        volumesUpdater: options.volumesUpdater
+                    }, function onReconciled(reconcileErr) {
+                        if (reconcileErr) {
+                            addError(reconcileErr, 'Error when reconciling ' +
+                                'references of VM ' + vmUuid);
+                        }
+
+                        done();
+                    });
+                }, RECONCILE_VOLUMES_CONCURRENCY);
+
+            reconcileQueue.on('end', function onQueueEnd() {
+                next();
+            });
+
+            getAllPotentialRefVms({
+                log: log
+            }, function onGetRefVms(getErr, refVms) {
+                if (getErr) {
+                    addError(getErr, 'Error when getting all VMs that are ' +
+                        'referencing volumes');
+                    reconcileQueue.close();
+                    return;
+                }
+
+                refVms.forEach(function pushToQueue(vmUuid) {
+                    reconcileQueue.push(vmUuid);
+                });
+
+                reconcileQueue.close();
+            });
+        },
+        function recordReport(arg, next) {
+            report.end_timestamp = Date.now();
+
+            log.info({report: report}, 'Volumes reconciled');
+
+            reconciliationReportModels.recordReport(report, next);
+        },
+        function deleteOldReports(arg, next) {
+            reconciliationReportModels.deleteReportsOlderThan(
+                Date.now() - RECONCILIATION_REPORTS_RETENTION_PERIOD, next);
+        }
+    ]}, function onVolumesReconciled(err) {
+        callback(err);
+    });
+}
+
+/*
+ * The "reconciler" periodically compares all volumes with VMAPI, so that
+ * changes to storage VMs and referencing VMs whose changefeed events were
+ * missed (e.g during an outage) are eventually reflected on volumes. VMs are
+ * reconciled through the VM change events queue of "volumesUpdater".
+ */
+function startReconciler(config, log, volumesUpdater) {
+    mod_assert.object(config, 'config');
+    mod_assert.object(log, 'log');
+    mod_assert.object(volumesUpdater, 'volumesUpdater');
+
+    var DEFAULT_RECONCILIATION_INTERVAL = 60 * 60; // 1 hour
+    var reconciliationInterval = (config.updater.reconciliationInterval ||
+        DEFAULT_RECONCILIATION_INTERVAL) * 1000;
+    var vmapiClient = new VmapiClient(config.vmapi);
+
+    function reconcile() {
+        log.info('Starting to reconcile volumes');
+
+        reconcileVolumes({
+            log: log,
+            vmapiClient: vmapiClient,
+            volumesUpdater: volumesUpdater
+        }, function onVolumesReconciled(reconcileErr) {
+            log.info({err: reconcileErr}, 'Done reconciling volumes');
+
+            setTimeout(function reconcileAgain() {
+                reconcile();
+            }, reconciliationInterval);
+        });
+    }
+
+    /*
+     * Volumes are already updated from VMAPI when the volumes updater starts,
+     * so the first reconciliation happens after one interval.
+     */
+    setTimeout(function firstReconcile() {
+        reconcile();
+    }, reconciliationInterval);
+}
+
+/*
+ * The resync server serves the routes to which VOLAPI forwards the requests of
+ * its ResyncVolume and ResyncVmReferences endpoints, which are performed by
+ * "volumesUpdater". It only listens on the loopback interface, see "Resyncing
+ * volumes on demand" above.
+ */
+function startResyncServer(config, log, volumesUpdater) {
+    mod_assert.object(config, 'config');
+    mod_assert.object(config.updater, 'config.updater');
+    mod_assert.number(config.updater.resyncPort, 'config.updater.resyncPort');
+    mod_assert.object(log, 'log');
+    mod_assert.object(volumesUpdater, 'volumesUpdater');
+
+    var resyncServer = mod_restify.createServer({
+        name: 'volapi-updater-resync',
+        log: log.child({component: 'resync-server'}, true),
+        handleUncaughtExceptions: false
+    });
+
+    resyncRoutes.mount(config, resyncServer, volumesUpdater);
+
+    resyncServer.listen(config.updater.resyncPort, '127.0.0.1',
+        function onListen() {
+            log.info({url: resyncServer.url}, 'resync server listening');
+        });
+}
+
+function main() {
+    var config = configLoader.loadConfigSync();
+    var log = new mod_bunyan.createLogger({
+        name: 'volapi-updater',
+        level: config.logLevel || 'debug',
+        serializers: mod_bunyan.stdSerializers
+    });
+    var morayClient;
+    var server;
+
+    mod_vasync.pipeline({funcs: [
+        function connectToMoray(arg, next) {
+            morayClient = new Moray(config.moray);
+            morayClient.connect();
+            morayClient.on('connect', next);
+        },
+        function initModels(arg, next) {
+            var modelsInitBackoff = mod_backoff.exponential({
+                initialDelay: 100,
+                maxDelay: 10000
+            });
+
+            modelsInitBackoff.on('ready', function onBackoff(number, delay) {
+                models.init(config, {
+                    morayClient: morayClient,
+                    log: log
+                }, function onModelsInitialized(modelsInitErr) {
+                    if (modelsInitErr) {
+                        log.error({
+                            err: modelsInitErr
+                        }, 'Error when initializing models, backing off');
+                        modelsInitBackoff.backoff();
+                    } else {
+                        log.info('Models initialized successfully');
+                        modelsInitBackoff.reset();
+                        next();
                     }
                 });
             });
 
             modelsInitBackoff.backoff();
+        },
+        function initChangefeed(arg, next) {
+            /*
+             * The updater only publishes the changes it makes to volumes. They
+             * are sent to changefeed listeners by the API server.
+             */
+            changefeed.init({
+                log: log,
+                morayClient: morayClient
+            });
+            next();
+        },
+        function startServer(arg, next) {
+            mod_metrics.init({
+                log: log,
+                service: 'volapi-updater'
+            });
+
+            /*
+             * volapi-updater's metrics server only exposes its metrics. The
+             * resync routes are served by the resync server once the volumes
+             * updater is started (see startResyncServer).
+             */
+            server = mod_restify.createServer({
+                name: 'volapi-updater',
+                log: log.child({component: 'server'}, true),
+                handleUncaughtExceptions: false
+            });
+
+            metricsRoutes.mount(config, server);
+
+            server.listen(config.updater.metricsPort, '0.0.0.0',
+                function onListen() {
+                    log.info({url: server.url}, 'metrics server listening');
+                    next();
+                });
         }
     ]}, function allDependenciesInitialized(err) {
+        var volumesUpdater;
+
         /*
          * The "Volumes updater" is an async process that listens to VMAPI's
-         * changefeed events and update volume objects accordingly.
+         * changefeed events and update volume objects accordingly. It also
+         * resyncs volumes on demand when VOLAPI's ResyncVolume and
+         * ResyncVmReferences endpoints forward their requests to the resync
+         * routes.
          */
-        startVolumesUpdater(config, log);
+        volumesUpdater = startVolumesUpdater(config, log);
+        startResyncServer(config, log, volumesUpdater);
         /*
          * The "jobs watcher" is an async process that polls the volumes
          * reservations moray bucket periodically and updates volumes
          * accordingly. Volumes reservations are created by VM provisioning
          * jobs, and that process primarily checks the state of these jobs to
          * determine what the appropriate action is, hence the name "jobs
-         * watcher".
+         * watcher". It also checks the state of the jobs that resize volumes,
+         * copies the data of cloned volumes from their source, purges
+         * trashed volumes whose trash period expired, reaps volumes that have
+         * been failed for longer than their retention period and deletes
+         * expired volume tombstones.
          */
         startJobsWatcher(config, log);
+        /*
+         * The "usage collector" periodically stores the storage usage of each
+         * ready volume on its volume object, so that it can be rendered by
+         * GetVolume and ListVolumes.
+         */
+        startUsageCollector(config, log);
+        /*
+         * The "reconciler" periodically compares all volumes with VMAPI and
+         * fixes the ones that drifted, e.g because changefeed events were
+         * missed during an outage, and records a report of what it fixed that
+         * can be read with the GET /admin/reconciliation endpoint.
+         */
+        startReconciler(config, log, volumesUpdater);
     });
 }
 